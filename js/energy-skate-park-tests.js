@@ -0,0 +1,26 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Unit tests for energy-skate-park. These run the model without launching the sim.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/EditHistoryTests' );
+  require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/EnergySkateParkModelTests' );
+  require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/EnergySonificationTests' );
+  require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/FunctionExpressionTests' );
+  require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/PhysicsRegressionTests' );
+  require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SessionPlayerTests' );
+  require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SkaterPhysicsEngineTests' );
+  require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SkaterSampleExportTests' );
+  require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/TrackFileTests' );
+  require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/model/GraphsModelTests' );
+  const qunitStart = require( 'PHET_CORE/qunitStart' );
+
+  // Since our tests are loading asynchronously, we must direct QUnit to begin the tests
+  qunitStart();
+} );
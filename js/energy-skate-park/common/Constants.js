@@ -65,6 +65,10 @@ define( require => {
     MAX_FRICTION: 0.05 * 2,
     DEFAULT_FRICTION: 0.05,
 
+    // coefficients of quadratic air resistance, in kg/m
+    MIN_AIR_RESISTANCE: 0,
+    MAX_AIR_RESISTANCE: 1,
+
     // in m/s^2, including direction (naming aligned with magnitude for readability at usages)
     MAX_GRAVITY: -JUPITER_GRAVITY,
     MIN_GRAVITY: -1,
@@ -74,7 +78,12 @@ define( require => {
     MOON_GRAVITY: MOON_GRAVITY,
     JUPITER_GRAVITY: JUPITER_GRAVITY,
 
-    REFERENCE_HEIGHT_RANGE: new Range( 0, 8 ) // in meters
+    REFERENCE_HEIGHT_RANGE: new Range( 0, 8 ), // in meters
+
+    // for the launcher, the speed (m/s) and direction (degrees counterclockwise from the right) of the skater when it
+    // is released
+    LAUNCH_SPEED_RANGE: new Range( 0, 10 ),
+    LAUNCH_ANGLE_RANGE: new Range( -180, 180 )
   };
 
   energySkatePark.register( 'Constants', Constants );
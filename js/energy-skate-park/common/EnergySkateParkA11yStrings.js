@@ -0,0 +1,151 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Single location of all accessibility strings used in energy-skate-park. These strings are not meant to be
+ * translatable yet. Rosetta needs some work to provide translators with context for these strings, and we want to
+ * receive some community feedback before these strings are submitted for translation.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+
+  const EnergySkateParkA11yStrings = {
+
+    //------------------------------------------------------------------------
+    // screen summary
+    //------------------------------------------------------------------------
+    screenSummary: {
+      value: 'In the Play Area, a skater rides on a track. Drag or use the arrow keys to place the skater on the ' +
+             'track, then release to watch the skater move. In the Control Area, there are checkboxes and controls ' +
+             'for the skater and what is shown.'
+    },
+    noTracks: {
+      value: 'There is no track in the play area.'
+    },
+    trackPattern: {
+      value: 'The track goes from {{left}} meters to {{right}} meters across, and its highest point is {{top}} ' +
+             'meters above the ground.'
+    },
+    tracksPattern: {
+      value: 'There are {{count}} tracks in the play area, from {{left}} meters to {{right}} meters across. The ' +
+             'highest point of a track is {{top}} meters above the ground.'
+    },
+    describeEnergy: {
+      value: 'Describe Energy'
+    },
+
+    //------------------------------------------------------------------------
+    // skater
+    //------------------------------------------------------------------------
+    skater: {
+      value: 'Skater'
+    },
+    skaterNumberPattern: {
+      value: 'Skater {{number}}'
+    },
+    otherSkatersPattern: {
+      value: 'There are {{count}} skaters in the play area, each moving on its own. Descriptions, alerts, energy ' +
+             'sounds, force vectors and the energy summary are for Skater 1 only.'
+    },
+    skaterHelpText: {
+      value: 'Move skater with arrow keys. Press Enter or Space to release. Hold Shift to move in smaller steps.'
+    },
+    skaterDraggedPattern: {
+      value: 'Skater is held {{height}} meters above the ground.'
+    },
+    skaterOnTrackPattern: {
+      value: 'Skater is on the track, {{place}}, {{height}} meters above the ground, {{motion}}.'
+    },
+    skaterInAirPattern: {
+      value: 'Skater is in the air, {{height}} meters above the ground, {{motion}}.'
+    },
+    skaterOnGroundPattern: {
+      value: 'Skater is on the ground, {{motion}}.'
+    },
+    nearLeftEnd: {
+      value: 'near the left end'
+    },
+    nearMiddle: {
+      value: 'near the middle'
+    },
+    nearRightEnd: {
+      value: 'near the right end'
+    },
+    movingPattern: {
+      value: 'moving {{speed}} meters per second'
+    },
+    atRest: {
+      value: 'at rest'
+    },
+
+    //------------------------------------------------------------------------
+    // alerts
+    //------------------------------------------------------------------------
+    releasedOnTrackAlert: {
+      value: 'Skater released on the track.'
+    },
+    releasedInAirAlert: {
+      value: 'Skater released in the air.'
+    },
+    releasedOnGroundAlert: {
+      value: 'Skater released on the ground.'
+    },
+    leavesTrackAlert: {
+      value: 'Skater leaves the track.'
+    },
+    landsOnTrackAlert: {
+      value: 'Skater lands on the track.'
+    },
+    landsOnGroundAlert: {
+      value: 'Skater lands on the ground.'
+    },
+    highestPointAlertPattern: {
+      value: 'Highest point, {{height}} meters.'
+    },
+    atRestAlert: {
+      value: 'Skater comes to rest.'
+    },
+
+    //------------------------------------------------------------------------
+    // energy
+    //------------------------------------------------------------------------
+    energySummaryPattern: {
+      value: 'Kinetic energy {{kinetic}} joules, potential energy {{potential}} joules, thermal energy {{thermal}} ' +
+             'joules, total energy {{total}} joules. {{mostly}}'
+    },
+    mostlyKinetic: {
+      value: 'Most of the energy is kinetic.'
+    },
+    mostlyPotential: {
+      value: 'Most of the energy is potential.'
+    },
+    mostlyThermal: {
+      value: 'Most of the energy is thermal.'
+    },
+
+    //------------------------------------------------------------------------
+    // tracks
+    //------------------------------------------------------------------------
+    track: {
+      value: 'Track'
+    },
+    trackHelpText: {
+      value: 'Press Enter or Space to grab the track, move it with arrow keys, and press Enter or Space again to drop it.'
+    },
+    controlPoint: {
+      value: 'Track Control Point'
+    },
+    controlPointHelpText: {
+      value: 'Move with arrow keys to change the shape of the track. Press Delete to remove the point or C to cut the ' +
+             'track at the point.'
+    }
+  };
+
+  if ( assert ) { Object.freeze( EnergySkateParkA11yStrings ); }
+
+  return energySkatePark.register( 'EnergySkateParkA11yStrings', EnergySkateParkA11yStrings );
+} );
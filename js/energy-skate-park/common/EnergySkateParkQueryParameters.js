@@ -32,6 +32,44 @@ define( require => {
     testTrackIndex: {
       type: 'number',
       defaultValue: 1
+    },
+
+    // The numerical integrator for the motion of the skater along a track, one of the keys of TrackIntegrator
+    integrator: {
+      type: 'string',
+      defaultValue: 'EULER',
+      validValues: [ 'EULER', 'SEMI_IMPLICIT_EULER', 'RK4' ]
+    },
+
+    // Disables the heuristic energy corrections applied after moving along a track, so that the energy drift of each
+    // integrator can be compared
+    disableEnergyCorrection: { type: 'flag' },
+
+    // Shows a panel with the energy ledger, where the skater's energy went in the last step and since the last reset,
+    // see EnergyLedger
+    showEnergyLedger: { type: 'flag' },
+
+    // Records the session from startup so that it can be replayed, see SessionRecorder. Shows buttons to save the
+    // recording to a file and to play a recording from a file.
+    recordSession: { type: 'flag' },
+
+    // A function y = f(x) for a track that follows it, like 2*sin(x)+3 with x and y in meters. The track is added to the
+    // play area of the Lab screen and as another scene of the Graphs screen. See FunctionExpression for the math that
+    // is supported. The function is parsed by the model, which describes any problem with it to the user, see
+    // EnergySkateParkPlaygroundModel.functionTrackErrorProperty.
+    functionTrack: {
+      type: 'string',
+      defaultValue: null,
+      public: true
+    },
+
+    // Range of x for functionTrack, in meters, as min,max
+    functionTrackRange: {
+      type: 'array',
+      elementSchema: { type: 'number' },
+      defaultValue: [ -4, 4 ],
+      isValidValue: range => range.length === 2 && range[ 0 ] < range[ 1 ],
+      public: true
     }
   } );
 
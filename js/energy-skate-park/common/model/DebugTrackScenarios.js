@@ -0,0 +1,387 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Plain descriptions of the debug tracks, scenarios that demonstrated problems with the physics (skater falling through
+ * tracks, stuttering over humps and so on). DebugTracks shows one of these in the sim with the query parameter
+ * 'debugTrack', and PhysicsRegression runs all of them headlessly to check the physics. Scenario n (1-based, as in
+ * the query parameter testTrackIndex) is at index n - 1.
+ *
+ * Each scenario looks like
+ * {
+ *   skaterPosition: {Vector2|null} - where the skater is released from rest, null to leave the skater alone
+ *   stickingToTrack: {boolean|null} - value for stick to track, null to leave it alone
+ *   friction: {number|null} - coefficient of friction, null to leave it alone
+ *   tracks: {Array.<{ points: Vector2[], physical: boolean, [configurable]: boolean }>}
+ * }
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  const DebugTrackScenarios = [
+    // 1 - The skater falls through the track
+    {
+      skaterPosition: new Vector2( -5, 8 ),
+      stickingToTrack: false,
+      friction: null,
+      tracks: [
+        {
+          physical: true,
+          points: [
+            new Vector2( 3.9238282647584946, 3.1917866726296955 ),
+            new Vector2( 2.043971377459748, 4.847851073345259 ),
+            new Vector2( -1.116994633273702, 3.686296958855098 ),
+            new Vector2( -3.5806797853309487, 1.8639512522361352 ),
+            new Vector2( -5.982719141323793, 6.235364490161 )
+          ]
+        }
+      ]
+    },
+
+    // 2 - Skater stutters and slows going over the hump
+    {
+      skaterPosition: new Vector2( -5, 7.7 ),
+      stickingToTrack: false,
+      friction: null,
+      tracks: [
+        {
+          physical: true,
+          points: [
+            new Vector2( 3.9238282647584946, 3.1917866726296955 ),
+            new Vector2( 2.043971377459748, 4.847851073345259 ),
+            new Vector2( -1.116994633273702, 3.686296958855098 ),
+            new Vector2( -3.5806797853309487, 1.8639512522361352 ),
+            new Vector2( -5.982719141323793, 6.235364490161 )
+          ]
+        }
+      ]
+    },
+
+    // 3 - Tricky one--handled OK
+    {
+      skaterPosition: new Vector2( -5, 7.7 ),
+      stickingToTrack: false,
+      friction: null,
+      tracks: [
+        {
+          physical: true,
+          points: [
+            new Vector2( -1.8031842576028616, 3.53633273703041 ),
+            new Vector2( 1.7306618962432907, 2.8187991949910547 ),
+            new Vector2( 1.9246153846153842, 4.3405881037567084 ),
+            new Vector2( 3.834311270125223, 4.907529069767442 ),
+            new Vector2( 3.491162790697672, 1.0732177996422188 ),
+            new Vector2( -2.760107334525939, 1.461124776386404 ),
+            new Vector2( -5.162146690518783, 5.832538014311269 )
+          ]
+        }
+      ]
+    },
+
+    // 4 - Wide loop, OK
+    {
+      skaterPosition: new Vector2( -5, 7.7 ),
+      stickingToTrack: false,
+      friction: null,
+      tracks: [
+        {
+          physical: true,
+          points: [
+            new Vector2( 4.639964221824686, 6.68294946332737 ),
+            new Vector2( 1.4173524150268335, 0.938942307692308 ),
+            new Vector2( -3.207692307692308, 3.997439624329159 ),
+            new Vector2( 3.2524508050089445, 3.9079226296958858 ),
+            new Vector2( 3.491162790697672, 1.0732177996422188 ),
+            new Vector2( -2.760107334525939, 1.461124776386404 ),
+            new Vector2( -5.162146690518783, 5.832538014311269 )
+          ]
+        }
+      ]
+    },
+
+    // 5 - Flickering return skater button, PROBLEM
+    {
+      skaterPosition: new Vector2( -5, 7.7 ),
+      stickingToTrack: false,
+      friction: null,
+      tracks: [
+        {
+          physical: true,
+          points: [
+            new Vector2( 4.431091234347049, 7.9252447313977665 ),
+            new Vector2( 2.4169588550983896, 7.975935759156005 ),
+            new Vector2( -1.9874106197862114, 4.75700797278857 ),
+            new Vector2( 0.13992761930286512, 6.207060140642635 ),
+            new Vector2( 1.447191413237924, 1.0090653610430707 ),
+            new Vector2( -1.7008228980322002, 1.0717102008522177 ),
+            new Vector2( -5.37101967799642, 7.0748332823816655 )
+          ]
+        }
+      ]
+    },
+
+    // 6 - Passes through track, PROBLEM
+    {
+      skaterPosition: new Vector2( 5, 7.9 ),
+      stickingToTrack: false,
+      friction: null,
+      tracks: [
+        {
+          physical: true,
+          points: [
+            new Vector2( 5.147227191413236, 6.57851296958855 ),
+            new Vector2( 0.05887058823529401, 1.0476264705882334 ),
+            new Vector2( -1.9427294117647067, 2.637132352941175 ),
+            new Vector2( -3.1201411764705886, 6.404849999999999 ),
+            new Vector2( 0.5690823529411766, 6.071249999999999 ),
+            new Vector2( -2.3940705882352944, 1.3419794117647044 ),
+            new Vector2( -5.474964705882353, 6.5029676470588225 )
+          ]
+        }
+      ]
+    },
+
+    // 7 - Falls through bottom, PROBLEM
+    {
+      skaterPosition: new Vector2( 5, 7.9 ),
+      stickingToTrack: false,
+      friction: null,
+      tracks: [
+        {
+          physical: true,
+          points: [
+            new Vector2( 5.147227191413236, 6.57851296958855 ),
+            new Vector2( -0.43896196231781204, 1.7569427657305372 ),
+            new Vector2( -1.1787355229664587, 2.807585005572261 ),
+            new Vector2( -3.1201411764705886, 6.404849999999999 ),
+            new Vector2( 0.5690823529411766, 6.071249999999999 ),
+            new Vector2( -2.3940705882352944, 1.3419794117647044 ),
+            new Vector2( -5.474964705882353, 6.5029676470588225 )
+          ]
+        }
+      ]
+    },
+
+    // 8 - Falls through loop, PROBLEM
+    {
+      skaterPosition: new Vector2( 5, 7.9 ),
+      stickingToTrack: false,
+      friction: null,
+      tracks: [
+        {
+          physical: true,
+          points: [
+            new Vector2( 5.07086859688196, 6.925682071269487 ),
+            new Vector2( 2.061781737193762, 0.7625271732714408 ),
+            new Vector2( 0.09287305122494338, 0.7625271732714408 ),
+            new Vector2( -3.287706013363029, 3.0472042334050697 ),
+            new Vector2( -2.2289532293986642, 4.399535077951003 ),
+            new Vector2( -0.6129621380846331, 4.306662026726059 ),
+            new Vector2( 0.7429844097995542, 3.3629726075698803 ),
+            new Vector2( 0.14859688195991083, 2.3227944338505053 ),
+            new Vector2( -1.4302449888641426, 1.4159674088426304 ),
+            new Vector2( -4.532204899777283, 0.580109947818132 ),
+            new Vector2( -6.1185746102449885, 7.75698912376468 )
+          ]
+        }
+      ]
+    },
+
+    // 9 - Pops upside down in loop, PROBLEM
+    {
+      skaterPosition: new Vector2( 5, 7.9 ),
+      stickingToTrack: false,
+      friction: 0,
+      tracks: [
+        {
+          physical: true,
+          points: [
+            new Vector2( 5.516659242761692, 5.458287861915368 ),
+            new Vector2( 2.061781737193762, 0.7625271732714408 ),
+            new Vector2( 0.09287305122494338, 0.7625271732714408 ),
+            new Vector2( -3.287706013363029, 3.0472042334050697 ),
+            new Vector2( -2.2289532293986642, 4.399535077951003 ),
+            new Vector2( -0.6129621380846331, 4.306662026726059 ),
+            new Vector2( 0.7429844097995542, 3.3629726075698803 ),
+            new Vector2( 0.14859688195991083, 2.3227944338505053 ),
+            new Vector2( -1.4302449888641426, 1.4159674088426304 ),
+            new Vector2( -4.532204899777283, 0.580109947818132 ),
+            new Vector2( -6.1185746102449885, 7.75698912376468 )
+          ]
+        }
+      ]
+    },
+
+    // 10 - Same loop as 8, with friction
+    {
+      skaterPosition: new Vector2( 5, 7.9 ),
+      stickingToTrack: false,
+      friction: 0.0363651226158039,
+      tracks: [
+        {
+          physical: true,
+          points: [
+            new Vector2( 5.07086859688196, 6.925682071269487 ),
+            new Vector2( 2.061781737193762, 0.7625271732714408 ),
+            new Vector2( 0.09287305122494338, 0.7625271732714408 ),
+            new Vector2( -3.287706013363029, 3.0472042334050697 ),
+            new Vector2( -2.2289532293986642, 4.399535077951003 ),
+            new Vector2( -0.6129621380846331, 4.306662026726059 ),
+            new Vector2( 0.7429844097995542, 3.3629726075698803 ),
+            new Vector2( 0.14859688195991083, 2.3227944338505053 ),
+            new Vector2( -1.4302449888641426, 1.4159674088426304 ),
+            new Vector2( -4.532204899777283, 0.580109947818132 ),
+            new Vector2( -6.1185746102449885, 7.75698912376468 )
+          ]
+        }
+      ]
+    },
+
+    // 11 - Tall loop, with friction
+    {
+      skaterPosition: new Vector2( 5, 7.9 ),
+      stickingToTrack: false,
+      friction: 0.0363651226158039,
+      tracks: [
+        {
+          physical: true,
+          points: [
+            new Vector2( 7.049477756286265, 5.232410541586074 ),
+            new Vector2( 1.8198088164974369, 1.7349575399795614 ),
+            new Vector2( -0.14909986947138165, 1.7349575399795614 ),
+            new Vector2( 0.5162088974854928, 1.8286581237911035 ),
+            new Vector2( -0.4516827852998073, 11.657297387984716 ),
+            new Vector2( 2.0970986460348158, 5.6886320108087025 ),
+            new Vector2( -1.8000003436635232, 4.708138438138744 ),
+            new Vector2( -0.43555125725338684, 5.914473403458605 ),
+            new Vector2( -2.500386847195358, 4.849792552394775 ),
+            new Vector2( -4.774177820473608, 1.5525403145262526 ),
+            new Vector2( -6.339690522243714, 8.797478239845262 )
+          ]
+        }
+      ]
+    },
+
+    // 12 - Short valley, with friction
+    {
+      skaterPosition: new Vector2( 5, 7.9 ),
+      stickingToTrack: false,
+      friction: 0.0363651226158039,
+      tracks: [
+        {
+          physical: true,
+          points: [
+            new Vector2( 0.8301088646967347, 3.5809234059097967 ),
+            new Vector2( 3.411228615863142, 2.4784350699844477 ),
+            new Vector2( 5.29194401244168, 5.928575038880248 )
+          ]
+        }
+      ]
+    },
+
+    // 13 - Same as 12
+    {
+      skaterPosition: new Vector2( 5, 7.9 ),
+      stickingToTrack: false,
+      friction: 0.0363651226158039,
+      tracks: [
+        {
+          physical: true,
+          points: [
+            new Vector2( 0.8301088646967347, 3.5809234059097967 ),
+            new Vector2( 3.411228615863142, 2.4784350699844477 ),
+            new Vector2( 5.29194401244168, 5.928575038880248 )
+          ]
+        }
+      ]
+    },
+
+    // 14 - Two non-physical tracks below ground and a physical track with a cusp
+    {
+      skaterPosition: new Vector2( -6.698445595854922, 6.5278756476683935 ),
+      stickingToTrack: false,
+      friction: 0.05,
+      tracks: [
+        {
+          physical: false,
+          points: [
+            new Vector2( -6.23, -0.85 ),
+            new Vector2( -5.23, -0.85 ),
+            new Vector2( -4.23, -0.85 )
+          ]
+        },
+        {
+          physical: false,
+          points: [
+            new Vector2( -6.23, -0.85 ),
+            new Vector2( -5.23, -0.85 ),
+            new Vector2( -4.23, -0.85 )
+          ]
+        },
+        {
+          physical: true,
+          points: [
+            new Vector2( -0.720977917981072, 1.6368312846731214 ),
+            new Vector2( 0.279022082018928, 1.6368312846731214 ),
+            new Vector2( 3.8511345589035137, 7.315696725769607 ),
+            new Vector2( -1.1916066572392037, 2.911932992494288 ),
+            new Vector2( -9.170190362232134, 6.469483302512781 )
+          ]
+        }
+      ]
+    },
+
+    // 15 - Test decrease in thermal energy, see https://github.com/phetsims/energy-skate-park-basics/issues/141#issuecomment-59395426
+    {
+      skaterPosition: new Vector2( -6.698445595854922, 6.5278756476683935 ),
+      stickingToTrack: true,
+      friction: 0,
+      tracks: [
+        {
+          physical: true,
+          points: [
+            new Vector2( 0.9873551637279601, 7.856892317380353 ),
+            new Vector2( -0.4621662468513845, 5.9031895465994975 ),
+            new Vector2( -3.0250881612090676, 5.735129093198994 ),
+            new Vector2( -4.705692695214106, 0.9454061712846356 ),
+            new Vector2( -7.310629722921914, 7.457748740554157 )
+          ]
+        }
+      ]
+    },
+
+    // 16 - Configurable loop without friction
+    {
+      skaterPosition: null,
+      stickingToTrack: null,
+      friction: 0,
+      tracks: [
+        {
+          physical: true,
+          configurable: true,
+          points: [
+            new Vector2( -0.29564715581203593, 5.349320898598515 ),
+            new Vector2( 0.5844187963726313, 5.266814715581202 ),
+            new Vector2( 1.5469909315746087, 4.771777617477328 ),
+            new Vector2( 2.0145259686727126, 3.1629070486397355 ),
+            new Vector2( 1.2307172300082456, 1.7878039983511949 ),
+            new Vector2( -1.2994723825226702, 1.7740529678483092 ),
+            new Vector2( -2.1382852431986805, 3.575437963726298 ),
+            new Vector2( -1.0382028029678487, 5.280565746084088 ),
+            new Vector2( 0.6944270403957145, 6.806930131904369 ),
+            new Vector2( -0.9831986809563062, 7.962016694146743 )
+          ]
+        }
+      ]
+    }
+  ];
+
+  energySkatePark.register( 'DebugTrackScenarios', DebugTrackScenarios );
+
+  return DebugTrackScenarios;
+} );
@@ -0,0 +1,182 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Undo and redo for the changes the user makes to the tracks and to where the skaters start. Each change is an edit
+ * that can be undone and redone. An edit is recorded by calling beginEdit before the change and endEdit after it.
+ * Edits can be nested (for instance, a track that is dropped on another track is joined while it is being dragged), and
+ * only the outermost edit is recorded.
+ *
+ * Many track operations (joining, splitting, deleting control points) dispose of the tracks and control points they
+ * replace, so an edit does not keep references to them. Instead, it keeps a description of the tracks and the start of
+ * every skater before and after the change, see SessionState, and undoing or redoing the edit sets the model from the
+ * description.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const BooleanProperty = require( 'AXON/BooleanProperty' );
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const SessionState = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SessionState' );
+
+  // constants
+  // number of edits that can be undone, older edits are forgotten
+  const MAX_NUMBER_OF_EDITS = 100;
+
+  class EditHistory {
+
+    /**
+     * @param {EnergySkateParkModel} model
+     */
+    constructor( model ) {
+
+      // @private
+      this.model = model;
+
+      // @private {Object[]} - edits that can be undone (last is the most recent) and redone (last is the next to redo),
+      // each { before: {Object}, after: {Object} }, see getSnapshot
+      this.undoStack = [];
+      this.redoStack = [];
+
+      // @private {number} - number of edits that have begun and not yet ended
+      this.editDepth = 0;
+
+      // @private {Object|null} - snapshot of the model when the outermost edit began
+      this.editStart = null;
+
+      // @public (read-only) - whether there is an edit to undo or redo
+      this.canUndoProperty = new BooleanProperty( false );
+      this.canRedoProperty = new BooleanProperty( false );
+    }
+
+    /**
+     * Call before the user changes the tracks or where a skater starts.
+     * @public
+     */
+    beginEdit() {
+      if ( this.editDepth === 0 ) {
+        this.editStart = this.getSnapshot();
+      }
+      this.editDepth++;
+    }
+
+    /**
+     * Call after the user changed the tracks or where a skater starts. The edit is recorded if it is the outermost edit and
+     * something changed.
+     * @public
+     */
+    endEdit() {
+      assert && assert( this.editDepth > 0, 'endEdit called without beginEdit' );
+      this.editDepth--;
+
+      if ( this.editDepth === 0 ) {
+        const before = this.editStart;
+        const after = this.getSnapshot();
+        this.editStart = null;
+
+        if ( !_.isEqual( before, after ) ) {
+          this.undoStack.push( { before: before, after: after } );
+          if ( this.undoStack.length > MAX_NUMBER_OF_EDITS ) {
+            this.undoStack.shift();
+          }
+          this.redoStack.length = 0;
+          this.updateProperties();
+        }
+      }
+    }
+
+    /**
+     * Undo the most recent edit. Does nothing while an edit is in progress, such as while the user drags a track.
+     * @public
+     */
+    undo() {
+      if ( this.canUndoProperty.value && this.editDepth === 0 ) {
+        const edit = this.undoStack.pop();
+        this.redoStack.push( edit );
+        this.applySnapshot( edit.before, edit.after );
+        this.updateProperties();
+      }
+    }
+
+    /**
+     * Redo the most recently undone edit. Does nothing while an edit is in progress.
+     * @public
+     */
+    redo() {
+      if ( this.canRedoProperty.value && this.editDepth === 0 ) {
+        const edit = this.redoStack.pop();
+        this.undoStack.push( edit );
+        this.applySnapshot( edit.after, edit.before );
+        this.updateProperties();
+      }
+    }
+
+    /**
+     * Forget all edits, for instance when the model is reset.
+     * @public
+     */
+    clear() {
+      this.undoStack.length = 0;
+      this.redoStack.length = 0;
+      this.updateProperties();
+    }
+
+    /**
+     * @private
+     */
+    updateProperties() {
+      this.canUndoProperty.value = this.undoStack.length > 0;
+      this.canRedoProperty.value = this.redoStack.length > 0;
+    }
+
+    /**
+     * @private
+     *
+     * @returns {Object}
+     */
+    getSnapshot() {
+      return {
+        tracks: SessionState.getTracks( this.model ),
+        skaterStarts: SessionState.getSkaterStarts( this.model )
+      };
+    }
+
+    /**
+     * Set the tracks and the starts of the skaters of the model from a snapshot, see getSnapshot.
+     * @private
+     *
+     * @param {Object} snapshot
+     * @param {Object} currentSnapshot - snapshot that the model is in now
+     */
+    applySnapshot( snapshot, currentSnapshot ) {
+      const model = this.model;
+
+      SessionState.setTracks( model, snapshot.tracks );
+      SessionState.setSkaterStarts( model, snapshot.skaterStarts );
+
+      // the user has changed the tracks, so energy doesn't need to be conserved this frame, see trackModified
+      model.trackChangePending = true;
+
+      // if the track under a skater was replaced, the skater falls off
+      model.skaters.forEach( skater => {
+        if ( skater.trackProperty.value && !model.containsTrack( skater.trackProperty.value ) ) {
+          skater.trackProperty.value = null;
+        }
+      } );
+
+      // if the edit placed a skater, put that skater back where it started before the edit
+      model.skaters.forEach( ( skater, i ) => {
+        if ( !_.isEqual( snapshot.skaterStarts[ i ].startingPosition, currentSnapshot.skaterStarts[ i ].startingPosition ) ) {
+          model.returnSkaterToRelease( skater );
+        }
+        else if ( model.pausedProperty.value ) {
+          skater.updateEnergy();
+        }
+      } );
+    }
+  }
+
+  return energySkatePark.register( 'EditHistory', EditHistory );
+} );
@@ -0,0 +1,237 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for EditHistory, checking how edits are recorded and that undoing and redoing each kind of edit to the
+ * tracks and to where the skater starts restores the model.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const LabModel = require( 'ENERGY_SKATE_PARK/energy-skate-park/lab/model/LabModel' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const TrackFile = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/TrackFile' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // constants
+  const MAX_NUMBER_OF_EDITS = 100;
+
+  /**
+   * @param {number[][]} points - positions of the control points
+   * @returns {Object} - see TrackFile
+   */
+  const createTrackDescription = points => {
+    return {
+      physical: true,
+      draggable: true,
+      configurable: true,
+      splittable: true,
+      attachable: true,
+      controlPoints: points.map( point => {
+        return { x: point[ 0 ], y: point[ 1 ], draggable: true, limitBounds: null };
+      } )
+    };
+  };
+
+  // two tracks where the end of the first is close to the start of the second
+  const TRACK_FILE = {
+    format: 'energy-skate-park-tracks',
+    version: TrackFile.VERSION,
+    screen: 'lab',
+    scene: null,
+    tracks: [
+      createTrackDescription( [ [ -4, 5 ], [ -2.5, 1 ], [ -1, 3 ] ] ),
+      createTrackDescription( [ [ -0.9, 3 ], [ 1, 1.5 ], [ 3, 4 ] ] )
+    ]
+  };
+
+  let modelCount = 0;
+
+  /**
+   * @returns {LabModel} - with the tracks of TRACK_FILE and no edits
+   */
+  const createModel = () => {
+    const model = new LabModel( Tandem.ROOT.createTandem( 'editHistoryTestsModel' + modelCount++ ) );
+    model.loadTracks( TRACK_FILE );
+    model.editHistory.clear();
+    return model;
+  };
+
+  /**
+   * @param {EnergySkateParkModel} model
+   * @returns {number[][][]} - positions of the control points of each track in the play area
+   */
+  const getTrackPoints = model => model.getPhysicalTracks().map( track => track.controlPoints.map( controlPoint => {
+    const position = controlPoint.positionProperty.value;
+    return [ position.x, position.y ];
+  } ) );
+
+  /**
+   * Move a control point as one edit, like dragging it with ControlPointNode.
+   *
+   * @param {EnergySkateParkModel} model
+   * @param {Track} track
+   * @param {number} index
+   * @param {Vector2} delta
+   */
+  const moveControlPoint = ( model, track, index, delta ) => {
+    const controlPoint = track.controlPoints[ index ];
+    model.editHistory.beginEdit();
+    controlPoint.sourcePositionProperty.value = controlPoint.sourcePositionProperty.value.plus( delta );
+    track.updateSplines();
+    model.trackModified( track );
+    model.editHistory.endEdit();
+  };
+
+  /**
+   * Check that an edit can be undone to the state before it and redone to the state after it.
+   *
+   * @param {Object} assert
+   * @param {string} name - of the edit
+   * @param {function(EnergySkateParkModel)} edit
+   */
+  const assertUndoRedo = ( assert, name, edit ) => {
+    const model = createModel();
+    const before = getTrackPoints( model );
+    edit( model );
+    const after = getTrackPoints( model );
+    assert.notDeepEqual( after, before, name + ' changes the tracks' );
+    assert.ok( model.editHistory.canUndoProperty.value, name + ' can be undone' );
+
+    model.editHistory.undo();
+    assert.deepEqual( getTrackPoints( model ), before, 'undo ' + name );
+    assert.notOk( model.editHistory.canUndoProperty.value, 'nothing left to undo after ' + name );
+    assert.ok( model.editHistory.canRedoProperty.value, name + ' can be redone' );
+
+    model.editHistory.redo();
+    assert.deepEqual( getTrackPoints( model ), after, 'redo ' + name );
+    assert.notOk( model.editHistory.canRedoProperty.value, 'nothing left to redo after ' + name );
+  };
+
+  QUnit.module( 'EditHistory' );
+
+  QUnit.test( 'nested edits', assert => {
+    const model = createModel();
+    const editHistory = model.editHistory;
+    const track = model.getPhysicalTracks()[ 0 ];
+    const before = getTrackPoints( model );
+
+    editHistory.beginEdit();
+    moveControlPoint( model, track, 1, new Vector2( 0, 0.5 ) );
+    assert.notOk( editHistory.canUndoProperty.value, 'an inner edit is not recorded' );
+    moveControlPoint( model, track, 1, new Vector2( 0.5, 0 ) );
+    editHistory.undo();
+    assert.notDeepEqual( getTrackPoints( model ), before, 'undo does nothing while an edit is in progress' );
+    editHistory.endEdit();
+    assert.ok( editHistory.canUndoProperty.value, 'the outermost edit is recorded' );
+
+    editHistory.undo();
+    assert.deepEqual( getTrackPoints( model ), before, 'the nested edits are undone together' );
+    assert.notOk( editHistory.canUndoProperty.value, 'the nested edits are one edit' );
+
+    editHistory.beginEdit();
+    editHistory.endEdit();
+    assert.ok( editHistory.canRedoProperty.value, 'an edit without changes is not recorded, so redo is kept' );
+  } );
+
+  QUnit.test( 'redo is cleared by a new edit', assert => {
+    const model = createModel();
+    const track = model.getPhysicalTracks()[ 0 ];
+    moveControlPoint( model, track, 1, new Vector2( 0, 0.5 ) );
+    model.editHistory.undo();
+    assert.ok( model.editHistory.canRedoProperty.value, 'the undone edit can be redone' );
+
+    moveControlPoint( model, track, 1, new Vector2( 0.5, 0 ) );
+    assert.notOk( model.editHistory.canRedoProperty.value, 'a new edit clears redo' );
+  } );
+
+  QUnit.test( 'at most 100 edits', assert => {
+    const model = createModel();
+    const track = model.getPhysicalTracks()[ 0 ];
+    const numberOfEdits = MAX_NUMBER_OF_EDITS + 5;
+    const states = [ getTrackPoints( model ) ];
+    for ( let i = 0; i < numberOfEdits; i++ ) {
+      moveControlPoint( model, track, 1, new Vector2( 0, 0.01 ) );
+      states.push( getTrackPoints( model ) );
+    }
+
+    let numberOfUndos = 0;
+    while ( model.editHistory.canUndoProperty.value ) {
+      model.editHistory.undo();
+      numberOfUndos++;
+    }
+    assert.equal( numberOfUndos, MAX_NUMBER_OF_EDITS, 'only the most recent edits can be undone' );
+    assert.deepEqual( getTrackPoints( model ), states[ numberOfEdits - MAX_NUMBER_OF_EDITS ],
+      'undo stops at the oldest edit that is kept' );
+  } );
+
+  QUnit.test( 'skater start', assert => {
+    const model = createModel();
+    const skater = model.skater;
+    const startingPosition = skater.startingPositionProperty.value;
+    const newStartingPosition = new Vector2( 2, 6 );
+
+    // place the skater like SkaterNode
+    model.editHistory.beginEdit();
+    skater.draggingProperty.value = true;
+    skater.positionProperty.value = newStartingPosition;
+    skater.released( null, 0 );
+    model.editHistory.endEdit();
+
+    model.stepFrame();
+    model.editHistory.undo();
+    assert.ok( skater.startingPositionProperty.value.equals( startingPosition ), 'undo restores where the skater starts' );
+    assert.ok( skater.positionProperty.value.equals( startingPosition ), 'undo returns the skater to that start' );
+
+    model.editHistory.redo();
+    assert.ok( skater.startingPositionProperty.value.equals( newStartingPosition ), 'redo places the skater again' );
+    assert.ok( skater.positionProperty.value.equals( newStartingPosition ), 'redo returns the skater to the new start' );
+  } );
+
+  QUnit.test( 'moving a control point', assert => {
+    assertUndoRedo( assert, 'moving a control point', model => {
+      moveControlPoint( model, model.getPhysicalTracks()[ 1 ], 1, new Vector2( 0.25, -0.5 ) );
+    } );
+  } );
+
+  QUnit.test( 'joinTracks', assert => {
+    assertUndoRedo( assert, 'joinTracks', model => {
+      const tracks = model.getPhysicalTracks();
+      const endPoint = _.last( tracks[ 0 ].controlPoints );
+      endPoint.snapTargetProperty.value = tracks[ 1 ].controlPoints[ 0 ];
+      model.joinTracks( tracks[ 0 ] );
+      assert.equal( model.getPhysicalTracks().length, 1, 'the tracks are joined' );
+    } );
+  } );
+
+  QUnit.test( 'splitControlPoint', assert => {
+    assertUndoRedo( assert, 'splitControlPoint', model => {
+      model.splitControlPoint( model.getPhysicalTracks()[ 0 ], 1, Math.PI / 2 );
+      assert.equal( model.getPhysicalTracks().length, 3, 'the track is split' );
+    } );
+  } );
+
+  QUnit.test( 'deleteControlPoint', assert => {
+    assertUndoRedo( assert, 'deleteControlPoint', model => {
+      model.deleteControlPoint( model.getPhysicalTracks()[ 1 ], 1 );
+      assert.equal( model.getPhysicalTracks()[ 1 ].controlPoints.length, 2, 'the control point is deleted' );
+    } );
+  } );
+
+  QUnit.test( 'function track', assert => {
+    const model = createModel();
+    model.setFunctionTrack( 'x^2+1', -2, 2 );
+    const firstFunctionPoints = getTrackPoints( model );
+    model.setFunctionTrack( 'x+3', -1, 1 );
+
+    model.editHistory.undo();
+    assert.deepEqual( getTrackPoints( model ), firstFunctionPoints, 'undo restores the first function' );
+    assert.ok( model.tracks.contains( model.functionTrack ), 'the function track is found again after undo' );
+
+    const numberOfTracks = model.getPhysicalTracks().length;
+    model.setFunctionTrack( 'x+3', -1, 1 );
+    assert.equal( model.getPhysicalTracks().length, numberOfTracks, 'a new function replaces the restored track' );
+  } );
+} );
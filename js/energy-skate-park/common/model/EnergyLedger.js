@@ -0,0 +1,127 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Records where the energy of the skater went during a step of SkaterPhysicsEngine, in joules. Work done on the skater
+ * is positive, work done by the skater is negative.
+ *
+ * The physical transfers (friction, air resistance, the normal force in collisions) are recorded by the engine where
+ * they happen. Work by gravity and the corrections are then found with complete(), so that the ledger always balances:
+ *
+ * change in kinetic energy = gravityWork + normalWork + frictionWork + airResistanceWork + trackDragWork + correction
+ * change in thermal energy = -( normalWork + frictionWork + airResistanceWork ) + thermalCorrection
+ *
+ * Nonzero corrections are energy moved around by numerical corrections (see SkaterPhysicsEngine.correctEnergy) instead
+ * of physics, which helps tell physical dissipation apart from numerical error.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+
+  // constants
+  // names of the fields in the ledger, in the order they are presented
+  const ENTRY_NAMES = [
+    'gravityWork',
+    'normalWork',
+    'frictionWork',
+    'airResistanceWork',
+    'trackDragWork',
+    'correction',
+    'thermalCorrection'
+  ];
+
+  class EnergyLedger {
+    constructor() {
+
+      // @public {number} - work done by gravity, the decrease in potential energy
+      this.gravityWork = 0;
+
+      // @public {number} - work done by the normal force, energy lost to thermal when the skater lands on a track or
+      // the ground
+      this.normalWork = 0;
+
+      // @public {number} - work done by friction against the tracks or ground
+      this.frictionWork = 0;
+
+      // @public {number} - work done by air resistance
+      this.airResistanceWork = 0;
+
+      // @public {number} - energy added or removed by the user dragging or reshaping the skater's track, energy is not
+      // conserved during these steps, see #135
+      this.trackDragWork = 0;
+
+      // @public {number} - kinetic energy added or removed by numerical corrections instead of physics
+      this.correction = 0;
+
+      // @public {number} - thermal energy added or removed by numerical corrections instead of physics
+      this.thermalCorrection = 0;
+    }
+
+    /**
+     * Clear all entries.
+     * @public
+     */
+    reset() {
+      ENTRY_NAMES.forEach( name => { this[ name ] = 0; } );
+    }
+
+    /**
+     * Copy all entries from another ledger.
+     * @public
+     *
+     * @param {EnergyLedger} ledger
+     */
+    set( ledger ) {
+      ENTRY_NAMES.forEach( name => { this[ name ] = ledger[ name ]; } );
+    }
+
+    /**
+     * Add all entries of another ledger to this one, to accumulate over many steps.
+     * @public
+     *
+     * @param {EnergyLedger} ledger
+     */
+    add( ledger ) {
+      ENTRY_NAMES.forEach( name => { this[ name ] += ledger[ name ]; } );
+    }
+
+    /**
+     * Once the physical transfers of a step are recorded, fill in the work by gravity, energy from dragging the track
+     * and the corrections from the states before and after the step.
+     * @public
+     *
+     * @param {SkaterState} initialState
+     * @param {SkaterState} finalState
+     * @param {boolean} trackChanged - whether the user changed the track during the step, see #135
+     */
+    complete( initialState, finalState, trackChanged ) {
+      const kineticEnergyChange = finalState.getKineticEnergy() - initialState.getKineticEnergy();
+      const thermalEnergyChange = finalState.thermalEnergy - initialState.thermalEnergy;
+      const dissipation = this.normalWork + this.frictionWork + this.airResistanceWork;
+
+      this.gravityWork = initialState.getPotentialEnergy() - finalState.getPotentialEnergy();
+      this.trackDragWork = trackChanged ? finalState.getTotalEnergy() - initialState.getTotalEnergy() : 0;
+      this.correction = kineticEnergyChange - this.gravityWork - dissipation - this.trackDragWork;
+      this.thermalCorrection = thermalEnergyChange + dissipation;
+    }
+
+    /**
+     * Get the change in total energy accounted for by this ledger, which is only nonzero if the user changed the track
+     * or the corrections did not conserve energy.
+     * @public
+     *
+     * @returns {number}
+     */
+    getTotalEnergyChange() {
+      return this.trackDragWork + this.correction + this.thermalCorrection;
+    }
+  }
+
+  // @public {string[]} - names of the entries in the ledger
+  EnergyLedger.ENTRY_NAMES = ENTRY_NAMES;
+
+  return energySkatePark.register( 'EnergyLedger', EnergyLedger );
+} );
@@ -4,21 +4,9 @@
  * Model for the Energy Skate Park sim, including model values for the view settings, such as whether the grid
  * is visible. All units are in mks.
  *
- * The step functions focus on making computations up front and applying changes to the skater at the end of each
- * method, to simplify the logic and make it communicate with the Axon+View as little as possible (for performance
- * reasons).
- *
- * For an analytical model, see http://digitalcommons.calpoly.edu/cgi/viewcontent.cgi?article=1387&context=phy_fac
- * Computational problems in introductory physics: Lessons from a bead on a wire
- * Thomas J. Bensky and Matthew J. Moelter
- *
- * We experimented with the analytical model, but ran into problems with discontinuous tracks, see #15, so reverted to
- * using the euclidean model from the original Java version.
- *
- * Please note: Many modifications were made to this file to reduce allocations and garbage collections on iPad,
- * see #50.  The main changes were: Using pooling,
- * pass by reference, and component-wise math. Unfortunately, these are often compromises in the
- * readability/maintainability of the code, but they seemed important to attain good performance.
+ * The physics of the skater is in SkaterPhysicsEngine, this model keeps the engine in sync with its Properties and
+ * tracks and applies the resulting SkaterState to the Skater once per step, so that the Skater communicates with the
+ * Axon+View as little as possible (for performance reasons).
  *
  * @author Sam Reid
  */
@@ -33,10 +21,13 @@ define( require => {
   const ControlPoint = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/ControlPoint' );
   const DebugTracks = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/DebugTracks' );
   const DerivedProperty = require( 'AXON/DerivedProperty' );
+  const EditHistory = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/EditHistory' );
   const Emitter = require( 'AXON/Emitter' );
+  const EnergyLedger = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/EnergyLedger' );
   const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
   const EnergySkateParkModelIO = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/EnergySkateParkModelIO' );
   const EnergySkateParkQueryParameters = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/EnergySkateParkQueryParameters' );
+  const EnergySonification = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/EnergySonification' );
   const merge = require( 'PHET_CORE/merge' );
   const NumberProperty = require( 'AXON/NumberProperty' );
   const ObservableArray = require( 'AXON/ObservableArray' );
@@ -46,11 +37,16 @@ define( require => {
   const PropertyIO = require( 'AXON/PropertyIO' );
   const Range = require( 'DOT/Range' );
   const ReferenceIO = require( 'TANDEM/types/ReferenceIO' );
+  const SessionPlayer = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SessionPlayer' );
+  const SessionRecorder = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SessionRecorder' );
   const Skater = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/Skater' );
+  const SkaterImpact = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SkaterImpact' );
+  const SkaterPhysicsEngine = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SkaterPhysicsEngine' );
   const SkaterState = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SkaterState' );
   const Stopwatch = require( 'SCENERY_PHET/Stopwatch' );
   const Tandem = require( 'TANDEM/Tandem' );
   const Track = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/Track' );
+  const TrackIntegrator = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/TrackIntegrator' );
   const Utils = require( 'DOT/Utils' );
   const Vector2 = require( 'DOT/Vector2' );
   const Vector2Property = require( 'DOT/Vector2Property' );
@@ -58,14 +54,6 @@ define( require => {
   // Reuse empty object for creating SkaterStates to avoid allocations
   const EMPTY_OBJECT = {};
 
-  // Use a separate pooled curvature variable to reduce memory allocations - object values
-  // will be modified as the skater moves
-  const curvatureTemp = { r: 1, x: 0, y: 0 };
-  const curvatureTemp2 = { r: 1, x: 0, y: 0 };
-
-  // Thrust is not currently implemented in Energy Skate Park but may be used in a future version, so left here
-  const thrust = new Vector2( 0, 0 );
-
   // Flag to enable debugging for physics issues
   const debug = EnergySkateParkQueryParameters.debugLog ? function() {
     console.log.apply( console, arguments );
@@ -74,8 +62,12 @@ define( require => {
     console.log.apply( console, arguments );
   } : null;
 
-  // Track the model iterations to implement "slow motion" by stepping every Nth frame, see #210
-  let modelIterations = 0;
+  // This simulation uses a fixed time step to make the skater's motion reproducible.  Making the time step fixed
+  // did not significantly reduce performance/speed on iPad3.
+  const FIXED_DT = 1 / 60;
+
+  // In slow motion, elapsed time is scaled by this factor, see #210
+  const SLOW_MOTION_TIME_SCALE = 1 / 3;
 
   /**
    * @param {Tandem} tandem
@@ -92,6 +84,9 @@ define( require => {
 
       options = merge( {
 
+        // {string|null} - name of the screen of this model, like 'lab', which is saved in track files, see TrackFile
+        screenName: null,
+
         // {boolean} - if true, friction is included in the model and may be configurable by the user
         includeFriction: true,
 
@@ -106,7 +101,12 @@ define( require => {
         defaultSpeedValueVisible: true,
 
         // passed to Skater
-        skaterOptions: {}
+        skaterOptions: {},
+
+        // {Object[]} - options for each skater in addition to the first, merged with skaterOptions, so that skaters of
+        // different masses and starting points can share the tracks. The number of skaters in the play area is then
+        // controlled by numberOfSkatersProperty.
+        additionalSkaterOptions: []
       }, options );
 
       options.skaterOptions = merge( {
@@ -117,6 +117,7 @@ define( require => {
       }, options.skaterOptions );
 
       // @public (read-only)
+      this.screenName = options.screenName;
       this.includeFriction = options.includeFriction;
       this.tracksDraggable = options.tracksDraggable;
       this.tracksConfigurable = options.tracksConfigurable;
@@ -133,9 +134,23 @@ define( require => {
       // {boolean} - Temporary flag that keeps track of whether the track was changed in the step before the physics
       // update. True if the skater's track is being dragged by the user, so that energy conservation no longer applies.
       // Only applies to one frame at a time (for the immediate next update).  See #127 and #135
-      // @private
+      // @public (SessionRecorder, SessionPlayer)
       this.trackChangePending = false;
 
+      // @private {number} - elapsed time (in seconds) that has not been simulated yet because it is less than FIXED_DT,
+      // carried over to the next call to step
+      this.timeAccumulator = 0;
+
+      // @private - for each skater, position and angle before and after the last fixed step, for drawing the skater
+      // between steps, see interpolateSkater. A skater is only interpolated if it was not changed since that step.
+      this.interpolations = _.range( 1 + options.additionalSkaterOptions.length ).map( () => {
+        return {
+          start: { x: 0, y: 0, angle: 0 },
+          end: { x: 0, y: 0, angle: 0 },
+          valid: false
+        };
+      } );
+
       // @public - model for visibility of various view parameters
       this.pieChartVisibleProperty = new BooleanProperty( false, {
         tandem: tandem.createTandem( 'pieChartVisibleProperty' )
@@ -161,6 +176,58 @@ define( require => {
         tandem: tandem.createTandem( 'measuringTapeVisibleProperty' )
       } );
 
+      // @public - visibility of the vectors on the skater, see SkaterVectorsNode
+      this.velocityVectorVisibleProperty = new BooleanProperty( false, {
+        tandem: tandem.createTandem( 'velocityVectorVisibleProperty' )
+      } );
+      this.accelerationVectorVisibleProperty = new BooleanProperty( false, {
+        tandem: tandem.createTandem( 'accelerationVectorVisibleProperty' )
+      } );
+      this.gravityForceVectorVisibleProperty = new BooleanProperty( false, {
+        tandem: tandem.createTandem( 'gravityForceVectorVisibleProperty' )
+      } );
+      this.normalForceVectorVisibleProperty = new BooleanProperty( false, {
+        tandem: tandem.createTandem( 'normalForceVectorVisibleProperty' )
+      } );
+      this.frictionForceVectorVisibleProperty = new BooleanProperty( false, {
+        tandem: tandem.createTandem( 'frictionForceVectorVisibleProperty' )
+      } );
+      this.netForceVectorVisibleProperty = new BooleanProperty( false, {
+        tandem: tandem.createTandem( 'netForceVectorVisibleProperty' )
+      } );
+
+      // @public - whether the free-body diagram of the skater is visible, see FreeBodyDiagramPanel
+      this.freeBodyDiagramVisibleProperty = new BooleanProperty( false, {
+        tandem: tandem.createTandem( 'freeBodyDiagramVisibleProperty' )
+      } );
+
+      // @public - whether the energy of the skater can be heard, see EnergySonification and EnergySoundGenerator
+      this.energySoundEnabledProperty = new BooleanProperty( false, {
+        tandem: tandem.createTandem( 'energySoundEnabledProperty' )
+      } );
+
+      // @public - whether the launcher is out of the toolbox. While it is, skaters are released with
+      // launchSpeedProperty in the direction of launchAngleProperty instead of from rest, see
+      // Skater.launchVelocityProperty
+      this.launcherVisibleProperty = new BooleanProperty( false, {
+        tandem: tandem.createTandem( 'launcherVisibleProperty' )
+      } );
+      this.launchSpeedProperty = new NumberProperty( 5, {
+        range: Constants.LAUNCH_SPEED_RANGE,
+        units: 'meters/second',
+        tandem: tandem.createTandem( 'launchSpeedProperty' )
+      } );
+      this.launchAngleProperty = new NumberProperty( 45, {
+        range: Constants.LAUNCH_ANGLE_RANGE,
+        units: 'degrees',
+        tandem: tandem.createTandem( 'launchAngleProperty' )
+      } );
+
+      // @public {Vector2} - position of the LauncherNode, in view coordinates like the stopwatch
+      this.launcherPositionProperty = new Vector2Property( new Vector2( 0, 0 ), {
+        tandem: tandem.createTandem( 'launcherPositionProperty' )
+      } );
+
       // @public {number} - scale applied to graphs to determine relative height, making this larger will "zoom out"
       this.barGraphScaleProperty = new NumberProperty( 1 / 30, {
         tandem: tandem.createTandem( 'barGraphScaleProperty' )
@@ -195,6 +262,13 @@ define( require => {
         tandem: tandem.createTandem( 'frictionProperty' )
       } );
 
+      // @public {NumberProperty} - coefficient of quadratic air resistance (kg/m), the drag force on the skater is
+      // proportional to the square of speed, no air resistance by default
+      this.airResistanceProperty = new NumberProperty( 0, {
+        range: new Range( Constants.MIN_AIR_RESISTANCE, Constants.MAX_AIR_RESISTANCE ),
+        tandem: tandem.createTandem( 'airResistanceProperty' )
+      } );
+
       // @public {Vector2Property} - model position for the base  of the measuring tape
       this.measuringTapeBasePositionProperty = new Vector2Property( new Vector2( 0, 0 ), {
         tandem: tandem.createTandem( 'measuringTapeBasePositionProperty' )
@@ -222,9 +296,54 @@ define( require => {
         this.frictionProperty.debug( 'friction' );
       }
 
-      // @public {Skater} - the skater model instance
+      // @public (read-only) {SkaterPhysicsEngine} - runs the physics for the skater, this model keeps its settings
+      // in sync with the Properties above
+      this.physicsEngine = new SkaterPhysicsEngine( {
+        debugLog: EnergySkateParkQueryParameters.debugLog,
+        debugAttachDetach: EnergySkateParkQueryParameters.debugAttachDetach,
+        integrator: TrackIntegrator[ EnergySkateParkQueryParameters.integrator ],
+        energyCorrection: !EnergySkateParkQueryParameters.disableEnergyCorrection
+      } );
+      this.frictionProperty.link( friction => { this.physicsEngine.friction = friction; } );
+      this.airResistanceProperty.link( airResistance => { this.physicsEngine.airResistance = airResistance; } );
+      this.stickingToTrackProperty.link( stickingToTrack => { this.physicsEngine.stickingToTrack = stickingToTrack; } );
+
+      // @public (read-only) {EnergyLedger} - where the skater's energy went in the last step of the model, and
+      // accumulated since the last reset, see EnergyLedger
+      this.energyLedger = new EnergyLedger();
+      this.cumulativeEnergyLedger = new EnergyLedger();
+
+      // @public {Skater} - the skater model instance. This is the skater that the controls (other than mass), graphs,
+      // tools, sounds and descriptions are for when there is more than one.
       this.skater = new Skater( tandem.createTandem( 'skater' ), options.skaterOptions );
 
+      // @public (read-only) {Skater[]} - all of the skaters, starting with this.skater. They are simulated
+      // independently on the same tracks, but share gravity and the reference height of this.skater.
+      this.skaters = [ this.skater ].concat( options.additionalSkaterOptions.map( ( skaterOptions, i ) => {
+        const skater = new Skater( tandem.createTandem( 'skater' + ( i + 2 ) ), merge( {}, options.skaterOptions, skaterOptions ) );
+        this.skater.gravityMagnitudeProperty.link( gravityMagnitude => {
+          skater.gravityMagnitudeProperty.value = gravityMagnitude;
+        } );
+        this.skater.referenceHeightProperty.link( referenceHeight => {
+          skater.referenceHeightProperty.value = referenceHeight;
+        } );
+        return skater;
+      } ) );
+
+      // @public {number} - how many of this.skaters are in the play area, the first ones in this.skaters
+      this.numberOfSkatersProperty = new NumberProperty( 1, {
+        range: new Range( 1, this.skaters.length ),
+        numberType: 'Integer',
+        tandem: tandem.createTandem( 'numberOfSkatersProperty' )
+      } );
+
+      Property.multilink( [ this.launcherVisibleProperty, this.launchSpeedProperty, this.launchAngleProperty ],
+        ( launcherVisible, launchSpeed, launchAngle ) => {
+          const launchVelocity = launcherVisible ? Vector2.createPolar( launchSpeed, Utils.toRadians( launchAngle ) ) :
+                                 new Vector2( 0, 0 );
+          this.skaters.forEach( skater => { skater.launchVelocityProperty.value = launchVelocity; } );
+        } );
+
       // @public {DerivedProperty} - Determine if the skater is onscreen or offscreen for purposes of highlighting the
       // 'return skater' button. Don't check whether the skater is underground since that is a rare case (only if the
       // user is actively dragging a control point near y=0 and the track curves below) and the skater will pop up
@@ -240,8 +359,19 @@ define( require => {
       // @public - signify that the model has successfully been reset to initial state
       this.resetEmitter = new Emitter();
 
+      // @public - emits the SkaterImpact and the speed of the skater toward what it hit (in m/s) when a step of the
+      // model lands the skater on a track or the ground
+      this.skaterImpactEmitter = new Emitter( {
+        parameters: [ { validValues: SkaterImpact.VALUES }, { valueType: 'number' } ]
+      } );
+
+      // @public (read-only) {EnergySonification} - the parameters of the sounds for the energy of the skater
+      this.energySonification = new EnergySonification( this.skater, this.skaterImpactEmitter );
+
       // If the mass changes while the sim is paused, trigger an update so the skater image size will update, see #115
-      this.skater.massProperty.link( () => { if ( this.pausedProperty.value ) { this.skater.updatedEmitter.emit(); } } );
+      this.skaters.forEach( skater => {
+        skater.massProperty.link( () => { if ( this.pausedProperty.value ) { skater.updatedEmitter.emit(); } } );
+      } );
 
       // @public
       this.tracks = new ObservableArray( {
@@ -249,6 +379,10 @@ define( require => {
         tandem: tandem.createTandem( 'tracks' )
       } );
 
+      // @public (SessionState) {Track|null} - the last track added with EnergySkateParkPlaygroundModel.setFunctionTrack,
+      // replaced when another function is entered
+      this.functionTrack = null;
+
       // When tracks are removed, they are no longer used by the application and should be disposed
       this.tracks.addItemRemovedListener( track => {
 
@@ -280,9 +414,99 @@ define( require => {
       this.updateEmitter = new Emitter();
       this.trackChangedEmitter.addListener( updateTrackEditingButtonProperties );
 
+      // @public (read-only) {EditHistory} - undo and redo for changes to the tracks and where the skater starts, the
+      // view begins and ends an edit around each drag
+      this.editHistory = new EditHistory( this );
+
       if ( EnergySkateParkQueryParameters.debugTrack ) {
         DebugTracks.init( this, tandem.createGroupTandem( 'debugTrackControlPoint' ), tandem.createGroupTandem( 'track' ) );
       }
+
+      // @private {SessionRecorder|null} - records the session while not null, see startRecording
+      this.sessionRecorder = null;
+
+      // @private {SessionPlayer|null} - replays a recorded session instead of stepping normally while not null, see
+      // playRecording
+      this.sessionPlayer = null;
+
+      if ( EnergySkateParkQueryParameters.recordSession ) {
+        this.startRecording();
+      }
+    }
+
+    /**
+     * Get the Properties of this model that are controlled by the user and change how the skater moves, so that they
+     * can be recorded and replayed, see SessionRecorder.
+     * @public
+     *
+     * @returns {Object} - map of name to Property
+     */
+    getRecordedProperties() {
+      const properties = {
+        paused: this.pausedProperty,
+        slowMotion: this.isSlowMotionProperty,
+        friction: this.frictionProperty,
+        airResistance: this.airResistanceProperty,
+        stickingToTrack: this.stickingToTrackProperty,
+        mass: this.skater.massProperty,
+        gravityMagnitude: this.skater.gravityMagnitudeProperty,
+        referenceHeight: this.skater.referenceHeightProperty,
+        stopwatchRunning: this.stopwatch.isRunningProperty,
+        stopwatchTime: this.stopwatch.timeProperty,
+        launcherVisible: this.launcherVisibleProperty,
+        launchSpeed: this.launchSpeedProperty,
+        launchAngle: this.launchAngleProperty,
+        numberOfSkaters: this.numberOfSkatersProperty
+      };
+
+      // the other skaters share gravity and the reference height of this.skater, but each has its own mass
+      this.skaters.slice( 1 ).forEach( ( skater, i ) => {
+        properties[ 'mass' + ( i + 2 ) ] = skater.massProperty;
+      } );
+      return properties;
+    }
+
+    /**
+     * Start recording the session, replacing any recording in progress. Changes are recorded from the next frame on.
+     * @public
+     */
+    startRecording() {
+      this.sessionRecorder = new SessionRecorder( this );
+    }
+
+    /**
+     * Get what has been recorded so far, while recording continues.
+     * @public
+     *
+     * @returns {Object|null} - the recording, see SessionRecorder, or null if the session is not being recorded
+     */
+    getRecording() {
+      return this.sessionRecorder && this.sessionRecorder.getRecording();
+    }
+
+    /**
+     * Stop recording the session.
+     * @public
+     *
+     * @returns {Object|null} - the recording, see SessionRecorder, or null if nothing was recorded
+     */
+    stopRecording() {
+      const recording = this.sessionRecorder && this.sessionRecorder.getRecording();
+      this.sessionRecorder = null;
+      return recording;
+    }
+
+    /**
+     * Replay a recorded session, starting from the next frame. While playing, the model follows the recording instead of
+     * stepping on its own. The recording should be made with a model of the same type (same screen).
+     * @public
+     *
+     * @param {Object} recording - see SessionRecorder
+     * @returns {SessionPlayer}
+     */
+    playRecording( recording ) {
+      this.sessionPlayer = new SessionPlayer( this, recording );
+      return this.sessionPlayer;
     }
 
     /**
@@ -297,6 +521,18 @@ define( require => {
       this.speedometerVisibleProperty.reset();
       this.referenceHeightVisibleProperty.reset();
       this.measuringTapeVisibleProperty.reset();
+      this.velocityVectorVisibleProperty.reset();
+      this.accelerationVectorVisibleProperty.reset();
+      this.gravityForceVectorVisibleProperty.reset();
+      this.normalForceVectorVisibleProperty.reset();
+      this.frictionForceVectorVisibleProperty.reset();
+      this.netForceVectorVisibleProperty.reset();
+      this.freeBodyDiagramVisibleProperty.reset();
+      this.energySoundEnabledProperty.reset();
+      this.launcherVisibleProperty.reset();
+      this.launchSpeedProperty.reset();
+      this.launchAngleProperty.reset();
+      this.launcherPositionProperty.reset();
       this.measuringTapeTipPositionProperty.reset();
       this.measuringTapeBasePositionProperty.reset();
       this.editButtonEnabledProperty.reset();
@@ -305,1105 +541,331 @@ define( require => {
       this.pausedProperty.reset();
       this.isSlowMotionProperty.reset();
       this.frictionProperty.reset();
+      this.airResistanceProperty.reset();
       this.stickingToTrackProperty.reset();
       this.availableModelBoundsProperty.reset();
       this.stopwatch.reset();
+      this.energyLedger.reset();
+      this.cumulativeEnergyLedger.reset();
+      this.timeAccumulator = 0;
+      this.invalidateInterpolations();
       this.availableModelBoundsProperty.value = availableModelBounds;
-      this.skater.reset();
+      this.numberOfSkatersProperty.reset();
+      this.skaters.forEach( skater => skater.reset() );
+      this.editHistory.clear();
 
       this.resetEmitter.emit();
     }
 
     /**
-     * Step one frame, assuming 60 fps.
+     * Get the forces on the skater in its current state, see SkaterPhysicsEngine.getForces.
      * @public
+     *
+     * @returns {{gravity: Vector2, normal: Vector2, friction: Vector2, airResistance: Vector2, net: Vector2}} - in newtons
      */
-    manualStep() {
-      const skaterState = new SkaterState( this.skater, EMPTY_OBJECT );
-      const dt = 1.0 / 60;
-      const result = this.stepModel( dt, skaterState );
-      result.setToSkater( this.skater );
-      this.skater.updatedEmitter.emit();
-    }
-
-    /**
-     * Step the model (automatically called by joist)
-     * @param {number} dt - in seconds
-     */
-    step( dt ) {
-
-      // This simulation uses a fixed time step to make the skater's motion reproducible.  Making the time step fixed
-      // did not significantly reduce performance/speed on iPad3.
-      dt = 1.0 / 60.0;
-
-      let initialEnergy = null;
-
-      // If the delay makes dt too high, then truncate it.  This helps e.g. when clicking in the address bar on ipad,
-      // which gives a huge dt and problems for integration
-      if ( !this.pausedProperty.value && !this.skater.draggingProperty.value ) {
-
-        const initialThermalEnergy = this.skater.thermalEnergyProperty.value;
-
-        // If they switched windows or tabs, just bail on that delta
-        if ( dt > 1 || dt <= 0 ) {
-          dt = 1.0 / 60.0;
-        }
-
-        const skaterState = new SkaterState( this.skater, EMPTY_OBJECT );
-        if ( debug ) {
-          initialEnergy = skaterState.getTotalEnergy();
-        }
-
-        // Update the skater state by running the dynamics engine
-        // There are issues in running multiple iterations here (the skater won't attach to the track).  I presume some
-        // of that work is being done in setToSkater() below or skater.trigger('updated')
-        // In either case, 10 subdivisions on iPad3 makes the sim run too slowly, so we may just want to leave it as is
-        let updatedState = null;
-        modelIterations++;
-        if ( !this.isSlowMotionProperty.get() || modelIterations % 3 === 0 ) {
-          updatedState = this.stepModel( dt, skaterState );
-        }
-
-        if ( debug && Math.abs( updatedState.getTotalEnergy() - initialEnergy ) > 1E-6 ) {
-          const initialStateCopy = new SkaterState( this.skater, EMPTY_OBJECT );
-          const redo = this.stepModel( this.isSlowMotionProperty.value === false ? dt : dt * 0.25, initialStateCopy );
-          debug && debug( redo );
-        }
-        if ( updatedState ) {
-          updatedState.setToSkater( this.skater );
-          this.skater.updatedEmitter.emit();
-
-          // Make sure the thermal energy doesn't go negative
-          const finalThermalEnergy = this.skater.thermalEnergyProperty.value;
-          const deltaThermalEnergy = finalThermalEnergy - initialThermalEnergy;
-          if ( deltaThermalEnergy < 0 ) {
-            debug && debug( 'thermal energy wanted to decrease' );
-          }
-        }
-      }
-
-      // Clear the track change pending flag for the next step
-      this.trackChangePending = false;
-
-      // If traveling on the ground, face in the direction of motion, see #181
-      if ( this.skater.trackProperty.value === null && this.skater.positionProperty.value.y === 0 ) {
-        if ( this.skater.velocityProperty.value.x > 0 ) {
-          this.skater.directionProperty.value = 'right';
-        }
-        if ( this.skater.velocityProperty.value.x < 0 ) {
-          this.skater.directionProperty.value = 'left';
-        }
-        else {
-          // skater wasn't moving, so don't change directions
-        }
-      }
-
-      // increment running time, only if simulation is also running
-      if ( !this.pausedProperty.value ) {
-        this.stopwatch.step( dt );
-      }
+    getSkaterForces() {
+      return this.physicsEngine.getForces( new SkaterState( this.skater, EMPTY_OBJECT ) );
     }
 
     /**
-     * The skater moves along the ground with the same coefficient of fraction as the tracks, see #11. Returns a
-     * SkaterState that is applied to this.skater.
-     *
-     * @param {number} dt
-     * @param {SkaterState} skaterState
+     * Get the directions along and across the surface the skater is on, for resolving forces into components. On a
+     * track these come from Track.getUnitParallelVector and Track.getUnitNormalVector, with the normal pointing to the
+     * side of the track the skater is on. On the ground the surface is horizontal. In the air there is no surface, so
+     * this returns null.
+     * @public
      *
-     * @returns {SkaterState}
+     * @returns {{parallel: Vector2, normal: Vector2}|null} - unit vectors
      */
-    stepGround( dt, skaterState ) {
-      const x0 = skaterState.positionX;
-      const frictionMagnitude = ( this.frictionProperty.value === 0 || skaterState.getSpeed() < 1E-2 ) ? 0 :
-                                this.frictionProperty.value * skaterState.mass * skaterState.gravity;
-      const acceleration = Math.abs( frictionMagnitude ) * ( skaterState.velocityX > 0 ? -1 : 1 ) / skaterState.mass;
-
-      let v1 = skaterState.velocityX + acceleration * dt;
-
-      // Exponentially decay the velocity if already nearly zero, see #138
-      if ( this.frictionProperty.value !== 0 && skaterState.getSpeed() < 1E-2 ) {
-        v1 = v1 / 2;
+    getSkaterSurfaceFrame() {
+      const skater = this.skater;
+      const track = skater.trackProperty.value;
+      if ( track ) {
+        const parametricPosition = skater.parametricPositionProperty.value;
+        const normal = track.getUnitNormalVector( parametricPosition );
+        return {
+          parallel: track.getUnitParallelVector( parametricPosition ),
+          normal: skater.onTopSideOfTrackProperty.value ? normal : normal.negated()
+        };
       }
-      const x1 = x0 + v1 * dt;
-      const newPosition = new Vector2( x1, 0 );
-      const originalEnergy = skaterState.getTotalEnergy();
-
-      const updated = skaterState.updatePositionAngleUpVelocity( newPosition.x, newPosition.y, 0, true, v1, 0 );
-
-      const newEnergy = updated.getTotalEnergy();
-      const newKineticEnergy = updated.getKineticEnergy();
-
-
-      // Correct the energy so that total energy does not change after this update. If the energy has gone down
-      // (energyDiference positive), we can add energyDifference to thermal energy without much consequence.
-      // But if energy increased, we may end up with negative thermal energy if we remove the excess from
-      // thermal energy, so we attempt to take it out of kinetic energy instead.
-      // See https://github.com/phetsims/energy-skate-park/issues/45
-      const energyDifference = ( originalEnergy - newEnergy );
-      const absEnergyDifference = Math.abs( energyDifference );
-      if ( energyDifference < 0 && newKineticEnergy > absEnergyDifference ) {
-        const currentSpeed = Math.abs( v1 );
-
-        // since KE = 1/2 * m * v^2
-        const speedInExcessEnergy = Math.sqrt( 2 * Math.abs( absEnergyDifference ) / updated.mass );
-        const newSpeed = currentSpeed - speedInExcessEnergy;
-        assert && assert( newSpeed >= 0, 'tried to remove too much energy from kineticEnergy, correct another way' );
-
-        // restore direction to velocity
-        const correctedV = v1 >= 0 ? newSpeed : -newSpeed;
-        return skaterState.updatePositionAngleUpVelocity( newPosition.x, newPosition.y, 0, true, correctedV, 0 );
+      else if ( skater.positionProperty.value.y <= 0 && !skater.draggingProperty.value ) {
+        return { parallel: Vector2.X_UNIT, normal: Vector2.Y_UNIT };
       }
       else {
-        const newThermalEnergy = updated.thermalEnergy + energyDifference;
-        assert && assert( newThermalEnergy >= 0, 'thermal energy should not be negative, correct energy another way' );
-        return updated.updateThermalEnergy( newThermalEnergy );
+        return null;
       }
     }
 
     /**
-     * Transition the skater to the ground. New speed for the skater will keep x component of proposed velocity, and
-     * energies are then updated accordingly. Returns a new SkaterState to modify this.skater.
-     *
-     * No bouncing on the ground, but the code is very similar to attachment part of interactWithTracksWileFalling.
-     *
-     * @param {SkaterState} skaterState
-     * @param {number} initialEnergy - energy prior to transitioning to ground
-     * @param {Vector2} proposedPosition
-     * @param {Vector2} proposedVelocity
-     * @param {number} dt
-     *
-     * @returns {SkaterState}
+     * Step one fixed time step, for the "step" button.
+     * @public
      */
-    switchToGround( skaterState, initialEnergy, proposedPosition, proposedVelocity, dt ) {
-      const segment = new Vector2( 1, 0 );
-
-      let newSpeed = segment.dot( proposedVelocity );
-
-      // Make sure energy perfectly conserved when falling to the ground.
-      const newKineticEnergy = 0.5 * newSpeed * newSpeed * skaterState.mass;
-      const newPotentialEnergy = ( -1 ) * skaterState.mass * skaterState.gravity * ( 0 - skaterState.referenceHeight );
-
-      // TODO: This is likely related to issue identified in #45
-      let newThermalEnergy = initialEnergy - newKineticEnergy - newPotentialEnergy;
-
-      if ( newThermalEnergy < 0 ) {
-        const correctedState = this.correctThermalEnergy( skaterState, segment, proposedPosition );
-
-        newSpeed = correctedState.getSpeed();
-        newThermalEnergy = correctedState.thermalEnergy;
+    manualStep() {
+      this.sessionRecorder && this.sessionRecorder.beforeFrame( true );
+
+      const skaters = this.getActiveSkaters();
+      for ( let i = 0; i < skaters.length; i++ ) {
+        const skater = skaters[ i ];
+        const skaterState = new SkaterState( skater, EMPTY_OBJECT );
+        const result = this.stepModel( FIXED_DT, skaterState );
+        if ( skater === this.skater ) {
+          this.recordEnergyLedger();
+          this.emitSkaterImpact();
+        }
+        result.setToSkater( skater );
+        skater.updatedEmitter.emit();
       }
 
-      // Supply information about a very rare problem that occurs when thermal energy goes negative,
-      // see https://github.com/phetsims/energy-skate-park/issues/45
-      assert && assert( newThermalEnergy >= 0,
-        'Thermal energy should be non-negative: ' +
-        'skaterState: ' + skaterState + ', ' +
-        'oldPotentialEnergy:' + skaterState.getPotentialEnergy() + ', ' +
-        'skaterPositionY:' + skaterState.positionY + ', ' +
-        'initialEnergy: ' + initialEnergy + ', ' +
-        'proposedPosition: ' + proposedPosition + ', ' +
-        'proposedVelocity: ' + proposedVelocity + ', ' +
-        'dt: ' + dt + ', ' +
-        'newSpeed: ' + newSpeed + ', ' +
-        'newKineticEnergy: ' + newKineticEnergy + ', ' +
-        'newPotentialEnergy: ' + newPotentialEnergy + ', ' +
-        'newThermalEnergy: ' + newThermalEnergy + ', ' +
-        'referenceHeight: ' + skaterState.referenceHeight + ', tracked in https://github.com/phetsims/energy-skate-park/issues/45' );
-
-      if ( !isFinite( newThermalEnergy ) ) { throw new Error( 'not finite' ); }
-      return skaterState.switchToGround( newThermalEnergy, newSpeed, 0, proposedPosition.x, proposedPosition.y );
+      this.sessionRecorder && this.sessionRecorder.afterFrame();
     }
 
     /**
-     * Only use this correction when something has gone wrong with the thermal energy calculation. For example, thermal
-     * energy has gone negative. Attempts to correct by using previous thermal energy and compensate modifying
-     * kinetic energy. If this results in negative kinetic energy, we have to accept a change to total energy, but
-     * we make sure that it is within an acceptable amount.
+     * Get the skaters that are in the play area, see numberOfSkatersProperty.
+     * @public
      *
-     * @param {SkaterState} skaterState
-     * @param {Vector2} segment
-     * @returns {SkaterState}
+     * @returns {Skater[]}
      */
-    correctThermalEnergy( skaterState, segment, proposedPosition ) {
-      const initialEnergy = skaterState.getTotalEnergy();
-      const newPotentialEnergy = ( -1 ) * skaterState.mass * skaterState.gravity * ( proposedPosition.y - skaterState.referenceHeight );
-      const newThermalEnergy = skaterState.thermalEnergy;
-      let newKineticEnergy = initialEnergy - newPotentialEnergy - newThermalEnergy;
-
-      // if newPotentialEnergy ~= but slightly larger than initialEnergy (since the skater may have been bumped
-      // up to the track after crossing) we must accept the increase in total energy, but it should be small
-      // enough that the user does not notice it, see https://github.com/phetsims/energy-skate-park/issues/44
-      if ( newKineticEnergy < 0 ) {
-        newKineticEnergy = 0;
-      }
-
-      // ke = 1/2 m v v
-      const newSpeed = Math.sqrt( 2 * newKineticEnergy / skaterState.mass );
-      const newVelocity = segment.times( newSpeed );
-
-      let correctedState = skaterState.updateThermalEnergy( newThermalEnergy );
-      correctedState = correctedState.updatePosition( proposedPosition.x, proposedPosition.y );
-      correctedState = correctedState.updateUDVelocity( correctedState.parametricSpeed, newVelocity.x, newVelocity.y );
-
-      assert && assert( Utils.equalsEpsilon( correctedState.getTotalEnergy(), skaterState.getTotalEnergy(), 1E-8 ), 'substantial total energy change after corrections' );
-
-      return correctedState;
+    getActiveSkaters() {
+      return this.skaters.slice( 0, this.numberOfSkatersProperty.value );
     }
 
     /**
-     * Update the skater in free fall
-     * @param {number} dt the time that passed, in seconds
-     * @param {SkaterState} skaterState the original state of the skater
-     * @param {boolean} justLeft true if the skater just fell off or launched off the track: in this case it should not
-     * interact with the track.
-     * @returns {SkaterState} the new state
+     * Step the model (automatically called by joist)
+     * @param {number} dt - in seconds
      */
-    stepFreeFall( dt, skaterState, justLeft ) {
-      const initialEnergy = skaterState.getTotalEnergy();
-
-      const acceleration = new Vector2( 0, skaterState.gravity );
-      const proposedVelocity = skaterState.getVelocity().plus( acceleration.times( dt ) );
-      const position = skaterState.getPosition();
-      const proposedPosition = position.plus( proposedVelocity.times( dt ) );
-
-      // only do the work to check for interactions if there is some proposed change to position
-      if ( position.x !== proposedPosition.x || position.y !== proposedPosition.y ) {
-
-        // see if it crossed the track
-        const physicalTracks = this.getPhysicalTracks();
+    step( dt ) {
 
-        // Don't interact with the track if the skater just left the track in this same frame, see #142
-        if ( physicalTracks.length && !justLeft ) {
+      // If the delay makes dt too high, then truncate it.  This helps e.g. when clicking in the address bar on ipad,
+      // which gives a huge dt and problems for integration. If they switched windows or tabs, just bail on that delta
+      if ( dt > 1 || dt <= 0 ) {
+        dt = FIXED_DT;
+      }
 
-          // at high freefall velocity the skater may cross a track AND the proposedPosition may be below ground in the
-          // same step - in this case prefer switching to track (because tracks are above ground) by only switching to
-          // ground if interactWithTracksWhileFalling produces a `null` track, see #159
-          const newSkaterState = this.interactWithTracksWhileFalling( physicalTracks, skaterState, proposedPosition, initialEnergy, dt, proposedVelocity );
-          if ( proposedPosition.y < 0 && newSkaterState.track === null ) {
-            proposedPosition.y = 0;
-            return this.switchToGround( skaterState, initialEnergy, proposedPosition, proposedVelocity, dt );
-          }
-          else {
-            return newSkaterState;
+      // The model always advances by FIXED_DT so that the motion is reproducible, taking as many steps as fit in the
+      // elapsed time and carrying the remainder over to the next frame. This keeps the model in real time at any frame
+      // rate, and slow motion just scales the elapsed time.
+      this.timeAccumulator += this.isSlowMotionProperty.value ? dt * SLOW_MOTION_TIME_SCALE : dt;
+      while ( this.timeAccumulator >= FIXED_DT ) {
+        this.timeAccumulator -= FIXED_DT;
+
+        if ( this.sessionPlayer ) {
+          this.sessionPlayer.step();
+          if ( this.sessionPlayer.finished ) {
+            this.sessionPlayer = null;
           }
         }
         else {
-          return this.continueFreeFall( skaterState, initialEnergy, proposedPosition, proposedVelocity, dt );
-        }
-      }
-      else {
-        return skaterState;
-      }
-    }
-
-    // Find the closest track to the skater, to see what he can bounce off of or attach to, and return the closest point
-    // on that track took.
-    /**
-     * Find the closest track to the skater, to see what he can bounce off or attach to, and return the closest point
-     * that the track took.
-     *
-     * @param {Vector2} position
-     * @param {[].Track} physicalTracks
-     *
-     * @returns {Object|null} - collection of { track: {Track}, parametricPosition: {Vector2}, point: {Vector2} }, or null
-     */
-    getClosestTrackAndPositionAndParameter( position, physicalTracks ) {
-      let closestTrack = null;
-      let closestMatch = null;
-      let closestDistance = Number.POSITIVE_INFINITY;
-      for ( let i = 0; i < physicalTracks.length; i++ ) {
-        const track = physicalTracks[ i ];
-
-        // PERFORMANCE/ALLOCATION maybe get closest point shouldn't return a new object allocation each time, or use
-        // pooling for it, or pass in reference as an arg?
-        const bestMatch = track.getClosestPositionAndParameter( position );
-        if ( bestMatch.distance < closestDistance ) {
-          closestDistance = bestMatch.distance;
-          closestTrack = track;
-          closestMatch = bestMatch;
+          this.stepFrame();
         }
       }
-      if ( closestTrack ) {
-        return { track: closestTrack, parametricPosition: closestMatch.parametricPosition, point: closestMatch.point };
-      }
-      else {
-        return null;
-      }
-    }
-
-    /**
-     * Check to see if the points crossed the track.
-     *
-     * @param {Object} closestTrackAndPositionAndParameter - the object returned by getClosestTrackAndPositionAndParameter()
-     * @param {[].Tracks} physicalTracks - all tracks that the skater can physically interact with
-     * @param {number} beforeX
-     * @param {number} beforeY
-     * @param {number} afterX
-     * @param {number} afterY
-     *
-     * @returns {boolean}
-     */
-    crossedTrack( closestTrackAndPositionAndParameter, physicalTracks, beforeX, beforeY, afterX, afterY ) {
-      const track = closestTrackAndPositionAndParameter.track;
-      const parametricPosition = closestTrackAndPositionAndParameter.parametricPosition;
-      const trackPoint = closestTrackAndPositionAndParameter.point;
-
-      if ( !track.isParameterInBounds( parametricPosition ) ) {
-        return false;
-      }
-      else {
 
-        // Linearize the spline, and check to see if the skater crossed by performing a line segment intersection between
-        // the skater's trajectory segment and the linearized track segment.
-        // Note, this has an error for cusps, see #212
-        const unitParallelVector = track.getUnitParallelVector( parametricPosition );
-        const a = trackPoint.plus( unitParallelVector.times( 100 ) );
-        const b = trackPoint.plus( unitParallelVector.times( -100 ) );
-        const intersection = Utils.lineSegmentIntersection( a.x, a.y, b.x, b.y, beforeX, beforeY, afterX, afterY );
-        return intersection !== null;
+      const skaters = this.getActiveSkaters();
+      for ( let i = 0; i < skaters.length; i++ ) {
+        this.interpolateSkater( skaters[ i ], this.interpolations[ i ] );
       }
     }
 
     /**
-     * Check to see if skater should hit or attach to  track during free fall. Returns a new SkaterState for this.skater
-     *
-     * @param {[].Track]} physicalTracks
-     * @param {SkaterState} skaterState
-     * @param {Vector2} proposedPosition
-     * @param {number} initialEnergy
-     * @param {number} dt
-     * @param {Vector2} proposedVelocity
-     *
-     * @returns {SkaterState}
+     * Step the model by one frame, a fixed time step of FIXED_DT.
+     * @public (SessionPlayer)
      */
-    interactWithTracksWhileFalling( physicalTracks, skaterState, proposedPosition, initialEnergy, dt, proposedVelocity ) {
-
-      // Find the closest track, and see if the skater would cross it in this time step.
-      // Assuming the skater's initial + final locations determine a line segment, we search for the best point for the
-      // skater's start point, midpoint and end point and choose whichever is closest.  This helps avoid "high curvature"
-      // problems like the one identified in #212
-      const a = this.getClosestTrackAndPositionAndParameter( skaterState.getPosition(), physicalTracks );
-      const averagePosition = new Vector2( ( skaterState.positionX + proposedPosition.x ) / 2, ( skaterState.positionY + proposedPosition.y ) / 2 );
-      const b = this.getClosestTrackAndPositionAndParameter( averagePosition, physicalTracks );
-      const c = this.getClosestTrackAndPositionAndParameter( new Vector2( proposedPosition.x, proposedPosition.y ), physicalTracks );
-
-      const initialPosition = skaterState.getPosition();
-      const distanceA = Utils.distToSegment( a.point, initialPosition, proposedPosition );
-      const distanceB = Utils.distToSegment( b.point, initialPosition, proposedPosition );
-      const distanceC = Utils.distToSegment( c.point, initialPosition, proposedPosition );
+    stepFrame() {
+      this.sessionRecorder && this.sessionRecorder.beforeFrame( false );
 
-      const distances = [ distanceA, distanceB, distanceC ];
-      const minDistance = _.min( distances );
+      const dt = FIXED_DT;
+      this.invalidateInterpolations();
 
-      const closestTrackAndPositionAndParameter = minDistance === distanceA ? a : minDistance === distanceC ? c : b;
-
-      debugAttachDetach && debugAttachDetach( 'minDistance', distances.indexOf( minDistance ) );
-
-      const crossed = this.crossedTrack( closestTrackAndPositionAndParameter, physicalTracks,
-        skaterState.positionX, skaterState.positionY, proposedPosition.x, proposedPosition.y );
-
-      const track = closestTrackAndPositionAndParameter.track;
-      const parametricPosition = closestTrackAndPositionAndParameter.parametricPosition;
-      const trackPoint = closestTrackAndPositionAndParameter.point;
-
-      if ( crossed ) {
-        debugAttachDetach && debugAttachDetach( 'attaching' );
-        const normal = track.getUnitNormalVector( parametricPosition );
-        const segment = normal.perpendicular;
-
-        const beforeVector = skaterState.getPosition().minus( trackPoint );
-
-        // If crossed the track, attach to it.
-        let newVelocity = segment.times( segment.dot( proposedVelocity ) );
-        let newSpeed = newVelocity.magnitude;
-        const newKineticEnergy = 0.5 * skaterState.mass * newVelocity.magnitudeSquared;
-        const newPosition = track.getPoint( parametricPosition );
-        const newPotentialEnergy = -skaterState.mass * skaterState.gravity * ( newPosition.y - skaterState.referenceHeight );
-        let newThermalEnergy = initialEnergy - newKineticEnergy - newPotentialEnergy;
-
-        // Sometimes (depending on dt) the thermal energy can go negative by the above calculation, see #141
-        // In that case, set the thermal energy to zero and reduce the speed to compensate.
-        if ( newThermalEnergy < skaterState.thermalEnergy ) {
-          const correctedState = this.correctThermalEnergy( skaterState, segment, newPosition );
-
-          newThermalEnergy = correctedState.thermalEnergy;
-          newSpeed = correctedState.getSpeed();
-          newVelocity = correctedState.getVelocity();
+      if ( !this.pausedProperty.value ) {
+        const skaters = this.getActiveSkaters();
+        for ( let i = 0; i < skaters.length; i++ ) {
+          if ( !skaters[ i ].draggingProperty.value ) {
+            this.stepSkater( dt, skaters[ i ], this.interpolations[ i ] );
+          }
         }
+      }
 
-        const dot = proposedVelocity.normalized().dot( segment );
-
-        // Sanity test
-        assert && assert( isFinite( dot ) );
-        assert && assert( isFinite( newVelocity.x ) );
-        assert && assert( isFinite( newVelocity.y ) );
-        assert && assert( isFinite( newThermalEnergy ) );
-        assert && assert( newThermalEnergy >= 0 );
-
-        let parametricSpeed = ( dot > 0 ? +1 : -1 ) * newSpeed;
-        const onTopSideOfTrack = beforeVector.dot( normal ) > 0;
-
-        debug && debug( 'attach to track, ' + ', ' + parametricPosition + ', ' + track.maxPoint );
-
-        // Double check the velocities and invert parametricSpeed if incorrect, see #172
-        // Compute the new velocities same as in stepTrack
-        const unitParallelVector = track.getUnitParallelVector( parametricPosition );
-        const newVelocityX = unitParallelVector.x * parametricSpeed;
-        const newVelocityY = unitParallelVector.y * parametricSpeed;
-
-        const velocityDotted = skaterState.velocityX * newVelocityX + skaterState.velocityY * newVelocityY;
+      // Clear the track change pending flag for the next step
+      this.trackChangePending = false;
 
-        // See if the track attachment will cause velocity to flip, and inverse it if so, see #172
-        if ( velocityDotted < -1E-6 ) {
-          parametricSpeed = parametricSpeed * -1;
+      // If traveling on the ground, face in the direction of motion, see #181
+      this.skaters.forEach( skater => {
+        if ( skater.trackProperty.value === null && skater.positionProperty.value.y === 0 ) {
+          if ( skater.velocityProperty.value.x > 0 ) {
+            skater.directionProperty.value = 'right';
+          }
+          if ( skater.velocityProperty.value.x < 0 ) {
+            skater.directionProperty.value = 'left';
+          }
+          else {
+            // skater wasn't moving, so don't change directions
+          }
         }
+      } );
 
-        const attachedSkater = skaterState.attachToTrack( newThermalEnergy, track, onTopSideOfTrack, parametricPosition, parametricSpeed, newVelocity.x, newVelocity.y, newPosition.x, newPosition.y );
-        assert && assert( Utils.equalsEpsilon( attachedSkater.getTotalEnergy(), skaterState.getTotalEnergy(), 1E-8 ), 'large energy change after attaching to track' );
-        return attachedSkater;
+      // increment running time, only if simulation is also running
+      if ( !this.pausedProperty.value ) {
+        this.stopwatch.step( dt );
       }
 
-      // It just continued in free fall
-      else {
-        return this.continueFreeFall( skaterState, initialEnergy, proposedPosition, proposedVelocity, dt );
-      }
+      this.sessionRecorder && this.sessionRecorder.afterFrame();
     }
 
     /**
-     * Started in free fall and did not interact with a track. Returns a new SkaterState for this.skater.
+     * Step one skater by a fixed time step with the physics engine. Where the energy went and what the skater landed on
+     * are only recorded for this.skater.
      * @private
      *
-     * @param {SkaterState} skaterState
-     * @param {number} initialEnergy
-     * @param {Vector2} proposedPosition
-     * @param {Vector2} proposedVelocity
      * @param {number} dt
-     *
-     * @returns {SkaterState}
+     * @param {Skater} skater
+     * @param {Object} interpolation - for the skater, see this.interpolations
      */
-    continueFreeFall( skaterState, initialEnergy, proposedPosition, proposedVelocity, dt ) {
-
-      // make up for the difference by changing the y value
-      const y = ( initialEnergy - 0.5 * skaterState.mass * proposedVelocity.magnitudeSquared - skaterState.thermalEnergy ) / ( -1 * skaterState.mass * skaterState.gravity ) + skaterState.referenceHeight;
-      if ( y <= 0 ) {
+    stepSkater( dt, skater, interpolation ) {
+      const initialThermalEnergy = skater.thermalEnergyProperty.value;
+      let initialEnergy = null;
 
-        // When falling straight down, stop completely and convert all energy kinetic to thermal
-        return skaterState.strikeGround( skaterState.getKineticEnergy(), proposedPosition.x );
+      const skaterState = new SkaterState( skater, EMPTY_OBJECT );
+      if ( debug ) {
+        initialEnergy = skaterState.getTotalEnergy();
       }
-      else {
-        return skaterState.continueFreeFall( proposedVelocity.x, proposedVelocity.y, proposedPosition.x, y );
-      }
-    }
-
-    /**
-     * Gets the net force discluding normal force.
-     *
-     * Split into component-wise to prevent allocations, see #50
-     *
-     * @private
-     *
-     * @param {SkaterState} skaterState the state
-     * @returns {number} netForce in the X direction
-     */
-    getNetForceWithoutNormalX( skaterState ) {
-      return this.getFrictionForceX( skaterState );
-    }
-
-    /**
-     * Gets the net force but without the normal force.
-     *
-     * Split into component-wise to prevent allocations, see #50
-     * @private
-     *
-     * @param {SkaterState} skaterState the state
-     * @returns {number} netForce in the Y direction
-     */
-    getNetForceWithoutNormalY( skaterState ) {
-      return skaterState.mass * skaterState.gravity + this.getFrictionForceY( skaterState );
-    }
-
-    /**
-     * The only other force on the object in the direction of motion is the gravity force
-     * Component-wise to reduce allocations, see #50
-     * @private
-     *
-     * @param {SkaterState} skaterState
-     *
-     * @returns {number}
-     */
-    getFrictionForceX( skaterState ) {
 
-      // Friction force should not exceed sum of other forces (in the direction of motion), otherwise the friction could
-      // start a stopped object moving. Hence we check to see if the object is already stopped and don't add friction
-      // in that case
-      if ( this.frictionProperty.value === 0 || skaterState.getSpeed() < 1E-2 ) {
-        return 0;
-      }
-      else {
-        const magnitude = this.frictionProperty.value * this.getNormalForce( skaterState ).magnitude;
-        const angleComponent = Math.cos( skaterState.getVelocity().angle + Math.PI );
-        assert && assert( isFinite( magnitude ), 'magnitude should be finite' );
-        assert && assert( isFinite( angleComponent ), 'angleComponent should be finite' );
-        return magnitude * angleComponent;
+      // Update the skater state by running the dynamics engine
+      // There are issues in running multiple iterations here (the skater won't attach to the track).  I presume some
+      // of that work is being done in setToSkater() below or skater.trigger('updated')
+      // In either case, 10 subdivisions on iPad3 makes the sim run too slowly, so we may just want to leave it as is
+      const updatedState = this.stepModel( dt, skaterState );
+      if ( skater === this.skater ) {
+        this.recordEnergyLedger();
+        this.emitSkaterImpact();
       }
-    }
-
-    /**
-     * The only other force on the object in the direction of motion is the gravity force
-     * Component-wise to reduce allocations, see #50
-     * @private
-     *
-     * @param {SkaterState} skaterState
-     * @returns {number}
-     */
-    getFrictionForceY( skaterState ) {
 
-      // Friction force should not exceed sum of other forces (in the direction of motion), otherwise the friction could
-      // start a stopped object moving.  Hence we check to see if the object is already stopped and don't add friction in
-      // that case
-      if ( this.frictionProperty.value === 0 || skaterState.getSpeed() < 1E-2 ) {
-        return 0;
+      if ( debug && Math.abs( updatedState.getTotalEnergy() - initialEnergy ) > 1E-6 ) {
+        const initialStateCopy = new SkaterState( skater, EMPTY_OBJECT );
+        const redo = this.stepModel( dt, initialStateCopy );
+        debug && debug( redo );
       }
-      else {
-        const magnitude = this.frictionProperty.value * this.getNormalForce( skaterState ).magnitude;
-        return magnitude * Math.sin( skaterState.getVelocity().angle + Math.PI );
-      }
-    }
 
-    /**
-     * Get the normal force (Newtons) on the skater.
-     *
-     * @param {SkaterState} skaterState
-     * @returns {number}
-     */
-    getNormalForce( skaterState ) {
-      skaterState.getCurvature( curvatureTemp2 );
-      const radiusOfCurvature = Math.min( curvatureTemp2.r, 100000 );
-      const netForceRadial = new Vector2( 0, 0 );
-
-      netForceRadial.addXY( 0, skaterState.mass * skaterState.gravity );// gravity
-      let curvatureDirection = this.getCurvatureDirection( curvatureTemp2, skaterState.positionX, skaterState.positionY );
-
-      // On a flat surface, just use the radial component of the net force for the normal, see #344
-      if ( isNaN( curvatureDirection.x ) || isNaN( curvatureDirection.y ) ) {
-        curvatureDirection = netForceRadial.normalized(); // todo: sign?
+      setInterpolationPoint( interpolation.start, skater );
+      updatedState.setToSkater( skater );
+      skater.updatedEmitter.emit();
+      setInterpolationPoint( interpolation.end, skater );
+      interpolation.valid = true;
+
+      // Make sure the thermal energy doesn't go negative
+      const finalThermalEnergy = skater.thermalEnergyProperty.value;
+      const deltaThermalEnergy = finalThermalEnergy - initialThermalEnergy;
+      if ( deltaThermalEnergy < 0 ) {
+        debug && debug( 'thermal energy wanted to decrease' );
       }
-      const normalForce = skaterState.mass * skaterState.getSpeed() * skaterState.getSpeed() / Math.abs( radiusOfCurvature ) - netForceRadial.dot( curvatureDirection );
-      debug && debug( normalForce );
-
-      const n = Vector2.createPolar( normalForce, curvatureDirection.angle );
-      assert && assert( isFinite( n.x ), 'n.x should be finite' );
-      assert && assert( isFinite( n.y ), 'n.y should be finite' );
-      return n;
     }
 
     /**
-     * Use an Euler integration step to move the skater along the track. This code is in an inner loop of the model
-     * physics, and has been heavily optimized. Returns a new SkaterState for this.skater.
-     *
-     * @param {number} dt
-     * @param {SkaterState} skaterState
+     * Draw the skater between the last two fixed steps, at the fraction of a step that has not been simulated yet, so
+     * that the motion is smooth even if the frame rate does not match the model or in slow motion. This lags the
+     * model by up to one step, but never shows a position the skater has not reached. If the skater was changed since
+     * the last step (for instance by dragging), it is drawn where it is.
+     * @private
      *
-     * @returns {SkaterState}
+     * @param {Skater} skater
+     * @param {Object} interpolation - for the skater, see this.interpolations
      */
-    stepEuler( dt, skaterState ) {
-      const track = skaterState.track;
-      const origEnergy = skaterState.getTotalEnergy();
-      const origLocX = skaterState.positionX;
-      const origLocY = skaterState.positionY;
-      let thermalEnergy = skaterState.thermalEnergy;
-      let parametricSpeed = skaterState.parametricSpeed;
-      assert && assert( isFinite( parametricSpeed ) );
-      let parametricPosition = skaterState.parametricPosition;
-
-      // Component-wise math to prevent allocations, see #50
-      const netForceX = this.getNetForceWithoutNormalX( skaterState );
-      const netForceY = this.getNetForceWithoutNormalY( skaterState );
-      const netForceMagnitude = Math.sqrt( netForceX * netForceX + netForceY * netForceY );
-      const netForceAngle = Math.atan2( netForceY, netForceX );
-
-      // Get the net force in the direction of the track.  Dot product is a * b * cos(theta)
-      const a = netForceMagnitude * Math.cos( skaterState.track.getModelAngleAt( parametricPosition ) - netForceAngle ) / skaterState.mass;
-
-      parametricSpeed += a * dt;
-      assert && assert( isFinite( parametricSpeed ), 'parametricSpeed should be finite' );
-      parametricPosition += track.getParametricDistance( parametricPosition, parametricSpeed * dt + 1 / 2 * a * dt * dt );
-      const newPointX = skaterState.track.getX( parametricPosition );
-      const newPointY = skaterState.track.getY( parametricPosition );
-      const unitParallelVector = skaterState.track.getUnitParallelVector( parametricPosition );
-      const parallelUnitX = unitParallelVector.x;
-      const parallelUnitY = unitParallelVector.y;
-      let newVelocityX = parallelUnitX * parametricSpeed;
-      let newVelocityY = parallelUnitY * parametricSpeed;
-
-      // Exponentially decay the velocity if already nearly zero and on a flat slope, see #129
-      if ( parallelUnitX / parallelUnitY > 5 && Math.sqrt( newVelocityX * newVelocityX + newVelocityY * newVelocityY ) < 1E-2 ) {
-        newVelocityX /= 2;
-        newVelocityY /= 2;
-      }
-
-      // choose velocity by using the unit parallel vector to the track
-      const newState = skaterState.updateUUDVelocityPosition( parametricPosition, parametricSpeed, newVelocityX, newVelocityY, newPointX, newPointY );
-      if ( this.frictionProperty.value > 0 ) {
-
-        // Compute friction force magnitude component-wise to prevent allocations, see #50
-        const frictionForceX = this.getFrictionForceX( skaterState );
-        const frictionForceY = this.getFrictionForceY( skaterState );
-        const frictionForceMagnitude = Math.sqrt( frictionForceX * frictionForceX + frictionForceY * frictionForceY );
-
-        const newPoint = new Vector2( newPointX, newPointY );
-
-        const therm = frictionForceMagnitude * newPoint.distanceXY( origLocX, origLocY );
-        thermalEnergy += therm;
-
-        const newTotalEnergy = newState.getTotalEnergy() + therm;
-
-        // Conserve energy, but only if the user is not adding energy, see #135
-        if ( thrust.magnitude === 0 && !this.trackChangePending ) {
-          if ( newTotalEnergy < origEnergy ) {
-            thermalEnergy += Math.abs( newTotalEnergy - origEnergy );// add some thermal to exactly match
-            if ( Math.abs( newTotalEnergy - origEnergy ) > 1E-6 ) {
-              debug && debug( 'Added thermal, dE=' + ( newState.getTotalEnergy() - origEnergy ) );
-            }
-          }
-          if ( newTotalEnergy > origEnergy ) {
-            if ( Math.abs( newTotalEnergy - origEnergy ) < therm ) {
-              debug && debug( 'gained energy, removing thermal (Would have to remove more than we gained)' );
-            }
-            else {
-              thermalEnergy -= Math.abs( newTotalEnergy - origEnergy );
-              if ( Math.abs( newTotalEnergy - origEnergy ) > 1E-6 ) {
-                debug && debug( 'Removed thermal, dE=' + ( newTotalEnergy - origEnergy ) );
-              }
-            }
-          }
-        }
-
-        // Discrepancy with original version: original version allowed drop of thermal energy here, to be fixed in the
-        // heuristic patch. We have clamped it here to make it amenable to a smaller number of euler updates,
-        // to improve performance
-        return newState.updateThermalEnergy( Math.max( thermalEnergy, skaterState.thermalEnergy ) );
+    interpolateSkater( skater, interpolation ) {
+      const position = skater.positionProperty.value;
+      const start = interpolation.start;
+      const end = interpolation.end;
+
+      if ( interpolation.valid && position.x === end.x && position.y === end.y &&
+           skater.angleProperty.value === end.angle ) {
+        const alpha = this.timeAccumulator / FIXED_DT;
+        skater.setDisplayPositionAndAngle(
+          start.x + ( end.x - start.x ) * alpha,
+          start.y + ( end.y - start.y ) * alpha,
+          start.angle + Utils.moduloBetweenDown( end.angle - start.angle, -Math.PI, Math.PI ) * alpha
+        );
       }
-      else {
-        return newState;
+      else if ( !skater.isDisplayedAtPosition() ) {
+        skater.setDisplayPositionAndAngle( position.x, position.y, skater.angleProperty.value );
       }
     }
 
     /**
-     * Update the skater as it moves along the track, and fly off the track if it  goes over a jump off the track's end.
-     *
-     * @param {number} dt
-     * @param {SkaterState} skaterState
-     * @returns {SkaterState}
+     * Draw each skater where it is until it is stepped again, see interpolateSkater.
+     * @private
      */
-    stepTrack( dt, skaterState ) {
-
-      skaterState.getCurvature( curvatureTemp );
-
-      const curvatureDirectionX = this.getCurvatureDirectionX( curvatureTemp, skaterState.positionX, skaterState.positionY );
-      const curvatureDirectionY = this.getCurvatureDirectionY( curvatureTemp, skaterState.positionX, skaterState.positionY );
-
-      const track = skaterState.track;
-      const sideVectorX = skaterState.onTopSideOfTrack ? track.getUnitNormalVector( skaterState.parametricPosition ).x :
-                          track.getUnitNormalVector( skaterState.parametricPosition ).x * -1;
-      const sideVectorY = skaterState.onTopSideOfTrack ? track.getUnitNormalVector( skaterState.parametricPosition ).y :
-                          track.getUnitNormalVector( skaterState.parametricPosition ).y * -1;
-
-      // Dot product written out component-wise to avoid allocations, see #50
-      const outsideCircle = sideVectorX * curvatureDirectionX + sideVectorY * curvatureDirectionY < 0;
-
-      // compare a to v/r^2 to see if it leaves the track
-      const r = Math.abs( curvatureTemp.r );
-      const centripetalForce = skaterState.mass * skaterState.parametricSpeed * skaterState.parametricSpeed / r;
-
-      const netForceWithoutNormalX = this.getNetForceWithoutNormalX( skaterState );
-      const netForceWithoutNormalY = this.getNetForceWithoutNormalY( skaterState );
-
-      // Net force in the radial direction is the dot product.  Component-wise to avoid allocations, see #50
-      const netForceRadial = netForceWithoutNormalX * curvatureDirectionX + netForceWithoutNormalY * curvatureDirectionY;
-
-      const leaveTrack = ( netForceRadial < centripetalForce && outsideCircle ) || ( netForceRadial > centripetalForce && !outsideCircle );
-
-      if ( leaveTrack && !this.stickingToTrackProperty.value ) {
-
-        // Leave the track.  Make sure the velocity is pointing away from the track or keep track of frames away from the
-        // track so it doesn't immediately recollide.  Or project a ray and see if a collision is imminent?
-        const freeSkater = skaterState.leaveTrack();
-
-        debugAttachDetach && debugAttachDetach( 'left middle track', freeSkater.velocityX, freeSkater.velocityY );
-
-        const nudged = this.nudge( freeSkater, sideVectorX, sideVectorY, +1 );
-
-        // Step after switching to free fall, so it doesn't look like it pauses
-        return this.stepFreeFall( dt, nudged, true );
-      }
-      else {
-        let newState = skaterState;
-
-        // Turning this value to 5 or less causes thermal energy to decrease on some time steps
-        // Discrepancy with original version: original version had 10 divisions here.  We have reduced it to make it more
-        // smooth and less GC
-        const numDivisions = 4;
-        for ( let i = 0; i < numDivisions; i++ ) {
-          newState = this.stepEuler( dt / numDivisions, newState );
-        }
-
-        // Correct energy
-        const correctedState = this.correctEnergy( skaterState, newState );
-
-        // Check whether the skater has left the track
-        if ( skaterState.track.isParameterInBounds( correctedState.parametricPosition ) ) {
-
-          // To prevent non-physical behavior when the skater "pops" above ground after leaving a track that has
-          // forced it underground, we switch to ground before the skater can go below ground in the first place.
-          // This should only happen while dragging the track, as all track points should be above ground otherwise.
-          // See https://github.com/phetsims/energy-skate-park/issues/45
-          if ( correctedState.positionY <= 0 ) {
-            const groundPosition = new Vector2( correctedState.positionX, 0 );
-            return this.switchToGround( correctedState, correctedState.getTotalEnergy(), groundPosition, correctedState.getVelocity(), dt );
-          }
-          else {
-            return correctedState;
-          }
-        }
-        else {
-
-          // Fly off the left or right side of the track
-          // Off the edge of the track.  If the skater transitions from the right edge of the 2nd track directly to the
-          // ground then do not lose thermal energy during the transition, see #164
-          if ( correctedState.parametricPosition > skaterState.track.maxPoint && skaterState.track.slopeToGround ) {
-            let result = correctedState.switchToGround( correctedState.thermalEnergy, correctedState.getSpeed(), 0, correctedState.positionX, 0 );
-
-            // All track points are at or above ground so it is possible that we took potential energy out of the. Add
-            // to kinetic energy to compensate
-            const energyDiference = result.getPotentialEnergy() - correctedState.getPotentialEnergy();
-            if ( energyDiference < 0 ) {
-
-              // add the lost energy to kinetic energy to compensate
-              const newKineticEnergy = result.getKineticEnergy() + -energyDiference;
-
-              // new skater speed will be speed from adjusted kinetic energy
-              const adjustedSpeed = result.getSpeedFromEnergy( newKineticEnergy );
-
-              // restore direction to velocity - slopes point to the right, but just in case
-              const correctedV = result.velocityX >= 0 ? adjustedSpeed : -adjustedSpeed;
-              result = result.updatePositionAngleUpVelocity( result.positionX, result.positionY, 0, true, correctedV, 0 );
-
-              // this correction should put result energy very close to correctedState energy
-              assert && assert( Utils.equalsEpsilon( result.getTotalEnergy(), correctedState.getTotalEnergy(), 1E-6 ), 'correction after slope to ground changed total energy too much' );
-            }
-
-            // Correct any other energy discrepancy when switching to the ground, see #301
-            return this.correctEnergy( skaterState, result );
-          }
-          else {
-            debugAttachDetach && debugAttachDetach( 'left edge track: ' + correctedState.parametricPosition + ', ' + skaterState.track.maxPoint );
-
-            // There is a situation in which the `u` of the skater exceeds the track bounds before the
-            // getClosestPositionAndParameter.parametricPosition does, which can cause the skater to immediately reattach
-            // So make sure the skater is far enough from the track so it won't reattach right away, see #167
-            const freeSkaterState = skaterState.updateTrackUD( null, 0 );
-
-            const nudgedState = this.nudge( freeSkaterState, sideVectorX, sideVectorY, -1 );
-
-            // Step after switching to free fall, so it doesn't look like it pauses
-            const freeFallState = this.stepFreeFall( dt, nudgedState, true );
-
-            // if during this step we switched to ground, restore the kinetic energy and horizontal velocity rather
-            // than striking the earth
-            if ( freeFallState.positionY === 0 ) {
-              return this.switchToGround( freeFallState, freeFallState.getTotalEnergy(), freeFallState.getPosition(), nudgedState.getVelocity(), dt );
-            }
-            else {
-              return freeFallState;
-            }
-          }
-        }
-      }
+    invalidateInterpolations() {
+      this.interpolations.forEach( interpolation => { interpolation.valid = false; } );
     }
 
     /**
-     * When the skater leaves the track, adjust the position and velocity. This prevents the following problems:
-     * 1. When leaving from the sides, adjust the skater under the track so it won't immediately re-collide.
-     * 2. When leaving from the middle of the track (say going over a jump or falling upside-down from a loop),
-     * adjust the skater so it won't fall through or re-collide.
-     *
-     * @param {Skater} freeSkater
-     * @param {number} sideVectorX
-     * @param {number} sideVectorY
-     * @param {number} sign
-     *
-     * @returns {Skater}
+     * Save where the energy went during the last step of the physics engine, and add it to the cumulative ledger.
+     * @private
      */
-    nudge( freeSkater, sideVectorX, sideVectorY, sign ) {
-
-      // angle the velocity down a bit and underset from track so that it won't immediately re-collide
-      // Nudge the velocity in the 'up' direction so the skater won't pass through the track, see #207
-      const velocity = new Vector2( freeSkater.velocityX, freeSkater.velocityY );
-      const upVector = new Vector2( sideVectorX, sideVectorY );
-      if ( velocity.magnitude > 0 ) {
-        const blended = velocity.normalized().blend( upVector, 0.01 * sign );
-        if ( blended.magnitude > 0 ) {
-          const revisedVelocity = blended.normalized().times( velocity.magnitude );
-          freeSkater = freeSkater.updateUDVelocity( 0, revisedVelocity.x, revisedVelocity.y );
-
-          // Nudge the position away from the track, slightly since it was perfectly centered on the track, see #212
-          // Note this will change the energy of the skater, but only by a tiny amount (that should be undetectable in the
-          // bar chart)
-          const origPosition = freeSkater.getPosition();
-          const newPosition = origPosition.plus( upVector.times( sign * 1E-6 ) );
-          freeSkater = freeSkater.updatePosition( newPosition.x, newPosition.y );
-
-          debugAttachDetach && debugAttachDetach( 'newdot', revisedVelocity.dot( upVector ) );
-          return freeSkater;
-        }
-      }
-      return freeSkater;
+    recordEnergyLedger() {
+      this.energyLedger.set( this.physicsEngine.ledger );
+      this.cumulativeEnergyLedger.add( this.physicsEngine.ledger );
     }
 
     /**
-     * Try to match the target energy by reducing the velocity of the skaterState.
-     *
-     * @param {SkaterState} skaterState
-     * @param {SkaterState} targetState
-     *
-     * @returns {SkaterState}
+     * Notify listeners if the skater landed on a track or the ground during the last step of the physics engine.
+     * @private
      */
-    correctEnergyReduceVelocity( skaterState, targetState ) {
-
-      // Make a clone we can mutate and return, to protect the input argument
-      const newSkaterState = targetState.copy();
-      const e0 = skaterState.getTotalEnergy();
-      const mass = skaterState.mass;
-
-      // Find the direction of velocity.  This is on the track unless the skater just left the "slope" track
-      const unit = newSkaterState.track ? newSkaterState.track.getUnitParallelVector( newSkaterState.parametricPosition ) :
-                   newSkaterState.getVelocity().normalized();
-
-      // Binary search, but bail after too many iterations
-      for ( let i = 0; i < 100; i++ ) {
-        const dv = ( newSkaterState.getTotalEnergy() - e0 ) / ( mass * newSkaterState.parametricSpeed );
-
-        const newVelocity = newSkaterState.parametricSpeed - dv;
-
-        // We can just set the state directly instead of calling update since we are keeping a protected clone of the
-        // newSkaterState
-        newSkaterState.parametricSpeed = newVelocity;
-        const result = unit.times( newVelocity );
-        newSkaterState.velocityX = result.x;
-        newSkaterState.velocityY = result.y;
-
-        if ( Utils.equalsEpsilon( e0, newSkaterState.getTotalEnergy(), 1E-8 ) ) {
-          break;
-        }
+    emitSkaterImpact() {
+      if ( this.physicsEngine.impact ) {
+        this.skaterImpactEmitter.emit( this.physicsEngine.impact, this.physicsEngine.impactSpeed );
       }
-      return newSkaterState;
     }
 
     /**
-     * Binary search to find the parametric coordinate along the track that matches the e0 energy.
+     * Find the closest track to the skater, to see what he can bounce off or attach to, and return the closest point
+     * that the track took.
+     * @public
      *
-     * @param {SkaterState} skaterState
-     * @param {number} u0
-     * @param {number} u1
-     * @param {number} e0
-     * @param {number} numSteps
+     * @param {Vector2} position
+     * @param {Track[]} physicalTracks
      *
-     * @returns {number}
+     * @returns {Object|null} - collection of { track: {Track}, parametricPosition: {Vector2}, point: {Vector2} }, or null
      */
-    searchSplineForEnergy( skaterState, u0, u1, e0, numSteps ) {
-      const da = ( u1 - u0 ) / numSteps;
-      let bestAlpha = ( u1 + u0 ) / 2;
-      const p = skaterState.track.getPoint( bestAlpha );
-      let bestDE = skaterState.updatePosition( p.x, p.y ).getTotalEnergy();
-      for ( let i = 0; i < numSteps; i++ ) {
-        const proposedAlpha = u0 + da * i;
-        const p2 = skaterState.track.getPoint( bestAlpha );
-        const e = skaterState.updatePosition( p2.x, p2.y ).getTotalEnergy();
-        if ( Math.abs( e - e0 ) <= Math.abs( bestDE ) ) {
-          bestDE = e - e0;
-          bestAlpha = proposedAlpha;
-        }// continue to find best value closest to proposed u, even if several values give dE=0.0
-      }
-      debug && debug( 'After ' + numSteps + ' steps, origAlpha=' + u0 + ', bestAlpha=' + bestAlpha + ', dE=' + bestDE );
-      return bestAlpha;
+    getClosestTrackAndPositionAndParameter( position, physicalTracks ) {
+      return this.physicsEngine.getClosestTrackAndPositionAndParameter( position, physicalTracks );
     }
 
     /**
-     * A number of heuristic energy correction steps to ensure energy is conserved while keeping the motion smooth and
-     * accurate. Copied from the Java version directly (with a few different magic numbers)
+     * Update the skater based on which state, by running the SkaterPhysicsEngine with the current tracks and settings
+     * of this model.
+     * @public
      *
+     * @param {number} dt
      * @param {SkaterState} skaterState
-     * @param {SkaterState} newState
-     *
      * @returns {SkaterState}
      */
-    correctEnergy( skaterState, newState ) {
-      if ( this.trackChangePending ) {
-        return newState;
-      }
-      const u0 = skaterState.parametricPosition;
-      const e0 = skaterState.getTotalEnergy();
-
-      if ( !isFinite( newState.getTotalEnergy() ) ) { throw new Error( 'not finite' );}
-      const dE = newState.getTotalEnergy() - e0;
-      if ( Math.abs( dE ) < 1E-6 ) {
-        // small enough
-        return newState;
-      }
-      else {
-        if ( newState.getTotalEnergy() > e0 ) {
-          debug && debug( 'Energy too high' );
-
-          // can we reduce the velocity enough?
-          // amount we could reduce the energy if we deleted all the kinetic energy:
-          if ( Math.abs( newState.getKineticEnergy() ) > Math.abs( dE ) ) {
-
-            // This is the current rule for reducing the energy.  But in a future version maybe should only do this
-            // if all velocity is not converted?
-            debug && debug( 'Could fix all energy by changing velocity.' );
-            const correctedStateA = this.correctEnergyReduceVelocity( skaterState, newState );
-            debug && debug( 'changed velocity: dE=' + ( correctedStateA.getTotalEnergy() - e0 ) );
-            if ( !Utils.equalsEpsilon( e0, correctedStateA.getTotalEnergy(), 1E-8 ) ) {
-              debug && debug( 'Energy error[0]' );
-            }
-            return correctedStateA;
-          }
-          else {
-            debug && debug( 'Not enough KE to fix with velocity alone: normal:' );
-            debug && debug( 'changed position u: dE=' + ( newState.getTotalEnergy() - e0 ) );
-            // search for a place between u and u0 with a better energy
-
-            const numRecursiveSearches = 10;
-            const parametricPosition = newState.parametricPosition;
-            let bestAlpha = ( parametricPosition + u0 ) / 2.0;
-            let da = Math.abs( ( parametricPosition - u0 ) / 2 );
-            for ( let i = 0; i < numRecursiveSearches; i++ ) {
-              const numSteps = 10;
-              bestAlpha = this.searchSplineForEnergy( newState, bestAlpha - da, bestAlpha + da, e0, numSteps );
-              da = Math.abs( ( ( bestAlpha - da ) - ( bestAlpha + da ) ) / numSteps );
-            }
-
-            const point = newState.track.getPoint( bestAlpha );
-            const correctedState = newState.updateUPosition( bestAlpha, point.x, point.y );
-            debug && debug( 'changed position u: dE=' + ( correctedState.getTotalEnergy() - e0 ) );
-            if ( !Utils.equalsEpsilon( e0, correctedState.getTotalEnergy(), 1E-8 ) ) {
-
-              // amount we could reduce the energy if we deleted all the kinetic energy:
-              if ( Math.abs( correctedState.getKineticEnergy() ) > Math.abs( dE ) ) {
-
-                // TODO: maybe should only do this if all velocity is not converted
-                debug && debug( 'Fixed position some, still need to fix velocity as well.' );
-                const correctedState2 = this.correctEnergyReduceVelocity( skaterState, correctedState );
-                if ( !Utils.equalsEpsilon( e0, correctedState2.getTotalEnergy(), 1E-8 ) ) {
-                  debug && debug( 'Changed position & Velocity and still had energy error' );
-                  debug && debug( 'Energy error[123]' );
-                }
-                return correctedState2;
-              }
-              else {
-
-                // This error seems to occur with friction turned on at the top of a hill, see https://github.com/phetsims/energy-skate-park-basics/issues/127
-                debug && debug( 'Changed position, wanted to change velocity, but didn\'t have enough to fix it..., dE=' + ( newState.getTotalEnergy() - e0 ) );
-                if ( newState.thermalEnergy > skaterState.thermalEnergy ) {
-                  const increasedThermalEnergy = newState.thermalEnergy - skaterState.thermalEnergy;
-                  if ( increasedThermalEnergy > dE ) {
-                    const reducedThermalEnergyState = newState.update( { thermalEnergy: newState.thermalEnergy - dE } );
-                    assert && assert( Math.abs( reducedThermalEnergyState.getTotalEnergy() - e0 ) < 1E-6, 'energy should be corrected' );
-                    debug && debug( 'Corrected energy by reducing thermal overestimate' + dE );
-                    return reducedThermalEnergyState;
-                  }
-                  else {
-
-                    // Take as much thermal energy out as possible
-                    const originalThermalEnergyState = newState.update( { thermalEnergy: skaterState.thermalEnergy } );
-                    const correctedState3 = this.correctEnergyReduceVelocity( skaterState, originalThermalEnergyState );
-                    if ( !Utils.equalsEpsilon( e0, correctedState3.getTotalEnergy(), 1E-8 ) ) {
-                      debug && debug( 'Changed position & Velocity and still had energy error, error[124]' );
-                    }
-                    return correctedState3;
-                  }
-                }
-                return correctedState;
-              }
-            }
-            return correctedState;
-          }
-        }
-        else {
-          if ( !isFinite( newState.getTotalEnergy() ) ) { throw new Error( 'not finite' );}
-          debug && debug( 'Energy too low' );
-          assert && assert( newState.track, 'newState must be still have a track for this energy correction' );
-
-          // increasing the kinetic energy
-          // Choose the exact velocity in the same direction as current velocity to ensure total energy conserved.
-          const vSq = Math.abs( 2 / newState.mass * ( e0 - newState.getPotentialEnergy() - newState.thermalEnergy ) );
-          const v = Math.sqrt( vSq );
-
-          // TODO: What if parametricSpeed ===0?
-          const newVelocity = v * ( newState.parametricSpeed > 0 ? +1 : -1 );
-          const unitParallelVector = newState.track.getUnitParallelVector( newState.parametricPosition );
-          const updatedVelocityX = unitParallelVector.x * newVelocity;
-          const updatedVelocityY = unitParallelVector.y * newVelocity;
-          const fixedState = newState.updateUDVelocity( newVelocity, updatedVelocityX, updatedVelocityY );
-          debug && debug( 'Set velocity to match energy, when energy was low: ' );
-          debug && debug( 'INC changed velocity: dE=' + ( fixedState.getTotalEnergy() - e0 ) );
-          if ( !Utils.equalsEpsilon( e0, fixedState.getTotalEnergy(), 1E-8 ) ) {
-            new Error( 'Energy error[2]' ).printStackTrace();
-          }
-          return fixedState;
-        }
-      }
-    }
-
-    // PERFORMANCE/ALLOCATION
-    getCurvatureDirection( curvature, x2, y2 ) {
-      const v = new Vector2( curvature.x - x2, curvature.y - y2 );
-      return v.x !== 0 || v.y !== 0 ? v.normalized() : v;
-    }
-
-    getCurvatureDirectionX( curvature, x2, y2 ) {
-      const vx = curvature.x - x2;
-      const vy = curvature.y - y2;
-      return vx !== 0 || vy !== 0 ? vx / Math.sqrt( vx * vx + vy * vy ) : vx;
-    }
-
-    getCurvatureDirectionY( curvature, x2, y2 ) {
-      const vx = curvature.x - x2;
-      const vy = curvature.y - y2;
-      return vx !== 0 || vy !== 0 ? vy / Math.sqrt( vx * vx + vy * vy ) : vy;
+    stepModel( dt, skaterState ) {
+      this.physicsEngine.tracks = this.getPhysicalTracks();
+      this.physicsEngine.trackChangePending = this.trackChangePending;
+      return this.physicsEngine.step( dt, skaterState );
     }
 
     /**
-     * Update the skater based on which state.
-     *
-     * @param {number} dt
-     * @param {SkaterState}
-     * @returns {SkaterState}
+     * Return all skaters in the play area to where they were last released, so that they can be raced again from the
+     * same start, see returnSkaterToRelease.
+     * @public
      */
-    stepModel( dt, skaterState ) {
-      return skaterState.dragging ? skaterState : // User is dragging the skater, nothing to update here
-             !skaterState.track && skaterState.positionY <= 0 ? this.stepGround( dt, skaterState ) :
-             !skaterState.track && skaterState.positionY > 0 ? this.stepFreeFall( dt, skaterState, false ) :
-             skaterState.track ? this.stepTrack( dt, skaterState ) :
-             skaterState;
+    returnSkater() {
+      this.getActiveSkaters().forEach( skater => this.returnSkaterToRelease( skater ) );
     }
 
     /**
      * Return to the place he was last released by the user. Also restores the track the skater was on so the initial
      * conditions are the same as the previous release.
+     * @public
      *
-     * @returns {SkaterState}
+     * @param {Skater} skater
      */
-    returnSkater() {
+    returnSkaterToRelease( skater ) {
 
       // if the skater's original track is available, restore her to it, see #143
-      const originalTrackAvailable = _.includes( this.getPhysicalTracks(), this.skater.startingTrackProperty.value );
+      const originalTrackAvailable = _.includes( this.getPhysicalTracks(), skater.startingTrackProperty.value );
       if ( originalTrackAvailable ) {
-        this.skater.trackProperty.value = this.skater.startingTrackProperty.value;
+        skater.trackProperty.value = skater.startingTrackProperty.value;
       }
-      this.skater.returnSkater();
+      skater.returnSkater();
     }
 
 
@@ -1411,7 +873,21 @@ define( require => {
      * Clear thermal energy from the model.
      * @public
      */
-    clearThermal() { this.skater.clearThermal(); }
+    clearThermal() { this.skaters.forEach( skater => skater.clearThermal() ); }
+
+    /**
+     * Make any skater that is on the track fall off, for when the track is removed or replaced.
+     * @public
+     *
+     * @param {Track} track
+     */
+    detachSkatersFromTrack( track ) {
+      this.skaters.forEach( skater => {
+        if ( skater.trackProperty.value === track ) {
+          skater.trackProperty.value = null;
+        }
+      } );
+    }
 
     /**
      * Get all tracks in the model that are marked as physical (they can interact with the Skater in some way).
@@ -1461,16 +937,23 @@ define( require => {
      */
     joinTracks( track ) {
       const connectedPoint = track.getSnapTarget();
-      for ( let i = 0; i < this.getPhysicalTracks().length; i++ ) {
-        var otherTrack = this.getPhysicalTracks()[ i ];
-        if ( otherTrack.containsControlPoint( connectedPoint ) ) {
-          this.joinTrackToTrack( track, otherTrack );
-          break;
-        }
+      const otherTrack = _.find( this.getPhysicalTracks(), otherTrack => otherTrack.containsControlPoint( connectedPoint ) );
+      assert && assert( otherTrack, 'trying to join tracks, but no track is connected' );
+      if ( !otherTrack ) {
+        return;
       }
 
       assert && assert( track.attachable, 'trying to join tracks, but track is not attachable' );
       assert && assert( otherTrack.attachable, 'trying to join tracks, but other track is not attachable' );
+
+      // end the edit even if joining fails, so that the history does not stay in an edit
+      this.editHistory.beginEdit();
+      try {
+        this.joinTrackToTrack( track, otherTrack );
+      }
+      finally {
+        this.editHistory.endEdit();
+      }
     }
 
     /**
@@ -1482,45 +965,48 @@ define( require => {
      * @param {number} controlPointIndex [description]
      */
     deleteControlPoint( track, controlPointIndex ) {
+      this.editHistory.beginEdit();
+      try {
+        track.removeEmitter.emit();
+        this.tracks.remove( track );
+        const trackGroupTandem = this.trackGroupTandem;
+
+        if ( track.controlPoints.length > 2 ) {
+          const controlPointToDelete = track.controlPoints[ controlPointIndex ];
+          const points = _.without( track.controlPoints, controlPointToDelete );
+          controlPointToDelete.dispose();
+          const newTrack = new Track( this, this.tracks, points, track.getParentsOrSelf(), this.availableModelBoundsProperty, merge( {
+            tandem: trackGroupTandem.createNextTandem()
+          }, Track.FULLY_INTERACTIVE_OPTIONS ) );
+          newTrack.physicalProperty.value = true;
+          newTrack.droppedProperty.value = true;
+
+          // smooth out the new track, see #177
+          const smoothingPoint = controlPointIndex >= newTrack.controlPoints.length ? newTrack.controlPoints.length - 1 : controlPointIndex;
+          newTrack.smooth( smoothingPoint );
+
+          // Make sure the new track doesn't go underground after a control point is deleted, see #174
+          newTrack.bumpAboveGround();
+
+          this.tracks.add( newTrack );
+        }
+        else {
 
-      track.removeEmitter.emit();
-      this.tracks.remove( track );
-      const trackGroupTandem = this.trackGroupTandem;
-
-      if ( track.controlPoints.length > 2 ) {
-        const controlPointToDelete = track.controlPoints[ controlPointIndex ];
-        const points = _.without( track.controlPoints, controlPointToDelete );
-        controlPointToDelete.dispose();
-        const newTrack = new Track( this, this.tracks, points, track.getParentsOrSelf(), this.availableModelBoundsProperty, merge( {
-          tandem: trackGroupTandem.createNextTandem()
-        }, Track.FULLY_INTERACTIVE_OPTIONS ) );
-        newTrack.physicalProperty.value = true;
-        newTrack.droppedProperty.value = true;
-
-        // smooth out the new track, see #177
-        const smoothingPoint = controlPointIndex >= newTrack.controlPoints.length ? newTrack.controlPoints.length - 1 : controlPointIndex;
-        newTrack.smooth( smoothingPoint );
-
-        // Make sure the new track doesn't go underground after a control point is deleted, see #174
-        newTrack.bumpAboveGround();
-
-        this.tracks.add( newTrack );
-      }
-      else {
-
-        // the entire track is deleted, so we must dispose the other control points
-        for ( let i = 0; i < track.controlPoints.length; i++ ) {
-          const controlPoint = track.controlPoints[ i ];
-          controlPoint.dispose();
+          // the entire track is deleted, so we must dispose the other control points
+          for ( let i = 0; i < track.controlPoints.length; i++ ) {
+            const controlPoint = track.controlPoints[ i ];
+            controlPoint.dispose();
+          }
         }
-      }
 
-      // Trigger track changed first to update the edit enabled properties
-      this.trackChangedEmitter.emit();
+        // Trigger track changed first to update the edit enabled properties
+        this.trackChangedEmitter.emit();
 
-      // If the skater was on track, then he should fall off
-      if ( this.skater.trackProperty.value === track ) {
-        this.skater.trackProperty.value = null;
+        // If the skater was on track, then he should fall off
+        this.detachSkatersFromTrack( track );
+      }
+      finally {
+        this.editHistory.endEdit();
       }
     }
 
@@ -1534,69 +1020,73 @@ define( require => {
      */
     splitControlPoint( track, controlPointIndex, modelAngle ) {
       assert && assert( track.splittable, 'trying to split a track that is not splittable!' );
-      const controlPointToSplit = track.controlPoints[ controlPointIndex ];
-
-      const trackGroupTandem = this.trackGroupTandem;
+      this.editHistory.beginEdit();
+      try {
+        const controlPointToSplit = track.controlPoints[ controlPointIndex ];
+
+        const trackGroupTandem = this.trackGroupTandem;
+
+        const vector = Vector2.createPolar( 0.5, modelAngle );
+        const newPoint1 = new ControlPoint(
+          track.controlPoints[ controlPointIndex ].sourcePositionProperty.value.x - vector.x,
+          track.controlPoints[ controlPointIndex ].sourcePositionProperty.value.y - vector.y,
+          { tandem: this.controlPointGroupTandem.createNextTandem() }
+        );
+        const newPoint2 = new ControlPoint(
+          track.controlPoints[ controlPointIndex ].sourcePositionProperty.value.x + vector.x,
+          track.controlPoints[ controlPointIndex ].sourcePositionProperty.value.y + vector.y,
+          { tandem: this.controlPointGroupTandem.createNextTandem() }
+        );
+
+        const points1 = track.controlPoints.slice( 0, controlPointIndex );
+        const points2 = track.controlPoints.slice( controlPointIndex + 1, track.controlPoints.length );
+
+        points1.push( newPoint1 );
+        points2.unshift( newPoint2 );
+
+        const newTrack1 = new Track( this, this.tracks, points1, track.getParentsOrSelf(), this.availableModelBoundsProperty, merge( {
+          tandem: trackGroupTandem.createNextTandem()
+        }, Track.FULLY_INTERACTIVE_OPTIONS ) );
+        newTrack1.physicalProperty.value = true;
+        newTrack1.droppedProperty.value = true;
+        const newTrack2 = new Track( this, this.tracks, points2, track.getParentsOrSelf(), this.availableModelBoundsProperty, merge( {
+          tandem: trackGroupTandem.createNextTandem()
+        }, Track.FULLY_INTERACTIVE_OPTIONS ) );
+        newTrack2.physicalProperty.value = true;
+        newTrack2.droppedProperty.value = true;
 
-      const vector = Vector2.createPolar( 0.5, modelAngle );
-      const newPoint1 = new ControlPoint(
-        track.controlPoints[ controlPointIndex ].sourcePositionProperty.value.x - vector.x,
-        track.controlPoints[ controlPointIndex ].sourcePositionProperty.value.y - vector.y,
-        { tandem: this.controlPointGroupTandem.createNextTandem() }
-      );
-      const newPoint2 = new ControlPoint(
-        track.controlPoints[ controlPointIndex ].sourcePositionProperty.value.x + vector.x,
-        track.controlPoints[ controlPointIndex ].sourcePositionProperty.value.y + vector.y,
-        { tandem: this.controlPointGroupTandem.createNextTandem() }
-      );
-
-      const points1 = track.controlPoints.slice( 0, controlPointIndex );
-      const points2 = track.controlPoints.slice( controlPointIndex + 1, track.controlPoints.length );
-
-      points1.push( newPoint1 );
-      points2.unshift( newPoint2 );
-
-      const newTrack1 = new Track( this, this.tracks, points1, track.getParentsOrSelf(), this.availableModelBoundsProperty, merge( {
-        tandem: trackGroupTandem.createNextTandem()
-      }, Track.FULLY_INTERACTIVE_OPTIONS ) );
-      newTrack1.physicalProperty.value = true;
-      newTrack1.droppedProperty.value = true;
-      const newTrack2 = new Track( this, this.tracks, points2, track.getParentsOrSelf(), this.availableModelBoundsProperty, merge( {
-        tandem: trackGroupTandem.createNextTandem()
-      }, Track.FULLY_INTERACTIVE_OPTIONS ) );
-      newTrack2.physicalProperty.value = true;
-      newTrack2.droppedProperty.value = true;
+        track.removeEmitter.emit();
+        this.tracks.remove( track );
+        this.tracks.add( newTrack1 );
+        this.tracks.add( newTrack2 );
 
-      track.removeEmitter.emit();
-      this.tracks.remove( track );
-      this.tracks.add( newTrack1 );
-      this.tracks.add( newTrack2 );
+        // Smooth the new tracks, see #177
+        newTrack1.smooth( controlPointIndex - 1 );
+        newTrack2.smooth( 0 );
 
-      // Smooth the new tracks, see #177
-      newTrack1.smooth( controlPointIndex - 1 );
-      newTrack2.smooth( 0 );
+        // Trigger track changed first to update the edit enabled properties
+        this.trackChangedEmitter.emit();
 
-      // Trigger track changed first to update the edit enabled properties
-      this.trackChangedEmitter.emit();
+        // If the skater was on track, then he should fall off, see #97
+        this.detachSkatersFromTrack( track );
 
-      // If the skater was on track, then he should fall off, see #97
-      if ( this.skater.trackProperty.value === track ) {
-        this.skater.trackProperty.value = null;
-      }
+        // If a control point was split and that makes too many "live" control points total, remove a piece of track from
+        // the toolbox to keep the total number of control points low enough.
+        if ( this.getNumberOfControlPoints() > Constants.MAX_NUMBER_CONTROL_POINTS ) {
+          // find a nonphysical track, then remove it
 
-      // If a control point was split and that makes too many "live" control points total, remove a piece of track from
-      // the toolbox to keep the total number of control points low enough.
-      if ( this.getNumberOfControlPoints() > Constants.MAX_NUMBER_CONTROL_POINTS ) {
-        // find a nonphysical track, then remove it
+          const trackToRemove = this.getNonPhysicalTracks()[ 0 ];
+          trackToRemove.removeEmitter.emit();
+          this.tracks.remove( trackToRemove );
+          trackToRemove.disposeControlPoints();
+        }
 
-        const trackToRemove = this.getNonPhysicalTracks()[ 0 ];
-        trackToRemove.removeEmitter.emit();
-        this.tracks.remove( trackToRemove );
-        trackToRemove.disposeControlPoints();
+        // Dispose the control point itself
+        controlPointToSplit.dispose();
+      }
+      finally {
+        this.editHistory.endEdit();
       }
-
-      // Dispose the control point itself
-      controlPointToSplit.dispose();
     }
 
     /**
@@ -1678,39 +1168,41 @@ define( require => {
 
       // Move skater to new track if he was on the old track, by searching for the best fit point on the new track
       // Note: Energy is not conserved when tracks joined since the user has added or removed energy from the system
-      if ( this.skater.trackProperty.value === a || this.skater.trackProperty.value === b ) {
-
-        const originalDirectionVector = this.skater.trackProperty.value.getUnitParallelVector( this.skater.parametricPositionProperty.value ).times( this.skater.parametricSpeedProperty.value );
-
-        // Keep track of the skater direction so we can toggle the 'up' flag if the track orientation changed
-        const originalNormal = this.skater.upVector;
-        const p = newTrack.getClosestPositionAndParameter( this.skater.positionProperty.value.copy() );
-        this.skater.trackProperty.value = newTrack;
-        this.skater.parametricPositionProperty.value = p.parametricPosition;
-        const x2 = newTrack.getX( p.parametricPosition );
-        const y2 = newTrack.getY( p.parametricPosition );
-        this.skater.positionProperty.value = new Vector2( x2, y2 );
-        this.skater.angleProperty.value = newTrack.getViewAngleAt( p.parametricPosition ) + ( this.skater.onTopSideOfTrackProperty.value ? 0 : Math.PI );
-
-        // Trigger an initial update now so we can get the right up vector, see #150
-        this.skater.updatedEmitter.emit();
-        const newNormal = this.skater.upVector;
-
-        // If the skater flipped upside down because the track directionality is different, toggle his 'up' flag
-        if ( originalNormal.dot( newNormal ) < 0 ) {
-          this.skater.onTopSideOfTrackProperty.value = !this.skater.onTopSideOfTrackProperty.value;
-          this.skater.angleProperty.value = newTrack.getViewAngleAt( p.parametricPosition ) + ( this.skater.onTopSideOfTrackProperty.value ? 0 : Math.PI );
-          this.skater.updatedEmitter.emit();
-        }
+      this.skaters.forEach( skater => {
+        if ( skater.trackProperty.value === a || skater.trackProperty.value === b ) {
+
+          const originalDirectionVector = skater.trackProperty.value.getUnitParallelVector( skater.parametricPositionProperty.value ).times( skater.parametricSpeedProperty.value );
+
+          // Keep track of the skater direction so we can toggle the 'up' flag if the track orientation changed
+          const originalNormal = skater.upVector;
+          const p = newTrack.getClosestPositionAndParameter( skater.positionProperty.value.copy() );
+          skater.trackProperty.value = newTrack;
+          skater.parametricPositionProperty.value = p.parametricPosition;
+          const x2 = newTrack.getX( p.parametricPosition );
+          const y2 = newTrack.getY( p.parametricPosition );
+          skater.positionProperty.value = new Vector2( x2, y2 );
+          skater.angleProperty.value = newTrack.getViewAngleAt( p.parametricPosition ) + ( skater.onTopSideOfTrackProperty.value ? 0 : Math.PI );
+
+          // Trigger an initial update now so we can get the right up vector, see #150
+          skater.updatedEmitter.emit();
+          const newNormal = skater.upVector;
+
+          // If the skater flipped upside down because the track directionality is different, toggle his 'up' flag
+          if ( originalNormal.dot( newNormal ) < 0 ) {
+            skater.onTopSideOfTrackProperty.value = !skater.onTopSideOfTrackProperty.value;
+            skater.angleProperty.value = newTrack.getViewAngleAt( p.parametricPosition ) + ( skater.onTopSideOfTrackProperty.value ? 0 : Math.PI );
+            skater.updatedEmitter.emit();
+          }
 
-        // If the skater changed direction of motion because of the track polarity change, flip the parametric velocity
-        // 'parametricSpeed' value, see #180
-        const newDirectionVector = this.skater.trackProperty.value.getUnitParallelVector( this.skater.parametricPositionProperty.value ).times( this.skater.parametricSpeedProperty.value );
-        debugAttachDetach && debugAttachDetach( newDirectionVector.dot( originalDirectionVector ) );
-        if ( newDirectionVector.dot( originalDirectionVector ) < 0 ) {
-          this.skater.parametricSpeedProperty.value = -this.skater.parametricSpeedProperty.value;
+          // If the skater changed direction of motion because of the track polarity change, flip the parametric velocity
+          // 'parametricSpeed' value, see #180
+          const newDirectionVector = skater.trackProperty.value.getUnitParallelVector( skater.parametricPositionProperty.value ).times( skater.parametricSpeedProperty.value );
+          debugAttachDetach && debugAttachDetach( newDirectionVector.dot( originalDirectionVector ) );
+          if ( newDirectionVector.dot( originalDirectionVector ) < 0 ) {
+            skater.parametricSpeedProperty.value = -skater.parametricSpeedProperty.value;
+          }
         }
-      }
+      } );
 
       // When joining tracks, smooth out the new track, but without moving the point that joined the tracks, see #177 #238
       newTrack.smoothPointOfHighestCurvature( [] );
@@ -1723,9 +1215,11 @@ define( require => {
      * @param {Track} track
      */
     trackModified( track ) {
-      if ( this.pausedProperty.value && this.skater.trackProperty.value === track ) {
-        this.skater.updateEnergy();
-      }
+      this.skaters.forEach( skater => {
+        if ( this.pausedProperty.value && skater.trackProperty.value === track ) {
+          skater.updateEnergy();
+        }
+      } );
 
       // Flag the track as having changed *this frame* so energy doesn't need to be conserved during this frame, see #127
       this.trackChangePending = true;
@@ -1829,5 +1323,17 @@ define( require => {
     return bounds.minX <= x && x <= bounds.maxX && y <= bounds.maxY;
   };
 
+  /**
+   * Helper function to save the position and angle of the skater for interpolation, without allocating.
+   *
+   * @param {{x: number, y: number, angle: number}} point
+   * @param {Skater} skater
+   */
+  const setInterpolationPoint = ( point, skater ) => {
+    point.x = skater.positionProperty.value.x;
+    point.y = skater.positionProperty.value.y;
+    point.angle = skater.angleProperty.value;
+  };
+
   return energySkatePark.register( 'EnergySkateParkModel', EnergySkateParkModel );
 } );
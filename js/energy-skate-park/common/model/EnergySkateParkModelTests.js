@@ -0,0 +1,133 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for EnergySkateParkModel.step, checking that the model advances by fixed time steps whatever the frame
+ * rate, in slow motion, and with the stopwatch.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const LabModel = require( 'ENERGY_SKATE_PARK/energy-skate-park/lab/model/LabModel' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const TrackFile = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/TrackFile' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // constants
+  const FIXED_DT = 1 / 60;
+  const TOLERANCE = 1E-9;
+
+  // a valley with its lowest point about a meter above the ground
+  const VALLEY_TRACK_FILE = {
+    format: 'energy-skate-park-tracks',
+    version: TrackFile.VERSION,
+    screen: 'lab',
+    scene: null,
+    tracks: [ {
+      physical: true,
+      draggable: true,
+      configurable: true,
+      splittable: true,
+      attachable: true,
+      controlPoints: [
+        { x: -4, y: 6, draggable: true, limitBounds: null },
+        { x: 0, y: 1, draggable: true, limitBounds: null },
+        { x: 4, y: 6, draggable: true, limitBounds: null }
+      ]
+    } ]
+  };
+
+  let modelCount = 0;
+
+  /**
+   * @returns {LabModel} - with the skater released above the valley and the stopwatch running
+   */
+  const createModel = () => {
+    const model = new LabModel( Tandem.ROOT.createTandem( 'energySkateParkModelTestsModel' + modelCount++ ) );
+    model.loadTracks( VALLEY_TRACK_FILE );
+    model.skater.positionProperty.value = new Vector2( 1, 6 );
+    model.skater.released( null, 0 );
+    model.stopwatch.isRunningProperty.value = true;
+    return model;
+  };
+
+  /**
+   * @param {EnergySkateParkModel} model
+   * @param {number} dt - in seconds
+   * @param {number} numberOfFrames
+   */
+  const stepFrames = ( model, dt, numberOfFrames ) => {
+    for ( let i = 0; i < numberOfFrames; i++ ) {
+      model.step( dt );
+    }
+  };
+
+  /**
+   * @param {Object} assert
+   * @param {EnergySkateParkModel} model
+   * @param {EnergySkateParkModel} expectedModel
+   * @param {string} message
+   */
+  const assertSameSkater = ( assert, model, expectedModel, message ) => {
+    const skater = model.skater;
+    const expectedSkater = expectedModel.skater;
+    assert.ok( skater.positionProperty.value.equals( expectedSkater.positionProperty.value ) &&
+               skater.velocityProperty.value.equals( expectedSkater.velocityProperty.value ) &&
+               model.tracks.indexOf( skater.trackProperty.value ) ===
+               expectedModel.tracks.indexOf( expectedSkater.trackProperty.value ) &&
+               skater.thermalEnergyProperty.value === expectedSkater.thermalEnergyProperty.value,
+      message );
+  };
+
+  QUnit.module( 'EnergySkateParkModel' );
+
+  QUnit.test( 'frame rate', assert => {
+    const numberOfFrames = 90;
+    const model60 = createModel();
+    const model30 = createModel();
+    stepFrames( model60, 1 / 60, 2 * numberOfFrames );
+    stepFrames( model30, 1 / 30, numberOfFrames );
+
+    assert.ok( !model60.skater.positionProperty.value.equals( new Vector2( 1, 6 ) ), 'the skater moved' );
+    assertSameSkater( assert, model30, model60, 'the skater is in the same state at 30 and 60 frames per second' );
+    assert.ok( Math.abs( model30.stopwatch.timeProperty.value - model60.stopwatch.timeProperty.value ) < TOLERANCE,
+      'the same time has passed at 30 and 60 frames per second' );
+  } );
+
+  QUnit.test( 'slow motion', assert => {
+    const numberOfFrames = 90;
+    const model = createModel();
+    model.isSlowMotionProperty.value = true;
+    stepFrames( model, FIXED_DT, 3 * numberOfFrames );
+
+    // A third of FIXED_DT is not exact, so the model may be one fixed step short of numberOfFrames
+    const numberOfSteps = Math.round( model.stopwatch.timeProperty.value / FIXED_DT );
+    assert.ok( numberOfSteps === numberOfFrames || numberOfSteps === numberOfFrames - 1,
+      'in slow motion, a third of the time passes' );
+
+    const expectedModel = createModel();
+    for ( let i = 0; i < numberOfSteps; i++ ) {
+      expectedModel.stepFrame();
+    }
+    assertSameSkater( assert, model, expectedModel, 'the skater moves as with the same number of fixed steps' );
+  } );
+
+  QUnit.test( 'stopwatch', assert => {
+    const model = createModel();
+    stepFrames( model, 1 / 30, 45 );
+    assert.ok( Math.abs( model.stopwatch.timeProperty.value - 45 / 30 ) < TOLERANCE,
+      'the stopwatch shows the elapsed time' );
+
+    model.pausedProperty.value = true;
+    stepFrames( model, 1 / 30, 45 );
+    assert.ok( Math.abs( model.stopwatch.timeProperty.value - 45 / 30 ) < TOLERANCE,
+      'the stopwatch does not run while the sim is paused' );
+
+    model.pausedProperty.value = false;
+    model.step( 5 );
+    assert.ok( Math.abs( model.stopwatch.timeProperty.value - 45 / 30 - FIXED_DT ) < TOLERANCE,
+      'a long delay between frames is taken as one time step' );
+  } );
+} );
@@ -15,8 +15,13 @@ define( require => {
   const Constants = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/Constants' );
   const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
   const EnergySkateParkModel = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/EnergySkateParkModel' );
+  const EnergySkateParkQueryParameters = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/EnergySkateParkQueryParameters' );
+  const FunctionExpression = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/FunctionExpression' );
   const merge = require( 'PHET_CORE/merge' );
+  const PremadeTracks = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/PremadeTracks' );
+  const Property = require( 'AXON/Property' );
   const Track = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/Track' );
+  const TrackFile = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/TrackFile' );
   const Vector2 = require( 'DOT/Vector2' );
 
   class EnergySkateParkPlaygroundModel extends EnergySkateParkModel {
@@ -45,8 +50,82 @@ define( require => {
       // @private {Vector2} - see options for documentation
       this.initialTracksOffsetVector = options.initialTracksOffsetVector;
 
+      // @public (read-only) {Property.<string|null>} - why the function in the query parameter functionTrack could
+      // not be made into a track, null if there was no problem, so that it can be shown to the user
+      this.functionTrackErrorProperty = new Property( null );
+
       // add all of the possible draggable tracks
       this.addDraggableTracks();
+      this.addFunctionTrack();
+
+      // the track from the query parameters is not an edit that can be undone
+      this.editHistory.clear();
+    }
+
+    /**
+     * If a function is given in the query parameters, add a track that follows it to the play area, see functionTrack.
+     * @private
+     */
+    addFunctionTrack() {
+      const expression = EnergySkateParkQueryParameters.functionTrack;
+      this.functionTrackErrorProperty.value = null;
+      if ( expression !== null ) {
+        const range = EnergySkateParkQueryParameters.functionTrackRange;
+        try {
+          this.setFunctionTrack( expression, range[ 0 ], range[ 1 ] );
+        }
+        catch( e ) {
+          this.functionTrackErrorProperty.value = e.message;
+        }
+      }
+    }
+
+    /**
+     * Add a track that follows a function y = f(x) to the play area, replacing the track of the last function if it
+     * is still there. The track can be moved, but its shape can't be changed. Throws an Error with a message for the
+     * user if the expression is not valid or the function is not defined everywhere in the range, see
+     * FunctionExpression and PremadeTracks.createFunctionControlPoints, in which case the tracks are not changed.
+     * @public
+     *
+     * @param {string} expression - like 2*sin(x)+3
+     * @param {number} minX - in meters
+     * @param {number} maxX - in meters
+     */
+    setFunctionTrack( expression, minX, maxX ) {
+      const controlPoints = PremadeTracks.createFunctionControlPoints( this.controlPointGroupTandem,
+        new FunctionExpression( expression ), minX, maxX );
+
+      this.editHistory.beginEdit();
+      try {
+        if ( this.functionTrack && this.tracks.contains( this.functionTrack ) ) {
+          const oldTrack = this.functionTrack;
+          this.skaters.forEach( skater => {
+            if ( skater.trackProperty.value === oldTrack ) {
+              skater.trackProperty.value = null;
+            }
+          } );
+          oldTrack.disposeControlPoints();
+          this.tracks.remove( oldTrack );
+        }
+
+        const track = new Track( this, this.tracks, controlPoints, null, this.availableModelBoundsProperty, {
+          draggable: true,
+          configurable: false,
+          splittable: false,
+          attachable: false,
+          tandem: this.trackGroupTandem.createNextTandem()
+        } );
+        track.physicalProperty.value = true;
+        track.droppedProperty.value = true;
+        track.leftThePanelProperty.value = true;
+        track.bumpAboveGround();
+        this.tracks.add( track );
+        this.functionTrack = track;
+        this.trackChangedEmitter.emit();
+      }
+      finally {
+        this.editHistory.endEdit();
+      }
     }
 
     /**
@@ -112,9 +191,17 @@ define( require => {
      * @param {number} controlPointIndex
      */
     deleteControlPoint( track, controlPointIndex ) {
-      super.deleteControlPoint( track, controlPointIndex );
-      if ( this.getNumberOfControlPoints() <= Constants.MAX_NUMBER_CONTROL_POINTS - 3 ) {
-        this.addDraggableTrack();
+
+      // the track added to the toolbox is part of the same edit
+      this.editHistory.beginEdit();
+      try {
+        super.deleteControlPoint( track, controlPointIndex );
+        if ( this.getNumberOfControlPoints() <= Constants.MAX_NUMBER_CONTROL_POINTS - 3 ) {
+          this.addDraggableTrack();
+        }
+      }
+      finally {
+        this.editHistory.endEdit();
       }
     }
 
@@ -123,19 +210,58 @@ define( require => {
      * Clear all tracks from the model.
      */
     clearTracks() {
+      this.editHistory.beginEdit();
+      try {
+        this.tracks.forEach( track => {
+          track.disposeControlPoints();
+        } );
+        this.tracks.clear();
+        this.addDraggableTracks();
 
-      this.tracks.forEach( track => {
-        track.disposeControlPoints();
-      } );
-      this.tracks.clear();
-      this.addDraggableTracks();
+        // If the skater was on a track, then he should fall off, see #97
+        this.skaters.forEach( skater => {
+          skater.trackProperty.value = null;
+        } );
+      }
+      finally {
+        this.editHistory.endEdit();
+      }
+    }
 
-      // If the skater was on a track, then he should fall off, see #97
-      if ( this.skater.trackProperty.value ) {
-        this.skater.trackProperty.value = null;
+    /**
+     * Replace the tracks in the play area with the tracks of a track file, see TrackFile.
+     * @public
+     *
+     * @param {Object} trackFile - must be valid, see TrackFile.validate
+     */
+    loadTracks( trackFile ) {
+      this.editHistory.beginEdit();
+      try {
+        this.clearTracks();
+
+        TrackFile.read( this, trackFile ).forEach( track => {
+          this.tracks.add( track );
+          if ( track.physicalProperty.value && this.availableModelBoundsProperty.value.hasNonzeroArea() ) {
+            track.bumpAboveGround();
+          }
+        } );
+        this.trackChangedEmitter.emit();
+      }
+      finally {
+        this.editHistory.endEdit();
       }
     }
 
+    /**
+     * Create a track file for the tracks in the play area, see TrackFile.
+     * @public
+     *
+     * @returns {Object}
+     */
+    saveTracks() {
+      return TrackFile.write( this );
+    }
+
     /**
      * Reset the model.
      * @public
@@ -144,6 +270,10 @@ define( require => {
     reset() {
       super.reset();
       this.clearTracks();
+      this.addFunctionTrack();
+
+      // clearing the tracks is not an edit that can be undone after reset
+      this.editHistory.clear();
     }
   }
 
@@ -21,6 +21,7 @@ define( require => {
   const NumberProperty = require( 'AXON/NumberProperty' );
   const ObservableArray = require( 'AXON/ObservableArray' );
   const SkaterSample = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SkaterSample' );
+  const SkaterSampleExport = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SkaterSampleExport' );
 
   class EnergySkateParkSaveSampleModel extends EnergySkateParkTrackSetModel {
 
@@ -77,6 +78,36 @@ define( require => {
       this.sampleTimeProperty.reset();
     }
 
+    /**
+     * Get the saved SkaterSamples that are not being removed, in order of time.
+     * @protected
+     *
+     * @returns {SkaterSample[]}
+     */
+    getExportedSamples() {
+      return this.skaterSamples.getArray().filter( sample => !sample.removeInitiated );
+    }
+
+    /**
+     * Write the saved SkaterSamples as CSV with units in the header, see SkaterSampleExport.
+     * @public
+     *
+     * @returns {string}
+     */
+    exportSamplesToCSV() {
+      return SkaterSampleExport.toCSV( this.getExportedSamples() );
+    }
+
+    /**
+     * Write the saved SkaterSamples as an object for JSON with units, see SkaterSampleExport.
+     * @public
+     *
+     * @returns {Object}
+     */
+    exportSamplesToJSON() {
+      return SkaterSampleExport.toJSON( this.getExportedSamples() );
+    }
+
     /**
      * Begin to remove all samples, indicating that all existing samples should fade away.
      * @protected
@@ -103,8 +134,8 @@ define( require => {
       if ( this.saveSkaterSamplesProperty.get() ) {
         this.timeSinceSampleSave = this.timeSinceSampleSave + dt;
 
-        if ( !this.preventSampleSave && this.timeSinceSampleSave > this.saveSampleInterval ) {
-          const newSample = new SkaterSample( updatedState, this.sampleTimeProperty.get() );
+        if ( !this.preventSampleSave && this.timeSinceSampleSave > this.saveSampleInterval && this.canSaveSample( updatedState ) ) {
+          const newSample = new SkaterSample( updatedState, this.sampleTimeProperty.get(), this.physicsEngine.getForces( updatedState ) );
 
           // listener that removes sample from list when it it time
           const removalListener = () => {
@@ -140,6 +171,18 @@ define( require => {
       return updatedState;
     }
 
+    /**
+     * Whether a SkaterSample can be saved for the state of the skater. Subtypes can override this to skip states that
+     * can't be presented.
+     * @protected
+     *
+     * @param {SkaterState} skaterState
+     * @returns {boolean}
+     */
+    canSaveSample( skaterState ) {
+      return true;
+    }
+
     /**
      * @public
      * @override
@@ -57,7 +57,7 @@ define( require => {
         track.physicalProperty.value = ( i === scene );
 
         // Reset the skater when the track is changed, see #179
-        this.skater.returnToInitialPosition();
+        this.skaters.forEach( skater => skater.returnToInitialPosition() );
 
         // make sure that the entire track is above ground - points should be, but this makes sure that the
         // entire curve is fully above ground
@@ -67,7 +67,20 @@ define( require => {
       }
 
       // The skater should detach from track when the scene changes.  Code elsewhere also resets the location of the skater.
-      this.skater.trackProperty.value = null;
+      this.skaters.forEach( skater => {
+        skater.trackProperty.value = null;
+      } );
+    }
+
+    /**
+     * The selected scene is also controlled by the user.
+     * @public
+     * @override
+     *
+     * @returns {Object}
+     */
+    getRecordedProperties() {
+      return merge( super.getRecordedProperties(), { scene: this.sceneProperty } );
     }
 
     /**
@@ -0,0 +1,135 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Maps the energy of the skater to the parameters of sound, so that the energy can be heard. There are two continuous
+ * tones, each with its own timbre in EnergySoundGenerator:
+ * - a kinetic tone, whose pitch and volume rise with the share of the total energy that is kinetic
+ * - a potential tone, an octave lower, whose pitch and volume rise with the share that is potential
+ *
+ * As thermal energy grows the share of both shrinks, so the tones fade as energy is lost to friction. A short cue is
+ * also produced when the skater lands on a track or the ground, louder for a harder landing.
+ *
+ * The parameters are computed in the model and emitted, so that the stream of parameters can be checked without
+ * playing any audio, for example
+ *
+ *   const frequencies = [];
+ *   model.energySonification.toneParametersEmitter.addListener( parameters => {
+ *     frequencies.push( parameters.kineticFrequency );
+ *   } );
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const Emitter = require( 'AXON/Emitter' );
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const SkaterImpact = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SkaterImpact' );
+  const Utils = require( 'DOT/Utils' );
+
+  // constants
+  // frequency of each tone when it has none of the energy, in Hz, rising by TONE_OCTAVES when it has all of it
+  const KINETIC_BASE_FREQUENCY = 220;
+  const POTENTIAL_BASE_FREQUENCY = 110;
+  const TONE_OCTAVES = 2;
+
+  // gain of each tone when it has all of the energy, the tones are quiet so they can play continuously
+  const MAX_TONE_GAIN = 0.15;
+
+  // below this total energy (J) there is nothing to hear, and the shares of energy are not meaningful
+  const MIN_TOTAL_ENERGY = 1E-6;
+
+  // frequency (Hz) and duration (s) of the cue for each kind of landing
+  const CUE_FREQUENCIES = {
+    TRACK: 660,
+    GROUND: 110
+  };
+  const CUE_DURATIONS = {
+    TRACK: 0.12,
+    GROUND: 0.2
+  };
+
+  // the cue is loudest for landings at or above this speed, in m/s, and there is no cue below MIN_CUE_SPEED
+  const LOUDEST_CUE_SPEED = 10;
+  const MIN_CUE_SPEED = 0.2;
+  const MAX_CUE_GAIN = 0.5;
+
+  class EnergySonification {
+
+    /**
+     * @param {Skater} skater
+     * @param {Emitter} skaterImpactEmitter - emits the SkaterImpact and its speed when the skater lands on something
+     */
+    constructor( skater, skaterImpactEmitter ) {
+
+      // @public - emits the parameters of the continuous tones every time the skater is updated, see getToneParameters
+      this.toneParametersEmitter = new Emitter( { parameters: [ { valueType: Object } ] } );
+
+      // @public - emits the parameters of a cue when the skater lands on a track or the ground, see getCueParameters
+      this.cueParametersEmitter = new Emitter( { parameters: [ { valueType: Object } ] } );
+
+      skater.updatedEmitter.addListener( () => {
+        this.toneParametersEmitter.emit( EnergySonification.getToneParameters(
+          skater.kineticEnergyProperty.value,
+          skater.potentialEnergyProperty.value,
+          skater.thermalEnergyProperty.value
+        ) );
+      } );
+
+      skaterImpactEmitter.addListener( ( impact, speed ) => {
+        const cueParameters = EnergySonification.getCueParameters( impact, speed );
+        cueParameters && this.cueParametersEmitter.emit( cueParameters );
+      } );
+    }
+
+    /**
+     * Get the parameters of the continuous tones for the energy of the skater. Potential energy below the reference
+     * height is negative, so it is heard as none.
+     * @public
+     *
+     * @param {number} kineticEnergy - in J
+     * @param {number} potentialEnergy - in J
+     * @param {number} thermalEnergy - in J
+     * @returns {{kineticFrequency: number, kineticGain: number, potentialFrequency: number, potentialGain: number}}
+     */
+    static getToneParameters( kineticEnergy, potentialEnergy, thermalEnergy ) {
+      const kinetic = Math.max( kineticEnergy, 0 );
+      const potential = Math.max( potentialEnergy, 0 );
+      const total = kinetic + potential + Math.max( thermalEnergy, 0 );
+
+      const kineticShare = total > MIN_TOTAL_ENERGY ? kinetic / total : 0;
+      const potentialShare = total > MIN_TOTAL_ENERGY ? potential / total : 0;
+
+      return {
+        kineticFrequency: KINETIC_BASE_FREQUENCY * Math.pow( 2, TONE_OCTAVES * kineticShare ),
+        kineticGain: MAX_TONE_GAIN * kineticShare,
+        potentialFrequency: POTENTIAL_BASE_FREQUENCY * Math.pow( 2, TONE_OCTAVES * potentialShare ),
+        potentialGain: MAX_TONE_GAIN * potentialShare
+      };
+    }
+
+    /**
+     * Get the parameters of the cue for a landing, or null if the landing is too soft to be heard.
+     * @public
+     *
+     * @param {SkaterImpact} impact
+     * @param {number} speed - of the skater toward what it hit, in m/s
+     * @returns {{impact: SkaterImpact, frequency: number, gain: number, duration: number}|null}
+     */
+    static getCueParameters( impact, speed ) {
+      assert && assert( SkaterImpact.includes( impact ), 'unknown impact: ' + impact );
+      if ( speed < MIN_CUE_SPEED ) {
+        return null;
+      }
+      return {
+        impact: impact,
+        frequency: CUE_FREQUENCIES[ impact.name ],
+        gain: MAX_CUE_GAIN * Utils.clamp( speed / LOUDEST_CUE_SPEED, 0, 1 ),
+        duration: CUE_DURATIONS[ impact.name ]
+      };
+    }
+  }
+
+  return energySkatePark.register( 'EnergySonification', EnergySonification );
+} );
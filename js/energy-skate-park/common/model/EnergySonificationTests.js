@@ -0,0 +1,166 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for EnergySonification, checking the parameters for energies and landings, and the parameters emitted
+ * while a skater is dropped onto a track and onto the ground.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const EnergySonification = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/EnergySonification' );
+  const LabModel = require( 'ENERGY_SKATE_PARK/energy-skate-park/lab/model/LabModel' );
+  const SkaterImpact = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SkaterImpact' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const TrackFile = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/TrackFile' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // constants
+  const TOLERANCE = 1E-9;
+
+  // a valley with its lowest point about a meter above the ground
+  const VALLEY_TRACK_FILE = {
+    format: 'energy-skate-park-tracks',
+    version: TrackFile.VERSION,
+    screen: 'lab',
+    scene: null,
+    tracks: [ {
+      physical: true,
+      draggable: true,
+      configurable: true,
+      splittable: true,
+      attachable: true,
+      controlPoints: [
+        { x: -4, y: 6, draggable: true, limitBounds: null },
+        { x: 0, y: 1, draggable: true, limitBounds: null },
+        { x: 4, y: 6, draggable: true, limitBounds: null }
+      ]
+    } ]
+  };
+
+  let modelCount = 0;
+  const createModel = () => new LabModel( Tandem.ROOT.createTandem( 'energySonificationTestsModel' + modelCount++ ) );
+
+  /**
+   * Release the skater of the model from rest at a position, and step the model for a number of frames.
+   *
+   * @param {EnergySkateParkModel} model
+   * @param {Vector2} position
+   * @param {number} numberOfFrames
+   * @returns {{tones: Object[], cues: Object[], cueFrames: number[]}} - the emitted parameters, and the number of tones
+   *                                                                    emitted before each cue
+   */
+  const dropSkater = ( model, position, numberOfFrames ) => {
+    model.skater.positionProperty.value = position;
+    model.skater.released( null, 0 );
+
+    const result = { tones: [], cues: [], cueFrames: [] };
+    const sonification = model.energySonification;
+    sonification.toneParametersEmitter.addListener( parameters => result.tones.push( parameters ) );
+    sonification.cueParametersEmitter.addListener( parameters => {
+      result.cues.push( parameters );
+      result.cueFrames.push( result.tones.length );
+    } );
+
+    for ( let i = 0; i < numberOfFrames; i++ ) {
+      model.stepFrame();
+    }
+    return result;
+  };
+
+  QUnit.module( 'EnergySonification' );
+
+  QUnit.test( 'getToneParameters', assert => {
+    const silent = EnergySonification.getToneParameters( 0, 0, 0 );
+    assert.equal( silent.kineticGain, 0, 'no kinetic tone without energy' );
+    assert.equal( silent.potentialGain, 0, 'no potential tone without energy' );
+    assert.ok( silent.potentialFrequency < silent.kineticFrequency, 'the potential tone is lower' );
+
+    const kinetic = EnergySonification.getToneParameters( 100, 0, 0 );
+    assert.ok( Math.abs( kinetic.kineticFrequency - 4 * silent.kineticFrequency ) < TOLERANCE,
+      'all kinetic energy raises the kinetic tone by two octaves' );
+    assert.ok( kinetic.kineticGain > 0, 'the kinetic tone is heard' );
+    assert.equal( kinetic.potentialFrequency, silent.potentialFrequency, 'the potential tone stays at its base' );
+    assert.equal( kinetic.potentialGain, 0, 'the potential tone is not heard' );
+
+    const potential = EnergySonification.getToneParameters( 0, 100, 0 );
+    assert.ok( Math.abs( potential.potentialFrequency - 4 * silent.potentialFrequency ) < TOLERANCE,
+      'all potential energy raises the potential tone by two octaves' );
+    assert.equal( potential.potentialGain, kinetic.kineticGain, 'both tones are equally loud with all of the energy' );
+
+    const half = EnergySonification.getToneParameters( 50, 50, 0 );
+    assert.ok( Math.abs( half.kineticFrequency - 2 * silent.kineticFrequency ) < TOLERANCE,
+      'half of the energy raises the kinetic tone by an octave' );
+    assert.ok( Math.abs( half.kineticGain - kinetic.kineticGain / 2 ) < TOLERANCE, 'half of the energy is half as loud' );
+    assert.deepEqual( EnergySonification.getToneParameters( 5, 5, 0 ), half, 'only the shares of energy are heard' );
+
+    const thermal = EnergySonification.getToneParameters( 50, 50, 100 );
+    assert.ok( Math.abs( thermal.kineticGain - kinetic.kineticGain / 4 ) < TOLERANCE &&
+               Math.abs( thermal.potentialGain - potential.potentialGain / 4 ) < TOLERANCE,
+      'thermal energy makes both tones fade' );
+
+    assert.deepEqual( EnergySonification.getToneParameters( 100, -50, 0 ), kinetic,
+      'potential energy below the reference height is heard as none' );
+  } );
+
+  QUnit.test( 'getCueParameters', assert => {
+    assert.equal( EnergySonification.getCueParameters( SkaterImpact.TRACK, 0.1 ), null, 'soft landings are not heard' );
+
+    const track = EnergySonification.getCueParameters( SkaterImpact.TRACK, 5 );
+    const ground = EnergySonification.getCueParameters( SkaterImpact.GROUND, 5 );
+    assert.equal( track.impact, SkaterImpact.TRACK, 'the cue is for the landing' );
+    assert.ok( track.frequency > ground.frequency, 'landing on a track sounds higher than landing on the ground' );
+    assert.ok( track.duration > 0 && ground.duration > 0, 'cues have a duration' );
+    assert.equal( track.gain, ground.gain, 'the gain only depends on the speed' );
+
+    const fast = EnergySonification.getCueParameters( SkaterImpact.TRACK, 10 );
+    assert.ok( Math.abs( fast.gain - 2 * track.gain ) < TOLERANCE, 'the cue is louder for a faster landing' );
+    assert.equal( EnergySonification.getCueParameters( SkaterImpact.TRACK, 100 ).gain, fast.gain,
+      'the gain is limited for very fast landings' );
+  } );
+
+  QUnit.test( 'dropped onto a track', assert => {
+    const model = createModel();
+    model.loadTracks( VALLEY_TRACK_FILE );
+    const numberOfFrames = 120;
+    const result = dropSkater( model, new Vector2( 1, 6 ), numberOfFrames );
+
+    assert.equal( result.tones.length, numberOfFrames, 'tone parameters are emitted every frame' );
+    assert.ok( result.cues.length > 0, 'a cue is emitted' );
+    assert.equal( result.cues[ 0 ].impact, SkaterImpact.TRACK, 'the skater lands on the track' );
+
+    const landingFrame = result.cueFrames[ 0 ];
+    const fall = result.tones.slice( 0, landingFrame );
+    assert.ok( fall.length > 1, 'the skater falls before landing' );
+    assert.ok( _.every( fall.slice( 1 ), ( parameters, i ) => parameters.kineticGain > fall[ i ].kineticGain &&
+                                                            parameters.potentialGain < fall[ i ].potentialGain ),
+      'while falling the kinetic tone gets louder and the potential tone quieter' );
+
+    const trackCue = EnergySonification.getCueParameters( SkaterImpact.TRACK, 5 );
+    assert.equal( result.cues[ 0 ].frequency, trackCue.frequency, 'the cue sounds like landing on a track' );
+    assert.equal( result.cues[ 0 ].duration, trackCue.duration, 'the cue is as long as for landing on a track' );
+    assert.ok( result.cues[ 0 ].gain > 0, 'the landing is heard' );
+  } );
+
+  QUnit.test( 'dropped onto the ground', assert => {
+    const model = createModel();
+    const height = 5;
+    const numberOfFrames = 120;
+    const result = dropSkater( model, new Vector2( 1, height ), numberOfFrames );
+
+    assert.equal( result.tones.length, numberOfFrames, 'tone parameters are emitted every frame' );
+    assert.equal( result.cues.length, 1, 'one cue for the landing' );
+    assert.equal( result.cues[ 0 ].impact, SkaterImpact.GROUND, 'the skater lands on the ground' );
+
+    const landingSpeed = Math.sqrt( 2 * model.skater.gravityMagnitudeProperty.value * height );
+    const expectedGain = EnergySonification.getCueParameters( SkaterImpact.GROUND, landingSpeed ).gain;
+    assert.ok( Math.abs( result.cues[ 0 ].gain - expectedGain ) < 0.05 * expectedGain,
+      'the cue is as loud as the landing' );
+
+    const lastTone = _.last( result.tones );
+    assert.ok( lastTone.kineticGain < TOLERANCE && lastTone.potentialGain < TOLERANCE,
+      'the tones are silent when the energy has become thermal energy on the ground' );
+  } );
+} );
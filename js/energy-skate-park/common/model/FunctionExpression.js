@@ -0,0 +1,348 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A function y = f(x) written as a math expression by the user, like '2*sin(x)+3', used to create a track that follows
+ * the function, see PremadeTracks.createFunctionControlPoints. The expression is parsed (not evaluated with eval) so
+ * only math is allowed:
+ *
+ * - numbers, the variable x and the constants pi and e
+ * - operators + - * / and ^ (power), and parentheses
+ * - functions sin, cos, tan, asin, acos, atan, sqrt, abs, exp, ln (natural log) and log (base 10)
+ * - multiplication can be implied, as in 2x, 3(x+1), xsin(x) or pix. A run of letters is split into the longest known
+ *   names from the left, so 2xcos(x) is 2*x*cos(x).
+ *
+ * The constructor throws an Error with a translated message for the user if the expression is not valid.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+
+  // strings
+  const functionTrackEmptyExpressionString = require( 'string!ENERGY_SKATE_PARK/functionTrack.emptyExpression' );
+  const functionTrackExpectedParenthesisPatternString = require( 'string!ENERGY_SKATE_PARK/functionTrack.expectedParenthesisPattern' );
+  const functionTrackMissingClosingParenthesisString = require( 'string!ENERGY_SKATE_PARK/functionTrack.missingClosingParenthesis' );
+  const functionTrackUnexpectedCharacterPatternString = require( 'string!ENERGY_SKATE_PARK/functionTrack.unexpectedCharacterPattern' );
+  const functionTrackUnexpectedEndString = require( 'string!ENERGY_SKATE_PARK/functionTrack.unexpectedEnd' );
+  const functionTrackUnexpectedPatternString = require( 'string!ENERGY_SKATE_PARK/functionTrack.unexpectedPattern' );
+  const functionTrackUnknownNamePatternString = require( 'string!ENERGY_SKATE_PARK/functionTrack.unknownNamePattern' );
+
+  // constants
+  const CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E
+  };
+  const FUNCTIONS = {
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    asin: Math.asin,
+    acos: Math.acos,
+    atan: Math.atan,
+    sqrt: Math.sqrt,
+    abs: Math.abs,
+    exp: Math.exp,
+    ln: Math.log,
+    log: Math.log10
+  };
+  const BINARY_OPERATORS = {
+    '+': ( a, b ) => a + b,
+    '-': ( a, b ) => a - b,
+    '*': ( a, b ) => a * b,
+    '/': ( a, b ) => a / b,
+    '^': ( a, b ) => Math.pow( a, b )
+  };
+  const TOKEN_REGEX = /\s*(?:(\d+\.?\d*|\.\d+)|([a-z]+)|(\S))/g;
+
+  // names that can be used in an expression, longest first so that a run of letters is split into the longest names
+  const NAMES = [ 'x' ].concat( Object.keys( CONSTANTS ), Object.keys( FUNCTIONS ) ).sort( ( a, b ) => b.length - a.length );
+
+  class FunctionExpression {
+
+    /**
+     * @param {string} expression
+     */
+    constructor( expression ) {
+
+      // @public (read-only) {string}
+      this.expression = expression;
+
+      // @private {Object[]} - tokens of the expression, each { type: 'number'|'name'|'symbol', value, position }
+      this.tokens = tokenize( expression.toLowerCase() );
+      this.index = 0;
+
+      if ( this.tokens.length === 0 ) {
+        throw new Error( functionTrackEmptyExpressionString );
+      }
+
+      // @private {function(number):number}
+      this.evaluator = this.parseSum();
+
+      if ( this.index < this.tokens.length ) {
+        throw unexpected( this.tokens[ this.index ] );
+      }
+    }
+
+    /**
+     * Evaluate the function.
+     * @public
+     *
+     * @param {number} x
+     * @returns {number} - NaN or infinite where the function is not defined
+     */
+    evaluate( x ) {
+      return this.evaluator( x );
+    }
+
+    /**
+     * sum := product ( ( '+' | '-' ) product )*
+     * @private
+     *
+     * @returns {function(number):number}
+     */
+    parseSum() {
+      let left = this.parseProduct();
+      while ( this.peekSymbol( '+' ) || this.peekSymbol( '-' ) ) {
+        left = binary( this.next().value, left, this.parseProduct() );
+      }
+      return left;
+    }
+
+    /**
+     * product := unary ( ( '*' | '/' )? unary )*, where a missing operator is an implied multiplication
+     * @private
+     *
+     * @returns {function(number):number}
+     */
+    parseProduct() {
+      let left = this.parseUnary();
+      while ( this.peekSymbol( '*' ) || this.peekSymbol( '/' ) || this.peekPrimary() ) {
+        const operator = this.peekPrimary() ? '*' : this.next().value;
+        left = binary( operator, left, this.parseUnary() );
+      }
+      return left;
+    }
+
+    /**
+     * unary := ( '+' | '-' ) unary | power
+     * @private
+     *
+     * @returns {function(number):number}
+     */
+    parseUnary() {
+      if ( this.peekSymbol( '-' ) ) {
+        this.next();
+        const operand = this.parseUnary();
+        return x => -operand( x );
+      }
+      if ( this.peekSymbol( '+' ) ) {
+        this.next();
+        return this.parseUnary();
+      }
+      return this.parsePower();
+    }
+
+    /**
+     * power := primary ( '^' unary )?, so that powers are right associative and -x^2 is -(x^2)
+     * @private
+     *
+     * @returns {function(number):number}
+     */
+    parsePower() {
+      const base = this.parsePrimary();
+      if ( this.peekSymbol( '^' ) ) {
+        this.next();
+        return binary( '^', base, this.parseUnary() );
+      }
+      return base;
+    }
+
+    /**
+     * primary := number | 'x' | constant | function '(' sum ')' | '(' sum ')'
+     * @private
+     *
+     * @returns {function(number):number}
+     */
+    parsePrimary() {
+      const token = this.next();
+      if ( !token ) {
+        throw new Error( functionTrackUnexpectedEndString );
+      }
+
+      if ( token.type === 'number' ) {
+        const value = Number( token.value );
+        return () => value;
+      }
+      if ( token.type === 'name' ) {
+        if ( token.value === 'x' ) {
+          return x => x;
+        }
+        if ( CONSTANTS.hasOwnProperty( token.value ) ) {
+          const value = CONSTANTS[ token.value ];
+          return () => value;
+        }
+        if ( FUNCTIONS.hasOwnProperty( token.value ) ) {
+          const f = FUNCTIONS[ token.value ];
+          if ( !this.peekSymbol( '(' ) ) {
+            throw new Error( StringUtils.fillIn( functionTrackExpectedParenthesisPatternString, { name: token.value } ) );
+          }
+          const argument = this.parseParenthesized();
+          return x => f( argument( x ) );
+        }
+        throw new Error( StringUtils.fillIn( functionTrackUnknownNamePatternString, {
+          name: token.value,
+          position: token.position + 1
+        } ) );
+      }
+      if ( token.value === '(' ) {
+        this.index--;
+        return this.parseParenthesized();
+      }
+      throw unexpected( token );
+    }
+
+    /**
+     * '(' sum ')'
+     * @private
+     *
+     * @returns {function(number):number}
+     */
+    parseParenthesized() {
+      this.next();
+      const inner = this.parseSum();
+      if ( !this.peekSymbol( ')' ) ) {
+        throw new Error( functionTrackMissingClosingParenthesisString );
+      }
+      this.next();
+      return inner;
+    }
+
+    /**
+     * @private
+     *
+     * @param {string} symbol
+     * @returns {boolean} - whether the next token is the symbol
+     */
+    peekSymbol( symbol ) {
+      const token = this.tokens[ this.index ];
+      return !!token && token.type === 'symbol' && token.value === symbol;
+    }
+
+    /**
+     * @private
+     *
+     * @returns {boolean} - whether the next token starts a primary, for implied multiplication. Two numbers in a row
+     *                      are not multiplied since that is more likely a typo.
+     */
+    peekPrimary() {
+      const token = this.tokens[ this.index ];
+      if ( !token || ( token.type === 'number' && this.tokens[ this.index - 1 ].type === 'number' ) ) {
+        return false;
+      }
+      return token.type !== 'symbol' || token.value === '(';
+    }
+
+    /**
+     * @private
+     *
+     * @returns {Object|undefined} - the next token, undefined at the end of the expression
+     */
+    next() {
+      return this.tokens[ this.index++ ];
+    }
+
+    /**
+     * Whether an expression is valid, see the constructor.
+     * @public
+     *
+     * @param {string} expression
+     * @returns {boolean}
+     */
+    static isValidExpression( expression ) {
+      try {
+        return !!new FunctionExpression( expression );
+      }
+      catch( e ) {
+        return false;
+      }
+    }
+  }
+
+  /**
+   * @param {string} expression
+   * @returns {Object[]}
+   */
+  const tokenize = expression => {
+    const tokens = [];
+    TOKEN_REGEX.lastIndex = 0;
+    let match = TOKEN_REGEX.exec( expression );
+    while ( match ) {
+      const position = TOKEN_REGEX.lastIndex - ( match[ 1 ] || match[ 2 ] || match[ 3 ] ).length;
+      if ( match[ 1 ] ) {
+        tokens.push( { type: 'number', value: match[ 1 ], position: position } );
+      }
+      else if ( match[ 2 ] ) {
+        splitNames( match[ 2 ], position ).forEach( token => tokens.push( token ) );
+      }
+      else if ( '+-*/^()'.indexOf( match[ 3 ] ) >= 0 ) {
+        tokens.push( { type: 'symbol', value: match[ 3 ], position: position } );
+      }
+      else {
+        throw new Error( StringUtils.fillIn( functionTrackUnexpectedCharacterPatternString, {
+          character: match[ 3 ],
+          position: position + 1
+        } ) );
+      }
+      match = TOKEN_REGEX.exec( expression );
+    }
+    return tokens;
+  };
+
+  /**
+   * Split a run of letters into the longest known names from the left, for implied multiplication like xsin(x).
+   *
+   * @param {string} letters
+   * @param {number} position - of the first letter in the expression
+   * @returns {Object[]} - name tokens, or one token with all of the letters if they are not all known names, so that
+   *                       the parser reports them as an unknown name
+   */
+  const splitNames = ( letters, position ) => {
+    const tokens = [];
+    let offset = 0;
+    while ( offset < letters.length ) {
+      const name = _.find( NAMES, knownName => letters.startsWith( knownName, offset ) );
+      if ( !name ) {
+        return [ { type: 'name', value: letters, position: position } ];
+      }
+      tokens.push( { type: 'name', value: name, position: position + offset } );
+      offset += name.length;
+    }
+    return tokens;
+  };
+
+  /**
+   * @param {string} operator
+   * @param {function(number):number} left
+   * @param {function(number):number} right
+   * @returns {function(number):number}
+   */
+  const binary = ( operator, left, right ) => {
+    const operation = BINARY_OPERATORS[ operator ];
+    return x => operation( left( x ), right( x ) );
+  };
+
+  /**
+   * @param {Object} token
+   * @returns {Error}
+   */
+  const unexpected = token => new Error( StringUtils.fillIn( functionTrackUnexpectedPatternString, {
+    token: token.value,
+    position: token.position + 1
+  } ) );
+
+  return energySkatePark.register( 'FunctionExpression', FunctionExpression );
+} );
@@ -0,0 +1,120 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for FunctionExpression, checking the math that is supported and the message for each kind of invalid
+ * expression.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const FunctionExpression = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/FunctionExpression' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+
+  // strings
+  const functionTrackEmptyExpressionString = require( 'string!ENERGY_SKATE_PARK/functionTrack.emptyExpression' );
+  const functionTrackExpectedParenthesisPatternString = require( 'string!ENERGY_SKATE_PARK/functionTrack.expectedParenthesisPattern' );
+  const functionTrackMissingClosingParenthesisString = require( 'string!ENERGY_SKATE_PARK/functionTrack.missingClosingParenthesis' );
+  const functionTrackUnexpectedCharacterPatternString = require( 'string!ENERGY_SKATE_PARK/functionTrack.unexpectedCharacterPattern' );
+  const functionTrackUnexpectedEndString = require( 'string!ENERGY_SKATE_PARK/functionTrack.unexpectedEnd' );
+  const functionTrackUnexpectedPatternString = require( 'string!ENERGY_SKATE_PARK/functionTrack.unexpectedPattern' );
+  const functionTrackUnknownNamePatternString = require( 'string!ENERGY_SKATE_PARK/functionTrack.unknownNamePattern' );
+
+  // constants
+  const TOLERANCE = 1E-12;
+
+  /**
+   * @param {Object} assert
+   * @param {string} expression
+   * @param {number} x
+   * @param {number} expected
+   */
+  const assertEvaluates = ( assert, expression, x, expected ) => {
+    const actual = new FunctionExpression( expression ).evaluate( x );
+    assert.ok( Math.abs( actual - expected ) < TOLERANCE, expression + ' at x = ' + x + ' is ' + expected + ', was ' + actual );
+  };
+
+  /**
+   * @param {Object} assert
+   * @param {string} expression
+   * @param {string} message
+   */
+  const assertInvalid = ( assert, expression, message ) => {
+    assert.throws( () => new FunctionExpression( expression ), error => error.message === message,
+      '"' + expression + '" is invalid: ' + message );
+    assert.notOk( FunctionExpression.isValidExpression( expression ), '"' + expression + '" is not a valid expression' );
+  };
+
+  QUnit.module( 'FunctionExpression' );
+
+  QUnit.test( 'precedence', assert => {
+    assertEvaluates( assert, '1+2*3', 0, 7 );
+    assertEvaluates( assert, '(1+2)*3', 0, 9 );
+    assertEvaluates( assert, '8-4-2', 0, 2 );
+    assertEvaluates( assert, '8/4/2', 0, 1 );
+    assertEvaluates( assert, '2*3^2', 0, 18 );
+    assertEvaluates( assert, '2^3^2', 0, 512 );
+    assertEvaluates( assert, '2^-1', 0, 0.5 );
+    assertEvaluates( assert, 'x - 1 / x', 2, 1.5 );
+    assertEvaluates( assert, ' 2 * X + .5 ', 1, 2.5 );
+  } );
+
+  QUnit.test( 'negation', assert => {
+    assertEvaluates( assert, '-x^2', 3, -9 );
+    assertEvaluates( assert, '(-x)^2', 3, 9 );
+    assertEvaluates( assert, '--x', 3, 3 );
+    assertEvaluates( assert, '+x', 3, 3 );
+    assertEvaluates( assert, '2*-x', 3, -6 );
+    assertEvaluates( assert, '1-x^2', 3, -8 );
+  } );
+
+  QUnit.test( 'implied multiplication', assert => {
+    assertEvaluates( assert, '2x', 3, 6 );
+    assertEvaluates( assert, '3(x+1)', 1, 6 );
+    assertEvaluates( assert, '(x+1)(x-1)', 3, 8 );
+    assertEvaluates( assert, '2x^2', 3, 18 );
+    assertEvaluates( assert, 'xsin(x)', 2, 2 * Math.sin( 2 ) );
+    assertEvaluates( assert, '2xcos(x)', 2, 4 * Math.cos( 2 ) );
+    assertEvaluates( assert, 'pix', 2, 2 * Math.PI );
+    assertEvaluates( assert, 'xe', 2, 2 * Math.E );
+    assertEvaluates( assert, 'exp(x)', 2, Math.exp( 2 ) );
+    assertEvaluates( assert, '2 pi', 0, 2 * Math.PI );
+  } );
+
+  QUnit.test( 'functions and constants', assert => {
+    const x = 0.5;
+    assertEvaluates( assert, 'sin(x)', x, Math.sin( x ) );
+    assertEvaluates( assert, 'cos(x)', x, Math.cos( x ) );
+    assertEvaluates( assert, 'tan(x)', x, Math.tan( x ) );
+    assertEvaluates( assert, 'asin(x)', x, Math.asin( x ) );
+    assertEvaluates( assert, 'acos(x)', x, Math.acos( x ) );
+    assertEvaluates( assert, 'atan(x)', x, Math.atan( x ) );
+    assertEvaluates( assert, 'sqrt(x)', x, Math.sqrt( x ) );
+    assertEvaluates( assert, 'abs(-x)', x, x );
+    assertEvaluates( assert, 'exp(x)', x, Math.exp( x ) );
+    assertEvaluates( assert, 'ln(x)', x, Math.log( x ) );
+    assertEvaluates( assert, 'log(100x)', x, Math.log10( 100 * x ) );
+    assertEvaluates( assert, 'pi', x, Math.PI );
+    assertEvaluates( assert, 'e', x, Math.E );
+    assert.ok( isNaN( new FunctionExpression( 'sqrt(x)' ).evaluate( -1 ) ), 'NaN where the function is not defined' );
+  } );
+
+  QUnit.test( 'error messages', assert => {
+    assertInvalid( assert, '', functionTrackEmptyExpressionString );
+    assertInvalid( assert, '   ', functionTrackEmptyExpressionString );
+    assertInvalid( assert, 'x+', functionTrackUnexpectedEndString );
+    assertInvalid( assert, '(x+1', functionTrackMissingClosingParenthesisString );
+    assertInvalid( assert, 'sin x', StringUtils.fillIn( functionTrackExpectedParenthesisPatternString, { name: 'sin' } ) );
+    assertInvalid( assert, 'x + y', StringUtils.fillIn( functionTrackUnknownNamePatternString, { name: 'y', position: 5 } ) );
+    assertInvalid( assert, 'sinh(x)', StringUtils.fillIn( functionTrackUnknownNamePatternString, { name: 'sinh', position: 1 } ) );
+    assertInvalid( assert, 'x $ 2', StringUtils.fillIn( functionTrackUnexpectedCharacterPatternString, {
+      character: '$',
+      position: 3
+    } ) );
+    assertInvalid( assert, 'x)', StringUtils.fillIn( functionTrackUnexpectedPatternString, { token: ')', position: 2 } ) );
+    assertInvalid( assert, '2 3', StringUtils.fillIn( functionTrackUnexpectedPatternString, { token: '3', position: 3 } ) );
+    assertInvalid( assert, '*x', StringUtils.fillIn( functionTrackUnexpectedPatternString, { token: '*', position: 1 } ) );
+  } );
+} );
@@ -0,0 +1,203 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Runs every scenario in DebugTrackScenarios headlessly with SkaterPhysicsEngine and checks invariants of the physics
+ * at every step:
+ * - the skater never passes through a physical track, including when it attaches to or leaves a track
+ * - total energy is conserved (within a tolerance) when there is no friction
+ * - thermal energy never decreases
+ * - the skater never goes below the ground (y=0)
+ *
+ * Each scenario is run without friction (to check energy conservation) and again with its own friction if it has
+ * some. The runs use a fixed time step, so results are deterministic. PhysicsRegressionTests runs every scenario in
+ * the unit tests, and js/scripts/physics-regression.js runs them in Node.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const DebugTrackScenarios = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/DebugTrackScenarios' );
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const merge = require( 'PHET_CORE/merge' );
+  const SkaterPhysicsEngine = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SkaterPhysicsEngine' );
+  const TrackIntegrator = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/TrackIntegrator' );
+  const Utils = require( 'DOT/Utils' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // constants
+  // where the skater starts if a scenario leaves the skater alone, same as the initial position of the Skater
+  const DEFAULT_SKATER_POSITION = new Vector2( 3.5, 0 );
+
+  // tolerance for comparisons that should be exact, to allow for floating point error
+  const EPSILON = 1E-8;
+
+  // parametric distance from the end of a track within which the skater is considered to be going around the end
+  const END_TOLERANCE = 1E-3;
+
+  class PhysicsRegression {
+
+    /**
+     * Run all scenarios and return the results.
+     * @public
+     *
+     * @param {Object} [options] - see runScenario
+     * @returns {Array.<{scenarioIndex: number, friction: number, failures: string[]}>} - scenarioIndex is 1-based,
+     *                                                                                   like testTrackIndex
+     */
+    static run( options ) {
+      const results = [];
+      DebugTrackScenarios.forEach( ( scenario, i ) => {
+        const frictions = scenario.friction ? [ 0, scenario.friction ] : [ 0 ];
+        frictions.forEach( friction => {
+          results.push( {
+            scenarioIndex: i + 1,
+            friction: friction,
+            failures: PhysicsRegression.runScenario( scenario, merge( {}, options, { friction: friction } ) )
+          } );
+        } );
+      } );
+      return results;
+    }
+
+    /**
+     * Run one scenario and return descriptions of every invariant that was violated. Only the first violation of each
+     * invariant is reported.
+     * @public
+     *
+     * @param {Object} scenario - see DebugTrackScenarios
+     * @param {Object} [options]
+     * @returns {string[]} - empty if the scenario passed
+     */
+    static runScenario( scenario, options ) {
+      options = merge( {
+
+        // {number} - coefficient of friction for the run
+        friction: 0,
+
+        // {number} - coefficient of air resistance for the run, in kg/m
+        airResistance: 0,
+
+        // {number} - simulated time to run, in seconds
+        duration: 10,
+
+        // {number} - time step, in seconds, same as EnergySkateParkModel
+        dt: 1 / 60,
+
+        // {number} - allowed change in total energy without friction, as a fraction of the initial total energy
+        energyTolerance: 1E-3,
+
+        // {TrackIntegrator} - see SkaterPhysicsEngine
+        integrator: TrackIntegrator.EULER,
+
+        // {boolean} - see SkaterPhysicsEngine
+        energyCorrection: true
+      }, options );
+
+      const tracks = scenario.tracks.filter( trackDescription => trackDescription.physical )
+        .map( trackDescription => SkaterPhysicsEngine.createTrack( trackDescription.points ) );
+
+      const engine = new SkaterPhysicsEngine( {
+        tracks: tracks,
+        friction: options.friction,
+        airResistance: options.airResistance,
+
+        // the model default is to stick to the track
+        stickingToTrack: scenario.stickingToTrack === null ? true : scenario.stickingToTrack,
+        integrator: options.integrator,
+        energyCorrection: options.energyCorrection
+      } );
+
+      const skaterPosition = scenario.skaterPosition || DEFAULT_SKATER_POSITION;
+      let skaterState = SkaterPhysicsEngine.createSkaterState( {
+        positionX: skaterPosition.x,
+        positionY: skaterPosition.y
+      } );
+
+      const initialEnergy = skaterState.getTotalEnergy();
+      const energyTolerance = options.energyTolerance * Math.max( Math.abs( initialEnergy ), 1 );
+      const failures = {};
+
+      const numberOfSteps = Math.round( options.duration / options.dt );
+      for ( let i = 0; i < numberOfSteps; i++ ) {
+        const time = Utils.toFixed( ( i + 1 ) * options.dt, 2 ) + ' s';
+        const newState = engine.step( options.dt, skaterState );
+
+        if ( !failures.passedThroughTrack ) {
+          for ( let j = 0; j < tracks.length; j++ ) {
+            if ( passesThroughTrack( tracks[ j ], skaterState, newState ) ) {
+              failures.passedThroughTrack = 'passed through a track at ' + time +
+                                            ', (' + newState.positionX + ', ' + newState.positionY + ')';
+              break;
+            }
+          }
+        }
+        if ( !failures.energyNotConserved && options.friction === 0 &&
+             Math.abs( newState.getTotalEnergy() - initialEnergy ) > energyTolerance ) {
+          failures.energyNotConserved = 'total energy changed from ' + initialEnergy + ' J to ' +
+                                        newState.getTotalEnergy() + ' J at ' + time;
+        }
+        if ( !failures.thermalEnergyDecreased && newState.thermalEnergy < skaterState.thermalEnergy - EPSILON ) {
+          failures.thermalEnergyDecreased = 'thermal energy decreased from ' + skaterState.thermalEnergy + ' J to ' +
+                                            newState.thermalEnergy + ' J at ' + time;
+        }
+        if ( !failures.belowGround && newState.positionY < -EPSILON ) {
+          failures.belowGround = 'went below ground to y=' + newState.positionY + ' at ' + time;
+        }
+
+        skaterState = newState;
+      }
+
+      return _.values( failures );
+    }
+  }
+
+  /**
+   * Which side of the track the skater is on, +1 for the side the unit normal vector of the track points to (the
+   * top side, see SkaterState.onTopSideOfTrack) and -1 for the other. A skater on the track is on the side it is
+   * attached to. Also returns whether the closest point of the track is at one of its ends, where the skater can go
+   * around the track instead of through it.
+   *
+   * @param {TrackSpline} track
+   * @param {SkaterState} skaterState
+   * @returns {{side: number, atEnd: boolean}}
+   */
+  const getSideOfTrack = ( track, skaterState ) => {
+    let parametricPosition;
+    let side;
+    if ( skaterState.track === track ) {
+      parametricPosition = skaterState.parametricPosition;
+      side = skaterState.onTopSideOfTrack ? 1 : -1;
+    }
+    else {
+      const closest = track.getClosestPositionAndParameter( skaterState.getPosition() );
+      const normal = track.getUnitNormalVector( closest.parametricPosition );
+      parametricPosition = closest.parametricPosition;
+      side = Math.sign( ( skaterState.positionX - closest.point.x ) * normal.x +
+                        ( skaterState.positionY - closest.point.y ) * normal.y );
+    }
+    return {
+      side: side,
+      atEnd: parametricPosition <= track.minPoint + END_TOLERANCE || parametricPosition >= track.maxPoint - END_TOLERANCE
+    };
+  };
+
+  /**
+   * Returns true if the skater changed sides of the track from one state to the next without going around one of its
+   * ends. This is checked on every step, whether the skater is falling, attaching to, moving along or leaving a track.
+   *
+   * @param {TrackSpline} track
+   * @param {SkaterState} before
+   * @param {SkaterState} after
+   * @returns {boolean}
+   */
+  const passesThroughTrack = ( track, before, after ) => {
+    const sideBefore = getSideOfTrack( track, before );
+    const sideAfter = getSideOfTrack( track, after );
+    return sideBefore.side !== 0 && sideAfter.side !== 0 && sideBefore.side !== sideAfter.side &&
+           !sideBefore.atEnd && !sideAfter.atEnd;
+  };
+
+  return energySkatePark.register( 'PhysicsRegression', PhysicsRegression );
+} );
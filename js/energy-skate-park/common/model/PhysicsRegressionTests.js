@@ -0,0 +1,29 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests that run every scenario in DebugTrackScenarios with PhysicsRegression, one test per scenario. Each
+ * scenario is run without friction and with its own friction if it has some, with the default integrator of the sim.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const DebugTrackScenarios = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/DebugTrackScenarios' );
+  const PhysicsRegression = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/PhysicsRegression' );
+
+  QUnit.module( 'PhysicsRegression' );
+
+  DebugTrackScenarios.forEach( ( scenario, i ) => {
+
+    // 1-based, like the query parameter testTrackIndex
+    QUnit.test( 'debug track ' + ( i + 1 ), assert => {
+      const frictions = scenario.friction ? [ 0, scenario.friction ] : [ 0 ];
+      frictions.forEach( friction => {
+        const failures = PhysicsRegression.runScenario( scenario, { friction: friction } );
+        assert.deepEqual( failures, [], 'friction ' + friction );
+      } );
+    } );
+  } );
+} );
@@ -19,9 +19,15 @@ define( require => {
   const ControlPoint = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/ControlPoint' );
   const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
   const merge = require( 'PHET_CORE/merge' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
   const Track = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/Track' );
+  const Utils = require( 'DOT/Utils' );
   const Vector2 = require( 'DOT/Vector2' );
 
+  // strings
+  const functionTrackInvalidRangeString = require( 'string!ENERGY_SKATE_PARK/functionTrack.invalidRange' );
+  const functionTrackNotDefinedPatternString = require( 'string!ENERGY_SKATE_PARK/functionTrack.notDefinedPattern' );
+
   // constants
   const PARENT_TRACKS = null;
 
@@ -29,6 +35,18 @@ define( require => {
   const END_BOUNDS_WIDTH = 3;
   const END_BOUNDS_HEIGHT = 4;
 
+  // options for sampling a function for a track, see createFunctionControlPoints
+  const FUNCTION_SAMPLING_OPTIONS = {
+
+    // {number} - largest distance (in meters) between the function and a straight line between control points
+    // before more points are added
+    tolerance: 0.1,
+
+    // {number} - number of evenly spaced points the sampling starts with, and most points created
+    minimumNumberOfPoints: 5,
+    maximumNumberOfPoints: 20
+  };
+
   const CREATOR_OPTIONS = {
 
     // {boolean} - premade tracks can have draggable control points, and setting this to true will limit
@@ -78,6 +96,56 @@ define( require => {
     return new Bounds2( point.x - leftSpace, point.y - downSpace, point.x + rightSpace, point.y + upSpace );
   };
 
+  /**
+   * Sample a function at points that follow its shape. The function is sampled evenly, then intervals where the
+   * function is farthest from a straight line between the samples (where it curves most) are split until it is close
+   * everywhere or the maximum number of points is reached. Sampling stops at the first x where the function is not
+   * defined.
+   *
+   * @param {FunctionExpression} expression
+   * @param {number} minX
+   * @param {number} maxX
+   * @param {Object} [options] - see FUNCTION_SAMPLING_OPTIONS
+   * @returns {{points: Vector2[]|null, undefinedX: number|null}} - the points, or the x where the function is not defined
+   */
+  const sampleFunction = ( expression, minX, maxX, options ) => {
+    options = merge( {}, FUNCTION_SAMPLING_OPTIONS, options );
+
+    const points = [];
+    for ( let i = 0; i < options.minimumNumberOfPoints; i++ ) {
+      const x = minX + ( maxX - minX ) * i / ( options.minimumNumberOfPoints - 1 );
+      const y = expression.evaluate( x );
+      if ( !isFinite( y ) ) {
+        return { points: null, undefinedX: x };
+      }
+      points.push( new Vector2( x, y ) );
+    }
+
+    while ( points.length < options.maximumNumberOfPoints ) {
+      let largestError = 0;
+      let worstMidpoint = null;
+      let worstIndex = -1;
+      for ( let i = 0; i < points.length - 1; i++ ) {
+        const midX = ( points[ i ].x + points[ i + 1 ].x ) / 2;
+        const midY = expression.evaluate( midX );
+        if ( !isFinite( midY ) ) {
+          return { points: null, undefinedX: midX };
+        }
+        const error = Math.abs( midY - ( points[ i ].y + points[ i + 1 ].y ) / 2 );
+        if ( error > largestError ) {
+          largestError = error;
+          worstMidpoint = new Vector2( midX, midY );
+          worstIndex = i;
+        }
+      }
+      if ( largestError <= options.tolerance ) {
+        break;
+      }
+      points.splice( worstIndex + 1, 0, worstMidpoint );
+    }
+    return { points: points, undefinedX: null };
+  };
+
   const PremadeTracks = {
 
     /**
@@ -284,6 +352,54 @@ define( require => {
       ];
     },
 
+    /**
+     * Create a set of control points for a track that follows a function y = f(x), sampled more densely where the
+     * function curves more. The control points are not draggable so that the track keeps the shape of the function.
+     * Throws an Error with a message for the user if the range is empty or the function is not defined everywhere in
+     * the range, see isFunctionDefined.
+     *
+     * @param {Tandem} groupTandem
+     * @param {FunctionExpression} expression
+     * @param {number} minX - in meters
+     * @param {number} maxX - in meters
+     * @param {Object} [options] - see FUNCTION_SAMPLING_OPTIONS
+     * @returns {ControlPoint[]}
+     */
+    createFunctionControlPoints: ( groupTandem, expression, minX, maxX, options ) => {
+      if ( !( minX < maxX ) ) {
+        throw new Error( functionTrackInvalidRangeString );
+      }
+
+      const sample = sampleFunction( expression, minX, maxX, options );
+      if ( sample.undefinedX !== null ) {
+        throw new Error( StringUtils.fillIn( functionTrackNotDefinedPatternString, {
+          expression: expression.expression,
+          x: Utils.toFixed( sample.undefinedX, 2 )
+        } ) );
+      }
+
+      return sample.points.map( point => {
+        return new ControlPoint( point.x, point.y, {
+          draggable: false,
+          tandem: groupTandem.createNextTandem(),
+          phetioState: false
+        } );
+      } );
+    },
+
+    /**
+     * Whether a track can follow a function in a range, that is whether createFunctionControlPoints will succeed.
+     *
+     * @param {FunctionExpression} expression
+     * @param {number} minX - in meters
+     * @param {number} maxX - in meters
+     * @param {Object} [options] - see FUNCTION_SAMPLING_OPTIONS
+     * @returns {boolean}
+     */
+    isFunctionDefined: ( expression, minX, maxX, options ) => {
+      return minX < maxX && sampleFunction( expression, minX, maxX, options ).undefinedX === null;
+    },
+
     /**
      * Create a track from the provided control points.
      *
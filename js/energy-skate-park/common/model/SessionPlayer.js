@@ -0,0 +1,140 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Replays a recording made by SessionRecorder against an EnergySkateParkModel. The model is set to the initial state
+ * of the recording, and then every frame of the model applies the changes the user made before that frame in the
+ * session, so that the skaters follow the identical trajectories. Positions of the skaters are compared to the
+ * checkpoints of the recording to detect when the replay diverges from the session, which would indicate that the
+ * model is not deterministic, see divergedEmitter.
+ *
+ * Use EnergySkateParkModel.playRecording to replay in real time, or SessionPlayer.replay to play the full recording
+ * at once.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const Emitter = require( 'AXON/Emitter' );
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const SessionRecorder = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SessionRecorder' );
+  const SessionState = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SessionState' );
+
+  class SessionPlayer {
+
+    /**
+     * @param {EnergySkateParkModel} model
+     * @param {Object} recording - see SessionRecorder
+     */
+    constructor( model, recording ) {
+      assert && assert( recording.version === SessionRecorder.VERSION, 'unsupported recording version: ' + recording.version );
+
+      // @private
+      this.model = model;
+      this.recording = recording;
+
+      // @private {number} - index of the next frame to play, and of the next entries of the recording to use
+      this.frameIndex = 0;
+      this.nextFrameEntry = 0;
+      this.nextCheckpointEntry = 0;
+
+      // @public (read-only) {boolean} - true when all frames of the recording have been played
+      this.finished = recording.numberOfFrames === 0;
+
+      // @public (read-only) {number|null} - index of the first frame where the replay did not match the recording
+      this.divergedFrameIndex = null;
+
+      // @public - emits the index of the first frame where the replay did not match the recording
+      this.divergedEmitter = new Emitter( { parameters: [ { valueType: 'number' } ] } );
+
+      const initialState = recording.initialState;
+      SessionState.setProperties( model, initialState.properties );
+      SessionState.setTracks( model, initialState.tracks );
+      SessionState.setSkaters( model, initialState.skaters );
+    }
+
+    /**
+     * Play the next frame of the recording, called by the model for each of its fixed time steps. Frames from the
+     * "step" button are played along with the next regular frame, so that the replay keeps pace with the session.
+     * @public
+     */
+    step() {
+      while ( !this.finished ) {
+        const frame = this.recording.frames[ this.nextFrameEntry ];
+        const manual = !!frame && frame.index === this.frameIndex && frame.manual === true;
+        if ( frame && frame.index === this.frameIndex ) {
+          this.applyFrame( frame );
+          this.nextFrameEntry++;
+        }
+
+        if ( manual ) {
+          this.model.manualStep();
+        }
+        else {
+          this.model.stepFrame();
+        }
+
+        this.frameIndex++;
+        this.checkFrame();
+        this.finished = this.frameIndex >= this.recording.numberOfFrames;
+
+        if ( !manual ) {
+          break;
+        }
+      }
+    }
+
+    /**
+     * Apply the changes the user made before a frame, in the order that lets the skater states override any changes
+     * to the skaters from setting Properties or tracks.
+     * @private
+     *
+     * @param {Object} frame - see SessionRecorder
+     */
+    applyFrame( frame ) {
+      frame.properties && SessionState.setProperties( this.model, frame.properties );
+      frame.tracks && SessionState.setTracks( this.model, frame.tracks );
+      frame.skaters && SessionState.setSkaters( this.model, frame.skaters );
+      if ( frame.trackChangePending ) {
+        this.model.trackChangePending = true;
+      }
+    }
+
+    /**
+     * Compare the skaters to the checkpoint of the recording for the frame just played, if there is one.
+     * @private
+     */
+    checkFrame() {
+      const checkpoint = this.recording.checkpoints[ this.nextCheckpointEntry ];
+      if ( checkpoint && checkpoint.index === this.frameIndex ) {
+        this.nextCheckpointEntry++;
+
+        const actual = SessionRecorder.createCheckpoint( this.model, this.frameIndex );
+        if ( this.divergedFrameIndex === null && !_.isEqual( actual.positions, checkpoint.positions ) ) {
+          this.divergedFrameIndex = this.frameIndex;
+          this.divergedEmitter.emit( this.divergedFrameIndex );
+        }
+      }
+    }
+
+    /**
+     * Play a full recording on a model at once, without waiting for frames of the sim.
+     * @public
+     *
+     * @param {EnergySkateParkModel} model
+     * @param {Object} recording - see SessionRecorder
+     * @returns {number|null} - index of the first frame where the replay did not match the recording, null if it
+     *                          matched
+     */
+    static replay( model, recording ) {
+      const player = new SessionPlayer( model, recording );
+      while ( !player.finished ) {
+        player.step();
+      }
+      return player.divergedFrameIndex;
+    }
+  }
+
+  return energySkatePark.register( 'SessionPlayer', SessionPlayer );
+} );
@@ -0,0 +1,129 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for SessionRecorder and SessionPlayer, recording a scripted session with the kinds of changes a user
+ * makes and checking that replaying it on a new model follows the recorded trajectory.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const LabModel = require( 'ENERGY_SKATE_PARK/energy-skate-park/lab/model/LabModel' );
+  const SessionPlayer = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SessionPlayer' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const TrackFile = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/TrackFile' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // a valley with its lowest point about a meter above the ground
+  const VALLEY_TRACK_FILE = {
+    format: 'energy-skate-park-tracks',
+    version: TrackFile.VERSION,
+    screen: 'lab',
+    scene: null,
+    tracks: [ {
+      physical: true,
+      draggable: true,
+      configurable: true,
+      splittable: true,
+      attachable: true,
+      controlPoints: [
+        { x: -4, y: 6, draggable: true, limitBounds: null },
+        { x: 0, y: 1, draggable: true, limitBounds: null },
+        { x: 4, y: 6, draggable: true, limitBounds: null }
+      ]
+    } ]
+  };
+
+  let modelCount = 0;
+  const createModel = () => new LabModel( Tandem.ROOT.createTandem( 'sessionPlayerTestsModel' + modelCount++ ) );
+
+  /**
+   * @param {EnergySkateParkModel} model
+   * @param {number} numberOfFrames
+   */
+  const stepFrames = ( model, numberOfFrames ) => {
+    for ( let i = 0; i < numberOfFrames; i++ ) {
+      model.stepFrame();
+    }
+  };
+
+  /**
+   * Record a session that drags and releases the skater, moves a control point of the track while the skater rides
+   * it, changes the friction, and pauses to use the "step" button.
+   *
+   * @param {EnergySkateParkModel} model
+   * @returns {Object} - the recording, see SessionRecorder
+   */
+  const recordScriptedSession = model => {
+    model.loadTracks( VALLEY_TRACK_FILE );
+    model.startRecording();
+    stepFrames( model, 10 );
+
+    // drag the skater above the track and release it
+    const skater = model.skater;
+    skater.draggingProperty.value = true;
+    skater.positionProperty.value = new Vector2( -1, 5 );
+    stepFrames( model, 5 );
+    skater.positionProperty.value = new Vector2( 1, 6 );
+    skater.released( null, 0 );
+    stepFrames( model, 90 );
+
+    // move the bottom of the valley, like ControlPointNode
+    const track = model.tracks.get( 0 );
+    const controlPoint = track.controlPoints[ 1 ];
+    model.editHistory.beginEdit();
+    controlPoint.sourcePositionProperty.value = controlPoint.sourcePositionProperty.value.plusXY( 0.3, -0.5 );
+    track.updateSplines();
+    model.trackModified( track );
+    model.editHistory.endEdit();
+    stepFrames( model, 60 );
+
+    model.frictionProperty.value = model.frictionProperty.value * 2 + 0.01;
+    stepFrames( model, 60 );
+
+    model.pausedProperty.value = true;
+    stepFrames( model, 3 );
+    model.manualStep();
+    model.manualStep();
+    stepFrames( model, 2 );
+    model.manualStep();
+    model.pausedProperty.value = false;
+    stepFrames( model, 60 );
+
+    return model.stopRecording();
+  };
+
+  QUnit.module( 'SessionPlayer' );
+
+  QUnit.test( 'replay a scripted session', assert => {
+    const model = createModel();
+    const recording = recordScriptedSession( model );
+    assert.ok( recording.frames.length > 0, 'the changes are recorded' );
+    assert.ok( _.some( recording.frames, frame => frame.manual ), 'presses of the step button are recorded' );
+
+    const replayModel = createModel();
+    assert.equal( SessionPlayer.replay( replayModel, recording ), null, 'the replay follows the recording' );
+    assert.ok( replayModel.skater.positionProperty.value.equals( model.skater.positionProperty.value ),
+      'the skater ends where it did in the session' );
+    assert.equal( replayModel.frictionProperty.value, model.frictionProperty.value, 'the friction is replayed' );
+    assert.ok( replayModel.tracks.get( 0 ).controlPoints[ 1 ].positionProperty.value.equals(
+      model.tracks.get( 0 ).controlPoints[ 1 ].positionProperty.value ), 'the control point move is replayed' );
+  } );
+
+  QUnit.test( 'divergedEmitter', assert => {
+    const recording = recordScriptedSession( createModel() );
+    const checkpoint = recording.checkpoints[ 1 ];
+    checkpoint.positions[ 0 ][ 0 ] += 1;
+
+    const player = new SessionPlayer( createModel(), recording );
+    const emitted = [];
+    player.divergedEmitter.addListener( frameIndex => emitted.push( frameIndex ) );
+    while ( !player.finished ) {
+      player.step();
+    }
+    assert.deepEqual( emitted, [ checkpoint.index ], 'the first frame that does not match is emitted once' );
+    assert.equal( player.divergedFrameIndex, checkpoint.index, 'the frame is kept by the player' );
+  } );
+} );
@@ -0,0 +1,172 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Records the inputs of a session in an EnergySkateParkModel so that it can be replayed with SessionPlayer, to
+ * reproduce bug reports or play back demonstrations.
+ *
+ * Rather than recording the input events (which are handled in the view), the recorder compares the state of the model
+ * (see SessionState) before every frame to the state that the previous frame left it in. Anything that changed in
+ * between was changed by the user - dragging or releasing a skater, dragging tracks or control points, changing
+ * a control or the number of skaters, pausing, etc. - and is recorded for that frame. Each frame is one fixed time step of the model, so applying
+ * the same changes before the same frames reproduces the session exactly, regardless of the frame rate of the display.
+ *
+ * A recording is a plain object that can be saved as JSON, and looks like
+ * {
+ *   version: {number},
+ *   initialState: { properties, tracks, skaters },
+ *   numberOfFrames: {number},
+ *
+ *   // only frames with changes are included, a manual frame is a press of the "step" button
+ *   frames: [ { index: {number}, manual?: true, properties?, tracks?, skaters?, trackChangePending?: true } ],
+ *
+ *   // positions of all skaters periodically, to check that a replay matches the session
+ *   checkpoints: [ { index: {number}, positions: {number[][]} } ]
+ * }
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const SessionState = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SessionState' );
+
+  // constants
+  // version of the recording format, increment if it changes
+  const VERSION = 5;
+
+  // number of frames between checkpoints of the skater positions
+  const CHECKPOINT_INTERVAL = 60;
+
+  class SessionRecorder {
+
+    /**
+     * @param {EnergySkateParkModel} model
+     */
+    constructor( model ) {
+
+      // @private
+      this.model = model;
+
+      // @private {Object|null} - state of the model when recording started, recorded lazily before the first frame so
+      // that recording can start while the model is still being constructed
+      this.initialState = null;
+
+      // @private {Object[]} - see the recording format in the header
+      this.frames = [];
+      this.checkpoints = [];
+      this.frameIndex = 0;
+
+      // @private {Object|null} - state the last frame left the model in, as JSON strings for comparison
+      this.expectedProperties = null;
+      this.expectedTracks = null;
+      this.expectedSkaters = null;
+    }
+
+    /**
+     * Record the changes since the last frame, called by the model before every frame.
+     * @public
+     *
+     * @param {boolean} manual - whether this frame was requested by the "step" button
+     */
+    beforeFrame( manual ) {
+      const properties = SessionState.getProperties( this.model );
+      const tracks = SessionState.getTracks( this.model );
+      const skaters = SessionState.getSkaters( this.model );
+
+      if ( !this.initialState ) {
+        this.initialState = {
+          properties: properties,
+          tracks: tracks,
+          skaters: skaters
+        };
+      }
+      else {
+        const frame = { index: this.frameIndex };
+        let changed = false;
+
+        const changedProperties = _.pickBy( properties, ( value, name ) => {
+          return JSON.stringify( value ) !== this.expectedProperties[ name ];
+        } );
+        if ( !_.isEmpty( changedProperties ) ) {
+          frame.properties = changedProperties;
+          changed = true;
+        }
+        if ( JSON.stringify( tracks ) !== this.expectedTracks ) {
+          frame.tracks = tracks;
+          changed = true;
+        }
+        if ( JSON.stringify( skaters ) !== this.expectedSkaters ) {
+          frame.skaters = skaters;
+          changed = true;
+        }
+        if ( this.model.trackChangePending ) {
+          frame.trackChangePending = true;
+          changed = true;
+        }
+        if ( manual ) {
+          frame.manual = true;
+          changed = true;
+        }
+        if ( changed ) {
+          this.frames.push( frame );
+        }
+      }
+    }
+
+    /**
+     * Save the state the frame left the model in, called by the model after every frame.
+     * @public
+     */
+    afterFrame() {
+      this.expectedProperties = _.mapValues( SessionState.getProperties( this.model ), value => JSON.stringify( value ) );
+      this.expectedTracks = JSON.stringify( SessionState.getTracks( this.model ) );
+      this.expectedSkaters = JSON.stringify( SessionState.getSkaters( this.model ) );
+
+      this.frameIndex++;
+      if ( this.frameIndex % CHECKPOINT_INTERVAL === 0 ) {
+        this.checkpoints.push( SessionRecorder.createCheckpoint( this.model, this.frameIndex ) );
+      }
+    }
+
+    /**
+     * Get the recording of the session so far.
+     * @public
+     *
+     * @returns {Object|null} - see the recording format in the header, null if no frames were recorded yet
+     */
+    getRecording() {
+      return this.initialState && {
+        version: VERSION,
+        initialState: this.initialState,
+        numberOfFrames: this.frameIndex,
+        frames: this.frames.slice(),
+        checkpoints: this.checkpoints.slice()
+      };
+    }
+
+    /**
+     * Create a checkpoint for the model after a number of frames.
+     * @public
+     *
+     * @param {EnergySkateParkModel} model
+     * @param {number} frameIndex
+     * @returns {{index: number, positions: number[][]}}
+     */
+    static createCheckpoint( model, frameIndex ) {
+      return {
+        index: frameIndex,
+        positions: model.skaters.map( skater => {
+          const position = skater.positionProperty.value;
+          return [ position.x, position.y ];
+        } )
+      };
+    }
+  }
+
+  // @public {number}
+  SessionRecorder.VERSION = VERSION;
+
+  return energySkatePark.register( 'SessionRecorder', SessionRecorder );
+} );
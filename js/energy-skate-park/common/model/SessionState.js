@@ -0,0 +1,293 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Serialization of the parts of an EnergySkateParkModel that the user can change - the Properties controlled by the
+ * user (see EnergySkateParkModel.getRecordedProperties), the tracks and the skaters - as plain objects that can be
+ * saved to JSON. Used by SessionRecorder and SessionPlayer to record and replay a session. Tracks are referenced by
+ * their index in model.tracks.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const Bounds2 = require( 'DOT/Bounds2' );
+  const ControlPoint = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/ControlPoint' );
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const merge = require( 'PHET_CORE/merge' );
+  const Track = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/Track' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  class SessionState {
+
+    /**
+     * Get the values of all Properties of the model controlled by the user.
+     * @public
+     *
+     * @param {EnergySkateParkModel} model
+     * @returns {Object} - map of name to value
+     */
+    static getProperties( model ) {
+      return _.mapValues( model.getRecordedProperties(), property => property.value );
+    }
+
+    /**
+     * Set the values of Properties of the model controlled by the user.
+     * @public
+     *
+     * @param {EnergySkateParkModel} model
+     * @param {Object} values - map of name to value, see getProperties
+     */
+    static setProperties( model, values ) {
+      const properties = model.getRecordedProperties();
+      _.forEach( values, ( value, name ) => {
+        assert && assert( properties[ name ], 'no recorded Property named ' + name );
+        properties[ name ].value = value;
+      } );
+    }
+
+    /**
+     * Get a description of all tracks in the model.
+     * @public
+     *
+     * @param {EnergySkateParkModel} model
+     * @returns {Object[]}
+     */
+    static getTracks( model ) {
+      return model.tracks.getArray().map( track => {
+        return {
+          points: track.controlPoints.map( controlPoint => toArray( controlPoint.positionProperty.value ) ),
+          fixedPoints: _.range( track.controlPoints.length ).filter( i => !track.controlPoints[ i ].draggable ),
+          limitBounds: track.controlPoints.map( controlPoint => controlPoint.limitBounds && toBoundsArray( controlPoint.limitBounds ) ),
+          physical: track.physicalProperty.value,
+          dropped: track.droppedProperty.value,
+          leftThePanel: track.leftThePanelProperty.value,
+          draggable: track.draggable,
+          configurable: track.configurable,
+          splittable: track.splittable,
+          attachable: track.attachable,
+          functionTrack: track === model.functionTrack
+        };
+      } );
+    }
+
+    /**
+     * Set the tracks of the model from a description, see getTracks. If the model has tracks with the same structure
+     * (number of tracks and points, and interactivity), their control points are moved so that the tracks keep their
+     * identity. Otherwise (for instance, when the user joined or split tracks) all tracks are replaced.
+     * @public
+     *
+     * @param {EnergySkateParkModel} model
+     * @param {Object[]} trackDescriptions
+     */
+    static setTracks( model, trackDescriptions ) {
+      const tracks = model.tracks.getArray();
+      const sameStructure = tracks.length === trackDescriptions.length && _.every( tracks, ( track, i ) => {
+        const description = trackDescriptions[ i ];
+        return track.controlPoints.length === description.points.length &&
+               track.draggable === description.draggable &&
+               track.configurable === description.configurable &&
+               track.splittable === description.splittable &&
+               track.attachable === description.attachable;
+      } );
+
+      if ( sameStructure ) {
+        tracks.forEach( ( track, i ) => {
+          const description = trackDescriptions[ i ];
+          track.controlPoints.forEach( ( controlPoint, j ) => {
+            controlPoint.snapTargetProperty.value = null;
+            controlPoint.sourcePositionProperty.value = fromArray( description.points[ j ] );
+          } );
+          track.updateSplines();
+          setTrackFlags( track, description );
+        } );
+      }
+      else {
+
+        // let views of the tracks, like the control point editing UI, know that the tracks are going away
+        tracks.forEach( track => track.removeEmitter.emit() );
+        model.removeAllTracks();
+        trackDescriptions.forEach( description => {
+          const controlPoints = description.points.map( ( point, i ) => {
+            const limitBounds = description.limitBounds[ i ];
+            return new ControlPoint( point[ 0 ], point[ 1 ], {
+              draggable: description.fixedPoints.indexOf( i ) < 0,
+              limitBounds: limitBounds && new Bounds2( limitBounds[ 0 ], limitBounds[ 1 ], limitBounds[ 2 ], limitBounds[ 3 ] ),
+              tandem: model.controlPointGroupTandem.createNextTandem()
+            } );
+          } );
+          const track = new Track( model, model.tracks, controlPoints, null, model.availableModelBoundsProperty, {
+            draggable: description.draggable,
+            configurable: description.configurable,
+            splittable: description.splittable,
+            attachable: description.attachable,
+            tandem: model.trackGroupTandem.createNextTandem()
+          } );
+          setTrackFlags( track, description );
+          model.tracks.add( track );
+        } );
+      }
+
+      // find the track that follows a function again, since the tracks may have been replaced
+      const functionTrackIndex = _.findIndex( trackDescriptions, description => description.functionTrack );
+      model.functionTrack = functionTrackIndex >= 0 ? model.tracks.get( functionTrackIndex ) : null;
+
+      model.trackChangedEmitter.emit();
+    }
+
+    /**
+     * Get a description of each of model.skaters, including the skaters that are not in the play area.
+     * @public
+     *
+     * @param {EnergySkateParkModel} model
+     * @returns {Object[]}
+     */
+    static getSkaters( model ) {
+      return model.skaters.map( skater => merge( {
+        position: toArray( skater.positionProperty.value ),
+        velocity: toArray( skater.velocityProperty.value ),
+        angle: skater.angleProperty.value,
+        onTopSideOfTrack: skater.onTopSideOfTrackProperty.value,
+        track: getTrackIndex( model, skater.trackProperty.value ),
+        parametricPosition: skater.parametricPositionProperty.value,
+        parametricSpeed: skater.parametricSpeedProperty.value,
+        dragging: skater.draggingProperty.value,
+        thermalEnergy: skater.thermalEnergyProperty.value,
+        direction: skater.directionProperty.value
+      }, getSkaterStart( model, skater ) ) );
+    }
+
+    /**
+     * Set the state of each of model.skaters from a description, see getSkaters.
+     * @public
+     *
+     * @param {EnergySkateParkModel} model
+     * @param {Object[]} descriptions
+     */
+    static setSkaters( model, descriptions ) {
+      assert && assert( descriptions.length === model.skaters.length, 'a description is needed for each skater' );
+      model.skaters.forEach( ( skater, i ) => {
+        const description = descriptions[ i ];
+        skater.trackProperty.value = getTrack( model, description.track );
+        skater.positionProperty.value = fromArray( description.position );
+        skater.velocityProperty.value = fromArray( description.velocity );
+        skater.angleProperty.value = description.angle;
+        skater.onTopSideOfTrackProperty.value = description.onTopSideOfTrack;
+        skater.parametricPositionProperty.value = description.parametricPosition;
+        skater.parametricSpeedProperty.value = description.parametricSpeed;
+        skater.draggingProperty.value = description.dragging;
+        skater.thermalEnergyProperty.value = description.thermalEnergy;
+        skater.directionProperty.value = description.direction;
+        setSkaterStart( model, skater, description );
+        skater.updateEnergy();
+        skater.updatedEmitter.emit();
+      } );
+    }
+
+    /**
+     * Get a description of where each of model.skaters starts, which is where the user last released it, see
+     * Skater.released.
+     * @public
+     *
+     * @param {EnergySkateParkModel} model
+     * @returns {Object[]}
+     */
+    static getSkaterStarts( model ) {
+      return model.skaters.map( skater => getSkaterStart( model, skater ) );
+    }
+
+    /**
+     * Set where each of model.skaters starts from a description, see getSkaterStarts. The skaters are not moved.
+     * @public
+     *
+     * @param {EnergySkateParkModel} model
+     * @param {Object[]} descriptions
+     */
+    static setSkaterStarts( model, descriptions ) {
+      assert && assert( descriptions.length === model.skaters.length, 'a description is needed for each skater' );
+      model.skaters.forEach( ( skater, i ) => setSkaterStart( model, skater, descriptions[ i ] ) );
+    }
+  }
+
+  /**
+   * @param {EnergySkateParkModel} model
+   * @param {Skater} skater
+   * @returns {Object}
+   */
+  const getSkaterStart = ( model, skater ) => {
+    return {
+      startingPosition: toArray( skater.startingPositionProperty.value ),
+      startingU: skater.startingUProperty.value,
+      startingUp: skater.startingUpProperty.value,
+      startingTrack: getTrackIndex( model, skater.startingTrackProperty.value ),
+      startingAngle: skater.startingAngle === undefined ? null : skater.startingAngle,
+      startingLaunchVelocity: toArray( skater.startingLaunchVelocity ),
+      startingTrackControlPointSources: skater.startingTrackControlPointSources ?
+                                        skater.startingTrackControlPointSources.map( toArray ) : null
+    };
+  };
+
+  /**
+   * @param {EnergySkateParkModel} model
+   * @param {Skater} skater
+   * @param {Object} description - see getSkaterStart
+   */
+  const setSkaterStart = ( model, skater, description ) => {
+    skater.startingPositionProperty.value = fromArray( description.startingPosition );
+    skater.startingUProperty.value = description.startingU;
+    skater.startingUpProperty.value = description.startingUp;
+    skater.startingTrackProperty.value = getTrack( model, description.startingTrack );
+    skater.startingAngle = description.startingAngle === null ? undefined : description.startingAngle;
+    skater.startingLaunchVelocity = fromArray( description.startingLaunchVelocity );
+    skater.startingTrackControlPointSources = description.startingTrackControlPointSources ?
+                                              description.startingTrackControlPointSources.map( fromArray ) : undefined;
+  };
+
+  /**
+   * @param {Vector2} vector
+   * @returns {number[]}
+   */
+  const toArray = vector => [ vector.x, vector.y ];
+
+  /**
+   * @param {Bounds2} bounds
+   * @returns {number[]}
+   */
+  const toBoundsArray = bounds => [ bounds.minX, bounds.minY, bounds.maxX, bounds.maxY ];
+
+  /**
+   * @param {number[]} array
+   * @returns {Vector2}
+   */
+  const fromArray = array => new Vector2( array[ 0 ], array[ 1 ] );
+
+  /**
+   * @param {EnergySkateParkModel} model
+   * @param {Track|null} track
+   * @returns {number|null} - null if there is no track or the track was removed from the model
+   */
+  const getTrackIndex = ( model, track ) => {
+    const index = track ? model.tracks.getArray().indexOf( track ) : -1;
+    return index >= 0 ? index : null;
+  };
+
+  /**
+   * @param {EnergySkateParkModel} model
+   * @param {number|null} index
+   * @returns {Track|null}
+   */
+  const getTrack = ( model, index ) => index === null ? null : model.tracks.get( index );
+
+  /**
+   * @param {Track} track
+   * @param {Object} description - see SessionState.getTracks
+   */
+  const setTrackFlags = ( track, description ) => {
+    track.physicalProperty.value = description.physical;
+    track.droppedProperty.value = description.dropped;
+    track.leftThePanelProperty.value = description.leftThePanel;
+  };
+
+  return energySkatePark.register( 'SessionState', SessionState );
+} );
@@ -54,7 +54,10 @@ define( require => {
     constructor( tandem, options ) {
       options = merge( {
         defaultMass: Constants.DEFAULT_MASS,
-        massRange: Constants.MASS_RANGE
+        massRange: Constants.MASS_RANGE,
+
+        // {Vector2} - where the skater starts, and returns to on reset
+        initialPosition: new Vector2( 3.5, 0 )
       }, options );
 
       // @private {Range}
@@ -112,7 +115,7 @@ define( require => {
       } );
 
       // @public {Vector2} - the position of the skater
-      this.positionProperty = new Vector2Property( new Vector2( 3.5, 0 ), {
+      this.positionProperty = new Vector2Property( options.initialPosition, {
         tandem: tandem.createTandem( 'positionProperty' )
       } );
 
@@ -140,6 +143,13 @@ define( require => {
         tandem: tandem.createTandem( 'draggingProperty' )
       } );
 
+      // @public {Vector2} - velocity given to the skater when it is released, zero unless the launcher is out of the
+      // toolbox, see EnergySkateParkModel.launcherVisibleProperty
+      this.launchVelocityProperty = new Vector2Property( new Vector2( 0, 0 ), {
+        tandem: tandem.createTandem( 'launchVelocityProperty' ),
+        phetioReadOnly: true
+      } );
+
       // @public {numbere} - Energies are in Joules
       this.kineticEnergyProperty = new NumberProperty( 0, {
         tandem: tandem.createTandem( 'kineticEnergyProperty' ),
@@ -161,6 +171,14 @@ define( require => {
         phetioReadOnly: true
       } );
 
+      // @public {number} - energy stored in the launcher while the skater is held, which becomes kinetic energy when
+      // the skater is released, see launchVelocityProperty
+      this.elasticEnergyProperty = new NumberProperty( 0, {
+        tandem: tandem.createTandem( 'elasticEnergyProperty' ),
+        units: 'joules',
+        phetioReadOnly: true
+      } );
+
       // @public {number}
       this.totalEnergyProperty = new NumberProperty( 0, {
         tandem: tandem.createTandem( 'totalEnergyProperty' ),
@@ -176,7 +194,7 @@ define( require => {
       } );
 
       // @public {Vector2} - Returns to this point when pressing "return skater"
-      this.startingPositionProperty = new Vector2Property( new Vector2( 3.5, 0 ), {
+      this.startingPositionProperty = new Vector2Property( options.initialPosition, {
         tandem: tandem.createTandem( 'startingPositionProperty' )
       } );
 
@@ -194,6 +212,9 @@ define( require => {
       // @public {Track} - Returns to this track when pressing "return skater"
       this.startingTrackProperty = new Property( null );
 
+      // @public {Vector2} - Launched again with this velocity when pressing "return skater", see launch
+      this.startingLaunchVelocity = new Vector2( 0, 0 );
+
       // @public {Vector2} - Position of the skater's head, for positioning the pie chart.
       // TODO: Could this be a derived Property?
       this.headPositionProperty = new Vector2Property( this.getHeadPosition(), {
@@ -208,6 +229,15 @@ define( require => {
       // @public - emits an event when the skater is returned to a previous position
       this.returnedEmitter = new Emitter();
 
+      // @public (read-only) {Vector2} and {number} - where the skater is drawn. Same as positionProperty and
+      // angleProperty, except between fixed steps of the model where the model interpolates them so that the skater
+      // moves smoothly at any frame rate, see EnergySkateParkModel.interpolateSkater. Mutated to avoid allocations.
+      this.displayPosition = this.positionProperty.value.copy();
+      this.displayAngle = this.angleProperty.value;
+
+      // @public - emits an event when displayPosition or displayAngle change
+      this.displayChangedEmitter = new Emitter();
+
       // @public {number}
       this.speedProperty = new DerivedProperty( [ this.velocityProperty ], velocity => {
         return velocity.magnitude;
@@ -254,9 +284,17 @@ define( require => {
 
       this.massProperty.link( () => { this.updateEnergy(); } );
 
+      // the launcher can be changed while the skater is held with the keyboard, and that changes the elastic energy
+      this.launchVelocityProperty.lazyLink( () => {
+        if ( this.draggingProperty.value ) {
+          this.updateEnergy();
+        }
+      } );
+
       this.updateEnergy();
 
       this.updatedEmitter.addListener( () => {
+        this.setDisplayPositionAndAngle( this.positionProperty.value.x, this.positionProperty.value.y, this.angleProperty.value );
         this.updateHeadPosition();
       } );
 
@@ -276,6 +314,30 @@ define( require => {
       } );
     }
 
+    /**
+     * Set where the skater is drawn, see displayPosition.
+     * @public
+     *
+     * @param {number} x
+     * @param {number} y
+     * @param {number} angle
+     */
+    setDisplayPositionAndAngle( x, y, angle ) {
+      this.displayPosition.setXY( x, y );
+      this.displayAngle = angle;
+      this.displayChangedEmitter.emit();
+    }
+
+    /**
+     * Whether the skater is drawn exactly at its position and angle, rather than interpolated.
+     * @public
+     *
+     * @returns {boolean}
+     */
+    isDisplayedAtPosition() {
+      return this.displayPosition.equals( this.positionProperty.value ) && this.displayAngle === this.angleProperty.value;
+    }
+
     // Get the vector from feet to head, so that when tracks are joined we can make sure he is still pointing up
     get upVector() { return this.headPositionProperty.value.minus( this.positionProperty.value ); }
 
@@ -311,12 +373,14 @@ define( require => {
       this.kineticEnergyProperty.reset();
       this.potentialEnergyProperty.reset();
       this.thermalEnergyProperty.reset();
+      this.elasticEnergyProperty.reset();
       this.totalEnergyProperty.reset();
       this.angleProperty.reset();
       this.startingPositionProperty.reset();
       this.startingUProperty.reset();
       this.startingUpProperty.reset();
       this.startingTrackProperty.reset();
+      this.startingLaunchVelocity = new Vector2( 0, 0 );
       this.headPositionProperty.reset();
       this.updateEnergy();
 
@@ -348,12 +412,14 @@ define( require => {
       this.kineticEnergyProperty.reset();
       this.potentialEnergyProperty.reset();
       this.thermalEnergyProperty.reset();
+      this.elasticEnergyProperty.reset();
       this.totalEnergyProperty.reset();
       this.angleProperty.reset();
       this.startingPositionProperty.reset();
       this.startingUProperty.reset();
       this.startingUpProperty.reset();
       this.startingTrackProperty.reset();
+      this.startingLaunchVelocity = new Vector2( 0, 0 );
       this.headPositionProperty.reset();
       this.massProperty.value = mass;
       this.updateEnergy();
@@ -377,7 +443,7 @@ define( require => {
 
     /**
      * Return the skater to the last location it was released by the user (or its starting location), including the
-     * position on a track (if any).
+     * position on a track (if any). If it was launched, it is launched again with the same velocity.
      * @public
      */
     returnSkater() {
@@ -388,14 +454,13 @@ define( require => {
         this.parametricPositionProperty.value = this.startingUProperty.value;
         this.angleProperty.value = this.startingAngle;
         this.onTopSideOfTrackProperty.value = this.startingUpProperty.value;
-        this.parametricSpeedProperty.value = 0;
       }
       else {
         this.trackProperty.value = null;
         this.angleProperty.value = this.startingAngle;
       }
       this.positionProperty.set( this.startingPositionProperty.value.copy() );
-      this.velocityProperty.value = new Vector2( 0, 0 );
+      this.launch( this.startingLaunchVelocity );
       this.clearThermal();
       this.updateEnergy();
       this.updatedEmitter.emit();
@@ -411,18 +476,33 @@ define( require => {
     updateEnergy() {
       this.kineticEnergyProperty.value = 0.5 * this.massProperty.value * this.velocityProperty.value.magnitudeSquared;
       this.potentialEnergyProperty.value = -this.massProperty.value * ( this.positionProperty.value.y - this.referenceHeightProperty.value ) * this.gravityProperty.value;
-      this.totalEnergyProperty.value = this.kineticEnergyProperty.value + this.potentialEnergyProperty.value + this.thermalEnergyProperty.value;
+      this.elasticEnergyProperty.value = this.draggingProperty.value ?
+                                         0.5 * this.massProperty.value * this.launchVelocityProperty.value.magnitudeSquared :
+                                         0;
+      this.totalEnergyProperty.value = this.kineticEnergyProperty.value + this.potentialEnergyProperty.value +
+                                       this.thermalEnergyProperty.value + this.elasticEnergyProperty.value;
 
       // Signal that energies have changed for coarse-grained listeners like PieChartNode that should not get updated
       // 3-4 times per times step
       this.energyChangedEmitter.emit();
     }
 
+    /**
+     * Get the height of the skater from feet to head, which depends on the mass since the image of the skater is
+     * scaled with mass. Note this has been tuned independently of SkaterNode.massToScale, which also accounts for the
+     * image dimensions.
+     * @public
+     *
+     * @returns {number} - in meters
+     */
+    getHeight() {
+      return Utils.linear( this.massRange.min, this.massRange.max, 1.65, 2.4, this.massProperty.value );
+    }
+
     getHeadPosition() {
 
       // Center pie chart over skater's head not his feet so it doesn't look awkward when skating in a parabola
-      // Note this has been tuned independently of SkaterNode.massToScale, which also accounts for the image dimensions
-      const skaterHeight = Utils.linear( this.massRange.min, this.massRange.max, 1.65, 2.4, this.massProperty.value );
+      const skaterHeight = this.getHeight();
 
       const vectorX = skaterHeight * Math.cos( this.angleProperty.value - Math.PI / 2 );
       const vectorY = skaterHeight * Math.sin( this.angleProperty.value - Math.PI / 2 );
@@ -447,19 +527,22 @@ define( require => {
     }
 
     /**
-     * If the skater is released, store the initial conditions for when the skater is returned.
+     * If the skater is released, store the initial conditions for when the skater is returned. The skater is released
+     * from rest, unless the launcher is out, see launchVelocityProperty.
      * @param targetTrack The track to start on (if any)
      * @param targetU The parametric location along the track to start on (if any)
      */
     released( targetTrack, targetU ) {
       this.draggingProperty.value = false;
-      this.velocityProperty.value = new Vector2( 0, 0 );
-      this.parametricSpeedProperty.value = 0;
       this.trackProperty.value = targetTrack;
       this.parametricPositionProperty.value = targetU;
       if ( targetTrack ) {
         this.positionProperty.value = targetTrack.getPoint( this.parametricPositionProperty.value );
       }
+
+      // the energy stored in the launcher (if any) becomes kinetic energy
+      this.startingLaunchVelocity = this.launchVelocityProperty.value.copy();
+      this.launch( this.startingLaunchVelocity );
       this.startingPositionProperty.value = this.positionProperty.value.copy();
       this.startingUProperty.value = targetU;
       this.startingUpProperty.value = this.onTopSideOfTrackProperty.value;
@@ -473,6 +556,28 @@ define( require => {
       this.updateEnergy();
       this.updatedEmitter.emit();
     }
+
+    /**
+     * Set the velocity of the skater for a release from the launcher, at the current position. On a track only motion
+     * along the track is possible, so the skater moves along the track in the direction closest to the launch
+     * direction, with the full launch speed so that no launch energy is lost.
+     * @private
+     *
+     * @param {Vector2} launchVelocity - zero for a release from rest
+     */
+    launch( launchVelocity ) {
+      const track = this.trackProperty.value;
+      if ( track ) {
+        const unitParallelVector = track.getUnitParallelVector( this.parametricPositionProperty.value );
+        const speed = launchVelocity.dot( unitParallelVector ) < 0 ? -launchVelocity.magnitude : launchVelocity.magnitude;
+        this.parametricSpeedProperty.value = speed;
+        this.velocityProperty.value = unitParallelVector.times( speed );
+      }
+      else {
+        this.parametricSpeedProperty.value = 0;
+        this.velocityProperty.value = launchVelocity.copy();
+      }
+    }
   }
 
   return energySkatePark.register( 'Skater', Skater );
@@ -0,0 +1,21 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * What the skater hit while falling, recorded by SkaterPhysicsEngine during a step.
+ *
+ * TRACK - The skater crossed a track and attached to it, see SkaterPhysicsEngine.interactWithTracksWhileFalling.
+ * GROUND - The skater fell to the ground, see SkaterState.strikeGround and SkaterPhysicsEngine.switchToGround.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const Enumeration = require( 'PHET_CORE/Enumeration' );
+
+  const SkaterImpact = Enumeration.byKeys( [ 'TRACK', 'GROUND' ] );
+
+  return energySkatePark.register( 'SkaterImpact', SkaterImpact );
+} );
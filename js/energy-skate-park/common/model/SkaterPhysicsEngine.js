@@ -0,0 +1,1400 @@
+// Copyright 2013-2020, University of Colorado Boulder
+
+/**
+ * The physics of the skater, separated from EnergySkateParkModel so that it has no Properties, Emitters, tandems or
+ * view dependencies. Given a set of tracks (TrackSpline, or Track which wraps one), a friction coefficient and a
+ * SkaterState, step() returns the SkaterState after dt. Mass, gravity and reference height are part of the
+ * SkaterState. EnergySkateParkModel owns one of these and keeps its settings in sync with the Properties of the model,
+ * but an engine can also be created directly to run the same physics outside of the sim, for example
+ *
+ *   const track = SkaterPhysicsEngine.createTrack( [ { x: -4, y: 6 }, { x: 0, y: 0 }, { x: 4, y: 6 } ] );
+ *   const engine = new SkaterPhysicsEngine( { tracks: [ track ], friction: 0.05 } );
+ *   let skaterState = SkaterPhysicsEngine.createSkaterState( { positionX: -3.9, positionY: 7 } );
+ *   for ( let i = 0; i < 600; i++ ) {
+ *     skaterState = engine.step( 1 / 60, skaterState );
+ *   }
+ *
+ * For an analytical model, see http://digitalcommons.calpoly.edu/cgi/viewcontent.cgi?article=1387&context=phy_fac
+ * Computational problems in introductory physics: Lessons from a bead on a wire
+ * Thomas J. Bensky and Matthew J. Moelter
+ *
+ * We experimented with the analytical model, but ran into problems with discontinuous tracks, see #15, so reverted to
+ * using the euclidean model from the original Java version.
+ *
+ * Please note: Many modifications were made to this file to reduce allocations and garbage collections on iPad,
+ * see #50.  The main changes were: Using pooling,
+ * pass by reference, and component-wise math. Unfortunately, these are often compromises in the
+ * readability/maintainability of the code, but they seemed important to attain good performance.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const EnergyLedger = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/EnergyLedger' );
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const merge = require( 'PHET_CORE/merge' );
+  const SkaterImpact = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SkaterImpact' );
+  const SkaterMasses = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/SkaterMasses' );
+  const SkaterState = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SkaterState' );
+  const TrackIntegrator = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/TrackIntegrator' );
+  const TrackSpline = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/TrackSpline' );
+  const Utils = require( 'DOT/Utils' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // constants
+  // Use a separate pooled curvature variable to reduce memory allocations - object values
+  // will be modified as the skater moves
+  const curvatureTemp = { r: 1, x: 0, y: 0 };
+  const curvatureTemp2 = { r: 1, x: 0, y: 0 };
+  const curvatureTemp3 = { r: 1, x: 0, y: 0 };
+
+  // pooled result of integrateAlongTrack, to reduce memory allocations
+  const integrationResult = { parametricPosition: 0, parametricSpeed: 0 };
+
+  // Thrust is not currently implemented in Energy Skate Park but may be used in a future version, so left here
+  const thrust = new Vector2( 0, 0 );
+
+  // default values for a SkaterState created with createSkaterState, a skater at rest on Earth
+  const DEFAULT_SKATER_STATE_VALUES = {
+    positionX: 0,
+    positionY: 0,
+    velocityX: 0,
+    velocityY: 0,
+    gravity: -9.8,
+    referenceHeight: 0,
+    mass: SkaterMasses.STAR_SKATER_MASS,
+    track: null,
+    angle: 0,
+    onTopSideOfTrack: true,
+    parametricPosition: 0,
+    parametricSpeed: 0,
+    dragging: false,
+    thermalEnergy: 0
+  };
+
+  class SkaterPhysicsEngine {
+
+    /**
+     * @param {Object} [options]
+     */
+    constructor( options ) {
+      options = merge( {
+
+        // {Array.<TrackSpline|Track>} - the tracks the skater can interact with
+        tracks: [],
+
+        // {number} - coefficient of friction between the skater and the tracks or ground
+        friction: 0,
+
+        // {number} - coefficient of quadratic air resistance in kg/m, the drag force is -airResistance * |v| * v
+        airResistance: 0,
+
+        // {boolean} - if true, the skater will never fly off of a track
+        stickingToTrack: false,
+
+        // {TrackIntegrator} - numerical integrator for motion along the track
+        integrator: TrackIntegrator.EULER,
+
+        // {boolean} - if false, the heuristic corrections that conserve energy after moving along the track
+        // (see correctEnergy) are skipped, so that the drift of each integrator can be compared
+        energyCorrection: true,
+
+        // {boolean} - print information about physics issues to the console
+        debugLog: false,
+
+        // {boolean} - print information about attaching to and detaching from tracks to the console
+        debugAttachDetach: false
+      }, options );
+
+      // @public - see options
+      this.tracks = options.tracks;
+      this.friction = options.friction;
+      this.airResistance = options.airResistance;
+      this.stickingToTrack = options.stickingToTrack;
+      assert && assert( TrackIntegrator.includes( options.integrator ), 'integrator should be a TrackIntegrator' );
+      this.integrator = options.integrator;
+      this.energyCorrection = options.energyCorrection;
+
+      // @public {boolean} - set to true when a track changed shape during this step, energy is not conserved because
+      // the user is adding energy to the system by moving the track, see #135
+      this.trackChangePending = false;
+
+      // @public (read-only) {EnergyLedger} - where the energy of the skater went during the last call to step()
+      this.ledger = new EnergyLedger();
+
+      // @public (read-only) {SkaterImpact|null} - what the skater hit while falling during the last call to step(),
+      // null if it did not land on anything
+      this.impact = null;
+
+      // @public (read-only) {number} - speed of the skater toward the track or ground that it hit, in m/s, 0 if there
+      // was no impact during the last call to step()
+      this.impactSpeed = 0;
+
+      // @private {function|null} - loggers for physics issues, null unless requested
+      this.debug = options.debugLog ? function() {
+        console.log.apply( console, arguments );
+      } : null;
+      this.debugAttachDetach = options.debugAttachDetach ? function() {
+        console.log.apply( console, arguments );
+      } : null;
+    }
+
+    /**
+     * The skater moves along the ground with the same coefficient of fraction as the tracks, see #11. Returns a
+     * SkaterState that is applied to this.skater.
+     *
+     * @param {number} dt
+     * @param {SkaterState} skaterState
+     *
+     * @returns {SkaterState}
+     */
+    stepGround( dt, skaterState ) {
+      const x0 = skaterState.positionX;
+      const frictionMagnitude = ( this.friction === 0 || skaterState.getSpeed() < 1E-2 ) ? 0 :
+                                this.friction * skaterState.mass * skaterState.gravity;
+      const acceleration = Math.abs( frictionMagnitude ) * ( skaterState.velocityX > 0 ? -1 : 1 ) / skaterState.mass;
+
+      let v1 = skaterState.velocityX + acceleration * dt;
+
+      // Exponentially decay the velocity if already nearly zero, see #138
+      if ( this.friction !== 0 && skaterState.getSpeed() < 1E-2 ) {
+        v1 = v1 / 2;
+      }
+      const x1 = x0 + v1 * dt;
+      this.ledger.frictionWork -= Math.abs( frictionMagnitude * ( x1 - x0 ) );
+      const newPosition = new Vector2( x1, 0 );
+      const originalEnergy = skaterState.getTotalEnergy();
+
+      const updated = skaterState.updatePositionAngleUpVelocity( newPosition.x, newPosition.y, 0, true, v1, 0 );
+
+      const newEnergy = updated.getTotalEnergy();
+      const newKineticEnergy = updated.getKineticEnergy();
+
+
+      // Correct the energy so that total energy does not change after this update. If the energy has gone down
+      // (energyDiference positive), we can add energyDifference to thermal energy without much consequence.
+      // But if energy increased, we may end up with negative thermal energy if we remove the excess from
+      // thermal energy, so we attempt to take it out of kinetic energy instead.
+      // See https://github.com/phetsims/energy-skate-park/issues/45
+      const energyDifference = ( originalEnergy - newEnergy );
+      const absEnergyDifference = Math.abs( energyDifference );
+      if ( energyDifference < 0 && newKineticEnergy > absEnergyDifference ) {
+        const currentSpeed = Math.abs( v1 );
+
+        // since KE = 1/2 * m * v^2
+        const speedInExcessEnergy = Math.sqrt( 2 * Math.abs( absEnergyDifference ) / updated.mass );
+        const newSpeed = currentSpeed - speedInExcessEnergy;
+        assert && assert( newSpeed >= 0, 'tried to remove too much energy from kineticEnergy, correct another way' );
+
+        // restore direction to velocity
+        const correctedV = v1 >= 0 ? newSpeed : -newSpeed;
+        return skaterState.updatePositionAngleUpVelocity( newPosition.x, newPosition.y, 0, true, correctedV, 0 );
+      }
+      else {
+        const newThermalEnergy = updated.thermalEnergy + energyDifference;
+        assert && assert( newThermalEnergy >= 0, 'thermal energy should not be negative, correct energy another way' );
+        return updated.updateThermalEnergy( newThermalEnergy );
+      }
+    }
+
+    /**
+     * Transition the skater to the ground. New speed for the skater will keep x component of proposed velocity, and
+     * energies are then updated accordingly. Returns a new SkaterState to modify this.skater.
+     *
+     * No bouncing on the ground, but the code is very similar to attachment part of interactWithTracksWileFalling.
+     *
+     * @param {SkaterState} skaterState
+     * @param {number} initialEnergy - energy prior to transitioning to ground
+     * @param {Vector2} proposedPosition
+     * @param {Vector2} proposedVelocity
+     * @param {number} dt
+     *
+     * @returns {SkaterState}
+     */
+    switchToGround( skaterState, initialEnergy, proposedPosition, proposedVelocity, dt ) {
+      const segment = new Vector2( 1, 0 );
+
+      let newSpeed = segment.dot( proposedVelocity );
+
+      // Make sure energy perfectly conserved when falling to the ground.
+      const newKineticEnergy = 0.5 * newSpeed * newSpeed * skaterState.mass;
+      const newPotentialEnergy = ( -1 ) * skaterState.mass * skaterState.gravity * ( 0 - skaterState.referenceHeight );
+
+      // TODO: This is likely related to issue identified in #45
+      let newThermalEnergy = initialEnergy - newKineticEnergy - newPotentialEnergy;
+
+      if ( newThermalEnergy < 0 ) {
+        const correctedState = this.correctThermalEnergy( skaterState, segment, proposedPosition );
+
+        newSpeed = correctedState.getSpeed();
+        newThermalEnergy = correctedState.thermalEnergy;
+      }
+
+      // Supply information about a very rare problem that occurs when thermal energy goes negative,
+      // see https://github.com/phetsims/energy-skate-park/issues/45
+      assert && assert( newThermalEnergy >= 0,
+        'Thermal energy should be non-negative: ' +
+        'skaterState: ' + skaterState + ', ' +
+        'oldPotentialEnergy:' + skaterState.getPotentialEnergy() + ', ' +
+        'skaterPositionY:' + skaterState.positionY + ', ' +
+        'initialEnergy: ' + initialEnergy + ', ' +
+        'proposedPosition: ' + proposedPosition + ', ' +
+        'proposedVelocity: ' + proposedVelocity + ', ' +
+        'dt: ' + dt + ', ' +
+        'newSpeed: ' + newSpeed + ', ' +
+        'newKineticEnergy: ' + newKineticEnergy + ', ' +
+        'newPotentialEnergy: ' + newPotentialEnergy + ', ' +
+        'newThermalEnergy: ' + newThermalEnergy + ', ' +
+        'referenceHeight: ' + skaterState.referenceHeight + ', tracked in https://github.com/phetsims/energy-skate-park/issues/45' );
+
+      if ( !isFinite( newThermalEnergy ) ) { throw new Error( 'not finite' ); }
+      this.ledger.normalWork -= newThermalEnergy - skaterState.thermalEnergy;
+      return skaterState.switchToGround( newThermalEnergy, newSpeed, 0, proposedPosition.x, proposedPosition.y );
+    }
+
+    /**
+     * Only use this correction when something has gone wrong with the thermal energy calculation. For example, thermal
+     * energy has gone negative. Attempts to correct by using previous thermal energy and compensate modifying
+     * kinetic energy. If this results in negative kinetic energy, we have to accept a change to total energy, but
+     * we make sure that it is within an acceptable amount.
+     *
+     * @param {SkaterState} skaterState
+     * @param {Vector2} segment
+     * @returns {SkaterState}
+     */
+    correctThermalEnergy( skaterState, segment, proposedPosition ) {
+      const initialEnergy = skaterState.getTotalEnergy();
+      const newPotentialEnergy = ( -1 ) * skaterState.mass * skaterState.gravity * ( proposedPosition.y - skaterState.referenceHeight );
+      const newThermalEnergy = skaterState.thermalEnergy;
+      let newKineticEnergy = initialEnergy - newPotentialEnergy - newThermalEnergy;
+
+      // if newPotentialEnergy ~= but slightly larger than initialEnergy (since the skater may have been bumped
+      // up to the track after crossing) we must accept the increase in total energy, but it should be small
+      // enough that the user does not notice it, see https://github.com/phetsims/energy-skate-park/issues/44
+      if ( newKineticEnergy < 0 ) {
+        newKineticEnergy = 0;
+      }
+
+      // ke = 1/2 m v v
+      const newSpeed = Math.sqrt( 2 * newKineticEnergy / skaterState.mass );
+      const newVelocity = segment.times( newSpeed );
+
+      let correctedState = skaterState.updateThermalEnergy( newThermalEnergy );
+      correctedState = correctedState.updatePosition( proposedPosition.x, proposedPosition.y );
+      correctedState = correctedState.updateUDVelocity( correctedState.parametricSpeed, newVelocity.x, newVelocity.y );
+
+      assert && assert( Utils.equalsEpsilon( correctedState.getTotalEnergy(), skaterState.getTotalEnergy(), 1E-8 ), 'substantial total energy change after corrections' );
+
+      return correctedState;
+    }
+
+    /**
+     * Update the skater in free fall
+     * @param {number} dt the time that passed, in seconds
+     * @param {SkaterState} skaterState the original state of the skater
+     * @param {boolean} justLeft true if the skater just fell off or launched off the track: in this case it should not
+     * interact with the track.
+     * @returns {SkaterState} the new state
+     */
+    stepFreeFall( dt, skaterState, justLeft ) {
+      const initialEnergy = skaterState.getTotalEnergy();
+
+      const acceleration = new Vector2( 0, skaterState.gravity );
+      const proposedVelocity = skaterState.getVelocity().plus( acceleration.times( dt ) );
+      const position = skaterState.getPosition();
+      const proposedPosition = position.plus( proposedVelocity.times( dt ) );
+
+      // only do the work to check for interactions if there is some proposed change to position
+      if ( position.x !== proposedPosition.x || position.y !== proposedPosition.y ) {
+
+        // see if it crossed the track
+        const physicalTracks = this.tracks;
+
+        // Don't interact with the track if the skater just left the track in this same frame, see #142
+        if ( physicalTracks.length && !justLeft ) {
+
+          // at high freefall velocity the skater may cross a track AND the proposedPosition may be below ground in the
+          // same step - in this case prefer switching to track (because tracks are above ground) by only switching to
+          // ground if interactWithTracksWhileFalling produces a `null` track, see #159
+          const normalWork = this.ledger.normalWork;
+          const newSkaterState = this.interactWithTracksWhileFalling( physicalTracks, skaterState, proposedPosition, initialEnergy, dt, proposedVelocity );
+          if ( proposedPosition.y < 0 && newSkaterState.track === null ) {
+            proposedPosition.y = 0;
+
+            // newSkaterState is discarded, so discard anything it recorded in the ledger too
+            this.ledger.normalWork = normalWork;
+            this.recordImpact( SkaterImpact.GROUND, Math.abs( proposedVelocity.y ) );
+            return this.switchToGround( skaterState, initialEnergy, proposedPosition, proposedVelocity, dt );
+          }
+          else {
+            return newSkaterState;
+          }
+        }
+        else {
+          return this.continueFreeFall( skaterState, initialEnergy, proposedPosition, proposedVelocity, dt );
+        }
+      }
+      else {
+        return skaterState;
+      }
+    }
+
+    // Find the closest track to the skater, to see what he can bounce off of or attach to, and return the closest point
+    // on that track took.
+    /**
+     * Find the closest track to the skater, to see what he can bounce off or attach to, and return the closest point
+     * that the track took.
+     * @public
+     *
+     * @param {Vector2} position
+     * @param {[].Track} physicalTracks
+     *
+     * @returns {Object|null} - collection of { track: {Track}, parametricPosition: {Vector2}, point: {Vector2} }, or null
+     */
+    getClosestTrackAndPositionAndParameter( position, physicalTracks ) {
+      let closestTrack = null;
+      let closestMatch = null;
+      let closestDistance = Number.POSITIVE_INFINITY;
+      for ( let i = 0; i < physicalTracks.length; i++ ) {
+        const track = physicalTracks[ i ];
+
+        // PERFORMANCE/ALLOCATION maybe get closest point shouldn't return a new object allocation each time, or use
+        // pooling for it, or pass in reference as an arg?
+        const bestMatch = track.getClosestPositionAndParameter( position );
+        if ( bestMatch.distance < closestDistance ) {
+          closestDistance = bestMatch.distance;
+          closestTrack = track;
+          closestMatch = bestMatch;
+        }
+      }
+      if ( closestTrack ) {
+        return { track: closestTrack, parametricPosition: closestMatch.parametricPosition, point: closestMatch.point };
+      }
+      else {
+        return null;
+      }
+    }
+
+    /**
+     * Check to see if the points crossed the track.
+     *
+     * @param {Object} closestTrackAndPositionAndParameter - the object returned by getClosestTrackAndPositionAndParameter()
+     * @param {[].Tracks} physicalTracks - all tracks that the skater can physically interact with
+     * @param {number} beforeX
+     * @param {number} beforeY
+     * @param {number} afterX
+     * @param {number} afterY
+     *
+     * @returns {boolean}
+     */
+    crossedTrack( closestTrackAndPositionAndParameter, physicalTracks, beforeX, beforeY, afterX, afterY ) {
+      const track = closestTrackAndPositionAndParameter.track;
+      const parametricPosition = closestTrackAndPositionAndParameter.parametricPosition;
+      const trackPoint = closestTrackAndPositionAndParameter.point;
+
+      if ( !track.isParameterInBounds( parametricPosition ) ) {
+        return false;
+      }
+      else {
+
+        // Linearize the spline, and check to see if the skater crossed by performing a line segment intersection between
+        // the skater's trajectory segment and the linearized track segment.
+        // Note, this has an error for cusps, see #212
+        const unitParallelVector = track.getUnitParallelVector( parametricPosition );
+        const a = trackPoint.plus( unitParallelVector.times( 100 ) );
+        const b = trackPoint.plus( unitParallelVector.times( -100 ) );
+        const intersection = Utils.lineSegmentIntersection( a.x, a.y, b.x, b.y, beforeX, beforeY, afterX, afterY );
+        return intersection !== null;
+      }
+    }
+
+    /**
+     * Check to see if skater should hit or attach to  track during free fall. Returns a new SkaterState for this.skater
+     *
+     * @param {[].Track]} physicalTracks
+     * @param {SkaterState} skaterState
+     * @param {Vector2} proposedPosition
+     * @param {number} initialEnergy
+     * @param {number} dt
+     * @param {Vector2} proposedVelocity
+     *
+     * @returns {SkaterState}
+     */
+    interactWithTracksWhileFalling( physicalTracks, skaterState, proposedPosition, initialEnergy, dt, proposedVelocity ) {
+
+      // Find the closest track, and see if the skater would cross it in this time step.
+      // Assuming the skater's initial + final locations determine a line segment, we search for the best point for the
+      // skater's start point, midpoint and end point and choose whichever is closest.  This helps avoid "high curvature"
+      // problems like the one identified in #212
+      const a = this.getClosestTrackAndPositionAndParameter( skaterState.getPosition(), physicalTracks );
+      const averagePosition = new Vector2( ( skaterState.positionX + proposedPosition.x ) / 2, ( skaterState.positionY + proposedPosition.y ) / 2 );
+      const b = this.getClosestTrackAndPositionAndParameter( averagePosition, physicalTracks );
+      const c = this.getClosestTrackAndPositionAndParameter( new Vector2( proposedPosition.x, proposedPosition.y ), physicalTracks );
+
+      const initialPosition = skaterState.getPosition();
+      const distanceA = Utils.distToSegment( a.point, initialPosition, proposedPosition );
+      const distanceB = Utils.distToSegment( b.point, initialPosition, proposedPosition );
+      const distanceC = Utils.distToSegment( c.point, initialPosition, proposedPosition );
+
+      const distances = [ distanceA, distanceB, distanceC ];
+      const minDistance = Math.min( distanceA, distanceB, distanceC );
+
+      const closestTrackAndPositionAndParameter = minDistance === distanceA ? a : minDistance === distanceC ? c : b;
+
+      this.debugAttachDetach && this.debugAttachDetach( 'minDistance', distances.indexOf( minDistance ) );
+
+      const crossed = this.crossedTrack( closestTrackAndPositionAndParameter, physicalTracks,
+        skaterState.positionX, skaterState.positionY, proposedPosition.x, proposedPosition.y );
+
+      const track = closestTrackAndPositionAndParameter.track;
+      const parametricPosition = closestTrackAndPositionAndParameter.parametricPosition;
+      const trackPoint = closestTrackAndPositionAndParameter.point;
+
+      if ( crossed ) {
+        this.debugAttachDetach && this.debugAttachDetach( 'attaching' );
+        const normal = track.getUnitNormalVector( parametricPosition );
+        const segment = normal.perpendicular;
+
+        const beforeVector = skaterState.getPosition().minus( trackPoint );
+
+        // If crossed the track, attach to it.
+        let newVelocity = segment.times( segment.dot( proposedVelocity ) );
+        let newSpeed = newVelocity.magnitude;
+        const newKineticEnergy = 0.5 * skaterState.mass * newVelocity.magnitudeSquared;
+        const newPosition = track.getPoint( parametricPosition );
+        const newPotentialEnergy = -skaterState.mass * skaterState.gravity * ( newPosition.y - skaterState.referenceHeight );
+        let newThermalEnergy = initialEnergy - newKineticEnergy - newPotentialEnergy;
+
+        // Sometimes (depending on dt) the thermal energy can go negative by the above calculation, see #141
+        // In that case, set the thermal energy to zero and reduce the speed to compensate.
+        if ( newThermalEnergy < skaterState.thermalEnergy ) {
+          const correctedState = this.correctThermalEnergy( skaterState, segment, newPosition );
+
+          newThermalEnergy = correctedState.thermalEnergy;
+          newSpeed = correctedState.getSpeed();
+          newVelocity = correctedState.getVelocity();
+        }
+
+        const dot = proposedVelocity.normalized().dot( segment );
+
+        // Sanity test
+        assert && assert( isFinite( dot ) );
+        assert && assert( isFinite( newVelocity.x ) );
+        assert && assert( isFinite( newVelocity.y ) );
+        assert && assert( isFinite( newThermalEnergy ) );
+        assert && assert( newThermalEnergy >= 0 );
+
+        let parametricSpeed = ( dot > 0 ? +1 : -1 ) * newSpeed;
+        const onTopSideOfTrack = beforeVector.dot( normal ) > 0;
+
+        this.debug && this.debug( 'attach to track, ' + ', ' + parametricPosition + ', ' + track.maxPoint );
+
+        // Double check the velocities and invert parametricSpeed if incorrect, see #172
+        // Compute the new velocities same as in stepTrack
+        const unitParallelVector = track.getUnitParallelVector( parametricPosition );
+        const newVelocityX = unitParallelVector.x * parametricSpeed;
+        const newVelocityY = unitParallelVector.y * parametricSpeed;
+
+        const velocityDotted = skaterState.velocityX * newVelocityX + skaterState.velocityY * newVelocityY;
+
+        // See if the track attachment will cause velocity to flip, and inverse it if so, see #172
+        if ( velocityDotted < -1E-6 ) {
+          parametricSpeed = parametricSpeed * -1;
+        }
+
+        this.ledger.normalWork -= newThermalEnergy - skaterState.thermalEnergy;
+        this.recordImpact( SkaterImpact.TRACK, Math.abs( proposedVelocity.dot( normal ) ) );
+        const attachedSkater = skaterState.attachToTrack( newThermalEnergy, track, onTopSideOfTrack, parametricPosition, parametricSpeed, newVelocity.x, newVelocity.y, newPosition.x, newPosition.y );
+        assert && assert( Utils.equalsEpsilon( attachedSkater.getTotalEnergy(), skaterState.getTotalEnergy(), 1E-8 ), 'large energy change after attaching to track' );
+        return attachedSkater;
+      }
+
+      // It just continued in free fall
+      else {
+        return this.continueFreeFall( skaterState, initialEnergy, proposedPosition, proposedVelocity, dt );
+      }
+    }
+
+    /**
+     * Started in free fall and did not interact with a track. Returns a new SkaterState for this.skater.
+     * @private
+     *
+     * @param {SkaterState} skaterState
+     * @param {number} initialEnergy
+     * @param {Vector2} proposedPosition
+     * @param {Vector2} proposedVelocity
+     * @param {number} dt
+     *
+     * @returns {SkaterState}
+     */
+    continueFreeFall( skaterState, initialEnergy, proposedPosition, proposedVelocity, dt ) {
+
+      // make up for the difference by changing the y value
+      const y = ( initialEnergy - 0.5 * skaterState.mass * proposedVelocity.magnitudeSquared - skaterState.thermalEnergy ) / ( -1 * skaterState.mass * skaterState.gravity ) + skaterState.referenceHeight;
+      if ( y <= 0 ) {
+
+        // When falling straight down, stop completely and convert all energy kinetic to thermal
+        this.ledger.normalWork -= skaterState.getKineticEnergy();
+        this.recordImpact( SkaterImpact.GROUND, Math.abs( proposedVelocity.y ) );
+        return skaterState.strikeGround( skaterState.getKineticEnergy(), proposedPosition.x );
+      }
+      else {
+        return skaterState.continueFreeFall( proposedVelocity.x, proposedVelocity.y, proposedPosition.x, y );
+      }
+    }
+
+    /**
+     * Gets the net force discluding normal force.
+     *
+     * Split into component-wise to prevent allocations, see #50
+     *
+     * @private
+     *
+     * @param {SkaterState} skaterState the state
+     * @returns {number} netForce in the X direction
+     */
+    getNetForceWithoutNormalX( skaterState ) {
+      return this.getFrictionForceX( skaterState );
+    }
+
+    /**
+     * Gets the net force but without the normal force.
+     *
+     * Split into component-wise to prevent allocations, see #50
+     * @private
+     *
+     * @param {SkaterState} skaterState the state
+     * @returns {number} netForce in the Y direction
+     */
+    getNetForceWithoutNormalY( skaterState ) {
+      return skaterState.mass * skaterState.gravity + this.getFrictionForceY( skaterState );
+    }
+
+    /**
+     * The only other force on the object in the direction of motion is the gravity force
+     * Component-wise to reduce allocations, see #50
+     * @private
+     *
+     * @param {SkaterState} skaterState
+     *
+     * @returns {number}
+     */
+    getFrictionForceX( skaterState ) {
+
+      // Friction force should not exceed sum of other forces (in the direction of motion), otherwise the friction could
+      // start a stopped object moving. Hence we check to see if the object is already stopped and don't add friction
+      // in that case
+      if ( this.friction === 0 || skaterState.getSpeed() < 1E-2 ) {
+        return 0;
+      }
+      else {
+        const magnitude = this.friction * this.getNormalForce( skaterState ).magnitude;
+        const angleComponent = Math.cos( skaterState.getVelocity().angle + Math.PI );
+        assert && assert( isFinite( magnitude ), 'magnitude should be finite' );
+        assert && assert( isFinite( angleComponent ), 'angleComponent should be finite' );
+        return magnitude * angleComponent;
+      }
+    }
+
+    /**
+     * The only other force on the object in the direction of motion is the gravity force
+     * Component-wise to reduce allocations, see #50
+     * @private
+     *
+     * @param {SkaterState} skaterState
+     * @returns {number}
+     */
+    getFrictionForceY( skaterState ) {
+
+      // Friction force should not exceed sum of other forces (in the direction of motion), otherwise the friction could
+      // start a stopped object moving.  Hence we check to see if the object is already stopped and don't add friction in
+      // that case
+      if ( this.friction === 0 || skaterState.getSpeed() < 1E-2 ) {
+        return 0;
+      }
+      else {
+        const magnitude = this.friction * this.getNormalForce( skaterState ).magnitude;
+        return magnitude * Math.sin( skaterState.getVelocity().angle + Math.PI );
+      }
+    }
+
+    /**
+     * Get the normal force (Newtons) on the skater.
+     *
+     * @param {SkaterState} skaterState
+     * @returns {number}
+     */
+    getNormalForce( skaterState ) {
+      skaterState.getCurvature( curvatureTemp2 );
+      const radiusOfCurvature = Math.min( curvatureTemp2.r, 100000 );
+      const netForceRadial = new Vector2( 0, 0 );
+
+      netForceRadial.addXY( 0, skaterState.mass * skaterState.gravity );// gravity
+      let curvatureDirection = this.getCurvatureDirection( curvatureTemp2, skaterState.positionX, skaterState.positionY );
+
+      // On a flat surface, just use the radial component of the net force for the normal, see #344
+      if ( isNaN( curvatureDirection.x ) || isNaN( curvatureDirection.y ) ) {
+        curvatureDirection = netForceRadial.normalized(); // todo: sign?
+      }
+      const normalForce = skaterState.mass * skaterState.getSpeed() * skaterState.getSpeed() / Math.abs( radiusOfCurvature ) - netForceRadial.dot( curvatureDirection );
+      this.debug && this.debug( normalForce );
+
+      const n = Vector2.createPolar( normalForce, curvatureDirection.angle );
+      assert && assert( isFinite( n.x ), 'n.x should be finite' );
+      assert && assert( isFinite( n.y ), 'n.y should be finite' );
+      return n;
+    }
+
+    /**
+     * Get the acceleration of the skater in the direction of the track (from all forces but the normal force, which
+     * is perpendicular to the track).
+     * @private
+     *
+     * @param {SkaterState} skaterState - must be on a track
+     * @returns {number}
+     */
+    getTangentialAcceleration( skaterState ) {
+
+      // Component-wise math to prevent allocations, see #50
+      const netForceX = this.getNetForceWithoutNormalX( skaterState );
+      const netForceY = this.getNetForceWithoutNormalY( skaterState );
+      const netForceMagnitude = Math.sqrt( netForceX * netForceX + netForceY * netForceY );
+      const netForceAngle = Math.atan2( netForceY, netForceX );
+
+      // Get the net force in the direction of the track.  Dot product is a * b * cos(theta)
+      return netForceMagnitude * Math.cos( skaterState.track.getModelAngleAt( skaterState.parametricPosition ) - netForceAngle ) / skaterState.mass;
+    }
+
+    /**
+     * Get the tangential acceleration the skater would have at a distance along the track from skaterState and with
+     * a speed along the track, for the intermediate evaluations of RK4. Same as getTangentialAcceleration, but
+     * evaluated component-wise from the track without creating a SkaterState for each stage, see #50.
+     * @private
+     *
+     * @param {SkaterState} skaterState - must be on a track
+     * @param {number} distance - in meters along the track from skaterState
+     * @param {number} parametricSpeed
+     * @returns {number}
+     */
+    getTangentialAccelerationAt( skaterState, distance, parametricSpeed ) {
+      const track = skaterState.track;
+      const parametricPosition = skaterState.parametricPosition + track.getParametricDistance( skaterState.parametricPosition, distance );
+
+      // gravity in the direction of the track
+      const gravityAcceleration = skaterState.gravity * Math.sin( track.getModelAngleAt( parametricPosition ) );
+
+      // The velocity is parallel to the track, so friction is entirely against the direction of motion along the track,
+      // see getFrictionForceX
+      const speed = Math.abs( parametricSpeed );
+      if ( this.friction === 0 || speed < 1E-2 ) {
+        return gravityAcceleration;
+      }
+      else {
+        const normalForce = this.getNormalForceMagnitudeAt( track, parametricPosition, speed, skaterState.mass, skaterState.gravity );
+        const frictionAcceleration = this.friction * normalForce / skaterState.mass;
+        return gravityAcceleration - ( parametricSpeed > 0 ? frictionAcceleration : -frictionAcceleration );
+      }
+    }
+
+    /**
+     * Get the magnitude of the normal force (Newtons) on a skater at a parametric position on a track, moving along it
+     * with the given speed. Same as getNormalForce, but component-wise so that it can be used in the stages of RK4
+     * without allocations, see #50.
+     * @private
+     *
+     * @param {TrackSpline|Track} track
+     * @param {number} parametricPosition
+     * @param {number} speed - in m/s
+     * @param {number} mass - in kg
+     * @param {number} gravity - in m/s^2
+     * @returns {number}
+     */
+    getNormalForceMagnitudeAt( track, parametricPosition, speed, mass, gravity ) {
+      track.getCurvature( parametricPosition, curvatureTemp3 );
+      const radiusOfCurvature = Math.min( curvatureTemp3.r, 100000 );
+      const x = track.getX( parametricPosition );
+      const y = track.getY( parametricPosition );
+      const curvatureDirectionX = this.getCurvatureDirectionX( curvatureTemp3, x, y );
+      let curvatureDirectionY = this.getCurvatureDirectionY( curvatureTemp3, x, y );
+
+      // On a flat surface, just use the direction of gravity, see #344
+      if ( isNaN( curvatureDirectionX ) || isNaN( curvatureDirectionY ) ) {
+        curvatureDirectionY = Math.sign( gravity );
+      }
+
+      // the radial net force without the normal force is only gravity, ( 0, mass * gravity )
+      return Math.abs( mass * speed * speed / Math.abs( radiusOfCurvature ) - mass * gravity * curvatureDirectionY );
+    }
+
+    /**
+     * Integrate the motion of the skater along the track with this.integrator, setting the new parametric position
+     * and speed on the pass-by-reference result to avoid allocations, see #50.
+     * @private
+     *
+     * @param {number} dt
+     * @param {SkaterState} skaterState - must be on a track
+     * @param {{parametricPosition: number, parametricSpeed: number}} result
+     */
+    integrateAlongTrack( dt, skaterState, result ) {
+      const v0 = skaterState.parametricSpeed;
+      const a0 = this.getTangentialAcceleration( skaterState );
+
+      // distance traveled along the track, in meters
+      let distance;
+
+      if ( this.integrator === TrackIntegrator.EULER ) {
+        result.parametricSpeed = v0 + a0 * dt;
+        distance = result.parametricSpeed * dt + 1 / 2 * a0 * dt * dt;
+      }
+      else if ( this.integrator === TrackIntegrator.SEMI_IMPLICIT_EULER ) {
+        result.parametricSpeed = v0 + a0 * dt;
+        distance = result.parametricSpeed * dt;
+      }
+      else {
+        assert && assert( this.integrator === TrackIntegrator.RK4, 'unknown integrator: ' + this.integrator );
+
+        // integrating the distance s along the track and the speed v, where ds/dt = v and dv/dt = a(s, v)
+        const k1v = a0;
+        const k2s = v0 + k1v * dt / 2;
+        const k2v = this.getTangentialAccelerationAt( skaterState, v0 * dt / 2, k2s );
+        const k3s = v0 + k2v * dt / 2;
+        const k3v = this.getTangentialAccelerationAt( skaterState, k2s * dt / 2, k3s );
+        const k4s = v0 + k3v * dt;
+        const k4v = this.getTangentialAccelerationAt( skaterState, k3s * dt, k4s );
+
+        result.parametricSpeed = v0 + dt / 6 * ( k1v + 2 * k2v + 2 * k3v + k4v );
+        distance = dt / 6 * ( v0 + 2 * k2s + 2 * k3s + k4s );
+      }
+      assert && assert( isFinite( result.parametricSpeed ), 'parametricSpeed should be finite' );
+
+      result.parametricPosition = skaterState.parametricPosition + skaterState.track.getParametricDistance( skaterState.parametricPosition, distance );
+    }
+
+    /**
+     * Use an integration step (see this.integrator) to move the skater along the track. This code is in an inner loop
+     * of the model physics, and has been heavily optimized. Returns a new SkaterState for this.skater.
+     *
+     * @param {number} dt
+     * @param {SkaterState} skaterState
+     *
+     * @returns {SkaterState}
+     */
+    stepAlongTrack( dt, skaterState ) {
+      const origEnergy = skaterState.getTotalEnergy();
+      const origLocX = skaterState.positionX;
+      const origLocY = skaterState.positionY;
+      let thermalEnergy = skaterState.thermalEnergy;
+      assert && assert( isFinite( skaterState.parametricSpeed ) );
+
+      this.integrateAlongTrack( dt, skaterState, integrationResult );
+      const parametricSpeed = integrationResult.parametricSpeed;
+      const parametricPosition = integrationResult.parametricPosition;
+
+      const newPointX = skaterState.track.getX( parametricPosition );
+      const newPointY = skaterState.track.getY( parametricPosition );
+      const unitParallelVector = skaterState.track.getUnitParallelVector( parametricPosition );
+      const parallelUnitX = unitParallelVector.x;
+      const parallelUnitY = unitParallelVector.y;
+      let newVelocityX = parallelUnitX * parametricSpeed;
+      let newVelocityY = parallelUnitY * parametricSpeed;
+
+      // Exponentially decay the velocity if already nearly zero and on a flat slope, see #129
+      if ( parallelUnitX / parallelUnitY > 5 && Math.sqrt( newVelocityX * newVelocityX + newVelocityY * newVelocityY ) < 1E-2 ) {
+        newVelocityX /= 2;
+        newVelocityY /= 2;
+      }
+
+      // choose velocity by using the unit parallel vector to the track
+      const newState = skaterState.updateUUDVelocityPosition( parametricPosition, parametricSpeed, newVelocityX, newVelocityY, newPointX, newPointY );
+      if ( this.friction > 0 ) {
+
+        // Compute friction force magnitude component-wise to prevent allocations, see #50
+        const frictionForceX = this.getFrictionForceX( skaterState );
+        const frictionForceY = this.getFrictionForceY( skaterState );
+        const frictionForceMagnitude = Math.sqrt( frictionForceX * frictionForceX + frictionForceY * frictionForceY );
+
+        const newPoint = new Vector2( newPointX, newPointY );
+
+        const therm = frictionForceMagnitude * newPoint.distanceXY( origLocX, origLocY );
+        thermalEnergy += therm;
+        this.ledger.frictionWork -= therm;
+
+        const newTotalEnergy = newState.getTotalEnergy() + therm;
+
+        // Conserve energy, but only if the user is not adding energy, see #135
+        if ( thrust.magnitude === 0 && !this.trackChangePending ) {
+          if ( newTotalEnergy < origEnergy ) {
+            thermalEnergy += Math.abs( newTotalEnergy - origEnergy );// add some thermal to exactly match
+            if ( Math.abs( newTotalEnergy - origEnergy ) > 1E-6 ) {
+              this.debug && this.debug( 'Added thermal, dE=' + ( newState.getTotalEnergy() - origEnergy ) );
+            }
+          }
+          if ( newTotalEnergy > origEnergy ) {
+            if ( Math.abs( newTotalEnergy - origEnergy ) < therm ) {
+              this.debug && this.debug( 'gained energy, removing thermal (Would have to remove more than we gained)' );
+            }
+            else {
+              thermalEnergy -= Math.abs( newTotalEnergy - origEnergy );
+              if ( Math.abs( newTotalEnergy - origEnergy ) > 1E-6 ) {
+                this.debug && this.debug( 'Removed thermal, dE=' + ( newTotalEnergy - origEnergy ) );
+              }
+            }
+          }
+        }
+
+        // Discrepancy with original version: original version allowed drop of thermal energy here, to be fixed in the
+        // heuristic patch. We have clamped it here to make it amenable to a smaller number of euler updates,
+        // to improve performance
+        return newState.updateThermalEnergy( Math.max( thermalEnergy, skaterState.thermalEnergy ) );
+      }
+      else {
+        return newState;
+      }
+    }
+
+    /**
+     * Update the skater as it moves along the track, and fly off the track if it  goes over a jump off the track's end.
+     *
+     * @param {number} dt
+     * @param {SkaterState} skaterState
+     * @returns {SkaterState}
+     */
+    stepTrack( dt, skaterState ) {
+
+      skaterState.getCurvature( curvatureTemp );
+
+      const curvatureDirectionX = this.getCurvatureDirectionX( curvatureTemp, skaterState.positionX, skaterState.positionY );
+      const curvatureDirectionY = this.getCurvatureDirectionY( curvatureTemp, skaterState.positionX, skaterState.positionY );
+
+      const track = skaterState.track;
+      const sideVectorX = skaterState.onTopSideOfTrack ? track.getUnitNormalVector( skaterState.parametricPosition ).x :
+                          track.getUnitNormalVector( skaterState.parametricPosition ).x * -1;
+      const sideVectorY = skaterState.onTopSideOfTrack ? track.getUnitNormalVector( skaterState.parametricPosition ).y :
+                          track.getUnitNormalVector( skaterState.parametricPosition ).y * -1;
+
+      // Dot product written out component-wise to avoid allocations, see #50
+      const outsideCircle = sideVectorX * curvatureDirectionX + sideVectorY * curvatureDirectionY < 0;
+
+      // compare a to v/r^2 to see if it leaves the track
+      const r = Math.abs( curvatureTemp.r );
+      const centripetalForce = skaterState.mass * skaterState.parametricSpeed * skaterState.parametricSpeed / r;
+
+      const netForceWithoutNormalX = this.getNetForceWithoutNormalX( skaterState );
+      const netForceWithoutNormalY = this.getNetForceWithoutNormalY( skaterState );
+
+      // Net force in the radial direction is the dot product.  Component-wise to avoid allocations, see #50
+      const netForceRadial = netForceWithoutNormalX * curvatureDirectionX + netForceWithoutNormalY * curvatureDirectionY;
+
+      const leaveTrack = ( netForceRadial < centripetalForce && outsideCircle ) || ( netForceRadial > centripetalForce && !outsideCircle );
+
+      if ( leaveTrack && !this.stickingToTrack ) {
+
+        // Leave the track.  Make sure the velocity is pointing away from the track or keep track of frames away from the
+        // track so it doesn't immediately recollide.  Or project a ray and see if a collision is imminent?
+        const freeSkater = skaterState.leaveTrack();
+
+        this.debugAttachDetach && this.debugAttachDetach( 'left middle track', freeSkater.velocityX, freeSkater.velocityY );
+
+        const nudged = this.nudge( freeSkater, sideVectorX, sideVectorY, +1 );
+
+        // Step after switching to free fall, so it doesn't look like it pauses
+        return this.stepFreeFall( dt, nudged, true );
+      }
+      else {
+        let newState = skaterState;
+
+        // Turning this value to 5 or less causes thermal energy to decrease on some time steps
+        // Discrepancy with original version: original version had 10 divisions here.  We have reduced it to make it more
+        // smooth and less GC
+        const numDivisions = 4;
+        for ( let i = 0; i < numDivisions; i++ ) {
+          newState = this.stepAlongTrack( dt / numDivisions, newState );
+        }
+
+        // Correct energy
+        const correctedState = this.correctEnergy( skaterState, newState );
+
+        // Check whether the skater has left the track
+        if ( skaterState.track.isParameterInBounds( correctedState.parametricPosition ) ) {
+
+          // To prevent non-physical behavior when the skater "pops" above ground after leaving a track that has
+          // forced it underground, we switch to ground before the skater can go below ground in the first place.
+          // This should only happen while dragging the track, as all track points should be above ground otherwise.
+          // See https://github.com/phetsims/energy-skate-park/issues/45
+          if ( correctedState.positionY <= 0 ) {
+            const groundPosition = new Vector2( correctedState.positionX, 0 );
+            return this.switchToGround( correctedState, correctedState.getTotalEnergy(), groundPosition, correctedState.getVelocity(), dt );
+          }
+          else {
+            return correctedState;
+          }
+        }
+        else {
+
+          // Fly off the left or right side of the track
+          // Off the edge of the track.  If the skater transitions from the right edge of the 2nd track directly to the
+          // ground then do not lose thermal energy during the transition, see #164
+          if ( correctedState.parametricPosition > skaterState.track.maxPoint && skaterState.track.slopeToGround ) {
+            let result = correctedState.switchToGround( correctedState.thermalEnergy, correctedState.getSpeed(), 0, correctedState.positionX, 0 );
+
+            // All track points are at or above ground so it is possible that we took potential energy out of the. Add
+            // to kinetic energy to compensate
+            const energyDiference = result.getPotentialEnergy() - correctedState.getPotentialEnergy();
+            if ( energyDiference < 0 ) {
+
+              // add the lost energy to kinetic energy to compensate
+              const newKineticEnergy = result.getKineticEnergy() + -energyDiference;
+
+              // new skater speed will be speed from adjusted kinetic energy
+              const adjustedSpeed = result.getSpeedFromEnergy( newKineticEnergy );
+
+              // restore direction to velocity - slopes point to the right, but just in case
+              const correctedV = result.velocityX >= 0 ? adjustedSpeed : -adjustedSpeed;
+              result = result.updatePositionAngleUpVelocity( result.positionX, result.positionY, 0, true, correctedV, 0 );
+
+              // this correction should put result energy very close to correctedState energy
+              assert && assert( Utils.equalsEpsilon( result.getTotalEnergy(), correctedState.getTotalEnergy(), 1E-6 ), 'correction after slope to ground changed total energy too much' );
+            }
+
+            // Correct any other energy discrepancy when switching to the ground, see #301
+            return this.correctEnergy( skaterState, result );
+          }
+          else {
+            this.debugAttachDetach && this.debugAttachDetach( 'left edge track: ' + correctedState.parametricPosition + ', ' + skaterState.track.maxPoint );
+
+            // There is a situation in which the `u` of the skater exceeds the track bounds before the
+            // getClosestPositionAndParameter.parametricPosition does, which can cause the skater to immediately reattach
+            // So make sure the skater is far enough from the track so it won't reattach right away, see #167
+            const freeSkaterState = skaterState.updateTrackUD( null, 0 );
+
+            const nudgedState = this.nudge( freeSkaterState, sideVectorX, sideVectorY, -1 );
+
+            // Step after switching to free fall, so it doesn't look like it pauses
+            const freeFallState = this.stepFreeFall( dt, nudgedState, true );
+
+            // if during this step we switched to ground, restore the kinetic energy and horizontal velocity rather
+            // than striking the earth
+            if ( freeFallState.positionY === 0 ) {
+              return this.switchToGround( freeFallState, freeFallState.getTotalEnergy(), freeFallState.getPosition(), nudgedState.getVelocity(), dt );
+            }
+            else {
+              return freeFallState;
+            }
+          }
+        }
+      }
+    }
+
+    /**
+     * When the skater leaves the track, adjust the position and velocity. This prevents the following problems:
+     * 1. When leaving from the sides, adjust the skater under the track so it won't immediately re-collide.
+     * 2. When leaving from the middle of the track (say going over a jump or falling upside-down from a loop),
+     * adjust the skater so it won't fall through or re-collide.
+     *
+     * @param {Skater} freeSkater
+     * @param {number} sideVectorX
+     * @param {number} sideVectorY
+     * @param {number} sign
+     *
+     * @returns {Skater}
+     */
+    nudge( freeSkater, sideVectorX, sideVectorY, sign ) {
+
+      // angle the velocity down a bit and underset from track so that it won't immediately re-collide
+      // Nudge the velocity in the 'up' direction so the skater won't pass through the track, see #207
+      const velocity = new Vector2( freeSkater.velocityX, freeSkater.velocityY );
+      const upVector = new Vector2( sideVectorX, sideVectorY );
+      if ( velocity.magnitude > 0 ) {
+        const blended = velocity.normalized().blend( upVector, 0.01 * sign );
+        if ( blended.magnitude > 0 ) {
+          const revisedVelocity = blended.normalized().times( velocity.magnitude );
+          freeSkater = freeSkater.updateUDVelocity( 0, revisedVelocity.x, revisedVelocity.y );
+
+          // Nudge the position away from the track, slightly since it was perfectly centered on the track, see #212
+          // Note this will change the energy of the skater, but only by a tiny amount (that should be undetectable in the
+          // bar chart)
+          const origPosition = freeSkater.getPosition();
+          const newPosition = origPosition.plus( upVector.times( sign * 1E-6 ) );
+          freeSkater = freeSkater.updatePosition( newPosition.x, newPosition.y );
+
+          this.debugAttachDetach && this.debugAttachDetach( 'newdot', revisedVelocity.dot( upVector ) );
+          return freeSkater;
+        }
+      }
+      return freeSkater;
+    }
+
+    /**
+     * Try to match the target energy by reducing the velocity of the skaterState.
+     *
+     * @param {SkaterState} skaterState
+     * @param {SkaterState} targetState
+     *
+     * @returns {SkaterState}
+     */
+    correctEnergyReduceVelocity( skaterState, targetState ) {
+
+      // Make a clone we can mutate and return, to protect the input argument
+      const newSkaterState = targetState.copy();
+      const e0 = skaterState.getTotalEnergy();
+      const mass = skaterState.mass;
+
+      // Find the direction of velocity.  This is on the track unless the skater just left the "slope" track
+      const unit = newSkaterState.track ? newSkaterState.track.getUnitParallelVector( newSkaterState.parametricPosition ) :
+                   newSkaterState.getVelocity().normalized();
+
+      // Binary search, but bail after too many iterations
+      for ( let i = 0; i < 100; i++ ) {
+        const dv = ( newSkaterState.getTotalEnergy() - e0 ) / ( mass * newSkaterState.parametricSpeed );
+
+        const newVelocity = newSkaterState.parametricSpeed - dv;
+
+        // We can just set the state directly instead of calling update since we are keeping a protected clone of the
+        // newSkaterState
+        newSkaterState.parametricSpeed = newVelocity;
+        const result = unit.times( newVelocity );
+        newSkaterState.velocityX = result.x;
+        newSkaterState.velocityY = result.y;
+
+        if ( Utils.equalsEpsilon( e0, newSkaterState.getTotalEnergy(), 1E-8 ) ) {
+          break;
+        }
+      }
+      return newSkaterState;
+    }
+
+    /**
+     * Binary search to find the parametric coordinate along the track that matches the e0 energy.
+     *
+     * @param {SkaterState} skaterState
+     * @param {number} u0
+     * @param {number} u1
+     * @param {number} e0
+     * @param {number} numSteps
+     *
+     * @returns {number}
+     */
+    searchSplineForEnergy( skaterState, u0, u1, e0, numSteps ) {
+      const da = ( u1 - u0 ) / numSteps;
+      let bestAlpha = ( u1 + u0 ) / 2;
+      const p = skaterState.track.getPoint( bestAlpha );
+      let bestDE = skaterState.updatePosition( p.x, p.y ).getTotalEnergy();
+      for ( let i = 0; i < numSteps; i++ ) {
+        const proposedAlpha = u0 + da * i;
+        const p2 = skaterState.track.getPoint( bestAlpha );
+        const e = skaterState.updatePosition( p2.x, p2.y ).getTotalEnergy();
+        if ( Math.abs( e - e0 ) <= Math.abs( bestDE ) ) {
+          bestDE = e - e0;
+          bestAlpha = proposedAlpha;
+        }// continue to find best value closest to proposed u, even if several values give dE=0.0
+      }
+      this.debug && this.debug( 'After ' + numSteps + ' steps, origAlpha=' + u0 + ', bestAlpha=' + bestAlpha + ', dE=' + bestDE );
+      return bestAlpha;
+    }
+
+    /**
+     * A number of heuristic energy correction steps to ensure energy is conserved while keeping the motion smooth and
+     * accurate. Copied from the Java version directly (with a few different magic numbers)
+     *
+     * @param {SkaterState} skaterState
+     * @param {SkaterState} newState
+     *
+     * @returns {SkaterState}
+     */
+    correctEnergy( skaterState, newState ) {
+      if ( this.trackChangePending || !this.energyCorrection ) {
+        return newState;
+      }
+      const u0 = skaterState.parametricPosition;
+      const e0 = skaterState.getTotalEnergy();
+
+      if ( !isFinite( newState.getTotalEnergy() ) ) { throw new Error( 'not finite' );}
+      const dE = newState.getTotalEnergy() - e0;
+      if ( Math.abs( dE ) < 1E-6 ) {
+        // small enough
+        return newState;
+      }
+      else {
+        if ( newState.getTotalEnergy() > e0 ) {
+          this.debug && this.debug( 'Energy too high' );
+
+          // can we reduce the velocity enough?
+          // amount we could reduce the energy if we deleted all the kinetic energy:
+          if ( Math.abs( newState.getKineticEnergy() ) > Math.abs( dE ) ) {
+
+            // This is the current rule for reducing the energy.  But in a future version maybe should only do this
+            // if all velocity is not converted?
+            this.debug && this.debug( 'Could fix all energy by changing velocity.' );
+            const correctedStateA = this.correctEnergyReduceVelocity( skaterState, newState );
+            this.debug && this.debug( 'changed velocity: dE=' + ( correctedStateA.getTotalEnergy() - e0 ) );
+            if ( !Utils.equalsEpsilon( e0, correctedStateA.getTotalEnergy(), 1E-8 ) ) {
+              this.debug && this.debug( 'Energy error[0]' );
+            }
+            return correctedStateA;
+          }
+          else {
+            this.debug && this.debug( 'Not enough KE to fix with velocity alone: normal:' );
+            this.debug && this.debug( 'changed position u: dE=' + ( newState.getTotalEnergy() - e0 ) );
+            // search for a place between u and u0 with a better energy
+
+            const numRecursiveSearches = 10;
+            const parametricPosition = newState.parametricPosition;
+            let bestAlpha = ( parametricPosition + u0 ) / 2.0;
+            let da = Math.abs( ( parametricPosition - u0 ) / 2 );
+            for ( let i = 0; i < numRecursiveSearches; i++ ) {
+              const numSteps = 10;
+              bestAlpha = this.searchSplineForEnergy( newState, bestAlpha - da, bestAlpha + da, e0, numSteps );
+              da = Math.abs( ( ( bestAlpha - da ) - ( bestAlpha + da ) ) / numSteps );
+            }
+
+            const point = newState.track.getPoint( bestAlpha );
+            const correctedState = newState.updateUPosition( bestAlpha, point.x, point.y );
+            this.debug && this.debug( 'changed position u: dE=' + ( correctedState.getTotalEnergy() - e0 ) );
+            if ( !Utils.equalsEpsilon( e0, correctedState.getTotalEnergy(), 1E-8 ) ) {
+
+              // amount we could reduce the energy if we deleted all the kinetic energy:
+              if ( Math.abs( correctedState.getKineticEnergy() ) > Math.abs( dE ) ) {
+
+                // TODO: maybe should only do this if all velocity is not converted
+                this.debug && this.debug( 'Fixed position some, still need to fix velocity as well.' );
+                const correctedState2 = this.correctEnergyReduceVelocity( skaterState, correctedState );
+                if ( !Utils.equalsEpsilon( e0, correctedState2.getTotalEnergy(), 1E-8 ) ) {
+                  this.debug && this.debug( 'Changed position & Velocity and still had energy error' );
+                  this.debug && this.debug( 'Energy error[123]' );
+                }
+                return correctedState2;
+              }
+              else {
+
+                // This error seems to occur with friction turned on at the top of a hill, see https://github.com/phetsims/energy-skate-park-basics/issues/127
+                this.debug && this.debug( 'Changed position, wanted to change velocity, but didn\'t have enough to fix it..., dE=' + ( newState.getTotalEnergy() - e0 ) );
+                if ( newState.thermalEnergy > skaterState.thermalEnergy ) {
+                  const increasedThermalEnergy = newState.thermalEnergy - skaterState.thermalEnergy;
+                  if ( increasedThermalEnergy > dE ) {
+                    const reducedThermalEnergyState = newState.update( { thermalEnergy: newState.thermalEnergy - dE } );
+                    assert && assert( Math.abs( reducedThermalEnergyState.getTotalEnergy() - e0 ) < 1E-6, 'energy should be corrected' );
+                    this.debug && this.debug( 'Corrected energy by reducing thermal overestimate' + dE );
+                    return reducedThermalEnergyState;
+                  }
+                  else {
+
+                    // Take as much thermal energy out as possible
+                    const originalThermalEnergyState = newState.update( { thermalEnergy: skaterState.thermalEnergy } );
+                    const correctedState3 = this.correctEnergyReduceVelocity( skaterState, originalThermalEnergyState );
+                    if ( !Utils.equalsEpsilon( e0, correctedState3.getTotalEnergy(), 1E-8 ) ) {
+                      this.debug && this.debug( 'Changed position & Velocity and still had energy error, error[124]' );
+                    }
+                    return correctedState3;
+                  }
+                }
+                return correctedState;
+              }
+            }
+            return correctedState;
+          }
+        }
+        else {
+          if ( !isFinite( newState.getTotalEnergy() ) ) { throw new Error( 'not finite' );}
+          this.debug && this.debug( 'Energy too low' );
+          assert && assert( newState.track, 'newState must be still have a track for this energy correction' );
+
+          // increasing the kinetic energy
+          // Choose the exact velocity in the same direction as current velocity to ensure total energy conserved.
+          const vSq = Math.abs( 2 / newState.mass * ( e0 - newState.getPotentialEnergy() - newState.thermalEnergy ) );
+          const v = Math.sqrt( vSq );
+
+          // TODO: What if parametricSpeed ===0?
+          const newVelocity = v * ( newState.parametricSpeed > 0 ? +1 : -1 );
+          const unitParallelVector = newState.track.getUnitParallelVector( newState.parametricPosition );
+          const updatedVelocityX = unitParallelVector.x * newVelocity;
+          const updatedVelocityY = unitParallelVector.y * newVelocity;
+          const fixedState = newState.updateUDVelocity( newVelocity, updatedVelocityX, updatedVelocityY );
+          this.debug && this.debug( 'Set velocity to match energy, when energy was low: ' );
+          this.debug && this.debug( 'INC changed velocity: dE=' + ( fixedState.getTotalEnergy() - e0 ) );
+          if ( !Utils.equalsEpsilon( e0, fixedState.getTotalEnergy(), 1E-8 ) ) {
+            new Error( 'Energy error[2]' ).printStackTrace();
+          }
+          return fixedState;
+        }
+      }
+    }
+
+    // PERFORMANCE/ALLOCATION
+    getCurvatureDirection( curvature, x2, y2 ) {
+      const v = new Vector2( curvature.x - x2, curvature.y - y2 );
+      return v.x !== 0 || v.y !== 0 ? v.normalized() : v;
+    }
+
+    getCurvatureDirectionX( curvature, x2, y2 ) {
+      const vx = curvature.x - x2;
+      const vy = curvature.y - y2;
+      return vx !== 0 || vy !== 0 ? vx / Math.sqrt( vx * vx + vy * vy ) : vx;
+    }
+
+    getCurvatureDirectionY( curvature, x2, y2 ) {
+      const vx = curvature.x - x2;
+      const vy = curvature.y - y2;
+      return vx !== 0 || vy !== 0 ? vy / Math.sqrt( vx * vx + vy * vy ) : vy;
+    }
+
+    /**
+     * Get the air resistance (drag) force on the skater, opposite to the direction of motion with magnitude
+     * proportional to the square of speed. Component-wise to reduce allocations, see #50
+     * @public
+     *
+     * @param {SkaterState} skaterState
+     * @returns {number}
+     */
+    getAirResistanceForceX( skaterState ) {
+      return -this.airResistance * skaterState.getSpeed() * skaterState.velocityX;
+    }
+
+    /**
+     * Get the air resistance (drag) force on the skater in the y direction, see getAirResistanceForceX.
+     * @public
+     *
+     * @param {SkaterState} skaterState
+     * @returns {number}
+     */
+    getAirResistanceForceY( skaterState ) {
+      return -this.airResistance * skaterState.getSpeed() * skaterState.velocityY;
+    }
+
+    /**
+     * Get each force on the skater and the net force, in Newtons, so that they can be plotted or displayed. Unlike the
+     * component-wise methods used while stepping, this allocates, so it shouldn't be called in the inner loops of the
+     * physics. On the ground the normal force balances gravity, and in the air there is no normal or friction force.
+     * @public
+     *
+     * @param {SkaterState} skaterState
+     * @returns {{gravity: Vector2, normal: Vector2, friction: Vector2, airResistance: Vector2, net: Vector2}}
+     */
+    getForces( skaterState ) {
+      const gravity = new Vector2( 0, skaterState.mass * skaterState.gravity );
+      const airResistance = new Vector2( this.getAirResistanceForceX( skaterState ), this.getAirResistanceForceY( skaterState ) );
+      let normal = Vector2.ZERO;
+      let friction = Vector2.ZERO;
+
+      if ( skaterState.track ) {
+        normal = this.getNormalForce( skaterState );
+        friction = new Vector2( this.getFrictionForceX( skaterState ), this.getFrictionForceY( skaterState ) );
+      }
+      else if ( skaterState.positionY <= 0 ) {
+        normal = new Vector2( 0, -skaterState.mass * skaterState.gravity );
+
+        // same as stepGround
+        if ( this.friction !== 0 && skaterState.getSpeed() >= 1E-2 ) {
+          const frictionMagnitude = Math.abs( this.friction * skaterState.mass * skaterState.gravity );
+          friction = new Vector2( frictionMagnitude * ( skaterState.velocityX > 0 ? -1 : 1 ), 0 );
+        }
+      }
+
+      return {
+        gravity: gravity,
+        normal: normal,
+        friction: friction,
+        airResistance: airResistance,
+        net: gravity.plus( normal ).plus( friction ).plus( airResistance )
+      };
+    }
+
+    /**
+     * Slow the skater down by air resistance over dt, converting the lost kinetic energy into thermal energy so that
+     * total energy is conserved. Air resistance acts opposite the velocity, so it only changes speed and not
+     * direction. The drag is solved exactly ( dv/dt = -k|v|v/m gives v = v0 / ( 1 + k|v0|t/m ) ) and applied
+     * before the rest of the step, so the same update works on the ground, on a track and in free fall, with any
+     * TrackIntegrator.
+     * @private
+     *
+     * @param {number} dt
+     * @param {SkaterState} skaterState
+     * @returns {SkaterState}
+     */
+    applyAirResistance( dt, skaterState ) {
+      const speed = skaterState.getSpeed();
+      if ( this.airResistance === 0 || speed === 0 ) {
+        return skaterState;
+      }
+      const scale = 1 / ( 1 + this.airResistance * speed * dt / skaterState.mass );
+      const dissipatedEnergy = skaterState.getKineticEnergy() * ( 1 - scale * scale );
+      this.ledger.airResistanceWork -= dissipatedEnergy;
+
+      return skaterState.update( {
+        velocityX: skaterState.velocityX * scale,
+        velocityY: skaterState.velocityY * scale,
+        parametricSpeed: skaterState.parametricSpeed * scale,
+        thermalEnergy: skaterState.thermalEnergy + dissipatedEnergy
+      } );
+    }
+
+    /**
+     * Record that the skater hit a track or the ground during this step. If it is recorded more than once in a step
+     * (for instance when a state that struck the ground is discarded for switchToGround), the last one wins.
+     * @private
+     *
+     * @param {SkaterImpact} impact
+     * @param {number} speed - of the skater toward what it hit, in m/s
+     */
+    recordImpact( impact, speed ) {
+      this.impact = impact;
+      this.impactSpeed = speed;
+    }
+
+    /**
+     * Update the skater based on which state, recording where the energy went in this.ledger and anything the skater
+     * landed on in this.impact.
+     * @public
+     *
+     * @param {number} dt
+     * @param {SkaterState} skaterState
+     * @returns {SkaterState}
+     */
+    step( dt, skaterState ) {
+      this.ledger.reset();
+      this.impact = null;
+      this.impactSpeed = 0;
+      if ( skaterState.dragging ) {
+
+        // User is dragging the skater, nothing to update here
+        return skaterState;
+      }
+
+      const resistedState = this.applyAirResistance( dt, skaterState );
+      const newState = !resistedState.track && resistedState.positionY <= 0 ? this.stepGround( dt, resistedState ) :
+                       !resistedState.track && resistedState.positionY > 0 ? this.stepFreeFall( dt, resistedState, false ) :
+                       resistedState.track ? this.stepTrack( dt, resistedState ) :
+                       resistedState;
+
+      this.ledger.complete( skaterState, newState, this.trackChangePending );
+      return newState;
+    }
+
+    /**
+     * Create a track for the engine from a plain list of points, in meters.
+     * @public
+     *
+     * @param {Array.<{x: number, y: number}>} points
+     * @param {Object} [options] - passed to TrackSpline
+     * @returns {TrackSpline}
+     */
+    static createTrack( points, options ) {
+      return new TrackSpline( points, options );
+    }
+
+    /**
+     * Create a SkaterState from plain values, any that are not provided take the defaults for a skater at rest at the
+     * origin. Positions and velocities are in meters and m/s, mass in kg, gravity in m/s^2 (negative is down).
+     * @public
+     *
+     * @param {Object} [values] - see DEFAULT_SKATER_STATE_VALUES
+     * @returns {SkaterState}
+     */
+    static createSkaterState( values ) {
+      return new SkaterState( merge( {}, DEFAULT_SKATER_STATE_VALUES, values ) );
+    }
+  }
+
+  return energySkatePark.register( 'SkaterPhysicsEngine', SkaterPhysicsEngine );
+} );
@@ -0,0 +1,237 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for SkaterPhysicsEngine, driving the engine with a TrackSpline and plain SkaterStates without the rest
+ * of the sim. The EnergyLedger of every step is checked against the change in energy.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const EnergyLedger = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/EnergyLedger' );
+  const SkaterPhysicsEngine = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SkaterPhysicsEngine' );
+  const TrackIntegrator = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/TrackIntegrator' );
+  const TrackSpline = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/TrackSpline' );
+
+  // constants
+  const DT = 1 / 60;
+  const LEDGER_TOLERANCE = 1E-8;
+
+  // points of a symmetric valley, like the parabola on the Intro screen
+  const VALLEY_POINTS = [ { x: -4, y: 6 }, { x: 0, y: 0 }, { x: 4, y: 6 } ];
+
+  QUnit.module( 'SkaterPhysicsEngine' );
+
+  /**
+   * Step the engine for a number of steps and return every state, including the initial one.
+   *
+   * @param {SkaterPhysicsEngine} engine
+   * @param {SkaterState} skaterState
+   * @param {number} numberOfSteps
+   * @returns {SkaterState[]}
+   */
+  const run = ( engine, skaterState, numberOfSteps ) => {
+    const states = [ skaterState ];
+    for ( let i = 0; i < numberOfSteps; i++ ) {
+      skaterState = engine.step( DT, skaterState );
+      states.push( skaterState );
+    }
+    return states;
+  };
+
+  /**
+   * Step the engine like run, also keeping a copy of the ledger of every step.
+   *
+   * @param {SkaterPhysicsEngine} engine
+   * @param {SkaterState} skaterState
+   * @param {number} numberOfSteps
+   * @returns {{states: SkaterState[], ledgers: EnergyLedger[]}} - the ledger at index i is for the step from state i
+   */
+  const runWithLedgers = ( engine, skaterState, numberOfSteps ) => {
+    const states = [ skaterState ];
+    const ledgers = [];
+    for ( let i = 0; i < numberOfSteps; i++ ) {
+      skaterState = engine.step( DT, skaterState );
+      states.push( skaterState );
+
+      const ledger = new EnergyLedger();
+      ledger.set( engine.ledger );
+      ledgers.push( ledger );
+    }
+    return { states: states, ledgers: ledgers };
+  };
+
+  /**
+   * Check that the ledger of every step accounts for the change in each kind of energy, see EnergyLedger.
+   *
+   * @param {Object} assert
+   * @param {string} name - of the run
+   * @param {{states: SkaterState[], ledgers: EnergyLedger[]}} result - see runWithLedgers
+   */
+  const assertLedgersBalance = ( assert, name, result ) => {
+    const states = result.states;
+    const balanced = result.ledgers.every( ( ledger, i ) => {
+      const initialState = states[ i ];
+      const finalState = states[ i + 1 ];
+      const dissipation = ledger.normalWork + ledger.frictionWork + ledger.airResistanceWork;
+      const kineticWork = ledger.gravityWork + dissipation + ledger.trackDragWork + ledger.correction;
+      return Math.abs( finalState.getTotalEnergy() - initialState.getTotalEnergy() - ledger.getTotalEnergyChange() ) < LEDGER_TOLERANCE &&
+             Math.abs( initialState.getPotentialEnergy() - finalState.getPotentialEnergy() - ledger.gravityWork ) < LEDGER_TOLERANCE &&
+             Math.abs( finalState.getKineticEnergy() - initialState.getKineticEnergy() - kineticWork ) < LEDGER_TOLERANCE &&
+             Math.abs( finalState.thermalEnergy - initialState.thermalEnergy - ledger.thermalCorrection + dissipation ) < LEDGER_TOLERANCE;
+    } );
+    assert.ok( balanced, name + ': the ledger of every step sums to the change in energy' );
+  };
+
+  /**
+   * A skater at rest on the valley track, at the given parametric position.
+   *
+   * @param {TrackSpline} track
+   * @param {number} parametricPosition
+   * @returns {SkaterState}
+   */
+  const createSkaterOnTrack = ( track, parametricPosition ) => SkaterPhysicsEngine.createSkaterState( {
+    track: track,
+    parametricPosition: parametricPosition,
+    positionX: track.getX( parametricPosition ),
+    positionY: track.getY( parametricPosition )
+  } );
+
+  QUnit.test( 'createTrack', assert => {
+    const track = SkaterPhysicsEngine.createTrack( VALLEY_POINTS );
+    assert.ok( track instanceof TrackSpline, 'tracks for the engine are TrackSplines' );
+    assert.ok( Math.abs( track.getY( track.minPoint ) - 6 ) < 1E-6, 'the track starts at its first point' );
+    assert.ok( Math.abs( track.getLowestY() ) < 1E-2, 'the lowest point of the valley is at the ground' );
+  } );
+
+  QUnit.test( 'free fall to the ground', assert => {
+    const engine = new SkaterPhysicsEngine();
+    const states = run( engine, SkaterPhysicsEngine.createSkaterState( { positionX: 1, positionY: 5 } ), 120 );
+    const finalState = _.last( states );
+
+    assert.equal( finalState.positionY, 0, 'the skater ends on the ground' );
+    assert.equal( finalState.positionX, 1, 'the skater fell straight down' );
+    assert.ok( Math.abs( finalState.getTotalEnergy() - states[ 0 ].getTotalEnergy() ) < 1E-6,
+      'energy lost on landing goes to thermal energy' );
+  } );
+
+  QUnit.test( 'released on a track without friction', assert => {
+    const track = SkaterPhysicsEngine.createTrack( VALLEY_POINTS );
+    const engine = new SkaterPhysicsEngine( { tracks: [ track ] } );
+    const initialState = createSkaterOnTrack( track, track.minPoint + 0.1 * ( track.maxPoint - track.minPoint ) );
+    const states = run( engine, initialState, 600 );
+
+    assert.ok( states.every( state => state.track === track ), 'the skater stays on the track' );
+    assert.ok( states.every( state => Math.abs( state.getTotalEnergy() - initialState.getTotalEnergy() ) < 1E-3 ),
+      'total energy is conserved' );
+
+    const maxX = _.max( states.map( state => state.positionX ) );
+    assert.ok( Math.abs( maxX + initialState.positionX ) < 0.1, 'the skater reaches the same height on the other side' );
+  } );
+
+  QUnit.test( 'released on a track with friction', assert => {
+    const track = SkaterPhysicsEngine.createTrack( VALLEY_POINTS );
+    const engine = new SkaterPhysicsEngine( { tracks: [ track ], friction: 0.05 } );
+    const initialState = createSkaterOnTrack( track, track.minPoint + 0.1 * ( track.maxPoint - track.minPoint ) );
+    const states = run( engine, initialState, 600 );
+    const finalState = _.last( states );
+
+    assert.ok( finalState.thermalEnergy > 0, 'friction creates thermal energy' );
+    assert.ok( Math.abs( finalState.getTotalEnergy() - initialState.getTotalEnergy() ) < 1E-3,
+      'total energy including thermal energy is conserved' );
+    assert.ok( finalState.getKineticEnergy() + finalState.getPotentialEnergy() <
+               initialState.getKineticEnergy() + initialState.getPotentialEnergy(), 'mechanical energy is lost' );
+  } );
+
+  QUnit.test( 'ledger with friction', assert => {
+    const track = SkaterPhysicsEngine.createTrack( VALLEY_POINTS );
+    const engine = new SkaterPhysicsEngine( { tracks: [ track ], friction: 0.05 } );
+    const result = runWithLedgers( engine, createSkaterOnTrack( track, track.minPoint + 0.1 * ( track.maxPoint - track.minPoint ) ), 600 );
+    const ledgers = result.ledgers;
+    assertLedgersBalance( assert, 'friction', result );
+
+    assert.ok( ledgers.every( ledger => ledger.frictionWork <= 0 ), 'friction only takes energy from the skater' );
+    assert.ok( ledgers.every( ledger => ledger.airResistanceWork === 0 ), 'no air resistance work without air resistance' );
+    assert.ok( Math.abs( _.sumBy( ledgers, 'thermalCorrection' ) ) < Math.abs( _.sumBy( ledgers, 'frictionWork' ) ),
+      'the thermal energy from friction is recorded as friction work, not as a correction' );
+  } );
+
+  QUnit.test( 'ledger with air resistance', assert => {
+    const track = SkaterPhysicsEngine.createTrack( VALLEY_POINTS );
+    const engine = new SkaterPhysicsEngine( { tracks: [ track ], airResistance: 1 } );
+    const result = runWithLedgers( engine, createSkaterOnTrack( track, track.minPoint + 0.1 * ( track.maxPoint - track.minPoint ) ), 600 );
+    const ledgers = result.ledgers;
+    assertLedgersBalance( assert, 'air resistance', result );
+
+    assert.ok( ledgers.every( ledger => ledger.airResistanceWork <= 0 ), 'air resistance only takes energy from the skater' );
+    assert.ok( _.sumBy( ledgers, 'airResistanceWork' ) < 0, 'air resistance does work' );
+    assert.ok( ledgers.every( ledger => ledger.frictionWork === 0 ), 'no friction work without friction' );
+    assert.ok( Math.abs( _.sumBy( ledgers, 'thermalCorrection' ) ) < Math.abs( _.sumBy( ledgers, 'airResistanceWork' ) ),
+      'the thermal energy from air resistance is recorded as air resistance work, not as a correction' );
+  } );
+
+  QUnit.test( 'ledger with energy correction', assert => {
+    const track = SkaterPhysicsEngine.createTrack( VALLEY_POINTS );
+    const initialState = createSkaterOnTrack( track, track.minPoint + 0.1 * ( track.maxPoint - track.minPoint ) );
+    const corrected = runWithLedgers( new SkaterPhysicsEngine( { tracks: [ track ] } ), initialState, 600 );
+    const uncorrected = runWithLedgers( new SkaterPhysicsEngine( { tracks: [ track ], energyCorrection: false } ),
+      initialState, 600 );
+    assertLedgersBalance( assert, 'energy correction', corrected );
+    assertLedgersBalance( assert, 'no energy correction', uncorrected );
+
+    [ corrected, uncorrected ].forEach( result => {
+      assert.ok( result.ledgers.every( ledger => ledger.frictionWork === 0 && ledger.airResistanceWork === 0 ),
+        'corrections are not recorded as friction or air resistance work' );
+    } );
+
+    const getDrift = result => Math.abs( _.sumBy( result.ledgers, ledger => ledger.getTotalEnergyChange() ) );
+    assert.ok( getDrift( corrected ) < 1E-3, 'the corrections conserve energy' );
+    assert.ok( getDrift( uncorrected ) > getDrift( corrected ),
+      'without corrections, the drift of the integrator is recorded as a correction' );
+  } );
+
+  QUnit.test( 'landing on a track', assert => {
+    const track = SkaterPhysicsEngine.createTrack( VALLEY_POINTS );
+    const engine = new SkaterPhysicsEngine( { tracks: [ track ] } );
+    const states = run( engine, SkaterPhysicsEngine.createSkaterState( { positionX: 1, positionY: 6 } ), 120 );
+
+    assert.ok( _.some( states, state => state.track === track ), 'the skater lands on the track' );
+    assert.ok( states.every( state => state.positionY >= 0 ), 'the skater never goes below ground' );
+  } );
+
+  QUnit.test( 'tangential acceleration for the stages of RK4', assert => {
+    const track = SkaterPhysicsEngine.createTrack( VALLEY_POINTS );
+    const engine = new SkaterPhysicsEngine( { tracks: [ track ], friction: 0.05 } );
+    const skaterState = createSkaterOnTrack( track, track.minPoint + 0.2 * ( track.maxPoint - track.minPoint ) );
+
+    [ -3, 0, 0.005, 2 ].forEach( parametricSpeed => {
+      const unitParallelVector = track.getUnitParallelVector( skaterState.parametricPosition );
+      const movingState = skaterState.update( {
+        parametricSpeed: parametricSpeed,
+        velocityX: unitParallelVector.x * parametricSpeed,
+        velocityY: unitParallelVector.y * parametricSpeed
+      } );
+      assert.ok( Math.abs( engine.getTangentialAccelerationAt( skaterState, 0, parametricSpeed ) -
+                           engine.getTangentialAcceleration( movingState ) ) < 1E-8,
+        'same as the acceleration of a SkaterState moving at ' + parametricSpeed + ' m/s' );
+    } );
+  } );
+
+  QUnit.test( 'steps are deterministic', assert => {
+    TrackIntegrator.VALUES.forEach( integrator => {
+      const track = SkaterPhysicsEngine.createTrack( VALLEY_POINTS );
+      const createStates = () => run(
+        new SkaterPhysicsEngine( { tracks: [ track ], friction: 0.02, integrator: integrator } ),
+        createSkaterOnTrack( track, track.minPoint + 0.2 * ( track.maxPoint - track.minPoint ) ),
+        300
+      );
+      const first = _.last( createStates() );
+      const second = _.last( createStates() );
+
+      assert.ok( first.positionX === second.positionX && first.positionY === second.positionY &&
+                 first.thermalEnergy === second.thermalEnergy, integrator.name + ' gives the same result every run' );
+    } );
+  } );
+} );
@@ -32,8 +32,9 @@ define( require => {
      *
      * @param {SkaterState} skaterState
      * @param {number} time - in seconds
+     * @param {Object} forces - forces on the skater in this state, see SkaterPhysicsEngine.getForces
      */
-    constructor( skaterState, time ) {
+    constructor( skaterState, time, forces ) {
 
       // @public (read-only)
       this.speed = skaterState.getSpeed();
@@ -45,6 +46,20 @@ define( require => {
       this.position = new Vector2( skaterState.positionX, skaterState.positionY );
       this.time = time;
 
+      // @public (read-only) {number|null} - in meters, distance along the track from its start to the skater, null if
+      // the skater is not on a track
+      this.distanceAlongTrack = skaterState.track ? skaterState.track.getDistanceFromStart( skaterState.parametricPosition ) : null;
+
+      // @public (read-only) {number} - in meters, height of the skater above the reference height (negative if below)
+      this.height = skaterState.positionY - skaterState.referenceHeight;
+
+      // @public (read-only) {number} - magnitudes of the forces on the skater in Newtons, and of the acceleration they
+      // produce in m/s^2
+      this.normalForce = forces.normal.magnitude;
+      this.frictionForce = forces.friction.magnitude;
+      this.netForce = forces.net.magnitude;
+      this.acceleration = this.netForce / skaterState.mass;
+
       // @public (read-only)
       this.skaterState = skaterState;
 
@@ -78,6 +93,7 @@ define( require => {
     setNewReferenceHeight( referenceHeight ) {
 
       this.referenceHeight = referenceHeight;
+      this.height = this.position.y - referenceHeight;
 
       const oldPotentialEnergy = this.potentialEnergy;
       this.potentialEnergy = this.getPotentialEnergyAtReferenceHeight( referenceHeight );
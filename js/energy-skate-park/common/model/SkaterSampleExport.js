@@ -0,0 +1,95 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Writes SkaterSamples as CSV or JSON, so that a run can be analyzed in a spreadsheet or compared with another run.
+ * Both formats have one row (or object) per sample in order of time, with the units of each column in the header.
+ * Values are written with full precision so that runs can be diffed exactly.
+ *
+ * CSV looks like
+ *
+ * time (s),x (m),y (m),speed (m/s),...
+ * 0,-2.5,3.4,0,...
+ *
+ * and JSON looks like
+ *
+ * {
+ *   "format": "energy-skate-park-samples",
+ *   "version": 1,
+ *   "units": { "time": "s", "x": "m", ... },
+ *   "samples": [ { "time": 0, "x": -2.5, ... }, ... ]
+ * }
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+
+  // constants
+  const FORMAT = 'energy-skate-park-samples';
+  const VERSION = 1;
+
+  // {Object[]} - each column has a name, the units of its values and a function that gets its value from a SkaterSample
+  const COLUMNS = [
+    { name: 'time', units: 's', getValue: sample => sample.time },
+    { name: 'x', units: 'm', getValue: sample => sample.position.x },
+    { name: 'y', units: 'm', getValue: sample => sample.position.y },
+
+    // empty in CSV and null in JSON when the skater is not on a track
+    { name: 'distanceAlongTrack', units: 'm', getValue: sample => sample.distanceAlongTrack },
+    { name: 'height', units: 'm', getValue: sample => sample.height },
+    { name: 'speed', units: 'm/s', getValue: sample => sample.speed },
+    { name: 'normalForce', units: 'N', getValue: sample => sample.normalForce },
+    { name: 'frictionForce', units: 'N', getValue: sample => sample.frictionForce },
+    { name: 'netForce', units: 'N', getValue: sample => sample.netForce },
+    { name: 'acceleration', units: 'm/s^2', getValue: sample => sample.acceleration },
+    { name: 'kineticEnergy', units: 'J', getValue: sample => sample.kineticEnergy },
+    { name: 'potentialEnergy', units: 'J', getValue: sample => sample.potentialEnergy },
+    { name: 'thermalEnergy', units: 'J', getValue: sample => sample.thermalEnergy },
+    { name: 'totalEnergy', units: 'J', getValue: sample => sample.totalEnergy },
+    { name: 'referenceHeight', units: 'm', getValue: sample => sample.referenceHeight },
+    { name: 'mass', units: 'kg', getValue: sample => sample.skaterState.mass },
+    { name: 'gravity', units: 'm/s^2', getValue: sample => sample.skaterState.gravity }
+  ];
+
+  class SkaterSampleExport {
+
+    /**
+     * @public
+     *
+     * @param {SkaterSample[]} samples
+     * @returns {string} - one line for the header and one line for each sample
+     */
+    static toCSV( samples ) {
+      const header = COLUMNS.map( column => column.name + ' (' + column.units + ')' ).join( ',' );
+      const rows = samples.map( sample => COLUMNS.map( column => column.getValue( sample ) ).join( ',' ) );
+      return [ header ].concat( rows ).join( '\n' ) + '\n';
+    }
+
+    /**
+     * @public
+     *
+     * @param {SkaterSample[]} samples
+     * @returns {Object} - see format in the header, can be written with JSON.stringify
+     */
+    static toJSON( samples ) {
+      const units = {};
+      COLUMNS.forEach( column => { units[ column.name ] = column.units; } );
+
+      return {
+        format: FORMAT,
+        version: VERSION,
+        units: units,
+        samples: samples.map( sample => {
+          const values = {};
+          COLUMNS.forEach( column => { values[ column.name ] = column.getValue( sample ); } );
+          return values;
+        } )
+      };
+    }
+  }
+
+  return energySkatePark.register( 'SkaterSampleExport', SkaterSampleExport );
+} );
@@ -0,0 +1,129 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for SkaterSampleExport, checking the units, columns and values of the CSV and JSON for samples of a
+ * skater that falls onto a track.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const LabModel = require( 'ENERGY_SKATE_PARK/energy-skate-park/lab/model/LabModel' );
+  const SkaterSample = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SkaterSample' );
+  const SkaterSampleExport = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SkaterSampleExport' );
+  const SkaterState = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SkaterState' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const TrackFile = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/TrackFile' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // constants
+  const FIXED_DT = 1 / 60;
+
+  // a valley with its lowest point about a meter above the ground
+  const VALLEY_TRACK_FILE = {
+    format: 'energy-skate-park-tracks',
+    version: TrackFile.VERSION,
+    screen: 'lab',
+    scene: null,
+    tracks: [ {
+      physical: true,
+      draggable: true,
+      configurable: true,
+      splittable: true,
+      attachable: true,
+      controlPoints: [
+        { x: -4, y: 6, draggable: true, limitBounds: null },
+        { x: 0, y: 1, draggable: true, limitBounds: null },
+        { x: 4, y: 6, draggable: true, limitBounds: null }
+      ]
+    } ]
+  };
+
+  /**
+   * Sample the skater of a model every frame while it falls onto the valley and rides it, so that the first samples
+   * are off the track and the last ones are on it.
+   *
+   * @returns {SkaterSample[]}
+   */
+  const createSamples = () => {
+    const model = new LabModel( Tandem.ROOT.createTandem( 'skaterSampleExportTestsModel' ) );
+    model.loadTracks( VALLEY_TRACK_FILE );
+    model.skater.positionProperty.value = new Vector2( 1, 6 );
+    model.skater.released( null, 0 );
+
+    const samples = [];
+    for ( let i = 0; i < 120; i++ ) {
+      const skaterState = new SkaterState( model.skater, {} );
+      samples.push( new SkaterSample( skaterState, i * FIXED_DT, model.physicsEngine.getForces( skaterState ) ) );
+      model.stepFrame();
+    }
+    return samples;
+  };
+
+  // the samples are the same for every test, so they are only created once
+  let samples = null;
+  const getSamples = () => {
+    samples = samples || createSamples();
+    return samples;
+  };
+
+  /**
+   * @param {string} csv
+   * @returns {string[][]} - the cells of each line, without the empty line after the last newline
+   */
+  const parseCSV = csv => csv.split( '\n' ).slice( 0, -1 ).map( line => line.split( ',' ) );
+
+  QUnit.module( 'SkaterSampleExport' );
+
+  QUnit.test( 'units', assert => {
+    const header = parseCSV( SkaterSampleExport.toCSV( getSamples() ) )[ 0 ];
+    const units = SkaterSampleExport.toJSON( getSamples() ).units;
+
+    [ 'time (s)', 'x (m)', 'distanceAlongTrack (m)', 'speed (m/s)', 'normalForce (N)', 'acceleration (m/s^2)',
+      'kineticEnergy (J)', 'totalEnergy (J)', 'mass (kg)' ].forEach( column => {
+      assert.ok( header.includes( column ), 'the CSV header has ' + column );
+    } );
+    header.forEach( column => {
+      const match = column.match( /^(\w+) \((.+)\)$/ );
+      assert.ok( match && units[ match[ 1 ] ] === match[ 2 ], 'the JSON has the same units for ' + column );
+    } );
+  } );
+
+  QUnit.test( 'columns', assert => {
+    const rows = parseCSV( SkaterSampleExport.toCSV( getSamples() ) );
+    const json = SkaterSampleExport.toJSON( getSamples() );
+    const names = rows[ 0 ].map( column => column.split( ' ' )[ 0 ] );
+
+    assert.equal( json.format, 'energy-skate-park-samples', 'the JSON has its format' );
+    assert.equal( rows.length, getSamples().length + 1, 'the CSV has a header and a line for each sample' );
+    assert.equal( json.samples.length, getSamples().length, 'the JSON has an object for each sample' );
+    assert.deepEqual( Object.keys( json.units ), names, 'the units are in the order of the CSV columns' );
+    assert.ok( json.samples.every( values => _.isEqual( Object.keys( values ), names ) ),
+      'the values of each sample are in the order of the CSV columns' );
+    assert.ok( json.samples.every( ( values, i ) => _.isEqual( rows[ i + 1 ], names.map( name => {
+      return values[ name ] === null ? '' : String( values[ name ] );
+    } ) ) ), 'the CSV and JSON have the same values' );
+    assert.ok( json.samples.every( ( values, i ) => values.time === getSamples()[ i ].time ),
+      'the samples are written in their order' );
+  } );
+
+  QUnit.test( 'distanceAlongTrack', assert => {
+    const rows = parseCSV( SkaterSampleExport.toCSV( getSamples() ) );
+    const json = SkaterSampleExport.toJSON( getSamples() );
+    const column = rows[ 0 ].indexOf( 'distanceAlongTrack (m)' );
+
+    const offTrack = getSamples().findIndex( sample => sample.skaterState.track === null );
+    const onTrack = getSamples().findIndex( sample => sample.skaterState.track !== null );
+    assert.ok( offTrack >= 0 && onTrack >= 0, 'the skater was sampled off and on the track' );
+
+    assert.equal( rows[ offTrack + 1 ][ column ], '', 'the CSV cell is empty when the skater is off the track' );
+    assert.equal( json.samples[ offTrack ].distanceAlongTrack, null,
+      'the JSON value is null when the skater is off the track' );
+    assert.ok( rows[ onTrack + 1 ][ column ] !== '' && isFinite( Number( rows[ onTrack + 1 ][ column ] ) ),
+      'the CSV cell has the distance when the skater is on the track' );
+    assert.equal( json.samples[ onTrack ].distanceAlongTrack, getSamples()[ onTrack ].distanceAlongTrack,
+      'the JSON value is the distance when the skater is on the track' );
+  } );
+} );
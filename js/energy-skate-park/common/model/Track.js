@@ -12,19 +12,15 @@ define( require => {
   // modules
   const BooleanProperty = require( 'AXON/BooleanProperty' );
   const DerivedProperty = require( 'AXON/DerivedProperty' );
-  const dot = require( 'DOT/dot' );
   const Emitter = require( 'AXON/Emitter' );
   const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
   const merge = require( 'PHET_CORE/merge' );
   const PhetioObject = require( 'TANDEM/PhetioObject' );
-  const SplineEvaluation = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/SplineEvaluation' );
   const Tandem = require( 'TANDEM/Tandem' );
   const TrackIO = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/TrackIO' );
+  const TrackSpline = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/TrackSpline' );
   const Vector2 = require( 'DOT/Vector2' );
 
-  // constants
-  const FastArray = dot.FastArray;
-
   // options for a track that is fully interactive - it can be dragged, control points can be moved, broken into
   // different tracks, and combined with another track
   const FULLY_INTERACTIVE_OPTIONS = {
@@ -34,6 +30,9 @@ define( require => {
     attachable: true
   };
 
+  // number of pieces between each pair of control points when measuring the distance along the track, see
+  // getDistanceFromStart
+  const DISTANCE_PIECES_PER_SEGMENT = 10;
 
   class Track extends PhetioObject {
 
@@ -151,23 +150,13 @@ define( require => {
         return _.reduce( args, ( collapsed, value ) => collapsed || value );
       } );
 
-      // @public {FastArray<number>}
-      this.parametricPosition = new FastArray( this.controlPoints.length );
-      this.x = new FastArray( this.controlPoints.length );
-      this.y = new FastArray( this.controlPoints.length );
-
-      // Sampling points, which will be initialized and updated in updateLinSpace.  These points are evenly spaced
-      // in the track parametric coordinates from just before the track parameter space to just after. See updateLinSpace
-      // @private
-      this.searchLinSpace = null;
-      this.distanceBetweenSamplePoints = null;
-
-      this.updateLinSpace();
-      this.updateSplines();
+      // @public (read-only) {TrackSpline} - the geometry of the track, kept in sync with the control points in
+      // updateSplines
+      this.spline = new TrackSpline( this.controlPoints.map( controlPoint => controlPoint.positionProperty.value ) );
 
       // In the state wrapper, when the state changes, we must update the skater node
       const stateListener = () => {
-        self.updateLinSpace();
+        self.spline.updateLinSpace();
         self.updateSplines();
         model.trackChangedEmitter.emit();
         model.updateEmitter.emit();
@@ -203,27 +192,11 @@ define( require => {
      * @public
      */
     updateSplines() {
-
-      // Arrays are fixed length, so just overwrite values, see #38
       for ( let i = 0; i < this.controlPoints.length; i++ ) {
-        this.parametricPosition[ i ] = i / this.controlPoints.length;
-        this.x[ i ] = this.controlPoints[ i ].positionProperty.value.x;
-        this.y[ i ] = this.controlPoints[ i ].positionProperty.value.y;
+        const position = this.controlPoints[ i ].positionProperty.value;
+        this.spline.setPoint( i, position.x, position.y );
       }
-
-      this.xSpline = numeric.spline( this.parametricPosition, this.x );
-      this.ySpline = numeric.spline( this.parametricPosition, this.y );
-
-      // Mark search points as dirty
-      this.xSearchPoints = null;
-      this.ySearchPoints = null;
-
-      // Mark derivatives as dirty
-      this.xSplineDiff = null;
-      this.ySplineDiff = null;
-
-      this.xSplineDiffDiff = null;
-      this.ySplineDiffDiff = null;
+      this.spline.updateSplines();
     }
 
     /**
@@ -251,74 +224,14 @@ define( require => {
     }
 
     /**
-     * Returns the closest point (Euclidean) and position (parametric) on the track, as an object with {u,point}
-     * also checks 1E-6 beyond each side of the track to see if the skater is beyond the edge of the track
-     * This currently does a flat search, but if more precision is needed, a finer-grained binary search could be done
-     * afterwards. This code is used when dragging the skater (to see if he is dragged near the track) and while the
-     * skater is falling toward the track (to see if he should bounce/attach).
+     * Returns the closest point (Euclidean) and position (parametric) on the track, see
+     * TrackSpline.getClosestPositionAndParameter.
+     * @public
      *
      * @param {Vector2} point
      * @returns {{parametricPosition: number, point: Vector2, distance: Number}}
      */
-    getClosestPositionAndParameter( point ) {
-
-      // Compute the spline points for purposes of getting closest points.
-      // keep these points around and invalidate only when necessary
-      if ( !this.xSearchPoints ) {
-        this.xSearchPoints = SplineEvaluation.atArray( this.xSpline, this.searchLinSpace );
-        this.ySearchPoints = SplineEvaluation.atArray( this.ySpline, this.searchLinSpace );
-      }
-
-      let bestU = 0;
-      let bestDistanceSquared = Number.POSITIVE_INFINITY;
-      const bestPoint = new Vector2( 0, 0 );
-      for ( var i = 0; i < this.xSearchPoints.length; i++ ) {
-        const distanceSquared = point.distanceSquaredXY( this.xSearchPoints[ i ], this.ySearchPoints[ i ] );
-        if ( distanceSquared < bestDistanceSquared ) {
-          bestDistanceSquared = distanceSquared;
-          bestU = this.searchLinSpace[ i ];
-          bestPoint.x = this.xSearchPoints[ i ];
-          bestPoint.y = this.ySearchPoints[ i ];
-        }
-      }
-
-      // Binary search in the neighborhood of the best point, to refine the search
-      const distanceBetweenSearchPoints = Math.abs( this.searchLinSpace[ 1 ] - this.searchLinSpace[ 0 ] );
-      let topU = bestU + distanceBetweenSearchPoints / 2;
-      let bottomU = bestU - distanceBetweenSearchPoints / 2;
-
-      let topX = SplineEvaluation.atNumber( this.xSpline, topU );
-      let topY = SplineEvaluation.atNumber( this.ySpline, topU );
-
-      let bottomX = SplineEvaluation.atNumber( this.xSpline, bottomU );
-      let bottomY = SplineEvaluation.atNumber( this.ySpline, bottomU );
-
-      // Even at 400 binary search iterations, performance is smooth on iPad3, so this loop doesn't seem too invasive
-      const maxBinarySearchIterations = 40;
-      for ( i = 0; i < maxBinarySearchIterations; i++ ) {
-
-        const topDistanceSquared = point.distanceSquaredXY( topX, topY );
-        const bottomDistanceSquared = point.distanceSquaredXY( bottomX, bottomY );
-
-        if ( topDistanceSquared < bottomDistanceSquared ) {
-          bottomU = bottomU + ( topU - bottomU ) / 4;  // move halfway up
-          bottomX = SplineEvaluation.atNumber( this.xSpline, bottomU );
-          bottomY = SplineEvaluation.atNumber( this.ySpline, bottomU );
-          bestDistanceSquared = topDistanceSquared;
-        }
-        else {
-          topU = topU - ( topU - bottomU ) / 4;  // move halfway down
-          topX = SplineEvaluation.atNumber( this.xSpline, topU );
-          topY = SplineEvaluation.atNumber( this.ySpline, topU );
-          bestDistanceSquared = bottomDistanceSquared;
-        }
-      }
-      bestU = ( topU + bottomU ) / 2;
-      bestPoint.x = SplineEvaluation.atNumber( this.xSpline, bestU );
-      bestPoint.y = SplineEvaluation.atNumber( this.ySpline, bestU );
-
-      return { parametricPosition: bestU, point: bestPoint, distance: bestDistanceSquared };
-    }
+    getClosestPositionAndParameter( point ) { return this.spline.getClosestPositionAndParameter( point ); }
 
     /**
      * Get x location at the parametric position.
@@ -326,7 +239,7 @@ define( require => {
      * @param {number} parametricPosition
      * @returns {number}
      */
-    getX( parametricPosition ) { return SplineEvaluation.atNumber( this.xSpline, parametricPosition ); }
+    getX( parametricPosition ) { return this.spline.getX( parametricPosition ); }
 
     /**
      * Get y location at the parametric position.
@@ -334,7 +247,7 @@ define( require => {
      * @param {number}
      * @returns {number}
      */
-    getY( parametricPosition ) { return SplineEvaluation.atNumber( this.ySpline, parametricPosition ); }
+    getY( parametricPosition ) { return this.spline.getY( parametricPosition ); }
 
     /**
      * Get the model location at the parametric position.
@@ -342,11 +255,7 @@ define( require => {
      * @param {number} parametricPosition
      * @returns {Vector2}
      */
-    getPoint( parametricPosition ) {
-      const x = SplineEvaluation.atNumber( this.xSpline, parametricPosition );
-      const y = SplineEvaluation.atNumber( this.ySpline, parametricPosition );
-      return new Vector2( x, y );
-    }
+    getPoint( parametricPosition ) { return this.spline.getPoint( parametricPosition ); }
 
     /**
      * Translate the track by moving all control points by dx and dy.
@@ -396,20 +305,13 @@ define( require => {
     get slopeToGround() { return this.getSlopeToGround(); }
 
     /**
-     * For purposes of showing the skater angle, get the view angle of the track here. Note this means inverting the y
-     * values, this is called every step while animating on the track, so it was optimized to avoid new allocations.
+     * For purposes of showing the skater angle, get the view angle of the track here.
      * @public
      *
      * @param {number} parametricPosition
      * @returns {number}
      */
-    getViewAngleAt( parametricPosition ) {
-      if ( this.xSplineDiff === null ) {
-        this.xSplineDiff = this.xSpline.diff();
-        this.ySplineDiff = this.ySpline.diff();
-      }
-      return Math.atan2( -SplineEvaluation.atNumber( this.ySplineDiff, parametricPosition ), SplineEvaluation.atNumber( this.xSplineDiff, parametricPosition ) );
-    }
+    getViewAngleAt( parametricPosition ) { return this.spline.getViewAngleAt( parametricPosition ); }
 
     /**
      * Get the model angle at the specified position on the track.
@@ -418,70 +320,49 @@ define( require => {
      * @param {number} parametricPosition
      * @returns {number}
      */
-    getModelAngleAt( parametricPosition ) {
-
-      // load xSplineDiff, ySplineDiff here if not already loaded
-      if ( this.xSplineDiff === null ) {
-        this.xSplineDiff = this.xSpline.diff();
-        this.ySplineDiff = this.ySpline.diff();
-      }
-      return Math.atan2( SplineEvaluation.atNumber( this.ySplineDiff, parametricPosition ), SplineEvaluation.atNumber( this.xSplineDiff, parametricPosition ) );
-    }
+    getModelAngleAt( parametricPosition ) { return this.spline.getModelAngleAt( parametricPosition ); }
 
     /**
      * Get the model unit vector at the specified position on the track.
      * @public
      * @param {number} parametricPosition
-     * @returns {number}
+     * @returns {Vector2}
      */
-    getUnitNormalVector( parametricPosition ) {
-
-      // load xSplineDiff, ySplineDiff here if not already loaded
-      if ( this.xSplineDiff === null ) {
-        this.xSplineDiff = this.xSpline.diff();
-        this.ySplineDiff = this.ySpline.diff();
-      }
-      return new Vector2( -SplineEvaluation.atNumber( this.ySplineDiff, parametricPosition ), SplineEvaluation.atNumber( this.xSplineDiff, parametricPosition ) ).normalize();
-    }
-
-    // Get the model parallel vector at the specified position on the track
-    getUnitParallelVector( parametricPosition ) {
-
-      // load xSplineDiff, ySplineDiff here if not already loaded
-      if ( this.xSplineDiff === null ) {
-        this.xSplineDiff = this.xSpline.diff();
-        this.ySplineDiff = this.ySpline.diff();
-      }
-      return new Vector2( SplineEvaluation.atNumber( this.xSplineDiff, parametricPosition ), SplineEvaluation.atNumber( this.ySplineDiff, parametricPosition ) ).normalize();
-    }
+    getUnitNormalVector( parametricPosition ) { return this.spline.getUnitNormalVector( parametricPosition ); }
 
     /**
-     * Update the linspace, the evenly spaced vectors between the number of control points in the track.
-     * @private
+     * Get the model parallel vector at the specified position on the track.
+     * @public
+     * @param {number} parametricPosition
+     * @returns {Vector2}
      */
-    updateLinSpace() {
-      this.minPoint = 0;
-      this.maxPoint = ( this.controlPoints.length - 1 ) / this.controlPoints.length;
-      const prePoint = this.minPoint - 1E-6;
-      const postPoint = this.maxPoint + 1E-6;
-
-      // Store for performance
-      // made number of sample points depend on the length of the track, to make it smooth enough no matter how long it is
-      const n = 20 * ( this.controlPoints.length - 1 );
-      this.searchLinSpace = numeric.linspace( prePoint, postPoint, n );
-      this.distanceBetweenSamplePoints = ( postPoint - prePoint ) / n;
-    }
+    getUnitParallelVector( parametricPosition ) { return this.spline.getUnitParallelVector( parametricPosition ); }
 
     /**
      * Detect whether a parametric point is in bounds of this track, for purposes of telling whether the skater fell
      * past the edge of the track.
+     * @public
      *
-     * @param {Vector2} parametricPosition
+     * @param {number} parametricPosition
      * @returns {boolean}
      */
-    isParameterInBounds( parametricPosition ) {
-      return parametricPosition >= this.minPoint && parametricPosition <= this.maxPoint;
-    }
+    isParameterInBounds( parametricPosition ) { return this.spline.isParameterInBounds( parametricPosition ); }
+
+    /**
+     * Smallest parametric position along the track.
+     * @public
+     *
+     * @returns {number}
+     */
+    get minPoint() { return this.spline.minPoint; }
+
+    /**
+     * Largest parametric position along the track.
+     * @public
+     *
+     * @returns {number}
+     */
+    get maxPoint() { return this.spline.maxPoint; }
 
     toString() {
       let string = '';
@@ -620,41 +501,31 @@ define( require => {
 
     /**
      * Returns the arc length (in meters) between two points on a parametric curve.
-     * This function is at the heart of many nested loops, so it must be heavily optimized
      * @public
      *
      * @param {number} u0
      * @param {number} u1
      * @returns {number}
      */
-    getArcLength( u0, u1 ) {
-      if ( u1 === u0 ) {
-        return 0;
-      }
-      if ( u1 < u0 ) {
-        return -this.getArcLength( u1, u0 );
-      }
+    getArcLength( u0, u1 ) { return this.spline.getArcLength( u0, u1 ); }
 
-      // Discrepancy with original version: original version had 10 subdivisions here.  We have reduced it to improve
-      // performance at the cost of numerical precision
-      const numSegments = 4;
-      const da = ( u1 - u0 ) / ( numSegments - 1 );
-      let prevX = SplineEvaluation.atNumber( this.xSpline, u0 );
-      let prevY = SplineEvaluation.atNumber( this.ySpline, u0 );
-      let sum = 0;
-      for ( let i = 1; i < numSegments; i++ ) {
-        const a = u0 + i * da;
-        const ptX = SplineEvaluation.atNumber( this.xSpline, a );
-        const ptY = SplineEvaluation.atNumber( this.ySpline, a );
-
-        const dx = prevX - ptX;
-        const dy = prevY - ptY;
-
-        sum += Math.sqrt( dx * dx + dy * dy );
-        prevX = ptX;
-        prevY = ptY;
+    /**
+     * Returns the arc length (in meters) from the start of the track (its first control point) to a point on the
+     * track. getArcLength is only accurate over short distances, so it is summed over short pieces of the track.
+     * @public
+     *
+     * @param {number} parametricPosition
+     * @returns {number}
+     */
+    getDistanceFromStart( parametricPosition ) {
+      const du = ( this.maxPoint - this.minPoint ) / ( ( this.controlPoints.length - 1 ) * DISTANCE_PIECES_PER_SEGMENT );
+      let distance = 0;
+      let u = this.minPoint;
+      while ( u + du < parametricPosition ) {
+        distance += this.getArcLength( u, u + du );
+        u += du;
       }
-      return sum;
+      return distance + this.getArcLength( u, parametricPosition );
     }
 
     /**
@@ -665,77 +536,17 @@ define( require => {
      * @param {number} ds meters to traverse along the track
      * @returns {number}
      */
-    getParametricDistance( u0, ds ) {
-      let lowerBound = -1;
-      let upperBound = 2;
-
-      let guess = ( upperBound + lowerBound ) / 2.0;
-
-      let metricDelta = this.getArcLength( u0, guess );
-      const epsilon = 1E-8; // ORIGINAL ENERGY SKATE PARK BASICS HAD VALUE 1E-8
-
-      let count = 0;
-      while ( Math.abs( metricDelta - ds ) > epsilon ) {
-        if ( metricDelta > ds ) {
-          upperBound = guess;
-        }
-        else {
-          lowerBound = guess;
-        }
-        guess = ( upperBound + lowerBound ) / 2.0;
-        metricDelta = this.getArcLength( u0, guess );
-        count++;
-        if ( count > 100 ) {
-          assert && assert( count <= 100, 'binary search failed' );
-          break;
-        }
-      }
-      return guess - u0;
-    }
-
+    getParametricDistance( u0, ds ) { return this.spline.getParametricDistance( u0, ds ); }
 
     /**
-     * Compute the signed curvature as defined here: http:// en.wikipedia.org/wiki/Curvature#Local_expressions
-     * Used for centripetal force and determining whether the skater flies off the track
-     * Curvature parameter is for storing the result as pass-by-value.
-     * Sorry, see #50 regarding GC
+     * Compute the signed curvature, storing the result in the pass-by-reference argument, see
+     * TrackSpline.getCurvature.
      * @public
      *
-     * @param parametricPosition
-     * @param curvature
+     * @param {number} parametricPosition
+     * @param {{r: number, x: number, y: number}} curvature
      */
-    getCurvature( parametricPosition, curvature ) {
-
-      if ( this.xSplineDiff === null ) {
-        this.xSplineDiff = this.xSpline.diff();
-        this.ySplineDiff = this.ySpline.diff();
-      }
-
-      if ( this.xSplineDiffDiff === null ) {
-        this.xSplineDiffDiff = this.xSplineDiff.diff();
-        this.ySplineDiffDiff = this.ySplineDiff.diff();
-      }
-
-      const xP = SplineEvaluation.atNumber( this.xSplineDiff, parametricPosition );
-      const xPP = SplineEvaluation.atNumber( this.xSplineDiffDiff, parametricPosition );
-      const yP = SplineEvaluation.atNumber( this.ySplineDiff, parametricPosition );
-      const yPP = SplineEvaluation.atNumber( this.ySplineDiffDiff, parametricPosition );
-
-      const k = ( xP * yPP - yP * xPP ) /
-                Math.pow( ( xP * xP + yP * yP ), 3 / 2 );
-
-      // Using component-wise maths to avoid allocations, see #50
-      const centerX = this.getX( parametricPosition );
-      const centerY = this.getY( parametricPosition );
-
-      const unitNormalVector = this.getUnitNormalVector( parametricPosition );
-      const vectorX = unitNormalVector.x / k + centerX;
-      const vectorY = unitNormalVector.y / k + centerY;
-
-      curvature.r = 1 / k;
-      curvature.x = vectorX;
-      curvature.y = vectorY;
-    }
+    getCurvature( parametricPosition, curvature ) { this.spline.getCurvature( parametricPosition, curvature ); }
 
     /**
      * Find the lowest y-point on the spline by sampling, used when dropping the track or a control point to ensure
@@ -744,42 +555,7 @@ define( require => {
      *
      * @returns {number}
      */
-    getLowestY() {
-      if ( !this.xSearchPoints ) {
-        this.xSearchPoints = SplineEvaluation.atArray( this.xSpline, this.searchLinSpace );
-        this.ySearchPoints = SplineEvaluation.atArray( this.ySpline, this.searchLinSpace );
-      }
-
-      let min = Number.POSITIVE_INFINITY;
-      let minIndex = -1;
-      let y;
-      for ( var i = 0; i < this.ySearchPoints.length; i++ ) {
-        y = this.ySearchPoints[ i ];
-        if ( y < min ) {
-          min = y;
-          minIndex = i;
-        }
-      }
-
-      // Increase resolution in the neighborhood of y
-      const foundU = this.searchLinSpace[ minIndex ];
-
-      const minBound = foundU - this.distanceBetweenSamplePoints;
-      const maxBound = foundU + this.distanceBetweenSamplePoints;
-
-      const smallerSpace = numeric.linspace( minBound, maxBound, 200 );
-      const refinedSearchPoints = SplineEvaluation.atArray( this.ySpline, smallerSpace );
-
-      min = Number.POSITIVE_INFINITY;
-      for ( i = 0; i < refinedSearchPoints.length; i++ ) {
-        y = refinedSearchPoints[ i ];
-        if ( y < min ) {
-          min = y;
-        }
-      }
-
-      return min;
-    }
+    getLowestY() { return this.spline.getLowestY(); }
 
     // If any part of the track is below ground, move the whole track up so it rests at y=0 at its minimum, see #71
     // Called when user releases track or a control point after dragging
@@ -791,9 +567,14 @@ define( require => {
 
       // contain control points in limiting drag bounds (if control points have them specified) so that bumping above
       // ground doesn't push control points out of these bounds - do this without updating splines since we will
-      // do that anyway in containControlPointsInAvailableBounds
-      this.containControlPointsInLimitBounds( false );
-      this.containControlPointsInAvailableBounds( this.availableModelBoundsProperty.get() );
+      // do that anyway in containControlPointsInAvailableBounds. The available bounds are empty until the view is laid
+      // out, in which case the control points are contained once the bounds are known, see boundsListener
+      const availableModelBounds = this.availableModelBoundsProperty.get();
+      const boundsKnown = availableModelBounds.hasNonzeroArea();
+      this.containControlPointsInLimitBounds( !boundsKnown );
+      if ( boundsKnown ) {
+        this.containControlPointsInAvailableBounds( availableModelBounds );
+      }
     }
 
     /**
@@ -950,49 +731,13 @@ define( require => {
      *
      * @returns {number}
      */
-    getUWithHighestCurvature() {
-      // Below implementation copied from getMinimumRadiusOfCurvature.  It is a CPU demanding task, so kept separate to
-      // keep the other one fast. Should be kept in sync manually
-      const curvature = { r: 0, x: 0, y: 0 };
-      let minRadius = Number.POSITIVE_INFINITY;
-      let bestU = 0;
-
-      // Search the entire space of the spline.  Larger number of divisions was chosen to prevent large curvatures at a
-      // single sampling point.
-      const numDivisions = 400;
-      const du = ( this.maxPoint - this.minPoint ) / numDivisions;
-      for ( let parametricPosition = this.minPoint; parametricPosition < this.maxPoint; parametricPosition += du ) {
-        this.getCurvature( parametricPosition, curvature );
-        const r = Math.abs( curvature.r );
-        if ( r < minRadius ) {
-          minRadius = r;
-          bestU = parametricPosition;
-        }
-      }
-      return bestU;
-    }
+    getUWithHighestCurvature() { return this.spline.getUWithHighestCurvature(); }
 
     /**
      * Find the minimum radius of curvature along the track, in meters
      * @returns {number} the minimum radius of curvature along the track, in meters.
      */
-    getMinimumRadiusOfCurvature() {
-      const curvature = { r: 0, x: 0, y: 0 };
-      let minRadius = Number.POSITIVE_INFINITY;
-
-      // Search the entire space of the spline.  Larger number of divisions was chosen to prevent large curvatures at a
-      // single sampling point.
-      const numDivisions = 400;
-      const du = ( this.maxPoint - this.minPoint ) / numDivisions;
-      for ( let parametricPosition = this.minPoint; parametricPosition < this.maxPoint; parametricPosition += du ) {
-        this.getCurvature( parametricPosition, curvature );
-        const r = Math.abs( curvature.r );
-        if ( r < minRadius ) {
-          minRadius = r;
-        }
-      }
-      return minRadius;
-    }
+    getMinimumRadiusOfCurvature() { return this.spline.getMinimumRadiusOfCurvature(); }
 
     /**
      * Use an arbitrary position for translating the track during dragging. Only used for deltas in relative positioning
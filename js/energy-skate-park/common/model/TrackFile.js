@@ -0,0 +1,259 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Reads and writes tracks as JSON, so that custom tracks can be saved and loaded by the user. Unlike TrackIO, which
+ * refers to control points by phetioID for PhET-iO state, a track file contains everything needed to create the
+ * tracks again. A track file looks like
+ *
+ * {
+ *   "format": "energy-skate-park-tracks",
+ *   "version": 2,
+ *
+ *   // {string} - screen the tracks were saved from, see the screenName option of EnergySkateParkModel
+ *   "screen": "lab",
+ *
+ *   // {number|null} - selected scene of a screen with a premade set of tracks, null for screens with custom tracks
+ *   "scene": null,
+ *
+ *   "tracks": [ {
+ *
+ *     // {boolean} - whether the track is in the play area and interacts with the skater
+ *     "physical": true,
+ *
+ *     // {boolean} - see Track options
+ *     "draggable": true,
+ *     "configurable": true,
+ *     "splittable": true,
+ *     "attachable": true,
+ *
+ *     // at least two control points, positions in meters
+ *     "controlPoints": [ {
+ *       "x": -1,
+ *       "y": 2.5,
+ *
+ *       // {boolean} - see ControlPoint options
+ *       "draggable": true,
+ *
+ *       // {Object|null} - bounds that limit dragging of the control point, in meters, see ControlPoint options
+ *       "limitBounds": { "minX": -2, "minY": 0, "maxX": 0, "maxY": 5 }
+ *     }, ... ]
+ *   }, ... ]
+ * }
+ *
+ * The version should be incremented whenever the format changes, and read() should continue to support files of
+ * earlier versions. Version 1 had no "screen", and its "scene" was always null. The screen and scene describe where the
+ * tracks were saved, tracks can be loaded into any screen with custom tracks.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const Bounds2 = require( 'DOT/Bounds2' );
+  const Constants = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/Constants' );
+  const ControlPoint = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/ControlPoint' );
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  const Track = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/Track' );
+
+  // strings
+  const trackFileControlPointPatternString = require( 'string!ENERGY_SKATE_PARK/trackFile.controlPointPattern' );
+  const trackFileFlagPatternString = require( 'string!ENERGY_SKATE_PARK/trackFile.flagPattern' );
+  const trackFileInvalidVersionPatternString = require( 'string!ENERGY_SKATE_PARK/trackFile.invalidVersionPattern' );
+  const trackFileLimitBoundsOrderPatternString = require( 'string!ENERGY_SKATE_PARK/trackFile.limitBoundsOrderPattern' );
+  const trackFileLimitBoundsPatternString = require( 'string!ENERGY_SKATE_PARK/trackFile.limitBoundsPattern' );
+  const trackFileNewerVersionPatternString = require( 'string!ENERGY_SKATE_PARK/trackFile.newerVersionPattern' );
+  const trackFileNoTrackListString = require( 'string!ENERGY_SKATE_PARK/trackFile.noTrackList' );
+  const trackFileNotObjectPatternString = require( 'string!ENERGY_SKATE_PARK/trackFile.notObjectPattern' );
+  const trackFileNotTracksString = require( 'string!ENERGY_SKATE_PARK/trackFile.notTracks' );
+  const trackFilePositionPatternString = require( 'string!ENERGY_SKATE_PARK/trackFile.positionPattern' );
+  const trackFileSceneString = require( 'string!ENERGY_SKATE_PARK/trackFile.scene' );
+  const trackFileScreenString = require( 'string!ENERGY_SKATE_PARK/trackFile.screen' );
+  const trackFileTooFewControlPointsPatternString = require( 'string!ENERGY_SKATE_PARK/trackFile.tooFewControlPointsPattern' );
+  const trackFileTooManyControlPointsPatternString = require( 'string!ENERGY_SKATE_PARK/trackFile.tooManyControlPointsPattern' );
+  const trackFileTrackPatternString = require( 'string!ENERGY_SKATE_PARK/trackFile.trackPattern' );
+
+  // constants
+  const FORMAT = 'energy-skate-park-tracks';
+  const VERSION = 2;
+  const TRACK_FLAGS = [ 'physical', 'draggable', 'configurable', 'splittable', 'attachable' ];
+  const BOUNDS_KEYS = [ 'minX', 'minY', 'maxX', 'maxY' ];
+
+  class TrackFile {
+
+    /**
+     * Create a track file for the physical tracks of a model.
+     * @public
+     *
+     * @param {EnergySkateParkModel} model
+     * @returns {Object} - see format in the header
+     */
+    static write( model ) {
+      assert && assert( model.screenName, 'the model should name its screen' );
+
+      return {
+        format: FORMAT,
+        version: VERSION,
+        screen: model.screenName,
+        scene: model.sceneProperty ? model.sceneProperty.value : null,
+        tracks: model.getPhysicalTracks().map( track => {
+          return {
+            physical: track.physicalProperty.value,
+            draggable: track.draggable,
+            configurable: track.configurable,
+            splittable: track.splittable,
+            attachable: track.attachable,
+            controlPoints: track.controlPoints.map( controlPoint => {
+              const position = controlPoint.positionProperty.value;
+              const limitBounds = controlPoint.limitBounds;
+              return {
+                x: position.x,
+                y: position.y,
+                draggable: controlPoint.draggable,
+                limitBounds: limitBounds && _.pick( limitBounds, BOUNDS_KEYS )
+              };
+            } )
+          };
+        } )
+      };
+    }
+
+    /**
+     * Check that an object parsed from JSON is a valid track file that can be read.
+     * @public
+     *
+     * @param {*} trackFile
+     * @returns {string[]} - messages describing each problem in the file, empty if it is valid
+     */
+    static validate( trackFile ) {
+      const errors = [];
+
+      if ( !_.isPlainObject( trackFile ) || trackFile.format !== FORMAT ) {
+        errors.push( trackFileNotTracksString );
+        return errors;
+      }
+      if ( !Number.isInteger( trackFile.version ) || trackFile.version < 1 ) {
+        errors.push( StringUtils.fillIn( trackFileInvalidVersionPatternString, { version: trackFile.version } ) );
+        return errors;
+      }
+      if ( trackFile.version > VERSION ) {
+        errors.push( StringUtils.fillIn( trackFileNewerVersionPatternString, {
+          version: trackFile.version,
+          maxVersion: VERSION
+        } ) );
+        return errors;
+      }
+      if ( trackFile.version >= 2 && ( typeof trackFile.screen !== 'string' || trackFile.screen.length === 0 ) ) {
+        errors.push( trackFileScreenString );
+      }
+      if ( trackFile.scene !== null && !( Number.isInteger( trackFile.scene ) && trackFile.scene >= 0 ) ) {
+        errors.push( trackFileSceneString );
+      }
+      if ( !Array.isArray( trackFile.tracks ) ) {
+        errors.push( trackFileNoTrackListString );
+        return errors;
+      }
+
+      let numberOfPhysicalControlPoints = 0;
+      trackFile.tracks.forEach( ( track, i ) => {
+        const trackName = StringUtils.fillIn( trackFileTrackPatternString, { number: i + 1 } );
+        if ( !_.isPlainObject( track ) ) {
+          errors.push( StringUtils.fillIn( trackFileNotObjectPatternString, { name: trackName } ) );
+          return;
+        }
+        TRACK_FLAGS.forEach( flag => {
+          if ( typeof track[ flag ] !== 'boolean' ) {
+            errors.push( StringUtils.fillIn( trackFileFlagPatternString, { name: trackName, flag: flag } ) );
+          }
+        } );
+        if ( !Array.isArray( track.controlPoints ) || track.controlPoints.length < 2 ) {
+          errors.push( StringUtils.fillIn( trackFileTooFewControlPointsPatternString, { name: trackName } ) );
+          return;
+        }
+        if ( track.physical ) {
+          numberOfPhysicalControlPoints += track.controlPoints.length;
+        }
+
+        track.controlPoints.forEach( ( controlPoint, j ) => {
+          const pointName = StringUtils.fillIn( trackFileControlPointPatternString, { track: trackName, number: j + 1 } );
+          if ( !_.isPlainObject( controlPoint ) ) {
+            errors.push( StringUtils.fillIn( trackFileNotObjectPatternString, { name: pointName } ) );
+            return;
+          }
+          if ( !isFiniteNumber( controlPoint.x ) || !isFiniteNumber( controlPoint.y ) ) {
+            errors.push( StringUtils.fillIn( trackFilePositionPatternString, { name: pointName } ) );
+          }
+          if ( typeof controlPoint.draggable !== 'boolean' ) {
+            errors.push( StringUtils.fillIn( trackFileFlagPatternString, { name: pointName, flag: 'draggable' } ) );
+          }
+          const limitBounds = controlPoint.limitBounds;
+          if ( limitBounds !== null ) {
+            if ( !_.isPlainObject( limitBounds ) || !_.every( BOUNDS_KEYS, key => isFiniteNumber( limitBounds[ key ] ) ) ) {
+              errors.push( StringUtils.fillIn( trackFileLimitBoundsPatternString, { name: pointName } ) );
+            }
+            else if ( limitBounds.minX > limitBounds.maxX || limitBounds.minY > limitBounds.maxY ) {
+              errors.push( StringUtils.fillIn( trackFileLimitBoundsOrderPatternString, { name: pointName } ) );
+            }
+          }
+        } );
+      } );
+
+      if ( numberOfPhysicalControlPoints > Constants.MAX_NUMBER_CONTROL_POINTS ) {
+        errors.push( StringUtils.fillIn( trackFileTooManyControlPointsPatternString, {
+          number: numberOfPhysicalControlPoints,
+          max: Constants.MAX_NUMBER_CONTROL_POINTS
+        } ) );
+      }
+
+      return errors;
+    }
+
+    /**
+     * Create the tracks of a valid track file (see validate) for a model. The tracks are not added to the model.
+     * @public
+     *
+     * @param {EnergySkateParkModel} model
+     * @param {Object} trackFile
+     * @returns {Track[]}
+     */
+    static read( model, trackFile ) {
+      assert && assert( TrackFile.validate( trackFile ).length === 0, 'track file should be valid' );
+
+      return trackFile.tracks.map( trackDescription => {
+        const controlPoints = trackDescription.controlPoints.map( controlPointDescription => {
+          const limitBounds = controlPointDescription.limitBounds;
+          return new ControlPoint( controlPointDescription.x, controlPointDescription.y, {
+            draggable: controlPointDescription.draggable,
+            limitBounds: limitBounds && new Bounds2( limitBounds.minX, limitBounds.minY, limitBounds.maxX, limitBounds.maxY ),
+            tandem: model.controlPointGroupTandem.createNextTandem()
+          } );
+        } );
+        const track = new Track( model, model.tracks, controlPoints, null, model.availableModelBoundsProperty, {
+          draggable: trackDescription.draggable,
+          configurable: trackDescription.configurable,
+          splittable: trackDescription.splittable,
+          attachable: trackDescription.attachable,
+          tandem: model.trackGroupTandem.createNextTandem()
+        } );
+
+        // tracks from a file have been placed in the play area, so they are no longer in the toolbox
+        track.physicalProperty.value = trackDescription.physical;
+        track.droppedProperty.value = true;
+        track.leftThePanelProperty.value = true;
+        return track;
+      } );
+    }
+  }
+
+  /**
+   * @param {*} value
+   * @returns {boolean}
+   */
+  const isFiniteNumber = value => typeof value === 'number' && isFinite( value );
+
+  // @public {number} - current version of the track file format
+  TrackFile.VERSION = VERSION;
+
+  return energySkatePark.register( 'TrackFile', TrackFile );
+} );
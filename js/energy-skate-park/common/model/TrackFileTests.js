@@ -0,0 +1,155 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for TrackFile, checking that tracks survive a round trip through a track file and that invalid files
+ * are described.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const Bounds2 = require( 'DOT/Bounds2' );
+  const LabModel = require( 'ENERGY_SKATE_PARK/energy-skate-park/lab/model/LabModel' );
+  const MeasureModel = require( 'ENERGY_SKATE_PARK/energy-skate-park/measure/model/MeasureModel' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const TrackFile = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/TrackFile' );
+
+  // constants
+  const TRACK_FLAGS = [ 'draggable', 'configurable', 'splittable', 'attachable' ];
+
+  // a file with a track that can be edited freely and a track that can only be moved, like a premade track
+  const createTrackFile = () => {
+    return {
+      format: 'energy-skate-park-tracks',
+      version: TrackFile.VERSION,
+      screen: 'lab',
+      scene: null,
+      tracks: [ {
+        physical: true,
+        draggable: true,
+        configurable: true,
+        splittable: true,
+        attachable: true,
+        controlPoints: [
+          { x: -3, y: 4, draggable: true, limitBounds: null },
+          { x: -1.5, y: 1.25, draggable: true, limitBounds: null },
+          { x: 0, y: 3, draggable: true, limitBounds: null }
+        ]
+      }, {
+        physical: true,
+        draggable: false,
+        configurable: false,
+        splittable: false,
+        attachable: false,
+        controlPoints: [
+          { x: 1, y: 5, draggable: false, limitBounds: { minX: 0.5, minY: 4, maxX: 1.5, maxY: 6 } },
+          { x: 2.5, y: 0.5, draggable: true, limitBounds: { minX: 2, minY: 0, maxX: 3, maxY: 1 } },
+          { x: 4, y: 5, draggable: false, limitBounds: null }
+        ]
+      } ]
+    };
+  };
+
+  let modelCount = 0;
+  const createModel = () => new LabModel( Tandem.ROOT.createTandem( 'trackFileTestsModel' + modelCount++ ) );
+
+  QUnit.module( 'TrackFile' );
+
+  QUnit.test( 'export then import', assert => {
+    const model = createModel();
+    model.loadTracks( createTrackFile() );
+
+    // like saving and loading the file in TrackFileButtons
+    const trackFile = JSON.parse( JSON.stringify( model.saveTracks() ) );
+    assert.deepEqual( trackFile, createTrackFile(), 'exporting the loaded tracks gives the same file' );
+    assert.deepEqual( TrackFile.validate( trackFile ), [], 'the exported file is valid' );
+
+    const originalTracks = model.getPhysicalTracks();
+    const tracks = TrackFile.read( createModel(), trackFile );
+    assert.equal( tracks.length, originalTracks.length, 'same number of tracks' );
+
+    tracks.forEach( ( track, i ) => {
+      const originalTrack = originalTracks[ i ];
+      assert.equal( track.physicalProperty.value, originalTrack.physicalProperty.value, 'track ' + i + ' physical' );
+      TRACK_FLAGS.forEach( flag => {
+        assert.equal( track[ flag ], originalTrack[ flag ], 'track ' + i + ' ' + flag );
+      } );
+      assert.equal( track.controlPoints.length, originalTrack.controlPoints.length, 'track ' + i + ' control points' );
+
+      track.controlPoints.forEach( ( controlPoint, j ) => {
+        const originalControlPoint = originalTrack.controlPoints[ j ];
+        const name = 'track ' + i + ', control point ' + j;
+        assert.ok( controlPoint.positionProperty.value.equals( originalControlPoint.positionProperty.value ), name + ' position' );
+        assert.equal( controlPoint.draggable, originalControlPoint.draggable, name + ' draggable' );
+        if ( originalControlPoint.limitBounds ) {
+          assert.ok( controlPoint.limitBounds instanceof Bounds2 && controlPoint.limitBounds.equals( originalControlPoint.limitBounds ),
+            name + ' limitBounds' );
+        }
+        else {
+          assert.equal( controlPoint.limitBounds, null, name + ' limitBounds' );
+        }
+      } );
+    } );
+  } );
+
+  QUnit.test( 'tracks that are not physical', assert => {
+    const trackFile = createTrackFile();
+    trackFile.tracks[ 1 ].physical = false;
+
+    const model = createModel();
+    const tracks = TrackFile.read( model, trackFile );
+    assert.deepEqual( tracks.map( track => track.physicalProperty.value ), [ true, false ], 'physical flags are read' );
+
+    model.loadTracks( trackFile );
+    assert.equal( model.saveTracks().tracks.length, 1, 'only tracks in the play area are exported' );
+  } );
+
+  QUnit.test( 'files of version 1', assert => {
+    const trackFile = createTrackFile();
+    trackFile.version = 1;
+    delete trackFile.screen;
+
+    assert.deepEqual( TrackFile.validate( trackFile ), [], 'version 1 files are valid' );
+    assert.equal( TrackFile.read( createModel(), trackFile ).length, 2, 'version 1 files can be read' );
+  } );
+
+  QUnit.test( 'screen and scene', assert => {
+    const labTrackFile = TrackFile.write( createModel() );
+    assert.equal( labTrackFile.screen, 'lab', 'the screen is written' );
+    assert.equal( labTrackFile.scene, null, 'a screen with custom tracks has no scene' );
+
+    const measureModel = new MeasureModel( Tandem.ROOT.createTandem( 'trackFileTestsModel' + modelCount++ ) );
+    measureModel.sceneProperty.value = 2;
+    const measureTrackFile = JSON.parse( JSON.stringify( TrackFile.write( measureModel ) ) );
+    assert.equal( measureTrackFile.screen, 'measure', 'the screen of a track set is written' );
+    assert.equal( measureTrackFile.scene, 2, 'the selected scene of a track set is written' );
+    assert.deepEqual( TrackFile.validate( measureTrackFile ), [], 'the file of a track set is valid' );
+  } );
+
+  QUnit.test( 'invalid files', assert => {
+    const validate = modify => {
+      const trackFile = createTrackFile();
+      modify( trackFile );
+      return TrackFile.validate( trackFile );
+    };
+
+    assert.equal( TrackFile.validate( [] ).length, 1, 'not a track file' );
+    assert.equal( validate( trackFile => { trackFile.version = TrackFile.VERSION + 1; } ).length, 1, 'newer version' );
+    assert.equal( validate( trackFile => { delete trackFile.tracks; } ).length, 1, 'no tracks' );
+    assert.equal( validate( trackFile => { delete trackFile.screen; } ).length, 1, 'no screen' );
+    assert.equal( validate( trackFile => { trackFile.screen = ''; } ).length, 1, 'empty screen' );
+    assert.equal( validate( trackFile => { trackFile.scene = 1.5; } ).length, 1, 'scene that is not an index' );
+    assert.equal( validate( trackFile => { trackFile.scene = -1; } ).length, 1, 'negative scene' );
+    assert.equal( validate( trackFile => { trackFile.tracks[ 0 ].controlPoints.length = 1; } ).length, 1,
+      'too few control points' );
+    assert.equal( validate( trackFile => {
+      trackFile.tracks[ 0 ].attachable = 'yes';
+      trackFile.tracks[ 1 ].controlPoints[ 0 ].x = 'left';
+    } ).length, 2, 'one message for each problem' );
+    assert.equal( validate( trackFile => {
+      trackFile.tracks[ 1 ].controlPoints[ 1 ].limitBounds = { minX: 3, minY: 0, maxX: 2, maxY: 1 };
+    } ).length, 1, 'limitBounds with a minimum larger than the maximum' );
+  } );
+} );
@@ -0,0 +1,25 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Numerical integrators available to SkaterPhysicsEngine for moving the skater along a track. Each integrates the
+ * skater's speed and distance along the track (arc length) from the tangential component of the forces on it.
+ *
+ * EULER - Original integrator, speed is updated with the acceleration at the start of the step and the distance uses
+ *         the updated speed plus a second order term. Relies on the energy corrections in SkaterPhysicsEngine.
+ * SEMI_IMPLICIT_EULER - Speed is updated first, then distance is updated with the new speed (symplectic Euler).
+ * RK4 - Classic fourth order Runge-Kutta, evaluating the forces at intermediate points along the track. More accurate
+ *       on steep and highly curved tracks, but slower.
+ *
+ * @author Jesse Greenberg
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const Enumeration = require( 'PHET_CORE/Enumeration' );
+
+  const TrackIntegrator = Enumeration.byKeys( [ 'EULER', 'SEMI_IMPLICIT_EULER', 'RK4' ] );
+
+  return energySkatePark.register( 'TrackIntegrator', TrackIntegrator );
+} );
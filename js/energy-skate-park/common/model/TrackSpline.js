@@ -0,0 +1,525 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The geometry of a track - cubic splines through a fixed number of points, and the queries the physics needs on
+ * them (closest point, angles, normals, arc length and curvature). This has no Properties, Emitters or tandems so
+ * that it can be used by SkaterPhysicsEngine without the rest of the sim. Track owns one of these and keeps it in sync
+ * with its ControlPoints, but a TrackSpline can also be created directly from a plain list of points.
+ *
+ * @author Sam Reid
+ * @author Jesse Greenberg
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const dot = require( 'DOT/dot' );
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const merge = require( 'PHET_CORE/merge' );
+  const SplineEvaluation = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/SplineEvaluation' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // constants
+  const FastArray = dot.FastArray;
+
+  class TrackSpline {
+
+    /**
+     * @param {Array.<{x: number, y: number}>} points - positions of the points the splines pass through, in meters
+     * @param {Object} [options]
+     */
+    constructor( points, options ) {
+      assert && assert( points.length >= 2, 'a track needs at least two points' );
+
+      options = merge( {
+
+        // {boolean} - whether the skater transitions from the right edge of this track directly to the ground, see
+        // Track.slopeToGround
+        slopeToGround: false
+      }, options );
+
+      // @public (read-only) {number}
+      this.numberOfPoints = points.length;
+
+      // @public {boolean} - see options
+      this.slopeToGround = options.slopeToGround;
+
+      // @public (read-only) {FastArray<number>}
+      this.parametricPosition = new FastArray( this.numberOfPoints );
+      this.x = new FastArray( this.numberOfPoints );
+      this.y = new FastArray( this.numberOfPoints );
+
+      // @public (read-only) {Object} - numeric.js splines for x and y as a function of parametric position
+      this.xSpline = null;
+      this.ySpline = null;
+
+      // @private {Object|null} - derivatives of the splines, computed lazily and marked dirty when the splines change
+      this.xSplineDiff = null;
+      this.ySplineDiff = null;
+      this.xSplineDiffDiff = null;
+      this.ySplineDiffDiff = null;
+
+      // @private {Array.<number>|null} - spline evaluated at searchLinSpace, computed lazily
+      this.xSearchPoints = null;
+      this.ySearchPoints = null;
+
+      // Sampling points, which will be initialized and updated in updateLinSpace.  These points are evenly spaced
+      // in the track parametric coordinates from just before the track parameter space to just after. See updateLinSpace
+      // @private
+      this.searchLinSpace = null;
+      this.distanceBetweenSamplePoints = null;
+
+      // @public (read-only) {number} - range of the parametric position along the track, set in updateLinSpace
+      this.minPoint = 0;
+      this.maxPoint = 0;
+
+      for ( let i = 0; i < points.length; i++ ) {
+        this.setPoint( i, points[ i ].x, points[ i ].y );
+      }
+
+      this.updateLinSpace();
+      this.updateSplines();
+    }
+
+    /**
+     * Set the position of one of the points of the spline. The splines are not recomputed until updateSplines is
+     * called so that many points can be set at once.
+     * @public
+     *
+     * @param {number} index
+     * @param {number} x
+     * @param {number} y
+     */
+    setPoint( index, x, y ) {
+      assert && assert( index >= 0 && index < this.numberOfPoints, 'index out of range' );
+
+      // Arrays are fixed length, so just overwrite values, see #38
+      this.parametricPosition[ index ] = index / this.numberOfPoints;
+      this.x[ index ] = x;
+      this.y[ index ] = y;
+    }
+
+    /**
+     * When points change, update the spline instance.
+     * @public
+     */
+    updateSplines() {
+      this.xSpline = numeric.spline( this.parametricPosition, this.x );
+      this.ySpline = numeric.spline( this.parametricPosition, this.y );
+
+      // Mark search points as dirty
+      this.xSearchPoints = null;
+      this.ySearchPoints = null;
+
+      // Mark derivatives as dirty
+      this.xSplineDiff = null;
+      this.ySplineDiff = null;
+
+      this.xSplineDiffDiff = null;
+      this.ySplineDiffDiff = null;
+    }
+
+    /**
+     * Update the linspace, the evenly spaced vectors between the number of control points in the track.
+     * @public
+     */
+    updateLinSpace() {
+      this.minPoint = 0;
+      this.maxPoint = ( this.numberOfPoints - 1 ) / this.numberOfPoints;
+      const prePoint = this.minPoint - 1E-6;
+      const postPoint = this.maxPoint + 1E-6;
+
+      // Store for performance
+      // made number of sample points depend on the length of the track, to make it smooth enough no matter how long it is
+      const n = 20 * ( this.numberOfPoints - 1 );
+      this.searchLinSpace = numeric.linspace( prePoint, postPoint, n );
+      this.distanceBetweenSamplePoints = ( postPoint - prePoint ) / n;
+    }
+
+    /**
+     * Returns the closest point (Euclidean) and position (parametric) on the track, as an object with {u,point}
+     * also checks 1E-6 beyond each side of the track to see if the skater is beyond the edge of the track
+     * This currently does a flat search, but if more precision is needed, a finer-grained binary search could be done
+     * afterwards. This code is used when dragging the skater (to see if he is dragged near the track) and while the
+     * skater is falling toward the track (to see if he should bounce/attach).
+     * @public
+     *
+     * @param {Vector2} point
+     * @returns {{parametricPosition: number, point: Vector2, distance: Number}}
+     */
+    getClosestPositionAndParameter( point ) {
+
+      // Compute the spline points for purposes of getting closest points.
+      // keep these points around and invalidate only when necessary
+      this.updateSearchPoints();
+
+      let bestU = 0;
+      let bestDistanceSquared = Number.POSITIVE_INFINITY;
+      const bestPoint = new Vector2( 0, 0 );
+      for ( var i = 0; i < this.xSearchPoints.length; i++ ) {
+        const distanceSquared = point.distanceSquaredXY( this.xSearchPoints[ i ], this.ySearchPoints[ i ] );
+        if ( distanceSquared < bestDistanceSquared ) {
+          bestDistanceSquared = distanceSquared;
+          bestU = this.searchLinSpace[ i ];
+          bestPoint.x = this.xSearchPoints[ i ];
+          bestPoint.y = this.ySearchPoints[ i ];
+        }
+      }
+
+      // Binary search in the neighborhood of the best point, to refine the search
+      const distanceBetweenSearchPoints = Math.abs( this.searchLinSpace[ 1 ] - this.searchLinSpace[ 0 ] );
+      let topU = bestU + distanceBetweenSearchPoints / 2;
+      let bottomU = bestU - distanceBetweenSearchPoints / 2;
+
+      let topX = SplineEvaluation.atNumber( this.xSpline, topU );
+      let topY = SplineEvaluation.atNumber( this.ySpline, topU );
+
+      let bottomX = SplineEvaluation.atNumber( this.xSpline, bottomU );
+      let bottomY = SplineEvaluation.atNumber( this.ySpline, bottomU );
+
+      // Even at 400 binary search iterations, performance is smooth on iPad3, so this loop doesn't seem too invasive
+      const maxBinarySearchIterations = 40;
+      for ( i = 0; i < maxBinarySearchIterations; i++ ) {
+
+        const topDistanceSquared = point.distanceSquaredXY( topX, topY );
+        const bottomDistanceSquared = point.distanceSquaredXY( bottomX, bottomY );
+
+        if ( topDistanceSquared < bottomDistanceSquared ) {
+          bottomU = bottomU + ( topU - bottomU ) / 4;  // move halfway up
+          bottomX = SplineEvaluation.atNumber( this.xSpline, bottomU );
+          bottomY = SplineEvaluation.atNumber( this.ySpline, bottomU );
+          bestDistanceSquared = topDistanceSquared;
+        }
+        else {
+          topU = topU - ( topU - bottomU ) / 4;  // move halfway down
+          topX = SplineEvaluation.atNumber( this.xSpline, topU );
+          topY = SplineEvaluation.atNumber( this.ySpline, topU );
+          bestDistanceSquared = bottomDistanceSquared;
+        }
+      }
+      bestU = ( topU + bottomU ) / 2;
+      bestPoint.x = SplineEvaluation.atNumber( this.xSpline, bestU );
+      bestPoint.y = SplineEvaluation.atNumber( this.ySpline, bestU );
+
+      return { parametricPosition: bestU, point: bestPoint, distance: bestDistanceSquared };
+    }
+
+    /**
+     * Get x location at the parametric position.
+     * @public
+     * @param {number} parametricPosition
+     * @returns {number}
+     */
+    getX( parametricPosition ) { return SplineEvaluation.atNumber( this.xSpline, parametricPosition ); }
+
+    /**
+     * Get y location at the parametric position.
+     * @public
+     * @param {number}
+     * @returns {number}
+     */
+    getY( parametricPosition ) { return SplineEvaluation.atNumber( this.ySpline, parametricPosition ); }
+
+    /**
+     * Get the model location at the parametric position.
+     * @public
+     * @param {number} parametricPosition
+     * @returns {Vector2}
+     */
+    getPoint( parametricPosition ) {
+      const x = SplineEvaluation.atNumber( this.xSpline, parametricPosition );
+      const y = SplineEvaluation.atNumber( this.ySpline, parametricPosition );
+      return new Vector2( x, y );
+    }
+
+    /**
+     * For purposes of showing the skater angle, get the view angle of the track here. Note this means inverting the y
+     * values, this is called every step while animating on the track, so it was optimized to avoid new allocations.
+     * @public
+     *
+     * @param {number} parametricPosition
+     * @returns {number}
+     */
+    getViewAngleAt( parametricPosition ) {
+      this.updateSplineDiff();
+      return Math.atan2( -SplineEvaluation.atNumber( this.ySplineDiff, parametricPosition ), SplineEvaluation.atNumber( this.xSplineDiff, parametricPosition ) );
+    }
+
+    /**
+     * Get the model angle at the specified position on the track.
+     * @public
+     *
+     * @param {number} parametricPosition
+     * @returns {number}
+     */
+    getModelAngleAt( parametricPosition ) {
+      this.updateSplineDiff();
+      return Math.atan2( SplineEvaluation.atNumber( this.ySplineDiff, parametricPosition ), SplineEvaluation.atNumber( this.xSplineDiff, parametricPosition ) );
+    }
+
+    /**
+     * Get the model unit vector at the specified position on the track.
+     * @public
+     * @param {number} parametricPosition
+     * @returns {Vector2}
+     */
+    getUnitNormalVector( parametricPosition ) {
+      this.updateSplineDiff();
+      return new Vector2( -SplineEvaluation.atNumber( this.ySplineDiff, parametricPosition ), SplineEvaluation.atNumber( this.xSplineDiff, parametricPosition ) ).normalize();
+    }
+
+    /**
+     * Get the model parallel vector at the specified position on the track.
+     * @public
+     * @param {number} parametricPosition
+     * @returns {Vector2}
+     */
+    getUnitParallelVector( parametricPosition ) {
+      this.updateSplineDiff();
+      return new Vector2( SplineEvaluation.atNumber( this.xSplineDiff, parametricPosition ), SplineEvaluation.atNumber( this.ySplineDiff, parametricPosition ) ).normalize();
+    }
+
+    /**
+     * Detect whether a parametric point is in bounds of this track, for purposes of telling whether the skater fell
+     * past the edge of the track.
+     * @public
+     *
+     * @param {number} parametricPosition
+     * @returns {boolean}
+     */
+    isParameterInBounds( parametricPosition ) {
+      return parametricPosition >= this.minPoint && parametricPosition <= this.maxPoint;
+    }
+
+    /**
+     * Returns the arc length (in meters) between two points on a parametric curve.
+     * This function is at the heart of many nested loops, so it must be heavily optimized
+     * @public
+     *
+     * @param {number} u0
+     * @param {number} u1
+     * @returns {number}
+     */
+    getArcLength( u0, u1 ) {
+      if ( u1 === u0 ) {
+        return 0;
+      }
+      if ( u1 < u0 ) {
+        return -this.getArcLength( u1, u0 );
+      }
+
+      // Discrepancy with original version: original version had 10 subdivisions here.  We have reduced it to improve
+      // performance at the cost of numerical precision
+      const numSegments = 4;
+      const da = ( u1 - u0 ) / ( numSegments - 1 );
+      let prevX = SplineEvaluation.atNumber( this.xSpline, u0 );
+      let prevY = SplineEvaluation.atNumber( this.ySpline, u0 );
+      let sum = 0;
+      for ( let i = 1; i < numSegments; i++ ) {
+        const a = u0 + i * da;
+        const ptX = SplineEvaluation.atNumber( this.xSpline, a );
+        const ptY = SplineEvaluation.atNumber( this.ySpline, a );
+
+        const dx = prevX - ptX;
+        const dy = prevY - ptY;
+
+        sum += Math.sqrt( dx * dx + dy * dy );
+        prevX = ptX;
+        prevY = ptY;
+      }
+      return sum;
+    }
+
+    /**
+     * Find the parametric distance along the track, starting at u0 and moving ds meters
+     * @public
+     *
+     * @param {number} u0 the starting point along the track in parametric coordinates
+     * @param {number} ds meters to traverse along the track
+     * @returns {number}
+     */
+    getParametricDistance( u0, ds ) {
+      let lowerBound = -1;
+      let upperBound = 2;
+
+      let guess = ( upperBound + lowerBound ) / 2.0;
+
+      let metricDelta = this.getArcLength( u0, guess );
+      const epsilon = 1E-8; // ORIGINAL ENERGY SKATE PARK BASICS HAD VALUE 1E-8
+
+      let count = 0;
+      while ( Math.abs( metricDelta - ds ) > epsilon ) {
+        if ( metricDelta > ds ) {
+          upperBound = guess;
+        }
+        else {
+          lowerBound = guess;
+        }
+        guess = ( upperBound + lowerBound ) / 2.0;
+        metricDelta = this.getArcLength( u0, guess );
+        count++;
+        if ( count > 100 ) {
+          assert && assert( count <= 100, 'binary search failed' );
+          break;
+        }
+      }
+      return guess - u0;
+    }
+
+    /**
+     * Compute the signed curvature as defined here: http:// en.wikipedia.org/wiki/Curvature#Local_expressions
+     * Used for centripetal force and determining whether the skater flies off the track
+     * Curvature parameter is for storing the result as pass-by-value.
+     * Sorry, see #50 regarding GC
+     * @public
+     *
+     * @param {number} parametricPosition
+     * @param {{r: number, x: number, y: number}} curvature
+     */
+    getCurvature( parametricPosition, curvature ) {
+      this.updateSplineDiff();
+
+      if ( this.xSplineDiffDiff === null ) {
+        this.xSplineDiffDiff = this.xSplineDiff.diff();
+        this.ySplineDiffDiff = this.ySplineDiff.diff();
+      }
+
+      const xP = SplineEvaluation.atNumber( this.xSplineDiff, parametricPosition );
+      const xPP = SplineEvaluation.atNumber( this.xSplineDiffDiff, parametricPosition );
+      const yP = SplineEvaluation.atNumber( this.ySplineDiff, parametricPosition );
+      const yPP = SplineEvaluation.atNumber( this.ySplineDiffDiff, parametricPosition );
+
+      const k = ( xP * yPP - yP * xPP ) /
+                Math.pow( ( xP * xP + yP * yP ), 3 / 2 );
+
+      // Using component-wise maths to avoid allocations, see #50
+      const centerX = this.getX( parametricPosition );
+      const centerY = this.getY( parametricPosition );
+
+      const unitNormalVector = this.getUnitNormalVector( parametricPosition );
+      const vectorX = unitNormalVector.x / k + centerX;
+      const vectorY = unitNormalVector.y / k + centerY;
+
+      curvature.r = 1 / k;
+      curvature.x = vectorX;
+      curvature.y = vectorY;
+    }
+
+    /**
+     * Find the lowest y-point on the spline by sampling, used when dropping the track or a control point to ensure
+     * it won't go below y=0.
+     * @public
+     *
+     * @returns {number}
+     */
+    getLowestY() {
+      this.updateSearchPoints();
+
+      let min = Number.POSITIVE_INFINITY;
+      let minIndex = -1;
+      let y;
+      for ( var i = 0; i < this.ySearchPoints.length; i++ ) {
+        y = this.ySearchPoints[ i ];
+        if ( y < min ) {
+          min = y;
+          minIndex = i;
+        }
+      }
+
+      // Increase resolution in the neighborhood of y
+      const foundU = this.searchLinSpace[ minIndex ];
+
+      const minBound = foundU - this.distanceBetweenSamplePoints;
+      const maxBound = foundU + this.distanceBetweenSamplePoints;
+
+      const smallerSpace = numeric.linspace( minBound, maxBound, 200 );
+      const refinedSearchPoints = SplineEvaluation.atArray( this.ySpline, smallerSpace );
+
+      min = Number.POSITIVE_INFINITY;
+      for ( i = 0; i < refinedSearchPoints.length; i++ ) {
+        y = refinedSearchPoints[ i ];
+        if ( y < min ) {
+          min = y;
+        }
+      }
+
+      return min;
+    }
+
+    /**
+     * Get the spline position at the point of highest curvature.
+     * @public
+     *
+     * @returns {number}
+     */
+    getUWithHighestCurvature() {
+      // Below implementation copied from getMinimumRadiusOfCurvature.  It is a CPU demanding task, so kept separate to
+      // keep the other one fast. Should be kept in sync manually
+      const curvature = { r: 0, x: 0, y: 0 };
+      let minRadius = Number.POSITIVE_INFINITY;
+      let bestU = 0;
+
+      // Search the entire space of the spline.  Larger number of divisions was chosen to prevent large curvatures at a
+      // single sampling point.
+      const numDivisions = 400;
+      const du = ( this.maxPoint - this.minPoint ) / numDivisions;
+      for ( let parametricPosition = this.minPoint; parametricPosition < this.maxPoint; parametricPosition += du ) {
+        this.getCurvature( parametricPosition, curvature );
+        const r = Math.abs( curvature.r );
+        if ( r < minRadius ) {
+          minRadius = r;
+          bestU = parametricPosition;
+        }
+      }
+      return bestU;
+    }
+
+    /**
+     * Find the minimum radius of curvature along the track, in meters
+     * @public
+     *
+     * @returns {number} the minimum radius of curvature along the track, in meters.
+     */
+    getMinimumRadiusOfCurvature() {
+      const curvature = { r: 0, x: 0, y: 0 };
+      let minRadius = Number.POSITIVE_INFINITY;
+
+      // Search the entire space of the spline.  Larger number of divisions was chosen to prevent large curvatures at a
+      // single sampling point.
+      const numDivisions = 400;
+      const du = ( this.maxPoint - this.minPoint ) / numDivisions;
+      for ( let parametricPosition = this.minPoint; parametricPosition < this.maxPoint; parametricPosition += du ) {
+        this.getCurvature( parametricPosition, curvature );
+        const r = Math.abs( curvature.r );
+        if ( r < minRadius ) {
+          minRadius = r;
+        }
+      }
+      return minRadius;
+    }
+
+    /**
+     * Load xSplineDiff, ySplineDiff if they were marked dirty by updateSplines.
+     * @private
+     */
+    updateSplineDiff() {
+      if ( this.xSplineDiff === null ) {
+        this.xSplineDiff = this.xSpline.diff();
+        this.ySplineDiff = this.ySpline.diff();
+      }
+    }
+
+    /**
+     * Evaluate the splines at the searchLinSpace if they were marked dirty by updateSplines.
+     * @private
+     */
+    updateSearchPoints() {
+      if ( !this.xSearchPoints ) {
+        this.xSearchPoints = SplineEvaluation.atArray( this.xSpline, this.searchLinSpace );
+        this.ySearchPoints = SplineEvaluation.atArray( this.ySpline, this.searchLinSpace );
+      }
+    }
+  }
+
+  return energySkatePark.register( 'TrackSpline', TrackSpline );
+} );
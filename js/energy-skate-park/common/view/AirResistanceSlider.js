@@ -0,0 +1,26 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A slider that controls the air resistance Property of energy skate park.
+ * @author Jesse Greenberg
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const Constants = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/Constants' );
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const PhysicalSlider = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/PhysicalSlider' );
+  const Range = require( 'DOT/Range' );
+
+  // strings
+  const controlsAirResistanceTitleString = require( 'string!ENERGY_SKATE_PARK/controls.airResistance.title' );
+
+  class AirResistanceSlider extends PhysicalSlider {
+    constructor( property, tandem ) {
+      super( controlsAirResistanceTitleString, property, new Range( Constants.MIN_AIR_RESISTANCE, Constants.MAX_AIR_RESISTANCE ), tandem );
+    }
+  }
+
+  return energySkatePark.register( 'AirResistanceSlider', AirResistanceSlider );
+} );
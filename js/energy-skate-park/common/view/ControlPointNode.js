@@ -2,7 +2,8 @@
 
 /**
  * The scenery node that shows a control point on a track, and allows the user to drag it or click on it for more
- * options.
+ * options. With the keyboard, a focused control point is nudged with the arrow keys and released with enter or space.
+ * The delete key deletes it and the C key cuts the track at it, like the buttons of the ControlPointUI.
  *
  * @author Sam Reid (PhET Interactive Simulations)
  */
@@ -14,10 +15,19 @@ define( require => {
   const ControlPointUI = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/ControlPointUI' );
   const Emitter = require( 'AXON/Emitter' );
   const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const EnergySkateParkA11yStrings = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/EnergySkateParkA11yStrings' );
   const EnergySkateParkQueryParameters = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/EnergySkateParkQueryParameters' );
+  const getArrowKeyDelta = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/getArrowKeyDelta' );
+  const LinearFunction = require( 'DOT/LinearFunction' );
+  const Property = require( 'AXON/Property' );
   const Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  const Shape = require( 'KITE/Shape' );
   const SimpleDragHandler = require( 'SCENERY/input/SimpleDragHandler' );
 
+  // a11y strings
+  const controlPointHelpTextString = EnergySkateParkA11yStrings.controlPointHelpText.value;
+  const controlPointString = EnergySkateParkA11yStrings.controlPoint.value;
+
   class ControlPointNode extends Circle {
 
     /**
@@ -55,7 +65,14 @@ define( require => {
         cursor: 'pointer',
         translation: modelViewTransform.modelToViewPosition( controlPoint.positionProperty.value ),
         tandem: tandem,
-        phetioComponentOptions: { phetioState: false }
+        phetioComponentOptions: { phetioState: false },
+
+        // pdom - only focusable once the track is in the play area, see below
+        tagName: 'div',
+        ariaRole: 'application',
+        focusHighlight: Shape.circle( 0, 0, 19 ),
+        innerContent: controlPointString,
+        descriptionContent: controlPointHelpTextString
       } );
 
       // Show a dotted line for the exterior track points, which can be connected to other track
@@ -84,17 +101,152 @@ define( require => {
       } );
       let dragEvents = 0;
       let lastControlPointUI = null;
+
+      // {boolean} - whether the control point is moving the control point of a track in the play area, rather than
+      // the whole track
+      const isReshaping = () => track.physicalProperty.value && ( track.droppedProperty.value || !track.draggable );
+
+      // Join or smooth the track after the control point has moved, returns false if that disposed the track
+      const releaseControlPoint = () => {
+        if ( isEndPoint && controlPoint.snapTargetProperty.value ) {
+          model.joinTracks( track );
+        }
+        else {
+          track.smoothPointOfHighestCurvature( [ i ] );
+          model.trackModified( track );
+        }
+
+        // The above steps can dispose a track.  If so, do not try to modify the track further, see https://github.com/phetsims/energy-skate-park-basics/issues/396
+        if ( track.isDisposed ) { return false; }
+
+        track.bumpAboveGround();
+        controlPoint.draggingProperty.value = false;
+        track.draggingProperty.value = false;
+        return true;
+      };
+
+      // when the control point is released, after the drag has moved the track or its control point
+      const endDrag = event => {
+
+        // Check whether the model contains a track so that input listeners for detached elements can't create bugs, see #230
+        if ( !model.containsTrack( track ) ) { return; }
+
+        // If control point dragged out of the control panel, translate the entire track, see #130
+        if ( !isReshaping() ) {
+
+          // Only drop a track if nothing else was dragging the track (which caused a flicker), see #282
+          if ( track.dragSource === inputListener ) {
+            trackDragHandler && trackDragHandler.trackDragEnded( event );
+          }
+          return;
+        }
+        if ( !releaseControlPoint() ) { return; }
+
+        // Show the 'control point editing' ui, but only if the user didn't drag the control point.
+        // Threshold at a few drag events in case the user didn't mean to drag it but accidentally moved it a few pixels.
+        // Make sure the track hasn't recently detached (was seen twice in ?fuzz&fuzzRate=100 testing)
+        if ( track.splittable ) {
+          if ( dragEvents <= 3 && trackNode.parents.length > 0 ) {
+            controlPointUIShownEmitter.emit();
+
+            lastControlPointUI && lastControlPointUI.dispose();
+
+            lastControlPointUI = new ControlPointUI(
+              model,
+              track,
+              i,
+              modelViewTransform,
+              trackNode.parents[ 0 ],
+              tandem.createTandem( 'controlPointUI' )
+            );
+
+            // If the track was removed, get rid of the buttons
+            const removalListener = () => {
+              lastControlPointUI && lastControlPointUI.dispose();
+              lastControlPointUI = null;
+            };
+            track.removeEmitter.addListener( removalListener );
+
+            // If the track has translated, hide the buttons, see #272
+            track.translatedEmitter.addListener( removalListener );
+
+            trackNode.parents[ 0 ].addChild( lastControlPointUI );
+          }
+
+        }
+
+        if ( EnergySkateParkQueryParameters.debugTrack ) {
+          console.log( track.getDebugString() );
+        }
+      };
+
+      // Move the control point toward a model position and reshape the track, for the drag and keyboard input
+      const movePointTo = pt => {
+
+        // Constrain the control points to remain in y>0, see #71
+        pt.y = Math.max( pt.y, 0 );
+
+        // Constrain the control point to the limited bounds, this should be more more strict than
+        // availableBoundsProperty so this is done first to avoid multiple checks
+        const dragBounds = controlPoint.limitBounds || availableBoundsProperty.value;
+        if ( dragBounds ) {
+          pt = dragBounds.closestPointTo( pt );
+        }
+
+        if ( assert && availableBoundsProperty.value ) {
+          assert( availableBoundsProperty.value.containsPoint( pt ),
+            'point should be in sim bounds, are your limiting bounds correct?' );
+        }
+
+        controlPoint.sourcePositionProperty.value = pt;
+
+        if ( isEndPoint ) {
+          // If one of the control points is close enough to link to another track, do so
+          const tracks = model.getPhysicalTracks();
+
+          let bestDistance = Number.POSITIVE_INFINITY;
+          let bestMatch = null;
+
+          for ( let i = 0; i < tracks.length; i++ ) {
+            const t = tracks[ i ];
+            if ( t !== track ) {
+
+              // don't match inner points
+              const otherPoints = [ t.controlPoints[ 0 ], t.controlPoints[ t.controlPoints.length - 1 ] ];
+
+              for ( let k = 0; k < otherPoints.length; k++ ) {
+                const otherPoint = otherPoints[ k ];
+                const distance = controlPoint.sourcePositionProperty.value.distance( otherPoint.positionProperty.value );
+
+                if ( distance < bestDistance ) {
+                  bestDistance = distance;
+                  bestMatch = otherPoint;
+                }
+              }
+            }
+          }
+
+          controlPoint.snapTargetProperty.value = bestDistance !== null && bestDistance < 1 ? bestMatch : null;
+        }
+
+        // When one control point dragged, update the track and the node shape
+        track.updateSplines();
+        trackNode.updateTrackShape();
+        model.trackModified( track );
+      };
+
       const inputListener = new SimpleDragHandler( {
         tandem: tandem.createTandem( 'inputListener' ),
         allowTouchSnag: true,
         start: event => {
+          model.editHistory.beginEdit();
 
           // Move the track to the front when it starts dragging, see #296
           // The track is in a layer of tracks (without other nodes) so moving it to the front will work perfectly
           trackNode.moveToFront();
 
           // If control point dragged out of the control panel, translate the entire track, see #130
-          if ( !track.physicalProperty.value || ( !track.droppedProperty.value && track.draggable ) ) {
+          if ( !isReshaping() ) {
 
             // Only start a track drag if nothing else was dragging the track (which caused a flicker), see #282
             if ( track.dragSource === null ) {
@@ -116,7 +268,7 @@ define( require => {
           if ( !model.containsTrack( track ) ) { return; }
 
           // If control point dragged out of the control panel, translate the entire track, see #130
-          if ( !track.physicalProperty.value || ( !track.droppedProperty.value && track.draggable ) ) {
+          if ( !isReshaping() ) {
 
             // Only drag a track if nothing else was dragging the track (which caused a flicker), see #282
             if ( track.dragSource === inputListener ) {
@@ -128,128 +280,16 @@ define( require => {
           controlPoint.draggingProperty.value = true;
           track.draggingProperty.value = true;
           const globalPoint = this.globalToParentPoint( event.pointer.point );
-
-          // trigger reconstruction of the track shape based on the control points
-          let pt = modelViewTransform.viewToModelPosition( globalPoint );
-
-          // Constrain the control points to remain in y>0, see #71
-          pt.y = Math.max( pt.y, 0 );
-
-          // Constrain the control point to the limited bounds, this should be more more strict than
-          // availableBoundsProperty so this is done first to avoid multiple checks
-          const dragBounds = controlPoint.limitBounds || availableBoundsProperty.value;
-          if ( dragBounds ) {
-            pt = dragBounds.closestPointTo( pt );
-          }
-
-          if ( assert && availableBoundsProperty.value ) {
-            assert( availableBoundsProperty.value.containsPoint( pt ),
-              'point should be in sim bounds, are your limiting bounds correct?' );
-          }
-
-          controlPoint.sourcePositionProperty.value = pt;
-
-          if ( isEndPoint ) {
-            // If one of the control points is close enough to link to another track, do so
-            const tracks = model.getPhysicalTracks();
-
-            let bestDistance = Number.POSITIVE_INFINITY;
-            let bestMatch = null;
-
-            for ( let i = 0; i < tracks.length; i++ ) {
-              const t = tracks[ i ];
-              if ( t !== track ) {
-
-                // don't match inner points
-                const otherPoints = [ t.controlPoints[ 0 ], t.controlPoints[ t.controlPoints.length - 1 ] ];
-
-                for ( let k = 0; k < otherPoints.length; k++ ) {
-                  const otherPoint = otherPoints[ k ];
-                  const distance = controlPoint.sourcePositionProperty.value.distance( otherPoint.positionProperty.value );
-
-                  if ( distance < bestDistance ) {
-                    bestDistance = distance;
-                    bestMatch = otherPoint;
-                  }
-                }
-              }
-            }
-
-            controlPoint.snapTargetProperty.value = bestDistance !== null && bestDistance < 1 ? bestMatch : null;
-          }
-
-          // When one control point dragged, update the track and the node shape
-          track.updateSplines();
-          trackNode.updateTrackShape();
-          model.trackModified( track );
+          movePointTo( modelViewTransform.viewToModelPosition( globalPoint ) );
         },
         end: event => {
+          endDrag( event );
 
-          // Check whether the model contains a track so that input listeners for detached elements can't create bugs, see #230
-          if ( !model.containsTrack( track ) ) { return; }
-
-          // If control point dragged out of the control panel, translate the entire track, see #130
-          if ( !track.physicalProperty.value || ( !track.droppedProperty.value && track.draggable ) ) {
-
-            // Only drop a track if nothing else was dragging the track (which caused a flicker), see #282
-            if ( track.dragSource === inputListener ) {
-              trackDragHandler && trackDragHandler.trackDragEnded( event );
-            }
-            return;
-          }
-          if ( isEndPoint && controlPoint.snapTargetProperty.value ) {
-            model.joinTracks( track );
-          }
-          else {
-            track.smoothPointOfHighestCurvature( [ i ] );
-            model.trackModified( track );
-          }
-
-          // The above steps can dispose a track.  If so, do not try to modify the track further, see https://github.com/phetsims/energy-skate-park-basics/issues/396
-          if ( track.isDisposed ) { return; }
-
-          track.bumpAboveGround();
-          controlPoint.draggingProperty.value = false;
-          track.draggingProperty.value = false;
-
-          // Show the 'control point editing' ui, but only if the user didn't drag the control point.
-          // Threshold at a few drag events in case the user didn't mean to drag it but accidentally moved it a few pixels.
-          // Make sure the track hasn't recently detached (was seen twice in ?fuzz&fuzzRate=100 testing)
-          if ( track.splittable ) {
-            if ( dragEvents <= 3 && trackNode.parents.length > 0 ) {
-              controlPointUIShownEmitter.emit();
-
-              lastControlPointUI && lastControlPointUI.dispose();
-
-              lastControlPointUI = new ControlPointUI(
-                model,
-                track,
-                i,
-                modelViewTransform,
-                trackNode.parents[ 0 ],
-                tandem.createTandem( 'controlPointUI' )
-              );
-
-              // If the track was removed, get rid of the buttons
-              const removalListener = () => {
-                lastControlPointUI && lastControlPointUI.dispose();
-                lastControlPointUI = null;
-              };
-              track.removeEmitter.addListener( removalListener );
-
-              // If the track has translated, hide the buttons, see #272
-              track.translatedEmitter.addListener( removalListener );
-
-              trackNode.parents[ 0 ].addChild( lastControlPointUI );
-            }
-
-          }
-
-          if ( EnergySkateParkQueryParameters.debugTrack ) {
-            console.log( track.getDebugString() );
-          }
+          // the whole drag is one edit that can be undone, including a join or split that happens on release
+          model.editHistory.endEdit();
         }
       } );
+
       inputListener.over = () => {
         if ( track.physicalProperty.value && !track.draggingProperty.value ) {
           this.opacity = highlightedOpacity;
@@ -262,9 +302,67 @@ define( require => {
       };
       this.addInputListener( inputListener );
 
+      // The keyboard only reshapes tracks in the play area, a track in the toolbox is moved with its TrackNode
+      const focusableListener = () => {
+        this.focusable = isReshaping();
+      };
+      const focusableMultilink = Property.multilink( [ track.physicalProperty, track.droppedProperty ], focusableListener );
+
+      let keyboardDragging = false;
+      const endKeyboardDrag = () => {
+        keyboardDragging = false;
+        model.containsTrack( track ) && releaseControlPoint();
+        model.editHistory.endEdit();
+      };
+
+      this.addInputListener( {
+        keydown: event => {
+          const domEvent = event.domEvent;
+          if ( !model.containsTrack( track ) || !isReshaping() ) { return; }
+
+          const delta = getArrowKeyDelta( domEvent );
+          if ( delta ) {
+            domEvent.preventDefault();
+            if ( !keyboardDragging ) {
+              keyboardDragging = true;
+              model.editHistory.beginEdit();
+              controlPoint.draggingProperty.value = true;
+              track.draggingProperty.value = true;
+
+              // when a control point moves, any additional heuristics to correct energy for premade tracks no longer apply
+              track.slopeToGround = false;
+            }
+            movePointTo( controlPoint.sourcePositionProperty.value.plus( delta ) );
+          }
+          else if ( keyboardDragging && ( domEvent.key === 'Enter' || domEvent.key === ' ' ) ) {
+            domEvent.preventDefault();
+            endKeyboardDrag();
+          }
+          else if ( track.splittable && ( domEvent.key === 'Delete' || domEvent.key === 'Backspace' ) ) {
+            domEvent.preventDefault();
+            keyboardDragging && endKeyboardDrag();
+            model.containsTrack( track ) && model.deleteControlPoint( track, i );
+          }
+          else if ( track.splittable && !isEndPoint && domEvent.key.toLowerCase() === 'c' && model.canCutTrackControlPoint() ) {
+            domEvent.preventDefault();
+            keyboardDragging && endKeyboardDrag();
+
+            // same angle as the cut button of the ControlPointUI
+            if ( model.containsTrack( track ) ) {
+              const alpha = new LinearFunction( 0, track.controlPoints.length - 1, track.minPoint, track.maxPoint )( i );
+              model.splitControlPoint( track, i, track.getModelAngleAt( alpha ) );
+            }
+          }
+        },
+        blur: () => {
+          keyboardDragging && endKeyboardDrag();
+        }
+      } );
+
       // @private
       this.disposeControlPointNode = () => {
         inputListener.dispose();
+        Property.unmultilink( focusableMultilink );
       };
     }
 
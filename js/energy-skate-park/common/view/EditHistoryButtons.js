@@ -0,0 +1,111 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Buttons to undo and redo changes to the tracks and the skater start, see EditHistory. The usual keyboard shortcuts
+ * work too while the buttons are visible: Ctrl+Z (Cmd+Z on Mac) to undo, and Ctrl+Y or Ctrl+Shift+Z to redo.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const globalKeyStateTracker = require( 'SCENERY/accessibility/globalKeyStateTracker' );
+  const HBox = require( 'SCENERY/nodes/HBox' );
+  const merge = require( 'PHET_CORE/merge' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const RectangularPushButton = require( 'SUN/buttons/RectangularPushButton' );
+  const Text = require( 'SCENERY/nodes/Text' );
+
+  // strings
+  const controlsRedoString = require( 'string!ENERGY_SKATE_PARK/controls.redo' );
+  const controlsUndoString = require( 'string!ENERGY_SKATE_PARK/controls.undo' );
+
+  // constants
+  const BUTTON_FONT = new PhetFont( 12 );
+
+  class EditHistoryButtons extends HBox {
+
+    /**
+     * @param {EditHistory} editHistory
+     * @param {Tandem} tandem
+     * @param {Object} [options]
+     */
+    constructor( editHistory, tandem, options ) {
+      options = merge( {
+        spacing: 5
+      }, options );
+
+      const undoButton = new RectangularPushButton( {
+        content: new Text( controlsUndoString, { font: BUTTON_FONT, maxWidth: 60 } ),
+        listener: () => editHistory.undo(),
+        tandem: tandem.createTandem( 'undoButton' )
+      } );
+      const undoEnabledListener = editHistory.canUndoProperty.linkAttribute( undoButton, 'enabled' );
+
+      const redoButton = new RectangularPushButton( {
+        content: new Text( controlsRedoString, { font: BUTTON_FONT, maxWidth: 60 } ),
+        listener: () => editHistory.redo(),
+        tandem: tandem.createTandem( 'redoButton' )
+      } );
+      const redoEnabledListener = editHistory.canRedoProperty.linkAttribute( redoButton, 'enabled' );
+
+      options.children = [ undoButton, redoButton ];
+      super( options );
+
+      // keyboard shortcuts, only for the screen that is showing, and not while the user is typing in a text field
+      const keydownListener = event => {
+        if ( !( event.ctrlKey || event.metaKey ) || isTextInput( event.target ) || !this.isShowing() ) {
+          return;
+        }
+        const key = event.key.toLowerCase();
+        if ( key === 'z' && !event.shiftKey ) {
+          event.preventDefault();
+          editHistory.undo();
+        }
+        else if ( key === 'y' || ( key === 'z' && event.shiftKey ) ) {
+          event.preventDefault();
+          editHistory.redo();
+        }
+      };
+      globalKeyStateTracker.keydownEmitter.addListener( keydownListener );
+
+      // @private
+      this.disposeEditHistoryButtons = () => {
+        globalKeyStateTracker.keydownEmitter.removeListener( keydownListener );
+        editHistory.canUndoProperty.unlinkAttribute( undoEnabledListener );
+        editHistory.canRedoProperty.unlinkAttribute( redoEnabledListener );
+        undoButton.dispose();
+        redoButton.dispose();
+      };
+    }
+
+    /**
+     * Whether these buttons are visible in a display, so that the shortcuts only work on the screen that is showing.
+     * @private
+     *
+     * @returns {boolean}
+     */
+    isShowing() {
+      return _.some( this.getTrails(), trail => trail.isVisible() );
+    }
+
+    /**
+     * @public
+     * @override
+     */
+    dispose() {
+      this.disposeEditHistoryButtons();
+      super.dispose();
+    }
+  }
+
+  /**
+   * @param {EventTarget} target
+   * @returns {boolean} - whether keyboard input to the target is text
+   */
+  const isTextInput = target => target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable;
+
+  return energySkatePark.register( 'EditHistoryButtons', EditHistoryButtons );
+} );
@@ -27,6 +27,7 @@ define( require => {
   const ZoomButton = require( 'SCENERY_PHET/buttons/ZoomButton' );
 
   // strings
+  const energyElasticString = require( 'string!ENERGY_SKATE_PARK/energy.elastic' );
   const energyEnergyString = require( 'string!ENERGY_SKATE_PARK/energy.energy' );
   const energyKineticString = require( 'string!ENERGY_SKATE_PARK/energy.kinetic' );
   const energyPotentialString = require( 'string!ENERGY_SKATE_PARK/energy.potential' );
@@ -48,6 +49,9 @@ define( require => {
         // include buttons that increase/decrease the scale of the graph?
         showBarGraphZoomButtons: true,
 
+        // {boolean} - include a bar for the energy stored in the launcher while the skater is held, see LauncherNode
+        includeElasticEnergy: false,
+
         // @param {Range} - The range for the visible portion of the graph, in joules - note this is somewhat arbitrary
         // because the bars will have difference scales, but size should be about 1.5 times larger than the energy would
         // extend bars at default scale. A negative min value will allow some space to represent negative energies.
@@ -98,12 +102,20 @@ define( require => {
       const thermalEntry = { property: skater.thermalEnergyProperty, color: EnergySkateParkColorScheme.thermalEnergy, modifyBarHeight: showSmallValues };
       const totalEntry = { property: skater.totalEnergyProperty, color: EnergySkateParkColorScheme.totalEnergy, modifyBarHeight: showSmallValues };
 
-      this.barChartNode = new BarChartNode( [
+      const bars = [
         { entries: [ kineticEntry ], labelString: energyKineticString },
         { entries: [ potentialEntry ], labelString: energyPotentialString },
         { entries: [ thermalEntry ], labelString: energyThermalString, labelNode: clearThermalButton },
         { entries: [ totalEntry ], labelString: energyTotalString }
-      ], graphRangeProperty, {
+      ];
+      if ( options.includeElasticEnergy ) {
+        const elasticEntry = { property: skater.elasticEnergyProperty, color: EnergySkateParkColorScheme.elasticEnergy, modifyBarHeight: hideSmallValues };
+
+        // before thermal, which is only produced once the skater moves
+        bars.splice( 2, 0, { entries: [ elasticEntry ], labelString: energyElasticString } );
+      }
+
+      this.barChartNode = new BarChartNode( bars, graphRangeProperty, {
         barLabelOptions: {
           maxWidth: 50, // i18n, by inspection
           font: new PhetFont( 12 )
@@ -10,8 +10,10 @@ define( require => {
 
   // modules
   const AccordionBox = require( 'SUN/AccordionBox' );
+  const Circle = require( 'SCENERY/nodes/Circle' );
   const EnergyBarGraph = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergyBarGraph' );
   const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const HBox = require( 'SCENERY/nodes/HBox' );
   const merge = require( 'PHET_CORE/merge' );
 
   class EnergyBarGraphAccordionBox extends AccordionBox {
@@ -24,10 +26,18 @@ define( require => {
     constructor( model, tandem, options ) {
 
       options = merge( {
-        barGraphOptions: null
+        barGraphOptions: null,
+
+        // {Skater|null} - the skater whose energy is shown, defaults to model.skater
+        skater: null,
+
+        // {Color|string|null} - if provided, a dot of this color is shown before the title so that the graph can be
+        // matched to its skater when there is more than one, see SkaterNode option particleColor
+        skaterColor: null
       }, options );
 
-      const energyBarGraph = new EnergyBarGraph( model.skater, model.barGraphScaleProperty, model.barGraphVisibleProperty, tandem.createTandem( 'energyBarGraph' ), options.barGraphOptions );
+      const skater = options.skater || model.skater;
+      const energyBarGraph = new EnergyBarGraph( skater, model.barGraphScaleProperty, model.barGraphVisibleProperty, tandem.createTandem( 'energyBarGraph' ), options.barGraphOptions );
 
       const margin = 5;
       super( energyBarGraph, {
@@ -38,7 +48,10 @@ define( require => {
         buttonYMargin: margin,
         cornerRadius: margin,
 
-        titleNode: EnergyBarGraph.createLabel(),
+        titleNode: options.skaterColor ? new HBox( {
+          children: [ new Circle( 5, { fill: options.skaterColor, stroke: 'black' } ), EnergyBarGraph.createLabel() ],
+          spacing: 5
+        } ) : EnergyBarGraph.createLabel(),
 
         // use this model Property because the graph only updates when it is visible
         expandedProperty: model.barGraphVisibleProperty,
@@ -0,0 +1,91 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A debugging panel that shows the EnergyLedger of the model, where the skater's energy went in the last step and since
+ * the last reset. Shown with the query parameter 'showEnergyLedger'. Since it is only for debugging, strings are not
+ * translatable.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const EnergyLedger = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/EnergyLedger' );
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const EnergySkateParkColorScheme = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergySkateParkColorScheme' );
+  const HBox = require( 'SCENERY/nodes/HBox' );
+  const merge = require( 'PHET_CORE/merge' );
+  const Panel = require( 'SUN/Panel' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const Utils = require( 'DOT/Utils' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
+
+  // constants
+  const FONT = new PhetFont( 10 );
+  const TITLE_FONT = new PhetFont( { size: 10, weight: 'bold' } );
+  const DECIMAL_PLACES = 3;
+
+  // labels for each entry of the ledger
+  const ENTRY_LABELS = {
+    gravityWork: 'gravity',
+    normalWork: 'normal',
+    frictionWork: 'friction',
+    airResistanceWork: 'air resistance',
+    trackDragWork: 'track drag (user)',
+    correction: 'correction (kinetic)',
+    thermalCorrection: 'correction (thermal)'
+  };
+
+  class EnergyLedgerNode extends Panel {
+
+    /**
+     * @param {EnergySkateParkModel} model
+     * @param {Object} [options]
+     */
+    constructor( model, options ) {
+      options = merge( {
+        fill: EnergySkateParkColorScheme.transparentPanelFill,
+        xMargin: 5,
+        yMargin: 5,
+        pickable: false
+      }, options );
+
+      const createColumn = ( title, align ) => {
+        return new VBox( { align: align, spacing: 2, children: [ new Text( title, { font: TITLE_FONT } ) ] } );
+      };
+      const labelColumn = createColumn( 'energy ledger (J)', 'left' );
+      const stepColumn = createColumn( 'last step', 'right' );
+      const cumulativeColumn = createColumn( 'since reset', 'right' );
+
+      const stepTexts = {};
+      const cumulativeTexts = {};
+      EnergyLedger.ENTRY_NAMES.concat( 'total' ).forEach( name => {
+        labelColumn.addChild( new Text( ENTRY_LABELS[ name ] || 'total change', { font: FONT } ) );
+
+        stepTexts[ name ] = new Text( '', { font: FONT } );
+        stepColumn.addChild( stepTexts[ name ] );
+
+        cumulativeTexts[ name ] = new Text( '', { font: FONT } );
+        cumulativeColumn.addChild( cumulativeTexts[ name ] );
+      } );
+
+      super( new HBox( { spacing: 10, align: 'top', children: [ labelColumn, stepColumn, cumulativeColumn ] } ), options );
+
+      const update = () => {
+        EnergyLedger.ENTRY_NAMES.forEach( name => {
+          stepTexts[ name ].text = Utils.toFixed( model.energyLedger[ name ], DECIMAL_PLACES );
+          cumulativeTexts[ name ].text = Utils.toFixed( model.cumulativeEnergyLedger[ name ], DECIMAL_PLACES );
+        } );
+        stepTexts.total.text = Utils.toFixed( model.energyLedger.getTotalEnergyChange(), DECIMAL_PLACES );
+        cumulativeTexts.total.text = Utils.toFixed( model.cumulativeEnergyLedger.getTotalEnergyChange(), DECIMAL_PLACES );
+      };
+      model.skater.updatedEmitter.addListener( update );
+      model.resetEmitter.addListener( update );
+      update();
+    }
+  }
+
+  return energySkatePark.register( 'EnergyLedgerNode', EnergyLedgerNode );
+} );
@@ -10,10 +10,12 @@ define( require => {
   'use strict';
 
   // modules
+  const ArrowNode = require( 'SCENERY_PHET/ArrowNode' );
   const Checkbox = require( 'SUN/Checkbox' );
   const Circle = require( 'SCENERY/nodes/Circle' );
   const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
   const EnergySkateParkColorScheme = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergySkateParkColorScheme' );
+  const FontAwesomeNode = require( 'SUN/FontAwesomeNode' );
   const GaugeNode = require( 'SCENERY_PHET/GaugeNode' );
   const HBox = require( 'SCENERY/nodes/HBox' );
   const Line = require( 'SCENERY/nodes/Line' );
@@ -241,6 +243,49 @@ define( require => {
 
       return new Node( { children: [ trackRectangle, trackDashes, centerOfMassCircle ] } );
     }
+
+    /**
+     * An icon for the checkbox of a vector on the skater, a short arrow in the color of the vector.
+     *
+     * @param {Color} color
+     * @returns {Node}
+     */
+    static createVectorIcon( color ) {
+      return new ArrowNode( 0, 0, 18, 0, {
+        fill: color,
+        stroke: 'black',
+        lineWidth: 0.5,
+        headHeight: 7,
+        headWidth: 9,
+        tailWidth: 3
+      } );
+    }
+
+    /**
+     * An icon for the free-body diagram checkbox, a dot with a force arrow pointing down, in a small box.
+     *
+     * @returns {Node}
+     */
+    static createFreeBodyDiagramIcon() {
+      const box = new Rectangle( 0, 0, 16, 20, { fill: 'white', stroke: 'black', lineWidth: 0.5 } );
+      const arrow = new ArrowNode( 8, 6, 8, 18, {
+        fill: EnergySkateParkColorScheme.gravityForceVector,
+        headHeight: 5,
+        headWidth: 6,
+        tailWidth: 2
+      } );
+      const dot = new Circle( 2, { fill: 'black', center: new Vector2( 8, 6 ) } );
+      return new Node( { children: [ box, arrow, dot ] } );
+    }
+
+    /**
+     * An icon for the energy sound checkbox, a speaker.
+     *
+     * @returns {Node}
+     */
+    static createEnergySoundIcon() {
+      return new FontAwesomeNode( 'volume_up', { fill: 'black', scale: 0.6 } );
+    }
   }
 
   return energySkatePark.register( 'EnergySkateParkCheckboxItem', EnergySkateParkCheckboxItem );
@@ -20,6 +20,7 @@ define( require => {
     kineticEnergy: PhetColorScheme.KINETIC_ENERGY,
     potentialEnergy: PhetColorScheme.GRAVITATIONAL_POTENTIAL_ENERGY,
     thermalEnergy: PhetColorScheme.HEAT_THERMAL_ENERGY,
+    elasticEnergy: PhetColorScheme.ELASTIC_POTENTIAL_ENERGY,
     totalEnergy: PhetColorScheme.TOTAL_ENERGY,
 
     // fill of circles that show the skater path
@@ -30,6 +31,9 @@ define( require => {
     // associated with the Skater to represent location of the important particle coordinate
     particleCircle: 'red',
 
+    // the same for each skater after the first, in order, so that skaters on the same tracks can be told apart
+    additionalParticleCircles: [ 'rgb(30,90,220)', 'rgb(0,150,140)' ],
+
     // colors for the Track
     roadFill: 'gray',
     roadLine: 'black',
@@ -43,8 +47,19 @@ define( require => {
 
     panelFill: new Color( '#F0F0F0' ),
 
+    // line for a quantity other than energy in the energy plot, like speed or normal force
+    plotQuantity: new Color( 40, 40, 160 ),
+
     // surrounds text for better visibility
-    transparentPanelFill: new Color( 255, 255, 255, 0.5 )
+    transparentPanelFill: new Color( 255, 255, 255, 0.5 ),
+
+    // vectors on the skater, each a different hue so that they can be told apart when they overlap
+    velocityVector: new Color( 50, 200, 50 ),
+    accelerationVector: new Color( 255, 140, 0 ),
+    gravityForceVector: new Color( 50, 130, 215 ),
+    normalForceVector: new Color( 170, 80, 200 ),
+    frictionForceVector: new Color( 255, 0, 0 ),
+    netForceVector: new Color( 0, 0, 0 )
   };
 
   energySkatePark.register( 'EnergySkateParkColorScheme', EnergySkateParkColorScheme );
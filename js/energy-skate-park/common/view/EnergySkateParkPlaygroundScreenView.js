@@ -11,12 +11,22 @@ define( require => {
   'use strict';
 
   // modules
+  const EditHistoryButtons = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EditHistoryButtons' );
   const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
   const EnergySkateParkScreenView = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergySkateParkScreenView' );
+  const FunctionTrackDialog = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/FunctionTrackDialog' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const RectangularPushButton = require( 'SUN/buttons/RectangularPushButton' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const TrackFileButtons = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/TrackFileButtons' );
   const TrackNode = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/TrackNode' );
   const Color = require( 'SCENERY/util/Color' );
   const EraserButton = require( 'SCENERY_PHET/buttons/EraserButton' );
   const Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  const timer = require( 'AXON/timer' );
+
+  // strings
+  const controlsFunctionTrackString = require( 'string!ENERGY_SKATE_PARK/controls.functionTrack' );
 
   class EnergySkateParkPlaygroundScreenView extends EnergySkateParkScreenView {
 
@@ -61,6 +71,33 @@ define( require => {
 
       this.bottomLayer.addChild( this.clearButton.mutate( { left: 5, centerY: this.trackCreationPanel.centerY } ) );
 
+      // @protected - for layout in subtypes, buttons to save and load the tracks in the play area
+      this.trackFileButtons = new TrackFileButtons( model, tandem.createTandem( 'trackFileButtons' ), {
+        leftBottom: this.trackCreationPanel.leftTop.minusXY( 0, padding )
+      } );
+      this.bottomLayer.addChild( this.trackFileButtons );
+
+      // @protected - for layout in subtypes, buttons to undo and redo changes to the tracks and skater
+      this.editHistoryButtons = new EditHistoryButtons( model.editHistory, tandem.createTandem( 'editHistoryButtons' ), {
+        leftBottom: this.trackFileButtons.rightBottom.plusXY( padding, 0 )
+      } );
+      this.bottomLayer.addChild( this.editHistoryButtons );
+
+      // dialog to add a track that follows a function, shown right away if the function in the query parameters
+      // could not be made into a track, once the sim is running
+      const functionTrackDialog = new FunctionTrackDialog( model, tandem.createTandem( 'functionTrackDialog' ) );
+      if ( model.functionTrackErrorProperty.value ) {
+        timer.setTimeout( () => functionTrackDialog.showError( model.functionTrackErrorProperty.value ), 0 );
+      }
+
+      // @protected - for layout in subtypes
+      this.functionTrackButton = new RectangularPushButton( {
+        content: new Text( controlsFunctionTrackString, { font: new PhetFont( 12 ), maxWidth: 90 } ),
+        listener: () => functionTrackDialog.show(),
+        leftBottom: this.editHistoryButtons.rightBottom.plusXY( padding, 0 ),
+        tandem: tandem.createTandem( 'functionTrackButton' )
+      } );
+      this.bottomLayer.addChild( this.functionTrackButton );
     }
 
     /**
@@ -0,0 +1,85 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The screen summary for the Parallel DOM, which describes the screen, the tracks in the play area and what the skater
+ * is doing. It also has a button to hear a summary of the energy of the skater, since the energy changes too quickly to
+ * be described as it happens. When there is more than one skater, it says that the descriptions are for the first.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const EnergySkateParkA11yStrings = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/EnergySkateParkA11yStrings' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const SkaterDescriber = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/describers/SkaterDescriber' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  const Utterance = require( 'UTTERANCE_QUEUE/Utterance' );
+  const utteranceQueue = require( 'UTTERANCE_QUEUE/utteranceQueue' );
+
+  // a11y strings
+  const describeEnergyString = EnergySkateParkA11yStrings.describeEnergy.value;
+  const otherSkatersPatternString = EnergySkateParkA11yStrings.otherSkatersPattern.value;
+  const screenSummaryString = EnergySkateParkA11yStrings.screenSummary.value;
+
+  class EnergySkateParkScreenSummaryNode extends Node {
+
+    /**
+     * @param {EnergySkateParkModel} model
+     */
+    constructor( model ) {
+      super();
+
+      const describer = new SkaterDescriber( model );
+
+      const tracksParagraph = new Node( { tagName: 'p' } );
+      const skaterParagraph = new Node( { tagName: 'p' } );
+      const otherSkatersParagraph = new Node( { tagName: 'p' } );
+
+      const energyUtterance = new Utterance();
+      const energyButton = new Node( {
+        tagName: 'button',
+        innerContent: describeEnergyString
+      } );
+      energyButton.addInputListener( {
+        click: () => {
+          energyUtterance.alert = describer.getEnergySummary();
+          utteranceQueue.addToBack( energyUtterance );
+        }
+      } );
+
+      this.children = [
+        new Node( { tagName: 'p', innerContent: screenSummaryString } ),
+        tracksParagraph,
+        skaterParagraph,
+        otherSkatersParagraph,
+        energyButton
+      ];
+
+      // the skater is updated every step, so only change the PDOM when the description changes
+      const update = () => {
+        const tracksDescription = describer.getTracksDescription();
+        if ( tracksParagraph.innerContent !== tracksDescription ) {
+          tracksParagraph.innerContent = tracksDescription;
+        }
+        const skaterDescription = describer.getSkaterDescription();
+        if ( skaterParagraph.innerContent !== skaterDescription ) {
+          skaterParagraph.innerContent = skaterDescription;
+        }
+      };
+      model.skater.updatedEmitter.addListener( update );
+      model.tracks.addItemAddedListener( update );
+      model.tracks.addItemRemovedListener( update );
+      update();
+
+      model.numberOfSkatersProperty.link( numberOfSkaters => {
+        otherSkatersParagraph.visible = numberOfSkaters > 1;
+        otherSkatersParagraph.innerContent = StringUtils.fillIn( otherSkatersPatternString, { count: numberOfSkaters } );
+      } );
+    }
+  }
+
+  return energySkatePark.register( 'EnergySkateParkScreenSummaryNode', EnergySkateParkScreenSummaryNode );
+} );
@@ -17,12 +17,18 @@ define( require => {
   const DerivedProperty = require( 'AXON/DerivedProperty' );
   const DotRectangle = require( 'DOT/Rectangle' ); // eslint-disable-line require-statement-match
   const EnergyBarGraphAccordionBox = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergyBarGraphAccordionBox' );
+  const EnergyLedgerNode = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergyLedgerNode' );
   const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const EnergySkateParkA11yStrings = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/EnergySkateParkA11yStrings' );
   const EnergySkateParkColorScheme = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergySkateParkColorScheme' );
   const EnergySkateParkControlPanel = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergySkateParkControlPanel' );
   const EnergySkateParkQueryParameters = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/EnergySkateParkQueryParameters' );
+  const EnergySkateParkScreenSummaryNode = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergySkateParkScreenSummaryNode' );
+  const EnergySoundGenerator = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergySoundGenerator' );
+  const FreeBodyDiagramPanel = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/FreeBodyDiagramPanel' );
   const GridNode = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/GridNode' );
   const Image = require( 'SCENERY/nodes/Image' );
+  const LauncherNode = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/LauncherNode' );
   const MeasuringTapeNode = require( 'SCENERY_PHET/MeasuringTapeNode' );
   const merge = require( 'PHET_CORE/merge' );
   const ModelViewTransform2 = require( 'PHETCOMMON/view/ModelViewTransform2' );
@@ -39,9 +45,14 @@ define( require => {
   const ReferenceHeightLine = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/ReferenceHeightLine' );
   const ResetAllButton = require( 'SCENERY_PHET/buttons/ResetAllButton' );
   const ScreenView = require( 'JOIST/ScreenView' );
+  const SessionFileButtons = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/SessionFileButtons' );
   const Shape = require( 'KITE/Shape' );
+  const SkaterAlertManager = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/describers/SkaterAlertManager' );
   const SkaterNode = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/SkaterNode' );
+  const SkaterVectorsNode = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/SkaterVectorsNode' );
+  const soundManager = require( 'TAMBO/soundManager' );
   const StopwatchNode = require( 'SCENERY_PHET/StopwatchNode' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
   const Text = require( 'SCENERY/nodes/Text' );
   const ToolboxPanel = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/ToolboxPanel' );
   const ValueGaugeNode = require( 'SCENERY_PHET/ValueGaugeNode' );
@@ -54,6 +65,9 @@ define( require => {
   const speedometerMetersPerSecondPatternString = require( 'string!ENERGY_SKATE_PARK/speedometerMetersPerSecondPattern' );
   const measuringTapeUnitsString = require( 'string!ENERGY_SKATE_PARK/measuringTape.units' );
 
+  // a11y strings
+  const skaterNumberPatternString = EnergySkateParkA11yStrings.skaterNumberPattern.value;
+
   // images
   const skaterIconImage = require( 'image!ENERGY_SKATE_PARK/skater-icon.png' );
 
@@ -100,6 +114,10 @@ define( require => {
         // {boolean} - whether or not to include a toolbox that contains a ruler and a measuring tape
         showToolbox: true,
 
+        // {boolean} - whether or not the toolbox includes the launcher, which releases the skater with an initial
+        // velocity. Elastic energy is then included in the energy graphs, see LauncherNode
+        showLauncher: false,
+
         // {boolean} - if true, the "grid" and "reference height" visibility controls will be displayed in a separate
         // panel near the bottom of the screen
         showSeparateVisibilityControlsPanel: true,
@@ -108,18 +126,34 @@ define( require => {
         // panel
         visibilityControlsOptions: null
       }, options );
+      assert && assert( options.showToolbox || !options.showLauncher, 'the launcher is in the toolbox' );
 
       super( {
         layoutBounds: new Bounds2( 0, 0, 834, 504 ),
-        tandem: tandem
+        tandem: tandem,
+        screenSummaryContent: new EnergySkateParkScreenSummaryNode( model )
       } );
 
+      // @private - announces the events in the motion of the skater for interactive description
+      this.skaterAlertManager = new SkaterAlertManager( model );
+
+      // the energy of the skater as sound, only heard when model.energySoundEnabledProperty is true
+      soundManager.addSoundGenerator( new EnergySoundGenerator( model.energySonification,
+        model.energySoundEnabledProperty, model.pausedProperty ) );
+
       // @protected
       this.trackNodeGroupTandem = tandem.createGroupTandem( 'trackNode' );
 
       // @protected
       this.model = model;
 
+      // whether each of model.skaters is in the play area, see EnergySkateParkModel.numberOfSkatersProperty
+      assert && assert( model.skaters.length - 1 <= EnergySkateParkColorScheme.additionalParticleCircles.length,
+        'a color is needed for each additional skater' );
+      const skaterActiveProperties = model.skaters.map( ( skater, i ) => {
+        return new DerivedProperty( [ model.numberOfSkatersProperty ], numberOfSkaters => i < numberOfSkaters );
+      } );
+
       // @private - whether or not this screen view should include a measuring tape
       this.showToolbox = options.showToolbox;
 
@@ -170,7 +204,9 @@ define( require => {
         model.skater,
         model.clearThermal.bind( model ),
         model.pieChartVisibleProperty,
-        tandem.createTandem( 'pieChartLegend' )
+        tandem.createTandem( 'pieChartLegend' ), {
+          includeElastic: options.showLauncher
+        }
       );
       this.bottomLayer.addChild( this.pieChartLegend );
 
@@ -186,12 +222,35 @@ define( require => {
       if ( this.showBarGraph ) {
         this.energyBarGraphAccordionBox = new EnergyBarGraphAccordionBox( model, tandem.createTandem( 'energyBarGraphAccordionBox' ), {
           barGraphOptions: {
-            showBarGraphZoomButtons: options.showBarGraphZoomButtons
-          }
+            showBarGraphZoomButtons: options.showBarGraphZoomButtons,
+            includeElasticEnergy: options.showLauncher
+          },
+          skaterColor: model.skaters.length > 1 ? EnergySkateParkColorScheme.particleCircle : null
         } );
         this.energyBarGraphAccordionBox.leftTop = new Vector2( 5, 5 );
         this.bottomLayer.addChild( this.energyBarGraphAccordionBox );
 
+        // @private {EnergyBarGraphAccordionBox[]} - a bar graph for each skater after the first, next to the first
+        this.additionalEnergyBarGraphAccordionBoxes = model.skaters.slice( 1 ).map( ( skater, i ) => {
+          const accordionBox = new EnergyBarGraphAccordionBox( model, tandem.createTandem( 'skater' + ( i + 2 ) + 'EnergyBarGraphAccordionBox' ), {
+            barGraphOptions: {
+              showBarGraphZoomButtons: options.showBarGraphZoomButtons,
+              includeElasticEnergy: options.showLauncher
+            },
+            skater: skater,
+            skaterColor: EnergySkateParkColorScheme.additionalParticleCircles[ i ]
+          } );
+          accordionBox.top = this.energyBarGraphAccordionBox.top;
+          skaterActiveProperties[ i + 1 ].linkAttribute( accordionBox, 'visible' );
+          this.bottomLayer.addChild( accordionBox );
+          return accordionBox;
+        } );
+
+        // the bar graphs and pie chart legend make room for the skaters that are in the play area
+        model.numberOfSkatersProperty.lazyLink( () => {
+          this.fixedLeft !== null && this.layoutEnergyGraphs();
+        } );
+
         // this.energyBarGraphPanel = new EnergyBarGraphPanel( model, tandem.createTandem( 'energyBargGraphPanel' ), {
         // barGraphOptions: {
         //     showBarGraphZoomButtons: options.showBarGraphZoomButtons
@@ -299,9 +358,25 @@ define( require => {
         this.topLayer.addChild( this.stopwatchNode );
         this.topLayer.addChild( this.measuringTapeNode );
 
+        if ( options.showLauncher ) {
+
+          // @private {LauncherNode}
+          this.launcherNode = new LauncherNode( model, this.visibleBoundsProperty, tandem.createTandem( 'launcherNode' ), {
+            dragListenerOptions: {
+              end: () => {
+                if ( this.launcherNode.bounds.intersectsBounds( this.toolboxPanel.bounds ) ) {
+                  model.launcherVisibleProperty.value = false;
+                }
+              }
+            }
+          } );
+          this.topLayer.addChild( this.launcherNode );
+        }
+
         // @private {ToolboxPanel} - so it can float to the layout bounds, see layout()
         this.toolboxPanel = new ToolboxPanel( model, this, tandem.createTandem( 'toolboxPanel' ), {
-          minWidth: this.controlPanel.width
+          minWidth: this.controlPanel.width,
+          includeLauncher: options.showLauncher
         } );
         this.bottomLayer.addChild( this.toolboxPanel );
       }
@@ -323,13 +398,41 @@ define( require => {
         modelViewTransform,
         model.getClosestTrackAndPositionAndParameter.bind( model ),
         model.getPhysicalTracks.bind( model ),
+        model.editHistory,
         tandem.createTandem( 'skaterNode' )
       );
+
+      // the skaters after the first, each with its own pie chart, behind the first skater
+      model.skaters.slice( 1 ).forEach( ( skater, i ) => {
+        const skaterNumber = i + 2;
+        const skaterNode = new SkaterNode(
+          skater,
+          this,
+          modelViewTransform,
+          model.getClosestTrackAndPositionAndParameter.bind( model ),
+          model.getPhysicalTracks.bind( model ),
+          model.editHistory,
+          tandem.createTandem( 'skater' + skaterNumber + 'Node' ), {
+            particleColor: EnergySkateParkColorScheme.additionalParticleCircles[ i ],
+            innerContent: StringUtils.fillIn( skaterNumberPatternString, { number: skaterNumber } )
+          }
+        );
+        skaterActiveProperties[ i + 1 ].linkAttribute( skaterNode, 'visible' );
+        this.topLayer.addChild( skaterNode );
+
+        const pieChartVisibleProperty = new DerivedProperty( [ model.pieChartVisibleProperty, skaterActiveProperties[ i + 1 ] ],
+          ( pieChartVisible, active ) => pieChartVisible && active );
+        this.topLayer.addChild( new PieChartNode( skater, pieChartVisibleProperty, modelViewTransform, tandem.createTandem( 'skater' + skaterNumber + 'PieChartNode' ) ) );
+      } );
+
       this.topLayer.addChild( this.skaterNode );
+      this.topLayer.addChild( new SkaterVectorsNode( model, modelViewTransform ) );
 
       const pieChartNode = new PieChartNode( model.skater, model.pieChartVisibleProperty, modelViewTransform, tandem.createTandem( 'pieChartNode' ) );
       this.topLayer.addChild( pieChartNode );
 
+      this.topLayer.addChild( new FreeBodyDiagramPanel( model, modelViewTransform, this.visibleBoundsProperty, tandem.createTandem( 'freeBodyDiagramPanel' ) ) );
+
       // relative to the control panel, but this will not float with the layout
       this.referenceHeightLine.centerX = this.layoutBounds.centerX;
 
@@ -430,6 +533,24 @@ define( require => {
         }
       } );
 
+      // For debugging where the skater's energy goes, see EnergyLedger
+      let debugTop = this.layoutBounds.minY + 5;
+      if ( EnergySkateParkQueryParameters.showEnergyLedger ) {
+        const energyLedgerNode = new EnergyLedgerNode( model, {
+          leftTop: this.layoutBounds.leftTop.plusXY( 5, 5 )
+        } );
+        this.topLayer.addChild( energyLedgerNode );
+        debugTop = energyLedgerNode.bottom + 5;
+      }
+
+      // For saving and replaying the recorded session, see SessionRecorder
+      if ( EnergySkateParkQueryParameters.recordSession ) {
+        this.topLayer.addChild( new SessionFileButtons( model, tandem.createTandem( 'sessionFileButtons' ), {
+          left: this.layoutBounds.minX + 5,
+          top: debugTop
+        } ) );
+      }
+
       // For debugging the visible bounds
       if ( showAvailableBounds ) {
         this.viewBoundsPath = new Path( null, {
@@ -536,20 +657,39 @@ define( require => {
         this.toolboxPanel.right = this.controlPanel.right;
       }
 
+      if ( this.showSeparateVisibilityControlsPanel ) {
+        this.visibilityControlsPanel.left = this.fixedLeft;
+      }
+
+      this.layoutEnergyGraphs();
+    }
+
+    /**
+     * Put the bar graphs at the left edge, side by side, and the pie chart legend to the right of the bar graphs. The
+     * bar graphs of skaters that are not in the play area are invisible, so this is also called when the number of
+     * skaters changes.
+     * @private
+     */
+    layoutEnergyGraphs() {
+
       // pie chart legend location is dependent on whether or not the screen includes an energy bar graph
       let pieChartLegendLeftTop = null;
       if ( this.showBarGraph ) {
         this.energyBarGraphAccordionBox.x = this.fixedLeft;
-        pieChartLegendLeftTop = new Vector2( this.energyBarGraphAccordionBox.right + 32, this.energyBarGraphAccordionBox.top );
+
+        let lastAccordionBox = this.energyBarGraphAccordionBox;
+        this.additionalEnergyBarGraphAccordionBoxes.forEach( accordionBox => {
+          accordionBox.left = lastAccordionBox.right + 5;
+          if ( accordionBox.visible ) {
+            lastAccordionBox = accordionBox;
+          }
+        } );
+        pieChartLegendLeftTop = new Vector2( lastAccordionBox.right + 32, this.energyBarGraphAccordionBox.top );
       }
       else {
         pieChartLegendLeftTop = new Vector2( this.fixedLeft, this.controlPanel.top );
       }
 
-      if ( this.showSeparateVisibilityControlsPanel ) {
-        this.visibilityControlsPanel.left = this.fixedLeft;
-      }
-
       // Put the pie chart legend to the right of the bar chart, see #60, #192
       this.pieChartLegend.mutate( { leftTop: pieChartLegendLeftTop } );
     }
@@ -2,10 +2,10 @@
 
 /**
  * Checkboxes that control visibility of items in energy-skate-park, including the pie chart, bar graph, grid,
- * speedometer, and reference height control. Even though the model may support changing a particular Property of this
- * control group, that doesn't mean it will be included in this control group. A single ScreenView might contain
- * more than one of these groups with different sets of Checkboxes, so it is important that each check box can be
- * specifically included/excluded with an option.
+ * speedometer, reference height control, the vectors on the skater and the energy sound. Even though the model may support changing a
+ * particular Property of this control group, that doesn't mean it will be included in this control group. A single
+ * ScreenView might contain more than one of these groups with different sets of Checkboxes, so it is important that
+ * each check box can be specifically included/excluded with an option.
  *
  * At the moment, order of checkboxes cannot be controlled.
  *
@@ -19,17 +19,26 @@ define( require => {
   const EnergyBarGraph = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergyBarGraph' );
   const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
   const EnergySkateParkCheckboxItem = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergySkateParkCheckboxItem' );
+  const EnergySkateParkColorScheme = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergySkateParkColorScheme' );
   const merge = require( 'PHET_CORE/merge' );
   const VBox = require( 'SCENERY/nodes/VBox' );
 
   // strings
+  const controlsEnergySoundString = require( 'string!ENERGY_SKATE_PARK/controls.energySound' );
+  const controlsFreeBodyDiagramString = require( 'string!ENERGY_SKATE_PARK/controls.freeBodyDiagram' );
+  const controlsGravityString = require( 'string!ENERGY_SKATE_PARK/controls.gravity' );
   const controlsPathString = require( 'string!ENERGY_SKATE_PARK/controls.path' );
   const controlsReferenceHeightString = require( 'string!ENERGY_SKATE_PARK/controls.referenceHeight' );
   const controlsShowGridString = require( 'string!ENERGY_SKATE_PARK/controls.show-grid' );
   const controlsStickToTrackString = require( 'string!ENERGY_SKATE_PARK/controls.stickToTrack' );
+  const controlsVelocityString = require( 'string!ENERGY_SKATE_PARK/controls.velocity' );
   const pieChartString = require( 'string!ENERGY_SKATE_PARK/pieChart' );
   const plotsBarGraphString = require( 'string!ENERGY_SKATE_PARK/plots.bar-graph' );
   const propertiesSpeedString = require( 'string!ENERGY_SKATE_PARK/properties.speed' );
+  const quantitiesAccelerationString = require( 'string!ENERGY_SKATE_PARK/quantities.acceleration' );
+  const quantitiesFrictionForceString = require( 'string!ENERGY_SKATE_PARK/quantities.frictionForce' );
+  const quantitiesNetForceString = require( 'string!ENERGY_SKATE_PARK/quantities.netForce' );
+  const quantitiesNormalForceString = require( 'string!ENERGY_SKATE_PARK/quantities.normalForce' );
 
   class EnergySkateParkVisibilityControls extends VBox {
 
@@ -49,6 +58,11 @@ define( require => {
         showReferenceHeightCheckbox: false,
         showSkaterPathCheckbox: false,
         showStickToTrackCheckbox: false,
+        showEnergySoundCheckbox: false,
+
+        // {boolean} - whether to include a separate group of Checkboxes for the vectors drawn on the skater and the
+        // free-body diagram, see SkaterVectorsNode and FreeBodyDiagramPanel
+        showVectorCheckboxes: false,
 
         // {*|null} options that are passed to each EnergySkateParkCheckboxItem in this group of controls
         itemOptions: null
@@ -142,10 +156,55 @@ define( require => {
         ) );
       }
 
+      if ( options.showEnergySoundCheckbox ) {
+        checkboxItems.push( new EnergySkateParkCheckboxItem(
+          controlsEnergySoundString,
+          EnergySkateParkCheckboxItem.createEnergySoundIcon(),
+          itemAlignGroup,
+          model.energySoundEnabledProperty,
+          tandem.createTandem( 'energySoundCheckbox' ),
+          options.itemOptions
+        ) );
+      }
+
+      const children = [ new VBox( { children: checkboxItems, align: 'left', spacing: 6.5 } ) ];
+
+      if ( options.showVectorCheckboxes ) {
+
+        // the vectors are aligned among themselves, since their icons are all the same size
+        const vectorAlignGroup = new AlignGroup();
+        const vectorItems = [
+          { label: controlsVelocityString, color: EnergySkateParkColorScheme.velocityVector, property: model.velocityVectorVisibleProperty, tandemName: 'velocityVectorCheckbox' },
+          { label: quantitiesAccelerationString, color: EnergySkateParkColorScheme.accelerationVector, property: model.accelerationVectorVisibleProperty, tandemName: 'accelerationVectorCheckbox' },
+          { label: controlsGravityString, color: EnergySkateParkColorScheme.gravityForceVector, property: model.gravityForceVectorVisibleProperty, tandemName: 'gravityForceVectorCheckbox' },
+          { label: quantitiesNormalForceString, color: EnergySkateParkColorScheme.normalForceVector, property: model.normalForceVectorVisibleProperty, tandemName: 'normalForceVectorCheckbox' },
+          { label: quantitiesFrictionForceString, color: EnergySkateParkColorScheme.frictionForceVector, property: model.frictionForceVectorVisibleProperty, tandemName: 'frictionForceVectorCheckbox' },
+          { label: quantitiesNetForceString, color: EnergySkateParkColorScheme.netForceVector, property: model.netForceVectorVisibleProperty, tandemName: 'netForceVectorCheckbox' }
+        ].map( item => new EnergySkateParkCheckboxItem(
+          item.label,
+          EnergySkateParkCheckboxItem.createVectorIcon( item.color ),
+          vectorAlignGroup,
+          item.property,
+          tandem.createTandem( item.tandemName ),
+          options.itemOptions
+        ) );
+
+        vectorItems.push( new EnergySkateParkCheckboxItem(
+          controlsFreeBodyDiagramString,
+          EnergySkateParkCheckboxItem.createFreeBodyDiagramIcon(),
+          vectorAlignGroup,
+          model.freeBodyDiagramVisibleProperty,
+          tandem.createTandem( 'freeBodyDiagramCheckbox' ),
+          options.itemOptions
+        ) );
+
+        children.push( new VBox( { children: vectorItems, align: 'left', spacing: 6.5 } ) );
+      }
+
       super( {
-        children: checkboxItems,
+        children: children,
         align: 'left',
-        spacing: 6.5
+        spacing: 12
       } );
 
     }
@@ -0,0 +1,118 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Plays the sounds described by EnergySonification, generated with oscillators in the browser so that no sound files
+ * are needed. The kinetic tone is a sine wave and the potential tone is a triangle wave, so the two can be told apart
+ * when they are at the same pitch. Landing cues are short tones that decay quickly.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const DerivedProperty = require( 'AXON/DerivedProperty' );
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const merge = require( 'PHET_CORE/merge' );
+  const SkaterImpact = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SkaterImpact' );
+  const SoundGenerator = require( 'TAMBO/sound-generators/SoundGenerator' );
+
+  // constants
+  // time constant for changes to the continuous tones, in seconds, so that they glide between updates of the model
+  // instead of clicking
+  const TONE_TIME_CONSTANT = 0.03;
+
+  // the gain that a cue decays to, exponential ramps can't reach zero
+  const CUE_END_GAIN = 0.001;
+
+  // oscillator type for the cue of each kind of landing
+  const CUE_OSCILLATOR_TYPES = {
+    TRACK: 'sine',
+    GROUND: 'triangle'
+  };
+
+  class EnergySoundGenerator extends SoundGenerator {
+
+    /**
+     * @param {EnergySonification} energySonification
+     * @param {BooleanProperty} energySoundEnabledProperty
+     * @param {BooleanProperty} pausedProperty - the energy of the skater doesn't change while paused, so sound stops
+     * @param {Object} [options]
+     */
+    constructor( energySonification, energySoundEnabledProperty, pausedProperty, options ) {
+      const runningProperty = new DerivedProperty( [ pausedProperty ], paused => !paused );
+
+      options = merge( {
+        initialOutputLevel: 0.7
+      }, options );
+      assert && assert( !options.enableControlProperties, 'EnergySoundGenerator sets enableControlProperties' );
+      options.enableControlProperties = [ energySoundEnabledProperty, runningProperty ];
+
+      super( options );
+
+      const kineticTone = this.createTone( 'sine' );
+      const potentialTone = this.createTone( 'triangle' );
+
+      energySonification.toneParametersEmitter.addListener( parameters => {
+        const now = this.audioContext.currentTime;
+        kineticTone.oscillator.frequency.setTargetAtTime( parameters.kineticFrequency, now, TONE_TIME_CONSTANT );
+        kineticTone.gainNode.gain.setTargetAtTime( parameters.kineticGain, now, TONE_TIME_CONSTANT );
+        potentialTone.oscillator.frequency.setTargetAtTime( parameters.potentialFrequency, now, TONE_TIME_CONSTANT );
+        potentialTone.gainNode.gain.setTargetAtTime( parameters.potentialGain, now, TONE_TIME_CONSTANT );
+      } );
+
+      energySonification.cueParametersEmitter.addListener( parameters => {
+        if ( this.fullyEnabledProperty.value ) {
+          this.playCue( parameters );
+        }
+      } );
+    }
+
+    /**
+     * Create a continuous tone that starts silent.
+     * @private
+     *
+     * @param {string} type - the OscillatorNode type, which sets the timbre
+     * @returns {{oscillator: OscillatorNode, gainNode: GainNode}} - set the frequency and volume of the tone with these
+     */
+    createTone( type ) {
+      const oscillator = this.audioContext.createOscillator();
+      oscillator.type = type;
+
+      const gainNode = this.audioContext.createGain();
+      gainNode.gain.value = 0;
+
+      oscillator.connect( gainNode );
+      gainNode.connect( this.soundSourceDestination );
+      oscillator.start();
+      return { oscillator: oscillator, gainNode: gainNode };
+    }
+
+    /**
+     * Play a short cue for a landing, see EnergySonification.getCueParameters.
+     * @private
+     *
+     * @param {{impact: SkaterImpact, frequency: number, gain: number, duration: number}} parameters
+     */
+    playCue( parameters ) {
+      assert && assert( SkaterImpact.includes( parameters.impact ), 'unknown impact: ' + parameters.impact );
+      const now = this.audioContext.currentTime;
+
+      const oscillator = this.audioContext.createOscillator();
+      oscillator.type = CUE_OSCILLATOR_TYPES[ parameters.impact.name ];
+      oscillator.frequency.setValueAtTime( parameters.frequency, now );
+
+      const gainNode = this.audioContext.createGain();
+      gainNode.gain.setValueAtTime( parameters.gain, now );
+      gainNode.gain.exponentialRampToValueAtTime( CUE_END_GAIN, now + parameters.duration );
+
+      oscillator.connect( gainNode );
+      gainNode.connect( this.soundSourceDestination );
+      oscillator.onended = () => gainNode.disconnect();
+      oscillator.start( now );
+      oscillator.stop( now + parameters.duration );
+    }
+  }
+
+  return energySkatePark.register( 'EnergySoundGenerator', EnergySoundGenerator );
+} );
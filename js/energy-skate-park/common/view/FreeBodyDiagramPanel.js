@@ -0,0 +1,192 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A free-body diagram of the skater, in a small panel that floats next to the skater. The forces of
+ * EnergySkateParkModel.getSkaterForces are drawn from a dot for the skater, along with the directions along and across
+ * the surface the skater is on (EnergySkateParkModel.getSkaterSurfaceFrame). Below the diagram, each force is resolved
+ * into components in those directions.
+ *
+ * In the air only gravity acts on the skater (other than air resistance, which is included in the net force), so
+ * everything else is hidden. That way the diagram changes visibly when the skater leaves or lands on a track.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const ArrowNode = require( 'SCENERY_PHET/ArrowNode' );
+  const Circle = require( 'SCENERY/nodes/Circle' );
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const EnergySkateParkColorScheme = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergySkateParkColorScheme' );
+  const Line = require( 'SCENERY/nodes/Line' );
+  const merge = require( 'PHET_CORE/merge' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const Panel = require( 'SUN/Panel' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const Utils = require( 'DOT/Utils' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // strings
+  const controlsFreeBodyDiagramString = require( 'string!ENERGY_SKATE_PARK/controls.freeBodyDiagram' );
+  const controlsGravityString = require( 'string!ENERGY_SKATE_PARK/controls.gravity' );
+  const freeBodyDiagramComponentsPatternString = require( 'string!ENERGY_SKATE_PARK/freeBodyDiagram.componentsPattern' );
+  const freeBodyDiagramInAirString = require( 'string!ENERGY_SKATE_PARK/freeBodyDiagram.inAir' );
+  const freeBodyDiagramOnGroundString = require( 'string!ENERGY_SKATE_PARK/freeBodyDiagram.onGround' );
+  const freeBodyDiagramOnTrackString = require( 'string!ENERGY_SKATE_PARK/freeBodyDiagram.onTrack' );
+  const quantitiesFrictionForceString = require( 'string!ENERGY_SKATE_PARK/quantities.frictionForce' );
+  const quantitiesNetForceString = require( 'string!ENERGY_SKATE_PARK/quantities.netForce' );
+  const quantitiesNormalForceString = require( 'string!ENERGY_SKATE_PARK/quantities.normalForce' );
+
+  // constants
+  const DIAGRAM_SIZE = 120;
+  const MAX_ARROW_LENGTH = DIAGRAM_SIZE / 2 - 6;
+
+  // the weight of the skater is drawn this long, so the diagram reads the same for any mass and gravity, other forces
+  // are drawn in proportion and shortened to fit
+  const WEIGHT_ARROW_LENGTH = 35;
+
+  // distance between the skater and the panel, in view coordinates
+  const SKATER_OFFSET = 40;
+
+  const TITLE_FONT = new PhetFont( { size: 12, weight: 'bold' } );
+  const LABEL_FONT = new PhetFont( 10 );
+
+  const ARROW_OPTIONS = {
+    headHeight: 8,
+    headWidth: 10,
+    tailWidth: 3,
+    stroke: 'black',
+    lineWidth: 0.5
+  };
+
+  class FreeBodyDiagramPanel extends Panel {
+
+    /**
+     * @param {EnergySkateParkModel} model
+     * @param {ModelViewTransform2} modelViewTransform
+     * @param {Property.<Bounds2>} visibleBoundsProperty - the panel is kept inside these bounds
+     * @param {Tandem} tandem
+     */
+    constructor( model, modelViewTransform, visibleBoundsProperty, tandem ) {
+      const skater = model.skater;
+
+      const titleText = new Text( controlsFreeBodyDiagramString, { font: TITLE_FONT, maxWidth: 180 } );
+      const surfaceText = new Text( '', { font: LABEL_FONT, maxWidth: 180 } );
+
+      // axes along and across the surface, drawn in a frame rotated to the surface
+      const axesNode = new Node( {
+        children: [
+          new Line( -DIAGRAM_SIZE / 2, 0, DIAGRAM_SIZE / 2, 0, { stroke: 'gray', lineDash: [ 4, 3 ] } ),
+          new Line( 0, -DIAGRAM_SIZE / 2, 0, DIAGRAM_SIZE / 2, { stroke: 'gray', lineDash: [ 4, 3 ] } )
+        ],
+        x: DIAGRAM_SIZE / 2,
+        y: DIAGRAM_SIZE / 2
+      } );
+
+      // the net force is drawn on top, so that it can be seen when it overlaps one of the forces
+      const forces = [
+        { label: controlsGravityString, color: EnergySkateParkColorScheme.gravityForceVector, getForce: skaterForces => skaterForces.gravity, inAir: true },
+        { label: quantitiesNormalForceString, color: EnergySkateParkColorScheme.normalForceVector, getForce: skaterForces => skaterForces.normal },
+        { label: quantitiesFrictionForceString, color: EnergySkateParkColorScheme.frictionForceVector, getForce: skaterForces => skaterForces.friction },
+        { label: quantitiesNetForceString, color: EnergySkateParkColorScheme.netForceVector, getForce: skaterForces => skaterForces.net }
+      ];
+      forces.forEach( force => {
+        force.arrowNode = new ArrowNode( 0, 0, 0, 0, merge( { fill: force.color }, ARROW_OPTIONS ) );
+        force.componentsText = new Text( '', { font: LABEL_FONT, fill: force.color, maxWidth: 200 } );
+      } );
+
+      const diagram = new Node( {
+        children: [
+          new Rectangle( 0, 0, DIAGRAM_SIZE, DIAGRAM_SIZE, { fill: 'white', stroke: 'gray', lineWidth: 0.5 } ),
+          axesNode,
+          ...forces.map( force => force.arrowNode ),
+          new Circle( 4, { fill: 'black', x: DIAGRAM_SIZE / 2, y: DIAGRAM_SIZE / 2 } )
+        ]
+      } );
+
+      const content = new VBox( {
+        align: 'left',
+        spacing: 4,
+        children: [ titleText, surfaceText, diagram, ...forces.map( force => force.componentsText ) ]
+      } );
+
+      super( content, {
+        fill: EnergySkateParkColorScheme.transparentPanelFill,
+        cornerRadius: 6,
+        pickable: false,
+        tandem: tandem
+      } );
+
+      const update = () => {
+        if ( !this.visible ) {
+          return;
+        }
+
+        const skaterForces = model.getSkaterForces();
+        const frame = model.getSkaterSurfaceFrame();
+
+        surfaceText.text = frame === null ? freeBodyDiagramInAirString :
+                           skater.trackProperty.value ? freeBodyDiagramOnTrackString :
+                           freeBodyDiagramOnGroundString;
+
+        axesNode.visible = frame !== null;
+        if ( frame ) {
+
+          // model y is up and view y is down, so the view angle is the negated model angle
+          axesNode.rotation = -frame.parallel.angle;
+        }
+
+        const weight = skaterForces.gravity.magnitude;
+        forces.forEach( force => {
+          const visible = frame !== null || !!force.inAir;
+          force.arrowNode.visible = visible;
+          force.componentsText.visible = visible && frame !== null;
+          if ( !visible ) {
+            return;
+          }
+
+          const modelForce = force.getForce( skaterForces );
+          let length = weight > 0 ? modelForce.magnitude / weight * WEIGHT_ARROW_LENGTH : 0;
+          length = Math.min( length, MAX_ARROW_LENGTH );
+          force.arrowNode.visible = length > 1;
+          if ( force.arrowNode.visible ) {
+            const tip = new Vector2( modelForce.x, -modelForce.y ).withMagnitude( length );
+            force.arrowNode.setTailAndTip( DIAGRAM_SIZE / 2, DIAGRAM_SIZE / 2, DIAGRAM_SIZE / 2 + tip.x, DIAGRAM_SIZE / 2 + tip.y );
+          }
+
+          if ( frame ) {
+            force.componentsText.text = StringUtils.fillIn( freeBodyDiagramComponentsPatternString, {
+              force: force.label,
+              parallel: Utils.toFixed( modelForce.dot( frame.parallel ), 0 ),
+              normal: Utils.toFixed( modelForce.dot( frame.normal ), 0 )
+            } );
+          }
+        } );
+
+        // float next to the skater, on whichever side has room
+        const visibleBounds = visibleBoundsProperty.value;
+        const skaterView = modelViewTransform.modelToViewPosition( skater.displayPosition );
+        this.left = skaterView.x + SKATER_OFFSET + this.width < visibleBounds.maxX ? skaterView.x + SKATER_OFFSET :
+                    skaterView.x - SKATER_OFFSET - this.width;
+        this.bottom = skaterView.y;
+        this.left = Utils.clamp( this.left, visibleBounds.minX, Math.max( visibleBounds.minX, visibleBounds.maxX - this.width ) );
+        this.top = Utils.clamp( this.top, visibleBounds.minY, Math.max( visibleBounds.minY, visibleBounds.maxY - this.height ) );
+      };
+
+      skater.displayChangedEmitter.addListener( update );
+      skater.draggingProperty.lazyLink( update );
+      visibleBoundsProperty.lazyLink( update );
+      model.freeBodyDiagramVisibleProperty.link( visible => {
+        this.visible = visible;
+        update();
+      } );
+    }
+  }
+
+  return energySkatePark.register( 'FreeBodyDiagramPanel', FreeBodyDiagramPanel );
+} );
@@ -0,0 +1,140 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Dialog where the user types a function y = f(x) and the range of x, to add a track that follows the function to
+ * the play area, see EnergySkateParkPlaygroundModel.setFunctionTrack. If the function cannot be made into a track,
+ * the dialog stays open and describes the problem.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const Dialog = require( 'SUN/Dialog' );
+  const DOM = require( 'SCENERY/nodes/DOM' );
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const EnergySkateParkQueryParameters = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/EnergySkateParkQueryParameters' );
+  const HBox = require( 'SCENERY/nodes/HBox' );
+  const merge = require( 'PHET_CORE/merge' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const RectangularPushButton = require( 'SUN/buttons/RectangularPushButton' );
+  const RichText = require( 'SCENERY/nodes/RichText' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
+
+  // strings
+  const functionTrackCreateString = require( 'string!ENERGY_SKATE_PARK/functionTrack.create' );
+  const functionTrackFromXString = require( 'string!ENERGY_SKATE_PARK/functionTrack.fromX' );
+  const functionTrackHelpString = require( 'string!ENERGY_SKATE_PARK/functionTrack.help' );
+  const functionTrackMetersString = require( 'string!ENERGY_SKATE_PARK/functionTrack.meters' );
+  const functionTrackTitleString = require( 'string!ENERGY_SKATE_PARK/functionTrack.title' );
+  const functionTrackToXString = require( 'string!ENERGY_SKATE_PARK/functionTrack.toX' );
+  const functionTrackYEqualsString = require( 'string!ENERGY_SKATE_PARK/functionTrack.yEquals' );
+
+  // constants
+  const TITLE_FONT = new PhetFont( { size: 18, weight: 'bold' } );
+  const LABEL_FONT = new PhetFont( 16 );
+  const HELP_FONT = new PhetFont( 12 );
+  const MAX_WIDTH = 450;
+
+  class FunctionTrackDialog extends Dialog {
+
+    /**
+     * @param {EnergySkateParkPlaygroundModel} model
+     * @param {Tandem} tandem
+     * @param {Object} [options]
+     */
+    constructor( model, tandem, options ) {
+
+      const range = EnergySkateParkQueryParameters.functionTrackRange;
+      const expressionInput = createInput( EnergySkateParkQueryParameters.functionTrack || '', 24 );
+      const minXInput = createInput( range[ 0 ], 4 );
+      const maxXInput = createInput( range[ 1 ], 4 );
+
+      const errorText = new Text( '', { font: LABEL_FONT, fill: 'red', maxWidth: MAX_WIDTH } );
+
+      const createButton = new RectangularPushButton( {
+        content: new Text( functionTrackCreateString, { font: LABEL_FONT, maxWidth: 150 } ),
+        listener: () => {
+          try {
+            model.setFunctionTrack( expressionInput.value, parseFloat( minXInput.value ), parseFloat( maxXInput.value ) );
+            errorText.text = '';
+            this.hide();
+          }
+          catch( e ) {
+            errorText.text = e.message;
+          }
+        },
+        tandem: tandem.createTandem( 'createButton' )
+      } );
+
+      const content = new VBox( {
+        spacing: 10,
+        align: 'left',
+        children: [
+          new HBox( {
+            spacing: 5,
+            children: [ createLabel( functionTrackYEqualsString ), new DOM( expressionInput, { allowInput: true } ) ]
+          } ),
+          new HBox( {
+            spacing: 5,
+            children: [
+              createLabel( functionTrackFromXString ),
+              new DOM( minXInput, { allowInput: true } ),
+              createLabel( functionTrackToXString ),
+              new DOM( maxXInput, { allowInput: true } ),
+              createLabel( functionTrackMetersString )
+            ]
+          } ),
+          new RichText( functionTrackHelpString, { font: HELP_FONT, lineWrap: MAX_WIDTH, maxWidth: MAX_WIDTH } ),
+          errorText,
+          createButton
+        ]
+      } );
+
+      super( content, merge( {
+        title: new Text( functionTrackTitleString, { font: TITLE_FONT, maxWidth: MAX_WIDTH } )
+      }, options ) );
+
+      // @private
+      this.errorText = errorText;
+    }
+
+    /**
+     * Show the dialog with a message about a function that could not be made into a track, like the one from the
+     * query parameters.
+     * @public
+     *
+     * @param {string} message
+     */
+    showError( message ) {
+      this.errorText.text = message;
+      this.show();
+    }
+  }
+
+  /**
+   * @param {string} string
+   * @returns {Text}
+   */
+  const createLabel = string => new Text( string, { font: LABEL_FONT, maxWidth: 100 } );
+
+  /**
+   * A text field for the dialog, scenery does not have one so this is wrapped in a DOM node.
+   *
+   * @param {string|number} value - initial value
+   * @param {number} size - width in characters
+   * @returns {HTMLInputElement}
+   */
+  const createInput = ( value, size ) => {
+    const input = document.createElement( 'input' );
+    input.type = 'text';
+    input.value = value;
+    input.size = size;
+    input.style.fontSize = '16px';
+    return input;
+  };
+
+  return energySkatePark.register( 'FunctionTrackDialog', FunctionTrackDialog );
+} );
@@ -0,0 +1,193 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The launcher tool, which is dragged out of the ToolboxPanel and gives the skater an initial speed and direction when
+ * it is released, see EnergySkateParkModel.launcherVisibleProperty. A spring is compressed while the skater is held,
+ * so the launch energy is elastic energy (Skater.elasticEnergyProperty) until the skater is released. The panel
+ * controls the speed and angle of the launch, and an arrow shows the direction. It is put away by dropping it on the
+ * toolbox.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const ArrowNode = require( 'SCENERY_PHET/ArrowNode' );
+  const Circle = require( 'SCENERY/nodes/Circle' );
+  const Constants = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/Constants' );
+  const DerivedProperty = require( 'AXON/DerivedProperty' );
+  const DragListener = require( 'SCENERY/listeners/DragListener' );
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const EnergySkateParkColorScheme = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergySkateParkColorScheme' );
+  const HBox = require( 'SCENERY/nodes/HBox' );
+  const merge = require( 'PHET_CORE/merge' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const Panel = require( 'SUN/Panel' );
+  const Path = require( 'SCENERY/nodes/Path' );
+  const PhysicalNumberControl = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/PhysicalNumberControl' );
+  const Property = require( 'AXON/Property' );
+  const Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  const Shape = require( 'KITE/Shape' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const Utils = require( 'DOT/Utils' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
+
+  // strings
+  const angleDegreesPatternString = require( 'string!ENERGY_SKATE_PARK/angleDegreesPattern' );
+  const controlsLaunchAngleString = require( 'string!ENERGY_SKATE_PARK/controls.launchAngle' );
+  const controlsLauncherString = require( 'string!ENERGY_SKATE_PARK/controls.launcher' );
+  const controlsLaunchSpeedString = require( 'string!ENERGY_SKATE_PARK/controls.launchSpeed' );
+  const speedometerMetersPerSecondPatternString = require( 'string!ENERGY_SKATE_PARK/speedometerMetersPerSecondPattern' );
+
+  // constants
+  // the arrow that shows the direction of the launch is this long at the maximum launch speed, in view coordinates
+  const MAX_DIRECTION_ARROW_LENGTH = 20;
+
+  class LauncherNode extends Panel {
+
+    /**
+     * @param {EnergySkateParkModel} model
+     * @param {Property.<Bounds2>} visibleBoundsProperty - the launcher is kept in these bounds while it is dragged
+     * @param {Tandem} tandem
+     * @param {Object} [options]
+     */
+    constructor( model, visibleBoundsProperty, tandem, options ) {
+
+      options = merge( {
+        fill: EnergySkateParkColorScheme.panelFill,
+        stroke: 'gray',
+        xMargin: 5,
+        yMargin: 5,
+        cursor: 'pointer',
+
+        // {Object|null} - passed to the DragListener, to put the launcher back in the toolbox at the end of a drag
+        dragListenerOptions: null,
+
+        tandem: tandem
+      }, options );
+
+      const titleText = new Text( controlsLauncherString, {
+        font: Constants.CONTROL_TITLE_FONT,
+        maxWidth: 80
+      } );
+
+      // the direction and speed of the launch, in a circle the size of the longest arrow
+      const directionArrow = new ArrowNode( 0, 0, MAX_DIRECTION_ARROW_LENGTH, 0, {
+        fill: EnergySkateParkColorScheme.elasticEnergy,
+        headHeight: 6,
+        headWidth: 8,
+        tailWidth: 3
+      } );
+      const directionNode = new Node( {
+        children: [
+          new Circle( MAX_DIRECTION_ARROW_LENGTH, { stroke: 'gray', lineDash: [ 2, 2 ] } ),
+          directionArrow
+        ]
+      } );
+      Property.multilink( [ model.launchSpeedProperty, model.launchAngleProperty ], ( launchSpeed, launchAngle ) => {
+        const length = MAX_DIRECTION_ARROW_LENGTH * launchSpeed / model.launchSpeedProperty.range.max;
+        const angle = Utils.toRadians( launchAngle );
+
+        // the y axis of the view points down
+        directionArrow.visible = length > 0;
+        if ( directionArrow.visible ) {
+          directionArrow.setTailAndTip( 0, 0, length * Math.cos( angle ), -length * Math.sin( angle ) );
+        }
+      } );
+
+      const speedControl = new PhysicalNumberControl(
+        controlsLaunchSpeedString,
+        model.launchSpeedProperty,
+        model.launchSpeedProperty.range,
+        tandem.createTandem( 'speedNumberControl' ), {
+          delta: 0.5,
+          decimalPlaces: 1,
+          numberDisplayOptions: {
+            valuePattern: speedometerMetersPerSecondPatternString
+          }
+        }
+      );
+      const angleControl = new PhysicalNumberControl(
+        controlsLaunchAngleString,
+        model.launchAngleProperty,
+        model.launchAngleProperty.range,
+        tandem.createTandem( 'angleNumberControl' ), {
+          delta: 5,
+          numberDisplayOptions: {
+            valuePattern: angleDegreesPatternString
+          }
+        }
+      );
+
+      const content = new VBox( {
+        spacing: 5,
+        children: [
+          new HBox( {
+            spacing: 8,
+            children: [ LauncherNode.createIcon( { scale: 0.7 } ), titleText, directionNode ]
+          } ),
+          speedControl,
+          angleControl
+        ]
+      } );
+
+      super( content, options );
+
+      // the launcher is positioned by its top left corner, keep all of it in the visible bounds
+      const dragBoundsProperty = new DerivedProperty( [ visibleBoundsProperty ], visibleBounds => {
+        return visibleBounds.withMaxX( visibleBounds.maxX - this.width ).withMaxY( visibleBounds.maxY - this.height );
+      } );
+
+      // @public (read-only) {DragListener} - so that a drag can be started from the icon in the toolbox
+      this.dragListener = new DragListener( merge( {
+        positionProperty: model.launcherPositionProperty,
+        dragBoundsProperty: dragBoundsProperty,
+        tandem: tandem.createTandem( 'dragListener' )
+      }, options.dragListenerOptions ) );
+      this.addInputListener( this.dragListener );
+
+      model.launcherPositionProperty.link( position => {
+        this.translation = position;
+      } );
+      model.launcherVisibleProperty.linkAttribute( this, 'visible' );
+    }
+
+    /**
+     * Create an icon for the launcher, a spring that pushes on a plate in the direction of an arrow.
+     * @public
+     *
+     * @param {Object} [options] - passed to the Node of the icon
+     * @returns {Node}
+     */
+    static createIcon( options ) {
+
+      // coils of the spring, from the wall on the left to the plate on the right
+      const springShape = new Shape().moveTo( 0, 0 );
+      const numberOfCoils = 4;
+      const coilWidth = 6;
+      for ( let i = 0; i < numberOfCoils; i++ ) {
+        springShape.lineTo( i * coilWidth + coilWidth / 4, -6 );
+        springShape.lineTo( i * coilWidth + coilWidth * 3 / 4, 6 );
+      }
+      springShape.lineTo( numberOfCoils * coilWidth, 0 );
+      const springLength = numberOfCoils * coilWidth;
+
+      return new Node( merge( {
+        children: [
+          new Rectangle( -3, -9, 3, 18, { fill: 'gray' } ),
+          new Path( springShape, { stroke: 'black', lineWidth: 1.5, lineJoin: 'round' } ),
+          new Rectangle( springLength, -9, 3, 18, { fill: EnergySkateParkColorScheme.elasticEnergy, stroke: 'black' } ),
+          new ArrowNode( springLength + 6, 0, springLength + 22, 0, {
+            fill: EnergySkateParkColorScheme.elasticEnergy,
+            headHeight: 7,
+            headWidth: 10,
+            tailWidth: 4
+          } )
+        ]
+      }, options ) );
+    }
+  }
+
+  return energySkatePark.register( 'LauncherNode', LauncherNode );
+} );
@@ -9,6 +9,7 @@ define( require => {
 
   // modules
   const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const merge = require( 'PHET_CORE/merge' );
   const PhysicalNumberControl = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/PhysicalNumberControl' );
 
   // strings
@@ -21,13 +22,23 @@ define( require => {
      * @param {NumberProperty} massProperty
      * @param {Range} massRange
      * @param {Tandem} tandem
+     * @param {Object} [options]
      */
-    constructor( massProperty, massRange, tandem ) {
-      super( controlsMassString, massProperty, massRange, tandem, {
+    constructor( massProperty, massRange, tandem, options ) {
+      options = merge( {
+
+        // {string} - title of the control, for instance to say which skater it is for
+        titleString: controlsMassString,
+
         numberDisplayOptions: {
           valuePattern: massKilogramsPatternString
         }
-      } );
+      }, options );
+
+      const titleString = options.titleString;
+      delete options.titleString;
+
+      super( titleString, massProperty, massRange, tandem, options );
     }
   }
 
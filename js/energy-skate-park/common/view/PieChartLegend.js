@@ -23,6 +23,7 @@ define( require => {
   const VStrut = require( 'SCENERY/nodes/VStrut' );
 
   // strings
+  const energyElasticString = require( 'string!ENERGY_SKATE_PARK/energy.elastic' );
   const energyEnergyString = require( 'string!ENERGY_SKATE_PARK/energy.energy' );
   const energyKineticString = require( 'string!ENERGY_SKATE_PARK/energy.kinetic' );
   const energyPotentialString = require( 'string!ENERGY_SKATE_PARK/energy.potential' );
@@ -44,7 +45,10 @@ define( require => {
       options = merge( {
 
         // {boolean} - whether or not to include total energy in the legend, will the pie chart show total energy?
-        includeTotal: true
+        includeTotal: true,
+
+        // {boolean} - whether or not to include elastic energy, for screens with the launcher, see LauncherNode
+        includeElastic: false
       }, options );
 
       // The x-coordinate of a bar chart bar
@@ -94,13 +98,20 @@ define( require => {
 
       const children = [
         new HBox( { spacing: 4, children: [ kineticBar, kineticLabel ] } ),
-        new HBox( { spacing: 4, children: [ potentialBar, potentialLabel ] } ),
-        new HBox( {
-          spacing: 4,
-          children: [ thermalBar, thermalLabel, new HStrut( 1 ), clearThermalButtonStrut, new HStrut( 3 ) ]
-        } )
+        new HBox( { spacing: 4, children: [ potentialBar, potentialLabel ] } )
       ];
 
+      if ( options.includeElastic ) {
+        const elasticBar = createBar( 4, EnergySkateParkColorScheme.elasticEnergy );
+        const elasticLabel = createLabel( 4, energyElasticString, EnergySkateParkColorScheme.elasticEnergy, 'elasticEnergyLabel' );
+        children.push( new HBox( { spacing: 4, children: [ elasticBar, elasticLabel ] } ) );
+      }
+
+      children.push( new HBox( {
+        spacing: 4,
+        children: [ thermalBar, thermalLabel, new HStrut( 1 ), clearThermalButtonStrut, new HStrut( 3 ) ]
+      } ) );
+
       if ( options.includeTotal ) {
         children.push( new HBox( { spacing: 4, children: [ totalBar, totalLabel ] } ) );
       }
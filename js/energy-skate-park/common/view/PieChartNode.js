@@ -54,9 +54,15 @@ define( require => {
         fill: EnergySkateParkColorScheme.potentialEnergy
       }, sliceOptions ) );
 
+      // energy stored in the launcher while the skater is held, see LauncherNode
+      const elasticEnergySlice = new Path( null, merge( {
+        fill: EnergySkateParkColorScheme.elasticEnergy
+      }, sliceOptions ) );
+
       // Skip bounds computation to improve performance, see #245
       kineticEnergySlice.computeShapeBounds = () => new Bounds2( 0, 0, 0, 0 );
       potentialEnergySlice.computeShapeBounds = () => new Bounds2( 0, 0, 0, 0 );
+      elasticEnergySlice.computeShapeBounds = () => new Bounds2( 0, 0, 0, 0 );
 
       // total energy representation is a full circle, so it can use the optimized version.
       const totalEnergyCircle = new Circle( 1, {
@@ -76,7 +82,7 @@ define( require => {
 
       super( {
         tandem: tandem,
-        children: [ thermalEnergySlice, potentialEnergySlice, kineticEnergySlice, totalEnergyCircle ],
+        children: [ thermalEnergySlice, potentialEnergySlice, kineticEnergySlice, elasticEnergySlice, totalEnergyCircle ],
         pickable: false,
 
         // render with canvas on iOS Safari to improve performance when rendering this Node, see
@@ -119,7 +125,8 @@ define( require => {
         // if only one component of pie chart, then show as a circle so there are no seams
         const numberComponents = ( skater.potentialEnergyProperty.value > THRESHOLD ? 1 : 0 ) +
                                ( skater.kineticEnergyProperty.value > THRESHOLD ? 1 : 0 ) +
-                               ( skater.thermalEnergyProperty.value > THRESHOLD ? 1 : 0 );
+                               ( skater.thermalEnergyProperty.value > THRESHOLD ? 1 : 0 ) +
+                               ( skater.elasticEnergyProperty.value > THRESHOLD ? 1 : 0 );
 
         // Don't show the pie chart if energies are zero, or if potential energy is negative (underground skater), see #189
         const energyNegative = skater.potentialEnergyProperty.value < 0;
@@ -128,6 +135,7 @@ define( require => {
           // energy is negative and we want to represent it with a full yellow circle
           potentialEnergySlice.visible = false;
           kineticEnergySlice.visible = false;
+          elasticEnergySlice.visible = false;
           thermalEnergySlice.visible = false;
           totalEnergyCircle.visible = true;
 
@@ -137,16 +145,19 @@ define( require => {
         else if ( numberComponents === 0 || energyNegative ) {
           potentialEnergySlice.visible = false;
           kineticEnergySlice.visible = false;
+          elasticEnergySlice.visible = false;
           thermalEnergySlice.visible = false;
           totalEnergyCircle.visible = false;
         }
         else if ( numberComponents === 1 ) {
           const selectedSlice = skater.potentialEnergyProperty.value > THRESHOLD ? potentialEnergySlice :
                               skater.kineticEnergyProperty.value > THRESHOLD ? kineticEnergySlice :
+                              skater.elasticEnergyProperty.value > THRESHOLD ? elasticEnergySlice :
                               thermalEnergySlice;
           potentialEnergySlice.visible = false;
           thermalEnergySlice.visible = false;
           kineticEnergySlice.visible = false;
+          elasticEnergySlice.visible = false;
           totalEnergyCircle.visible = false;
           selectedSlice.visible = true;
 
@@ -163,19 +174,22 @@ define( require => {
         else {
           potentialEnergySlice.visible = true;
           kineticEnergySlice.visible = true;
+          elasticEnergySlice.visible = true;
           thermalEnergySlice.visible = true;
           totalEnergyCircle.visible = false;
           const fractionPotential = skater.potentialEnergyProperty.value / skater.totalEnergyProperty.value;
           const fractionKinetic = skater.kineticEnergyProperty.value / skater.totalEnergyProperty.value;
+          const fractionElastic = skater.elasticEnergyProperty.value / skater.totalEnergyProperty.value;
 
           // Show one of them in the background instead of pieces for each one for performance
           // Round the radius so it will only update the graphics when it changed by a px or more
           thermalEnergySlice.radius = Utils.roundSymmetric( radius );
 
           // Start thermal at the right and wind counter clockwise, see #133
-          // Order is thermal (in the background), kinetic, potential
+          // Order is thermal (in the background), kinetic, potential, then elastic (only while the skater is held)
           const potentialStartAngle = 0;
           const kineticStartAngle = Math.PI * 2 * fractionPotential;
+          const elasticStartAngle = kineticStartAngle + Math.PI * 2 * fractionKinetic;
 
           // If there is no potential energy (i.e. the skater is on the ground) then don't show the potential energy slice,
           // see #165
@@ -186,6 +200,12 @@ define( require => {
             potentialEnergySlice.shape = new Shape().moveTo( 0, 0 ).arc( 0, 0, radius, potentialStartAngle, kineticStartAngle, false ).lineTo( 0, 0 ).close();
           }
           kineticEnergySlice.shape = new Shape().moveTo( 0, 0 ).arc( 0, 0, radius, kineticStartAngle, kineticStartAngle + fractionKinetic * Math.PI * 2, false ).lineTo( 0, 0 ).close();
+          if ( fractionElastic === 0 ) {
+            elasticEnergySlice.shape = null;
+          }
+          else {
+            elasticEnergySlice.shape = new Shape().moveTo( 0, 0 ).arc( 0, 0, radius, elasticStartAngle, elasticStartAngle + fractionElastic * Math.PI * 2, false ).lineTo( 0, 0 ).close();
+          }
         }
       };
 
@@ -0,0 +1,121 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Buttons to save the session recorded with ?recordSession to a JSON file and to play a recording from a file, see
+ * SessionRecorder and SessionPlayer. If a file cannot be played, or the replay does not match the recording, a dialog
+ * describes the problem.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const chooseFile = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/chooseFile' );
+  const Dialog = require( 'SUN/Dialog' );
+  const downloadFile = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/downloadFile' );
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const merge = require( 'PHET_CORE/merge' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const RectangularPushButton = require( 'SUN/buttons/RectangularPushButton' );
+  const RichText = require( 'SCENERY/nodes/RichText' );
+  const SessionRecorder = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SessionRecorder' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
+
+  // strings
+  const controlsPlayRecordingString = require( 'string!ENERGY_SKATE_PARK/controls.playRecording' );
+  const controlsSaveRecordingString = require( 'string!ENERGY_SKATE_PARK/controls.saveRecording' );
+  const sessionFileDivergedPatternString = require( 'string!ENERGY_SKATE_PARK/sessionFile.divergedPattern' );
+  const sessionFileInvalidJSONPatternString = require( 'string!ENERGY_SKATE_PARK/sessionFile.invalidJSONPattern' );
+  const sessionFileLoadErrorString = require( 'string!ENERGY_SKATE_PARK/sessionFile.loadError' );
+  const sessionFileNotRecordingString = require( 'string!ENERGY_SKATE_PARK/sessionFile.notRecording' );
+  const sessionFileUnsupportedVersionPatternString = require( 'string!ENERGY_SKATE_PARK/sessionFile.unsupportedVersionPattern' );
+
+  // constants
+  const FILE_NAME = 'energy-skate-park-session.json';
+  const BUTTON_FONT = new PhetFont( 12 );
+  const MESSAGE_FONT = new PhetFont( 14 );
+
+  class SessionFileButtons extends VBox {
+
+    /**
+     * @param {EnergySkateParkModel} model
+     * @param {Tandem} tandem
+     * @param {Object} [options]
+     */
+    constructor( model, tandem, options ) {
+      options = merge( {
+        spacing: 5,
+        align: 'left'
+      }, options );
+
+      const saveButton = new RectangularPushButton( {
+        content: new Text( controlsSaveRecordingString, { font: BUTTON_FONT, maxWidth: 110 } ),
+        listener: () => {
+          const recording = model.getRecording();
+          recording && downloadFile( FILE_NAME, JSON.stringify( recording ), 'application/json' );
+        },
+        tandem: tandem.createTandem( 'saveButton' )
+      } );
+
+      const playButton = new RectangularPushButton( {
+        content: new Text( controlsPlayRecordingString, { font: BUTTON_FONT, maxWidth: 110 } ),
+        listener: () => chooseFile( text => playRecording( model, text ) ),
+        tandem: tandem.createTandem( 'playButton' )
+      } );
+
+      options.children = [ saveButton, playButton ];
+      super( options );
+    }
+  }
+
+  /**
+   * Play the recording of a file on the model, or show a dialog with the problem if it cannot be played. A dialog
+   * also describes where the replay stops matching the recording, if it does.
+   *
+   * @param {EnergySkateParkModel} model
+   * @param {string} text - contents of the file
+   */
+  const playRecording = ( model, text ) => {
+    let recording = null;
+    let error = null;
+    try {
+      recording = JSON.parse( text );
+    }
+    catch( e ) {
+      error = StringUtils.fillIn( sessionFileInvalidJSONPatternString, { message: e.message } );
+    }
+
+    if ( !error ) {
+      if ( !recording || typeof recording !== 'object' || !recording.initialState || !Array.isArray( recording.frames ) ||
+           !Array.isArray( recording.checkpoints ) || typeof recording.numberOfFrames !== 'number' ) {
+        error = sessionFileNotRecordingString;
+      }
+      else if ( recording.version !== SessionRecorder.VERSION ) {
+        error = StringUtils.fillIn( sessionFileUnsupportedVersionPatternString, {
+          version: recording.version,
+          supportedVersion: SessionRecorder.VERSION
+        } );
+      }
+    }
+
+    if ( error ) {
+      showMessage( sessionFileLoadErrorString + '<br>' + _.escape( error ) );
+    }
+    else {
+      const player = model.playRecording( recording );
+      player.divergedEmitter.addListener( frameIndex => {
+        showMessage( StringUtils.fillIn( sessionFileDivergedPatternString, { frameIndex: frameIndex } ) );
+      } );
+    }
+  };
+
+  /**
+   * @param {string} message
+   */
+  const showMessage = message => new Dialog( new RichText( message, { font: MESSAGE_FONT, maxWidth: 600 } ) ).show();
+
+  return energySkatePark.register( 'SessionFileButtons', SessionFileButtons );
+} );
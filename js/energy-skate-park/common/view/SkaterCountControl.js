@@ -0,0 +1,32 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A NumberControl that sets how many skaters are in the play area, see EnergySkateParkModel.numberOfSkatersProperty.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const PhysicalNumberControl = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/PhysicalNumberControl' );
+
+  // strings
+  const controlsSkatersString = require( 'string!ENERGY_SKATE_PARK/controls.skaters' );
+
+  class SkaterCountControl extends PhysicalNumberControl {
+
+    /**
+     * @param {NumberProperty} numberOfSkatersProperty
+     * @param {Tandem} tandem
+     */
+    constructor( numberOfSkatersProperty, tandem ) {
+      super( controlsSkatersString, numberOfSkatersProperty, numberOfSkatersProperty.range, tandem, {
+        delta: 1
+      } );
+    }
+  }
+
+  return energySkatePark.register( 'SkaterCountControl', SkaterCountControl );
+} );
@@ -1,7 +1,8 @@
 // Copyright 2013-2019, University of Colorado Boulder
 
 /**
- * Scenery node for the skater, which is draggable.
+ * Scenery node for the skater, which is draggable. The skater can also be focused and moved with the arrow keys, then
+ * released with enter or space, or by moving focus away.
  *
  * Converted to composition instead of inheritance for SkaterNode to work around updateSVGFragment problem, see #123
  *
@@ -13,12 +14,20 @@ define( require => {
   // modules
   const Circle = require( 'SCENERY/nodes/Circle' );
   const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const EnergySkateParkA11yStrings = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/EnergySkateParkA11yStrings' );
+  const EnergySkateParkColorScheme = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergySkateParkColorScheme' );
+  const getArrowKeyDelta = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/getArrowKeyDelta' );
   const Image = require( 'SCENERY/nodes/Image' );
   const LinearFunction = require( 'DOT/LinearFunction' );
   const Matrix3 = require( 'DOT/Matrix3' );
+  const merge = require( 'PHET_CORE/merge' );
   const Node = require( 'SCENERY/nodes/Node' );
   const SimpleDragHandler = require( 'SCENERY/input/SimpleDragHandler' );
 
+  // a11y strings
+  const skaterHelpTextString = EnergySkateParkA11yStrings.skaterHelpText.value;
+  const skaterString = EnergySkateParkA11yStrings.skater.value;
+
   // images
   const skaterLeftImage = require( 'image!ENERGY_SKATE_PARK/skater-left.png' );
   const skaterRightImage = require( 'image!ENERGY_SKATE_PARK/skater-right.png' );
@@ -35,10 +44,21 @@ define( require => {
      * the skater is being dragged close to the track
      * @param {function} getPhysicalTracks function that returns the physical tracks in the model, so the skater can try
      * to attach to them while dragging
+     * @param {EditHistory} editHistory - so that placing the skater can be undone
      * @param {Tandem} tandem
+     * @param {Object} [options]
      * @constructor
      */
-    constructor( skater, view, modelViewTransform, getClosestTrackAndPositionAndParameter, getPhysicalTracks, tandem ) {
+    constructor( skater, view, modelViewTransform, getClosestTrackAndPositionAndParameter, getPhysicalTracks, editHistory, tandem, options ) {
+      options = merge( {
+
+        // {Color|string} - fill of the dot at the important particle coordinate, which tells skaters apart
+        particleColor: EnergySkateParkColorScheme.particleCircle,
+
+        // {string} - accessible name of the skater
+        innerContent: skaterString
+      }, options );
+
       const leftSkaterImageNode = new Image( skaterLeftImage, {
         cursor: 'pointer',
         tandem: tandem.createTandem( 'leftSkaterImageNode' )
@@ -54,7 +74,14 @@ define( require => {
         // rendering the skater with canvas makes it move smoothly around the screen edges in iOS Safari, see
         // https://github.com/phetsims/energy-skate-park/issues/42
         renderer: 'canvas',
-        tandem: tandem
+        tandem: tandem,
+
+        // pdom
+        tagName: 'div',
+        ariaRole: 'application',
+        focusable: true,
+        innerContent: options.innerContent,
+        descriptionContent: skaterHelpTextString
       } );
 
       this.skater = skater;
@@ -72,11 +99,12 @@ define( require => {
       const massToScale = new LinearFunction( centerMassValue, skater.massRange.max, 0.34, 0.43 );
 
       // Update the position and angle.  Normally the angle would only change if the position has also changed, so no need
-      // for a duplicate callback there.  Uses pooling to avoid allocations, see #50
-      this.skater.updatedEmitter.addListener( () => {
+      // for a duplicate callback there.  Uses pooling to avoid allocations, see #50. Uses the display position and angle,
+      // which are interpolated between steps of the model.
+      this.skater.displayChangedEmitter.addListener( () => {
         const mass = skater.massProperty.value;
-        const position = skater.positionProperty.value;
-        const angle = skater.angleProperty.value;
+        const position = skater.displayPosition;
+        const angle = skater.displayAngle;
 
         const view = modelViewTransform.modelToViewPosition( position );
 
@@ -103,16 +131,15 @@ define( require => {
       } );
 
       // Show a red dot in the bottom center as the important particle model coordinate
-      const circle = new Circle( 8, { fill: 'red', x: imageWidth / 2, y: imageHeight } );
+      const circle = new Circle( 8, { fill: options.particleColor, x: imageWidth / 2, y: imageHeight } );
       this.addChild( circle );
 
       let targetTrack = null;
 
       let targetU = null;
 
-      const dragSkater = event => {
-        const globalPoint = this.globalToParentPoint( event.pointer.point );
-        let position = modelViewTransform.viewToModelPosition( globalPoint );
+      // Move the skater toward a model position, attaching it to a track if the position is close enough
+      const moveSkaterTo = position => {
 
         // make sure it is within the visible bounds
         position = view.availableModelBounds.getClosestPoint( position.x, position.y, position );
@@ -157,13 +184,39 @@ define( require => {
         skater.updatedEmitter.emit();
       };
 
+      const dragSkater = event => {
+        moveSkaterTo( modelViewTransform.viewToModelPosition( this.globalToParentPoint( event.pointer.point ) ) );
+      };
+
+      const startDrag = () => {
+        editHistory.beginEdit();
+        skater.draggingProperty.value = true;
+
+        // Clear thermal energy whenever skater is grabbed, see #32
+        skater.thermalEnergyProperty.value = 0;
+      };
+
+      const endDrag = () => {
+
+        // Record the state of the skater for "return skater"
+        skater.released( targetTrack, targetU );
+        editHistory.endEdit();
+      };
+
+      // {Vector2|null} - where the arrow keys have moved the skater to, like the pointer position of a mouse drag, so
+      // the skater can be moved away from a track it has attached to. Null unless dragging with the keyboard.
+      let keyboardPosition = null;
+
+      const endKeyboardDrag = () => {
+        keyboardPosition = null;
+        endDrag();
+      };
+
       this.addInputListener( new SimpleDragHandler( {
         tandem: tandem.createTandem( 'inputListener' ),
         start: event => {
-          skater.draggingProperty.value = true;
-
-          // Clear thermal energy whenever skater is grabbed, see #32
-          skater.thermalEnergyProperty.value = 0;
+          keyboardPosition && endKeyboardDrag();
+          startDrag();
 
           // Jump to the input location when dragged
           dragSkater( event );
@@ -171,12 +224,32 @@ define( require => {
 
         drag: dragSkater,
 
-        end: () => {
+        end: endDrag
+      } ) );
 
-          // Record the state of the skater for "return skater"
-          skater.released( targetTrack, targetU );
+      // The first arrow key press grabs the skater, and it is released like the end of a drag
+      this.addInputListener( {
+        keydown: event => {
+          const domEvent = event.domEvent;
+          const delta = getArrowKeyDelta( domEvent );
+          if ( delta ) {
+            domEvent.preventDefault();
+            if ( !keyboardPosition ) {
+              startDrag();
+              keyboardPosition = skater.positionProperty.value;
+            }
+            keyboardPosition = view.availableModelBounds.closestPointTo( keyboardPosition.plus( delta ) );
+            moveSkaterTo( keyboardPosition.copy() );
+          }
+          else if ( keyboardPosition && ( domEvent.key === 'Enter' || domEvent.key === ' ' ) ) {
+            domEvent.preventDefault();
+            endKeyboardDrag();
+          }
+        },
+        blur: () => {
+          keyboardPosition && endKeyboardDrag();
         }
-      } ) );
+      } );
     }
   }
 
@@ -0,0 +1,127 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Arrows for the velocity, acceleration and forces of the skater, drawn from the center of mass of the skater. Each
+ * arrow can be shown with a visibility Property of the model. The forces come from the physics engine, see
+ * EnergySkateParkModel.getSkaterForces, so the arrows show the same forces that move the skater. The acceleration is
+ * the net force divided by the mass.
+ *
+ * While the skater is dragged only gravity acts on it, so the other arrows are hidden.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const ArrowNode = require( 'SCENERY_PHET/ArrowNode' );
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const EnergySkateParkColorScheme = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergySkateParkColorScheme' );
+  const merge = require( 'PHET_CORE/merge' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // constants
+  // length of each arrow in meters per unit of the quantity, chosen so that gravity on the skater is about as long as
+  // the skater is tall, and the velocity at the bottom of the premade tracks is a few meters long
+  const VELOCITY_SCALE = 0.25; // meters per m/s
+  const ACCELERATION_SCALE = 0.15; // meters per m/s^2
+  const FORCE_SCALE = 0.002; // meters per N
+
+  // arrows shorter than this in view coordinates are hidden, since the head would be larger than the arrow
+  const MIN_VIEW_LENGTH = 1;
+
+  const ARROW_OPTIONS = {
+    headHeight: 10,
+    headWidth: 12,
+    tailWidth: 4,
+    stroke: 'black',
+    lineWidth: 0.5
+  };
+
+  class SkaterVectorsNode extends Node {
+
+    /**
+     * @param {EnergySkateParkModel} model
+     * @param {ModelViewTransform2} modelViewTransform
+     */
+    constructor( model, modelViewTransform ) {
+      super( { pickable: false } );
+
+      const skater = model.skater;
+
+      // the net force is drawn on top, so that it can be seen when it overlaps one of the forces
+      const vectors = [
+        {
+          visibleProperty: model.velocityVectorVisibleProperty,
+          color: EnergySkateParkColorScheme.velocityVector,
+          getVector: forces => skater.velocityProperty.value.times( VELOCITY_SCALE )
+        },
+        {
+          visibleProperty: model.accelerationVectorVisibleProperty,
+          color: EnergySkateParkColorScheme.accelerationVector,
+          getVector: forces => forces.net.times( ACCELERATION_SCALE / skater.massProperty.value )
+        },
+        {
+          visibleProperty: model.gravityForceVectorVisibleProperty,
+          color: EnergySkateParkColorScheme.gravityForceVector,
+          getVector: forces => forces.gravity.times( FORCE_SCALE ),
+          visibleWhileDragging: true
+        },
+        {
+          visibleProperty: model.normalForceVectorVisibleProperty,
+          color: EnergySkateParkColorScheme.normalForceVector,
+          getVector: forces => forces.normal.times( FORCE_SCALE )
+        },
+        {
+          visibleProperty: model.frictionForceVectorVisibleProperty,
+          color: EnergySkateParkColorScheme.frictionForceVector,
+          getVector: forces => forces.friction.times( FORCE_SCALE )
+        },
+        {
+          visibleProperty: model.netForceVectorVisibleProperty,
+          color: EnergySkateParkColorScheme.netForceVector,
+          getVector: forces => forces.net.times( FORCE_SCALE )
+        }
+      ];
+      vectors.forEach( vector => {
+        vector.arrowNode = new ArrowNode( 0, 0, 0, 0, merge( { fill: vector.color }, ARROW_OPTIONS ) );
+        this.addChild( vector.arrowNode );
+      } );
+
+      const update = () => {
+        const visibleVectors = vectors.filter( vector => {
+          const visible = vector.visibleProperty.value && ( vector.visibleWhileDragging || !skater.draggingProperty.value );
+          vector.arrowNode.visible = visible;
+          return visible;
+        } );
+        if ( visibleVectors.length === 0 ) {
+          return;
+        }
+
+        const forces = model.getSkaterForces();
+
+        // the center of mass is halfway up the skater, who is drawn rotated by the display angle
+        const halfHeight = skater.getHeight() / 2;
+        const centerOfMass = new Vector2(
+          skater.displayPosition.x + halfHeight * Math.sin( skater.displayAngle ),
+          skater.displayPosition.y + halfHeight * Math.cos( skater.displayAngle )
+        );
+        const tail = modelViewTransform.modelToViewPosition( centerOfMass );
+
+        visibleVectors.forEach( vector => {
+          const viewVector = modelViewTransform.modelToViewDelta( vector.getVector( forces ) );
+          vector.arrowNode.visible = viewVector.magnitude >= MIN_VIEW_LENGTH;
+          vector.arrowNode.setTailAndTip( tail.x, tail.y, tail.x + viewVector.x, tail.y + viewVector.y );
+        } );
+      };
+
+      skater.displayChangedEmitter.addListener( update );
+      skater.draggingProperty.lazyLink( update );
+      vectors.forEach( vector => vector.visibleProperty.lazyLink( update ) );
+      update();
+    }
+  }
+
+  return energySkatePark.register( 'SkaterVectorsNode', SkaterVectorsNode );
+} );
@@ -15,6 +15,7 @@ define( require => {
   const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
   const EnergySkateParkColorScheme = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergySkateParkColorScheme' );
   const HBox = require( 'SCENERY/nodes/HBox' );
+  const LauncherNode = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/LauncherNode' );
   const MeasuringTapeNode = require( 'SCENERY_PHET/MeasuringTapeNode' );
   const merge = require( 'PHET_CORE/merge' );
   const Panel = require( 'SUN/Panel' );
@@ -34,7 +35,10 @@ define( require => {
       options = merge( {
         lineWidth: 0,
         align: 'center',
-        fill: EnergySkateParkColorScheme.panelFill
+        fill: EnergySkateParkColorScheme.panelFill,
+
+        // {boolean} - whether the toolbox includes the launcher, the view must then have a launcherNode
+        includeLauncher: false
       }, options );
 
       // create the icons
@@ -50,9 +54,11 @@ define( require => {
       measuringTapeIcon.setScaleMagnitude( 0.65 );
       stopwatchIcon.setScaleMagnitude( 0.4 );
 
+      const launcherIcon = options.includeLauncher ? LauncherNode.createIcon( { cursor: 'pointer' } ) : null;
+
       // align icons for panel
       const icons = new HBox( {
-        children: [ stopwatchIcon, measuringTapeIcon ],
+        children: launcherIcon ? [ stopwatchIcon, measuringTapeIcon, launcherIcon ] : [ stopwatchIcon, measuringTapeIcon ],
         align: 'center',
         spacing: 20
       } );
@@ -88,6 +94,24 @@ define( require => {
 
       ToolboxPanel.attachIconVisibilityListener( measuringTapeIcon, model.measuringTapeVisibleProperty );
       ToolboxPanel.attachIconVisibilityListener( stopwatchIcon, model.stopwatch.isVisibleProperty );
+
+      if ( launcherIcon ) {
+
+        // create a forwarding listener for the LauncherNode DragListener
+        launcherIcon.addInputListener( DragListener.createForwardingListener( event => {
+          if ( !model.launcherVisibleProperty.get() ) {
+            model.launcherVisibleProperty.set( true );
+
+            const coordinate = this.globalToParentPoint( event.pointer.point ).minusXY(
+              view.launcherNode.width / 2,
+              view.launcherNode.height / 2
+            );
+            model.launcherPositionProperty.set( coordinate );
+            view.launcherNode.dragListener.press( event, view.launcherNode );
+          }
+        } ) );
+        ToolboxPanel.attachIconVisibilityListener( launcherIcon, model.launcherVisibleProperty );
+      }
     }
 
     /**
@@ -1,7 +1,8 @@
 // Copyright 2014-2019, University of Colorado Boulder
 
 /**
- * The drag handler for moving the body of a track (not a control point).
+ * The drag handler for moving the body of a track (not a control point). Also moves the track for keyboard input from
+ * TrackNode, see keyboardDragStarted.
  *
  * @author Sam Reid (PhET Interactive Simulations)
  */
@@ -12,6 +13,7 @@ define( require => {
   const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
   const EnergySkateParkQueryParameters = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/EnergySkateParkQueryParameters' );
   const SimpleDragHandler = require( 'SCENERY/input/SimpleDragHandler' );
+  const Vector2 = require( 'DOT/Vector2' );
 
 
   class TrackDragHandler extends SimpleDragHandler {
@@ -54,6 +56,7 @@ define( require => {
      * @param {SceneryEvent} event
      */
     handleDragStart( event ) {
+      this.model.editHistory.beginEdit();
 
       // Move the track to the front when it starts dragging, see #296
       // The track is in a layer of tracks (without other nodes) so moving it to the front will work perfectly
@@ -87,6 +90,7 @@ define( require => {
       if ( this.track.dragSource === this ) {
        this.trackDragEnded( event );
       }
+      this.model.editHistory.endEdit();
     }
 
     // When the user drags the track out of the toolbox, if they drag the track by a control point, it still translates
@@ -97,7 +101,6 @@ define( require => {
     }
 
     trackDragged( event ) {
-      let snapTargetChanged = false;
       const model = this.model;
       const track = this.track;
 
@@ -115,7 +118,20 @@ define( require => {
       track.draggingProperty.value = true;
 
       const parentPoint = event.currentTarget.globalToParentPoint( event.pointer.point ).minus( this.startOffset );
-      const location = this.modelViewTransform.viewToModelPosition( parentPoint );
+      this.dragTrackTo( this.modelViewTransform.viewToModelPosition( parentPoint ) );
+    }
+
+    /**
+     * Move the track toward a position, keeping it above ground and in the available bounds, and find control points
+     * of other tracks that it can join.
+     * @private
+     *
+     * @param {Vector2} location - for track.position, in model coordinates
+     */
+    dragTrackTo( location ) {
+      let snapTargetChanged = false;
+      const model = this.model;
+      const track = this.track;
 
       // If the user moved it out of the toolbox above y=0, then make it physically interactive
       const bottomControlPointY = track.getBottomControlPointY();
@@ -262,6 +278,54 @@ define( require => {
       }
     }
 
+    /**
+     * Grab the track for moving it with the keyboard. A track in the toolbox is moved to the middle of the play area,
+     * since it would take many key presses to move it there.
+     * @public
+     */
+    keyboardDragStarted() {
+      this.model.editHistory.beginEdit();
+      this.trackNode.moveToFront();
+
+      if ( this.track.dragSource === null ) {
+        this.track.dragSource = this;
+        this.startedDrag = true;
+        this.track.draggingProperty.value = true;
+
+        if ( !this.track.physicalProperty.value && this.availableBoundsProperty.value ) {
+          const track = this.track;
+          const trackCenter = new Vector2(
+            ( track.getLeftControlPointX() + track.getRightControlPointX() ) / 2,
+            ( track.getBottomControlPointY() + track.getTopControlPointY() ) / 2
+          );
+          this.dragTrackTo( track.position.plus( this.availableBoundsProperty.value.center.minus( trackCenter ) ) );
+        }
+      }
+    }
+
+    /**
+     * Move the track grabbed with keyboardDragStarted.
+     * @public
+     *
+     * @param {Vector2} delta - in model coordinates
+     */
+    keyboardDragged( delta ) {
+      if ( this.track.dragSource === this && this.model.containsTrack( this.track ) ) {
+        this.dragTrackTo( this.track.position.plus( delta ) );
+      }
+    }
+
+    /**
+     * Drop the track grabbed with keyboardDragStarted, joining it to another track if it is close enough.
+     * @public
+     */
+    keyboardDragEnded() {
+      if ( this.track.dragSource === this ) {
+        this.trackDragEnded( null );
+      }
+      this.model.editHistory.endEdit();
+    }
+
     /**
      * Determine the offset point at the start of a drag so that the track translates with the mouse without jumping.
      * @private
@@ -0,0 +1,96 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Buttons to save the tracks in the play area to a JSON file and to load tracks from a file, see TrackFile. Files are
+ * downloaded and chosen with the file dialogs of the browser. If a file cannot be loaded, a dialog describes each
+ * problem with it.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const chooseFile = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/chooseFile' );
+  const Dialog = require( 'SUN/Dialog' );
+  const downloadFile = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/downloadFile' );
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const merge = require( 'PHET_CORE/merge' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const RectangularPushButton = require( 'SUN/buttons/RectangularPushButton' );
+  const RichText = require( 'SCENERY/nodes/RichText' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const TrackFile = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/TrackFile' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
+
+  // strings
+  const controlsLoadTracksString = require( 'string!ENERGY_SKATE_PARK/controls.loadTracks' );
+  const controlsSaveTracksString = require( 'string!ENERGY_SKATE_PARK/controls.saveTracks' );
+  const trackFileInvalidJSONPatternString = require( 'string!ENERGY_SKATE_PARK/trackFile.invalidJSONPattern' );
+  const trackFileLoadErrorString = require( 'string!ENERGY_SKATE_PARK/trackFile.loadError' );
+
+  // constants
+  const FILE_NAME = 'energy-skate-park-tracks.json';
+  const BUTTON_FONT = new PhetFont( 12 );
+  const MESSAGE_FONT = new PhetFont( 14 );
+
+  class TrackFileButtons extends VBox {
+
+    /**
+     * @param {EnergySkateParkPlaygroundModel} model
+     * @param {Tandem} tandem
+     * @param {Object} [options]
+     */
+    constructor( model, tandem, options ) {
+      options = merge( {
+        spacing: 5,
+        align: 'left'
+      }, options );
+
+      const saveButton = new RectangularPushButton( {
+        content: new Text( controlsSaveTracksString, { font: BUTTON_FONT, maxWidth: 90 } ),
+        listener: () => downloadFile( FILE_NAME, JSON.stringify( model.saveTracks(), null, 2 ), 'application/json' ),
+        tandem: tandem.createTandem( 'saveButton' )
+      } );
+      model.clearButtonEnabledProperty.linkAttribute( saveButton, 'enabled' );
+
+      const loadButton = new RectangularPushButton( {
+        content: new Text( controlsLoadTracksString, { font: BUTTON_FONT, maxWidth: 90 } ),
+        listener: () => chooseFile( text => loadTracks( model, text ) ),
+        tandem: tandem.createTandem( 'loadButton' )
+      } );
+
+      options.children = [ saveButton, loadButton ];
+      super( options );
+    }
+  }
+
+  /**
+   * Load the tracks of a track file into the model, or show a dialog with the problems if it cannot be loaded.
+   *
+   * @param {EnergySkateParkPlaygroundModel} model
+   * @param {string} text - contents of the file
+   */
+  const loadTracks = ( model, text ) => {
+    let trackFile = null;
+    let errors = null;
+    try {
+      trackFile = JSON.parse( text );
+      errors = TrackFile.validate( trackFile );
+    }
+    catch( e ) {
+      errors = [ StringUtils.fillIn( trackFileInvalidJSONPatternString, { message: e.message } ) ];
+    }
+
+    if ( errors.length === 0 ) {
+      model.loadTracks( trackFile );
+    }
+    else {
+      const message = [ trackFileLoadErrorString ].concat( errors.map( _.escape ) ).join( '<br>' );
+      new Dialog( new RichText( message, { font: MESSAGE_FONT, maxWidth: 600 } ) ).show();
+    }
+  };
+
+  return energySkatePark.register( 'TrackFileButtons', TrackFileButtons );
+} );
@@ -5,6 +5,9 @@
  * If the track's length is changed (by deleting a control point or linking two tracks together) a new TrackNode is created.
  * Keep track of whether the track is dragging, so performance can be optimized while dragging
  *
+ * A draggable track can be grabbed with the keyboard by focusing it and pressing enter or space, moved with the arrow
+ * keys and dropped with enter or space again.
+ *
  * @author Sam Reid
  */
 define( require => {
@@ -14,6 +17,8 @@ define( require => {
   const ControlPointNode = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/ControlPointNode' );
   const dot = require( 'DOT/dot' );
   const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const EnergySkateParkA11yStrings = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/EnergySkateParkA11yStrings' );
+  const getArrowKeyDelta = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/getArrowKeyDelta' );
   const LineStyles = require( 'KITE/util/LineStyles' );
   const Node = require( 'SCENERY/nodes/Node' );
   const Path = require( 'SCENERY/nodes/Path' );
@@ -22,6 +27,10 @@ define( require => {
   const SplineEvaluation = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/SplineEvaluation' );
   const TrackDragHandler = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/TrackDragHandler' );
 
+  // a11y strings
+  const trackHelpTextString = EnergySkateParkA11yStrings.trackHelpText.value;
+  const trackString = EnergySkateParkA11yStrings.track.value;
+
   // constants
   const FastArray = dot.FastArray;
 
@@ -51,7 +60,14 @@ define( require => {
 
       this.road = new Path( null, {
         fill: 'gray',
-        cursor: track.draggable ? 'pointer' : 'default'
+        cursor: track.draggable ? 'pointer' : 'default',
+
+        // pdom
+        tagName: 'div',
+        ariaRole: 'application',
+        focusable: track.draggable,
+        innerContent: trackString,
+        descriptionContent: track.draggable ? trackHelpTextString : null
       } );
       this.centerLine = new Path( null, {
         stroke: 'black',
@@ -83,6 +99,29 @@ define( require => {
       if ( track.draggable ) {
         trackDragHandler = new TrackDragHandler( this, tandem.createTandem( 'trackDragHandler' ) );
         this.road.addInputListener( trackDragHandler );
+
+        let keyboardDragging = false;
+        this.road.addInputListener( {
+          keydown: event => {
+            const domEvent = event.domEvent;
+            const delta = getArrowKeyDelta( domEvent );
+            if ( domEvent.key === 'Enter' || domEvent.key === ' ' ) {
+              domEvent.preventDefault();
+              keyboardDragging ? trackDragHandler.keyboardDragEnded() : trackDragHandler.keyboardDragStarted();
+              keyboardDragging = !keyboardDragging;
+            }
+            else if ( keyboardDragging && delta ) {
+              domEvent.preventDefault();
+              trackDragHandler.keyboardDragged( delta );
+            }
+          },
+          blur: () => {
+            if ( keyboardDragging ) {
+              keyboardDragging = false;
+              trackDragHandler.keyboardDragEnded();
+            }
+          }
+        } );
       }
 
       // only "configurable" tracks have draggable control points, and individual control points may have dragging
@@ -177,8 +216,8 @@ define( require => {
       }
 
       // Compute points for lineTo
-      const xPoints = SplineEvaluation.atArray( track.xSpline, this.linSpace );
-      const yPoints = SplineEvaluation.atArray( track.ySpline, this.linSpace );
+      const xPoints = SplineEvaluation.atArray( track.spline.xSpline, this.linSpace );
+      const yPoints = SplineEvaluation.atArray( track.spline.ySpline, this.linSpace );
 
       const tx = this.getTranslation();
       const shape = new Shape().moveTo(
@@ -208,12 +247,14 @@ define( require => {
       this.road.shape = shape.getStrokedShape( strokeStyles );
       this.centerLine.shape = shape;
 
-      // Update the skater if the track is moved while the sim is paused, see #84
-      if ( model.skater.trackProperty.value === track && model.pausedProperty.value ) {
-        model.skater.positionProperty.value = track.getPoint( model.skater.parametricPositionProperty.value );
-        model.skater.angleProperty.value = model.skater.trackProperty.value.getViewAngleAt( model.skater.parametricPositionProperty.value ) + ( model.skater.onTopSideOfTrackProperty.value ? 0 : Math.PI );
-        model.skater.updatedEmitter.emit();
-      }
+      // Update the skaters if the track is moved while the sim is paused, see #84
+      model.skaters.forEach( skater => {
+        if ( skater.trackProperty.value === track && model.pausedProperty.value ) {
+          skater.positionProperty.value = track.getPoint( skater.parametricPositionProperty.value );
+          skater.angleProperty.value = skater.trackProperty.value.getViewAngleAt( skater.parametricPositionProperty.value ) + ( skater.onTopSideOfTrackProperty.value ? 0 : Math.PI );
+          skater.updatedEmitter.emit();
+        }
+      } );
     }
   }
 
@@ -0,0 +1,34 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Let the user choose a JSON file with the file dialog of the browser and read it as text, for loading tracks and
+ * recordings.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+
+  /**
+   * @param {function(string)} callback - called with the contents of the file, if one is chosen
+   */
+  const chooseFile = callback => {
+    const input = document.createElement( 'input' );
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener( 'change', () => {
+      const file = input.files[ 0 ];
+      if ( file ) {
+        const reader = new window.FileReader();
+        reader.addEventListener( 'load', () => callback( reader.result ) );
+        reader.readAsText( file );
+      }
+    } );
+    input.click();
+  };
+
+  return energySkatePark.register( 'chooseFile', chooseFile );
+} );
@@ -0,0 +1,120 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Announces events in the motion of the skater with the utteranceQueue: when the skater is released, leaves a track,
+ * lands, reaches its highest point and comes to rest. Each kind of alert reuses an Utterance, so an alert that is
+ * repeated before it is spoken replaces the earlier one instead of queueing up.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const EnergySkateParkA11yStrings = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/EnergySkateParkA11yStrings' );
+  const SkaterDescriber = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/describers/SkaterDescriber' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  const Utils = require( 'DOT/Utils' );
+  const Utterance = require( 'UTTERANCE_QUEUE/Utterance' );
+  const utteranceQueue = require( 'UTTERANCE_QUEUE/utteranceQueue' );
+
+  // a11y strings
+  const atRestAlertString = EnergySkateParkA11yStrings.atRestAlert.value;
+  const highestPointAlertPatternString = EnergySkateParkA11yStrings.highestPointAlertPattern.value;
+  const landsOnGroundAlertString = EnergySkateParkA11yStrings.landsOnGroundAlert.value;
+  const landsOnTrackAlertString = EnergySkateParkA11yStrings.landsOnTrackAlert.value;
+  const leavesTrackAlertString = EnergySkateParkA11yStrings.leavesTrackAlert.value;
+  const releasedInAirAlertString = EnergySkateParkA11yStrings.releasedInAirAlert.value;
+  const releasedOnGroundAlertString = EnergySkateParkA11yStrings.releasedOnGroundAlert.value;
+  const releasedOnTrackAlertString = EnergySkateParkA11yStrings.releasedOnTrackAlert.value;
+
+  // constants
+  // the skater must be moving up faster than this (m/s) for the top of its motion to be announced, so that small
+  // wobbles near the bottom of a track are not described as highest points
+  const MIN_RISING_SPEED = 0.5;
+
+  // number of model updates that the skater must be at rest before it is announced, since it is briefly at rest at the
+  // top of each swing
+  const AT_REST_UPDATES = 30;
+
+  // time in ms that an alert must stay unchanged before it is spoken, so that fast motion doesn't flood the queue
+  const ALERT_STABLE_DELAY = 500;
+
+  class SkaterAlertManager {
+
+    /**
+     * @param {EnergySkateParkModel} model
+     */
+    constructor( model ) {
+      const skater = model.skater;
+
+      // @private - one for each kind of alert, see the header
+      this.releasedUtterance = new Utterance();
+      this.trackUtterance = new Utterance();
+      this.highestPointUtterance = new Utterance( { alertStableDelay: ALERT_STABLE_DELAY } );
+      this.atRestUtterance = new Utterance( { alertStableDelay: ALERT_STABLE_DELAY } );
+
+      // state of the skater at the last update, to find the events
+      let wasDragging = skater.draggingProperty.value;
+      let wasOnTrack = !!skater.trackProperty.value;
+      let wasOnGround = !wasOnTrack && skater.positionProperty.value.y <= 0;
+      let wasRising = false;
+      let restUpdates = 0;
+
+      skater.updatedEmitter.addListener( () => {
+        const onTrack = !!skater.trackProperty.value;
+        const onGround = !onTrack && skater.positionProperty.value.y <= 0;
+        const velocityY = skater.velocityProperty.value.y;
+        restUpdates = SkaterDescriber.isAtRest( skater ) ? restUpdates + 1 : 0;
+        const dragging = skater.draggingProperty.value;
+
+        // Skater.released sets the track after dragging ends, so the release is found on the update that follows
+        if ( wasDragging && !dragging ) {
+          this.alert( this.releasedUtterance, onTrack ? releasedOnTrackAlertString :
+                                              onGround ? releasedOnGroundAlertString :
+                                              releasedInAirAlertString );
+        }
+        else if ( !dragging ) {
+          if ( wasOnTrack && !onTrack && !onGround ) {
+            this.alert( this.trackUtterance, leavesTrackAlertString );
+          }
+          else if ( !wasOnTrack && onTrack ) {
+            this.alert( this.trackUtterance, landsOnTrackAlertString );
+          }
+          else if ( !wasOnGround && onGround ) {
+            this.alert( this.trackUtterance, landsOnGroundAlertString );
+          }
+
+          if ( wasRising && velocityY <= 0 ) {
+            this.alert( this.highestPointUtterance, StringUtils.fillIn( highestPointAlertPatternString, {
+              height: Utils.toFixed( skater.positionProperty.value.y, 1 )
+            } ) );
+          }
+
+          if ( restUpdates === AT_REST_UPDATES ) {
+            this.alert( this.atRestUtterance, atRestAlertString );
+          }
+        }
+
+        wasDragging = dragging;
+        wasOnTrack = onTrack;
+        wasOnGround = onGround;
+        wasRising = velocityY > MIN_RISING_SPEED || ( wasRising && velocityY > 0 );
+      } );
+    }
+
+    /**
+     * @private
+     *
+     * @param {Utterance} utterance
+     * @param {string} text
+     */
+    alert( utterance, text ) {
+      utterance.alert = text;
+      utteranceQueue.addToBack( utterance );
+    }
+  }
+
+  return energySkatePark.register( 'SkaterAlertManager', SkaterAlertManager );
+} );
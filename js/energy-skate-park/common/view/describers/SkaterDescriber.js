@@ -0,0 +1,171 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Creates the interactive descriptions of the tracks, the skater and the energy of the skater, for the screen summary
+ * and the alerts of SkaterAlertManager.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const EnergySkateParkA11yStrings = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/EnergySkateParkA11yStrings' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  const Utils = require( 'DOT/Utils' );
+
+  // a11y strings
+  const atRestString = EnergySkateParkA11yStrings.atRest.value;
+  const energySummaryPatternString = EnergySkateParkA11yStrings.energySummaryPattern.value;
+  const mostlyKineticString = EnergySkateParkA11yStrings.mostlyKinetic.value;
+  const mostlyPotentialString = EnergySkateParkA11yStrings.mostlyPotential.value;
+  const mostlyThermalString = EnergySkateParkA11yStrings.mostlyThermal.value;
+  const movingPatternString = EnergySkateParkA11yStrings.movingPattern.value;
+  const nearLeftEndString = EnergySkateParkA11yStrings.nearLeftEnd.value;
+  const nearMiddleString = EnergySkateParkA11yStrings.nearMiddle.value;
+  const nearRightEndString = EnergySkateParkA11yStrings.nearRightEnd.value;
+  const noTracksString = EnergySkateParkA11yStrings.noTracks.value;
+  const skaterDraggedPatternString = EnergySkateParkA11yStrings.skaterDraggedPattern.value;
+  const skaterInAirPatternString = EnergySkateParkA11yStrings.skaterInAirPattern.value;
+  const skaterOnGroundPatternString = EnergySkateParkA11yStrings.skaterOnGroundPattern.value;
+  const skaterOnTrackPatternString = EnergySkateParkA11yStrings.skaterOnTrackPattern.value;
+  const trackPatternString = EnergySkateParkA11yStrings.trackPattern.value;
+  const tracksPatternString = EnergySkateParkA11yStrings.tracksPattern.value;
+
+  // constants
+  // below this speed (m/s) the skater is described as at rest, the same threshold the physics uses for friction
+  const AT_REST_SPEED = 1E-2;
+
+  class SkaterDescriber {
+
+    /**
+     * @param {EnergySkateParkModel} model
+     */
+    constructor( model ) {
+
+      // @private
+      this.model = model;
+      this.skater = model.skater;
+    }
+
+    /**
+     * Describe the tracks in the play area, from their control points.
+     * @public
+     *
+     * @returns {string}
+     */
+    getTracksDescription() {
+      const tracks = this.model.getPhysicalTracks();
+      if ( tracks.length === 0 ) {
+        return noTracksString;
+      }
+
+      const values = {
+        count: tracks.length,
+        left: formatMeters( _.min( tracks.map( track => track.getLeftControlPointX() ) ) ),
+        right: formatMeters( _.max( tracks.map( track => track.getRightControlPointX() ) ) ),
+        top: formatMeters( _.max( tracks.map( track => track.getTopControlPointY() ) ) )
+      };
+      return StringUtils.fillIn( tracks.length === 1 ? trackPatternString : tracksPatternString, values );
+    }
+
+    /**
+     * Describe where the skater is and how it is moving.
+     * @public
+     *
+     * @returns {string}
+     */
+    getSkaterDescription() {
+      const skater = this.skater;
+      const position = skater.positionProperty.value;
+      const height = formatMeters( position.y );
+      const motion = SkaterDescriber.isAtRest( skater ) ? atRestString :
+                     StringUtils.fillIn( movingPatternString, { speed: Utils.toFixed( skater.speedProperty.value, 1 ) } );
+
+      const track = skater.trackProperty.value;
+      if ( skater.draggingProperty.value ) {
+        return StringUtils.fillIn( skaterDraggedPatternString, { height: height } );
+      }
+      else if ( track ) {
+        return StringUtils.fillIn( skaterOnTrackPatternString, {
+          place: getPlaceOnTrack( track, position.x ),
+          height: height,
+          motion: motion
+        } );
+      }
+      else if ( position.y <= 0 ) {
+        return StringUtils.fillIn( skaterOnGroundPatternString, { motion: motion } );
+      }
+      else {
+        return StringUtils.fillIn( skaterInAirPatternString, { height: height, motion: motion } );
+      }
+    }
+
+    /**
+     * Describe the energy of the skater, from the energy Properties of the Skater.
+     * @public
+     *
+     * @returns {string}
+     */
+    getEnergySummary() {
+      const skater = this.skater;
+      const kinetic = skater.kineticEnergyProperty.value;
+      const potential = skater.potentialEnergyProperty.value;
+      const thermal = skater.thermalEnergyProperty.value;
+
+      const largest = Math.max( kinetic, potential, thermal );
+      const mostly = largest === kinetic ? mostlyKineticString :
+                     largest === potential ? mostlyPotentialString :
+                     mostlyThermalString;
+
+      return StringUtils.fillIn( energySummaryPatternString, {
+        kinetic: formatJoules( kinetic ),
+        potential: formatJoules( potential ),
+        thermal: formatJoules( thermal ),
+        total: formatJoules( skater.totalEnergyProperty.value ),
+        mostly: mostly
+      } );
+    }
+
+    /**
+     * @public
+     *
+     * @param {Skater} skater
+     * @returns {boolean}
+     */
+    static isAtRest( skater ) {
+      return skater.speedProperty.value < AT_REST_SPEED;
+    }
+  }
+
+  /**
+   * Which part of the track the skater is on, by thirds of the width of the track.
+   *
+   * @param {Track} track
+   * @param {number} x - of the skater, in meters
+   * @returns {string}
+   */
+  const getPlaceOnTrack = ( track, x ) => {
+    const left = track.getLeftControlPointX();
+    const width = track.getRightControlPointX() - left;
+    const fraction = width > 0 ? ( x - left ) / width : 0.5;
+    return fraction < 1 / 3 ? nearLeftEndString :
+           fraction > 2 / 3 ? nearRightEndString :
+           nearMiddleString;
+  };
+
+  /**
+   * @param {number} meters
+   * @returns {string}
+   */
+  const formatMeters = meters => Utils.toFixed( meters, 1 );
+
+  /**
+   * @param {number} joules
+   * @returns {string}
+   */
+  const formatJoules = joules => Utils.toFixed( joules, 0 );
+
+  return energySkatePark.register( 'SkaterDescriber', SkaterDescriber );
+} );
@@ -0,0 +1,36 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Download text as a file with the file dialog of the browser, for saving tracks and exporting data.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const timer = require( 'AXON/timer' );
+
+  /**
+   * @param {string} fileName
+   * @param {string} text - contents of the file
+   * @param {string} type - MIME type of the file, like 'application/json'
+   */
+  const downloadFile = ( fileName, text, type ) => {
+    const blob = new window.Blob( [ text ], { type: type } );
+    const url = window.URL.createObjectURL( blob );
+
+    const link = document.createElement( 'a' );
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild( link );
+    link.click();
+    document.body.removeChild( link );
+
+    // some browsers start the download asynchronously, so wait before releasing the file
+    timer.setTimeout( () => window.URL.revokeObjectURL( url ), 1000 );
+  };
+
+  return energySkatePark.register( 'downloadFile', downloadFile );
+} );
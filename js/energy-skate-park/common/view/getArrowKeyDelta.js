@@ -0,0 +1,38 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The distance to move for a key press, for moving the skater, tracks and control points with the keyboard. Holding
+ * shift moves in finer steps.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // constants
+  const STEP = 0.25; // in meters
+  const FINE_STEP = 0.05; // in meters, while shift is down
+
+  // model directions for each arrow key, model y is up
+  const DIRECTIONS = {
+    ArrowLeft: new Vector2( -1, 0 ),
+    ArrowRight: new Vector2( 1, 0 ),
+    ArrowUp: new Vector2( 0, 1 ),
+    ArrowDown: new Vector2( 0, -1 )
+  };
+
+  /**
+   * @param {KeyboardEvent} domEvent
+   * @returns {Vector2|null} - in meters, null if the key is not an arrow key
+   */
+  const getArrowKeyDelta = domEvent => {
+    const direction = DIRECTIONS[ domEvent.key ];
+    return direction ? direction.times( domEvent.shiftKey ? FINE_STEP : STEP ) : null;
+  };
+
+  return energySkatePark.register( 'getArrowKeyDelta', getArrowKeyDelta );
+} );
@@ -18,13 +18,40 @@ define( require => {
   const GraphsConstants = {
     MAX_SAMPLES: MAX_SAMPLES,
 
-    // maximum recording time for energy vs time plot, in seconds
-    MAX_PLOTTED_TIME: 20,
+    // time shown by the plots against time, in seconds. When the recording reaches the end of the plot, the plot
+    // scrolls forward by TIME_SCROLL_STEP
+    TIME_WINDOW: 20,
+    TIME_SCROLL_STEP: 10,
+
+    // when plotting against time, the number of most recent samples that are kept at the full rate, and the number of
+    // older samples that are kept at a lower rate so that the start of a long recording is not lost, see
+    // GraphsModel.limitRecordedSamples
+    MAX_RECENT_SAMPLES: 2000,
+    MAX_HISTORY_SAMPLES: 1000,
+
+    // number of samples older than the most recent ones that are moved to the history together, see
+    // GraphsModel.limitRecordedSamples
+    RECENT_SAMPLES_BATCH: 500,
+
+    // in seconds, the initial time between the older samples of a recording, which doubles whenever there are too many
+    HISTORY_SAMPLE_INTERVAL: 0.1,
 
     // determined to be reasonable by inspecting energies at large skater heights - anything
     // above this will be off of the graph
     MAX_PLOTTED_ENERGY: 3000,
 
+    // the rate of change of energy for the power plot is fit to the samples within this time centered on a sample, in
+    // seconds, to smooth out changes from one sample to the next
+    POWER_SMOOTHING_TIME: 0.25,
+
+    // number of trajectories overlaid in the phase space plot, and the number of samples in each, older trajectories
+    // are removed and the samples of a long trajectory after this are not traced
+    MAX_PHASE_SPACE_TRAJECTORIES: 4,
+    MAX_PHASE_SPACE_TRAJECTORY_SAMPLES: 3000,
+
+    // number of runs that can be pinned to the energy plot for comparison, the oldest is removed to pin another
+    MAX_PINNED_RUNS: 4,
+
     // dimensions for the tracks in the graphs screen, reused and referenced by many components in this screen
     // in model coordinates (meters)
     TRACK_WIDTH: 10,
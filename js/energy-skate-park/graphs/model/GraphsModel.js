@@ -10,12 +10,19 @@ define( require => {
 
   // modules
   const BooleanProperty = require( 'AXON/BooleanProperty' );
+  const Bounds2 = require( 'DOT/Bounds2' );
   const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const Emitter = require( 'AXON/Emitter' );
+  const EnergySkateParkQueryParameters = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/EnergySkateParkQueryParameters' );
   const EnergySkateParkSaveSampleModel = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/EnergySkateParkSaveSampleModel' );
   const Enumeration = require( 'PHET_CORE/Enumeration' );
   const EnumerationProperty = require( 'AXON/EnumerationProperty' );
+  const FunctionExpression = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/FunctionExpression' );
   const GraphsConstants = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/GraphsConstants' );
   const NumberProperty = require( 'AXON/NumberProperty' );
+  const ObservableArray = require( 'AXON/ObservableArray' );
+  const PinnedRun = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/model/PinnedRun' );
+  const Property = require( 'AXON/Property' );
   const Range = require( 'DOT/Range' );
   const SkaterState = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SkaterState' );
   const Utils = require( 'DOT/Utils' );
@@ -30,6 +37,7 @@ define( require => {
 
       // track set model with no friction
       super( tandem.createTandem( 'graphsModel' ), {
+        screenName: 'graphs',
 
         includeFriction: false,
 
@@ -39,7 +47,8 @@ define( require => {
         // interval at which we save skater samples
         saveSampleInterval: 0.01,
 
-        // to prevent a memory leak if we run for a long time without clearing
+        // to prevent a memory leak if we run for a long time without clearing, when plotting against time see
+        // limitRecordedSamples instead
         maxNumberOfSamples: 1000
       } );
 
@@ -61,14 +70,55 @@ define( require => {
       // @public - sets the independent variable for the graph display
       this.independentVariableProperty = new EnumerationProperty( GraphsModel.IndependentVariable, GraphsModel.IndependentVariable.POSITION );
 
+      // @public - sets the quantity plotted on the vertical axis of the graph, the energies or one other quantity
+      this.dependentVariableProperty = new EnumerationProperty( GraphsModel.DependentVariable, GraphsModel.DependentVariable.ENERGY );
+
+      // @public {Property.<Bounds2|null>} - the part of the energy plot that is visible after the user pans, zooms
+      // horizontally or fits the plot to the data, in the units of the independent and dependent variables. null shows
+      // the default domain for the independent variable and the range for lineGraphScaleProperty.
+      this.plotWindowProperty = new Property( null, {
+        isValidValue: value => value === null || value instanceof Bounds2
+      } );
+
+      // @public - whether the graph shows the phase space of the skater (velocity against position or distance along the
+      // track) instead of quantities against the independent variable
+      this.phaseSpaceProperty = new BooleanProperty( false );
+
+      // @public (read-only) {SkaterSample[][]} - trajectories of the skater in phase space, oldest first, each starting
+      // when the skater is released so that trajectories for different release heights can be compared
+      this.phaseSpaceTrajectories = [];
+
+      // @private {boolean} - whether the next saved sample starts a new trajectory in phase space
+      this.phaseSpaceTrajectoryPending = true;
+
+      // @private {number} - when plotting against time, the first historySampleCount of the saved samples are the older
+      // part of the recording at a lower rate, and the rest are the most recent samples, see limitRecordedSamples
+      this.historySampleCount = 0;
+
+      // @private {number} - in seconds, the minimum time between the older samples of the recording
+      this.historySampleInterval = GraphsConstants.HISTORY_SAMPLE_INTERVAL;
+
+      // @public (read-only) {ObservableArray.<PinnedRun>} - completed runs drawn on the energy plot for comparison,
+      // oldest first
+      this.pinnedRuns = new ObservableArray();
+
+      // @private {number} - number of the next pinned run, for its name
+      this.nextPinnedRunNumber = 1;
+
+      // @public - emits with the SkaterSample added to the last phase space trajectory, and with no arguments when
+      // trajectories are started or removed
+      this.phaseSpaceSampleAddedEmitter = new Emitter( { parameters: [ { valueType: Object } ] } );
+      this.phaseSpaceTrajectoriesChangedEmitter = new Emitter();
+
       // @public - whether or not the energy plot is visible
       this.energyPlotVisibleProperty = new BooleanProperty( true, {
         tandem: tandem.createTandem( 'energyPlotVisibleProperty' )
       } );
 
-      // existing data fades away before removal when the skater direction changes
+      // existing data fades away before removal when the skater direction changes, since new data would be plotted
+      // on top of it
       this.skater.directionProperty.link( direction => {
-        if ( this.independentVariableProperty.get() === GraphsModel.IndependentVariable.POSITION ) {
+        if ( this.isPlottingAgainstPosition() ) {
           this.initiateSampleRemoval();
         }
       } );
@@ -76,34 +126,47 @@ define( require => {
       // there are far more points required for the Energy vs Time plot, so we don't limit the number of
       // saved samples in this case
       this.independentVariableProperty.link( independentVariable => {
-        this.limitNumberOfSamples = independentVariable === GraphsModel.IndependentVariable.POSITION;
+        this.limitNumberOfSamples = this.isPlottingAgainstPosition();
+        this.preventSampleSave = this.isPlottingAgainstPosition() && this.skater.draggingProperty.get();
       } );
 
       // clear all data when the track changes
       this.sceneProperty.link( scene => {
         this.clearEnergyData();
+        this.clearPhaseSpaceTrajectories();
+        this.clearPinnedRuns();
+      } );
+
+      // the plot window is in the units of the variables, so go back to the default window when they change
+      const resetPlotWindow = () => this.plotWindowProperty.reset();
+      this.independentVariableProperty.lazyLink( resetPlotWindow );
+      this.dependentVariableProperty.lazyLink( resetPlotWindow );
+      this.sceneProperty.lazyLink( resetPlotWindow );
+
+      // a recording against time can run until the skater stops, so keep a fixed number of samples
+      this.skaterSamples.addItemAddedListener( () => {
+        if ( !this.isPlottingAgainstPosition() ) {
+          this.limitRecordedSamples();
+        }
       } );
 
+      // trace saved samples in phase space, a new trajectory starts every time the skater is released or returned
+      this.skaterSamples.addItemAddedListener( sample => this.addPhaseSpaceSample( sample ) );
+      this.skater.draggingProperty.lazyLink( isDragging => {
+        if ( !isDragging ) {
+          this.phaseSpaceTrajectoryPending = true;
+        }
+      } );
+      this.skater.returnedEmitter.addListener( () => { this.phaseSpaceTrajectoryPending = true; } );
+
       // if plotting against position don't save any skater samples while dragging, but if plotting against time
       // it is still useful to see data as potential energy changes
       this.skater.draggingProperty.link( isDragging => {
-        if ( this.independentVariableProperty.get() === GraphsModel.IndependentVariable.POSITION ) {
+        if ( this.isPlottingAgainstPosition() ) {
           this.clearEnergyData();
           this.preventSampleSave = isDragging;
         }
       } );
-
-      // stop saving samples after the time limit if we are plotting against time
-      this.sampleTimeProperty.link( time => {
-        const plottingTime = this.independentVariableProperty.get() === GraphsModel.IndependentVariable.TIME;
-        const overTime = time > GraphsConstants.MAX_PLOTTED_TIME;
-        if ( plottingTime && overTime) {
-          this.preventSampleSave = true;
-        }
-        else {
-          this.preventSampleSave = false;
-        }
-      } );
     }
 
     /**
@@ -123,7 +186,12 @@ define( require => {
       this.totalEnergyDataVisibleProperty.reset();
 
       this.lineGraphScaleProperty.reset();
+      this.plotWindowProperty.reset();
       this.independentVariableProperty.reset();
+      this.dependentVariableProperty.reset();
+      this.phaseSpaceProperty.reset();
+      this.clearPhaseSpaceTrajectories();
+      this.clearPinnedRuns();
 
       this.clearEnergyData();
 
@@ -145,6 +213,235 @@ define( require => {
       }
     }
 
+    /**
+     * Clear all saved data immediately and prepare to save data again.
+     * @public
+     * @override
+     */
+    clearEnergyData() {
+      super.clearEnergyData();
+      this.historySampleCount = 0;
+      this.historySampleInterval = GraphsConstants.HISTORY_SAMPLE_INTERVAL;
+    }
+
+    /**
+     * Keep the memory for a recording against time bounded without losing its start. The most recent samples are kept
+     * at the full rate, at least GraphsConstants.MAX_RECENT_SAMPLES of them. When there are
+     * GraphsConstants.RECENT_SAMPLES_BATCH more than that, the oldest of them are moved to the history of the recording
+     * if they are at least historySampleInterval after the last sample of the history, and the rest are removed. When
+     * the history has more than GraphsConstants.MAX_HISTORY_SAMPLES, every other sample of the history is removed and
+     * the interval doubles, so the history always spans the whole recording. Removing samples from the middle of
+     * skaterSamples is slow, so it is done in batches and not on every frame.
+     * @private
+     */
+    limitRecordedSamples() {
+      const samples = this.skaterSamples;
+
+      // samples after the cursor are removed when the cursor is dragged back, which may include part of the history
+      this.historySampleCount = Math.min( this.historySampleCount, samples.length );
+
+      const numberOfOldSamples = samples.length - this.historySampleCount - GraphsConstants.MAX_RECENT_SAMPLES;
+      if ( numberOfOldSamples >= GraphsConstants.RECENT_SAMPLES_BATCH ) {
+        const removedSamples = [];
+        let lastHistorySample = this.historySampleCount > 0 ? samples.get( this.historySampleCount - 1 ) : null;
+        for ( let i = this.historySampleCount; i < this.historySampleCount + numberOfOldSamples; i++ ) {
+          const sample = samples.get( i );
+          if ( !lastHistorySample || sample.time - lastHistorySample.time >= this.historySampleInterval ) {
+            lastHistorySample = sample;
+          }
+          else {
+            removedSamples.push( sample );
+          }
+        }
+        samples.removeAll( removedSamples );
+        this.historySampleCount += numberOfOldSamples - removedSamples.length;
+      }
+
+      if ( this.historySampleCount > GraphsConstants.MAX_HISTORY_SAMPLES ) {
+
+        // keep the first sample so that the recording still starts at the start of the run
+        const thinnedSamples = [];
+        for ( let i = 1; i < this.historySampleCount; i += 2 ) {
+          thinnedSamples.push( samples.get( i ) );
+        }
+        samples.removeAll( thinnedSamples );
+        this.historySampleCount -= thinnedSamples.length;
+        this.historySampleInterval *= 2;
+      }
+    }
+
+    /**
+     * Get the part of the recording shown by the plots against time when the user has not changed the plot window.
+     * When the recording reaches the end of the window, the window scrolls forward by GraphsConstants.TIME_SCROLL_STEP
+     * so that the latest samples are always visible.
+     * @public
+     *
+     * @returns {Range} - in seconds
+     */
+    getDefaultTimeDomain() {
+      const scrollStep = GraphsConstants.TIME_SCROLL_STEP;
+      const minTime = Math.max( 0, Math.ceil( ( this.sampleTimeProperty.get() - GraphsConstants.TIME_WINDOW ) / scrollStep ) * scrollStep );
+      return new Range( minTime, minTime + GraphsConstants.TIME_WINDOW );
+    }
+
+    /**
+     * Whether the graph plots energy against the position of the skater, either as x or as distance along the track.
+     * @public
+     *
+     * @returns {boolean}
+     */
+    isPlottingAgainstPosition() {
+      return this.independentVariableProperty.get() !== GraphsModel.IndependentVariable.TIME;
+    }
+
+    /**
+     * Samples can only be plotted against distance along the track while the skater is on the track.
+     * @protected
+     * @override
+     *
+     * @param {SkaterState} skaterState
+     * @returns {boolean}
+     */
+    canSaveSample( skaterState ) {
+      return this.independentVariableProperty.get() !== GraphsModel.IndependentVariable.DISTANCE_ALONG_TRACK ||
+             skaterState.track !== null;
+    }
+
+    /**
+     * Get the length of the track of the selected scene, which is the largest distance along the track.
+     * @public
+     *
+     * @returns {number} - in meters, 0 if there is no track
+     */
+    getTrackLength() {
+      const track = this.getPhysicalTracks()[ 0 ];
+      return track ? track.getDistanceFromStart( track.maxPoint ) : 0;
+    }
+
+    /**
+     * Get the power for kinetic, potential and thermal energy at a saved SkaterSample, the rate at which each energy
+     * changes in watts. Energies change a little unevenly from one sample to the next, so each rate is the slope of a
+     * least squares line through the energies of the samples within half of GraphsConstants.POWER_SMOOTHING_TIME
+     * before and after the sample. The window is centered on the sample so that the power is not delayed, which means
+     * that the power of a sample is only known once the samples after it have been saved, see getLatestPowerIndex.
+     * The caller passes the index of the sample so that finding the window only looks at the samples in it.
+     * @public
+     *
+     * @param {number} index - index of the sample in skaterSamples
+     * @returns {{kineticEnergy: number, potentialEnergy: number, thermalEnergy: number}|null} - null if the samples do
+     *                                                                                          not cover the window
+     */
+    getPower( index ) {
+      const samples = this.skaterSamples.getArray();
+      const sample = samples[ index ];
+      const halfWindow = GraphsConstants.POWER_SMOOTHING_TIME / 2;
+      if ( sample.time - samples[ 0 ].time < halfWindow || _.last( samples ).time - sample.time < halfWindow ) {
+        return null;
+      }
+
+      const windowSamples = [ sample ];
+      for ( let i = index - 1; i >= 0 && sample.time - samples[ i ].time <= halfWindow; i-- ) {
+        windowSamples.push( samples[ i ] );
+      }
+      for ( let i = index + 1; i < samples.length && samples[ i ].time - sample.time <= halfWindow; i++ ) {
+        windowSamples.push( samples[ i ] );
+      }
+
+      return {
+        kineticEnergy: fitSlope( windowSamples, windowSample => windowSample.kineticEnergy ),
+        potentialEnergy: fitSlope( windowSamples, windowSample => windowSample.potentialEnergy ),
+        thermalEnergy: fitSlope( windowSamples, windowSample => windowSample.thermalEnergy )
+      };
+    }
+
+    /**
+     * Get the index of the latest saved SkaterSample whose power is known, the one that is half of
+     * GraphsConstants.POWER_SMOOTHING_TIME before the last sample, see getPower.
+     * @public
+     *
+     * @returns {number} - index in skaterSamples, -1 if no sample is far enough before the last one
+     */
+    getLatestPowerIndex() {
+      const samples = this.skaterSamples.getArray();
+      const halfWindow = GraphsConstants.POWER_SMOOTHING_TIME / 2;
+      let index = samples.length - 1;
+      while ( index >= 0 && _.last( samples ).time - samples[ index ].time < halfWindow ) {
+        index--;
+      }
+      return index;
+    }
+
+    /**
+     * Add a saved SkaterSample to the last trajectory in phase space, or to a new trajectory if the skater was released
+     * since the last sample. Samples saved while the skater is dragged are not part of a trajectory.
+     * @private
+     *
+     * @param {SkaterSample} sample
+     */
+    addPhaseSpaceSample( sample ) {
+      if ( this.skater.draggingProperty.get() ) {
+        return;
+      }
+
+      if ( this.phaseSpaceTrajectoryPending ) {
+        this.phaseSpaceTrajectoryPending = false;
+        this.phaseSpaceTrajectories.push( [] );
+        if ( this.phaseSpaceTrajectories.length > GraphsConstants.MAX_PHASE_SPACE_TRAJECTORIES ) {
+          this.phaseSpaceTrajectories.shift();
+        }
+        this.phaseSpaceTrajectoriesChangedEmitter.emit();
+      }
+
+      const trajectory = _.last( this.phaseSpaceTrajectories );
+      if ( trajectory.length < GraphsConstants.MAX_PHASE_SPACE_TRAJECTORY_SAMPLES ) {
+        trajectory.push( sample );
+        this.phaseSpaceSampleAddedEmitter.emit( sample );
+      }
+    }
+
+    /**
+     * Remove all trajectories in phase space.
+     * @public
+     */
+    clearPhaseSpaceTrajectories() {
+      this.phaseSpaceTrajectories.length = 0;
+      this.phaseSpaceTrajectoryPending = true;
+      this.phaseSpaceTrajectoriesChangedEmitter.emit();
+    }
+
+    /**
+     * Keep the saved samples as a PinnedRun, so that they stay on the energy plot when the data is cleared for the
+     * next run. The oldest run is removed if there are already GraphsConstants.MAX_PINNED_RUNS.
+     * @public
+     */
+    pinRun() {
+      const samples = this.getExportedSamples();
+      assert && assert( samples.length > 0, 'there are no samples to pin' );
+
+      if ( this.pinnedRuns.length >= GraphsConstants.MAX_PINNED_RUNS ) {
+        this.pinnedRuns.shift();
+      }
+      this.pinnedRuns.push( new PinnedRun( this.nextPinnedRunNumber++, samples, this.skater.massProperty.get(), this.frictionProperty.get() ) );
+    }
+
+    /**
+     * @public
+     *
+     * @param {PinnedRun} pinnedRun
+     */
+    removePinnedRun( pinnedRun ) {
+      this.pinnedRuns.remove( pinnedRun );
+    }
+
+    /**
+     * Remove all pinned runs, and start naming runs from the first again.
+     * @public
+     */
+    clearPinnedRuns() {
+      this.pinnedRuns.clear();
+      this.nextPinnedRunNumber = 1;
+    }
+
     /**
      * Get the closest SkaterState that was saved at the time provided.
      * @public
@@ -163,7 +460,8 @@ define( require => {
 
     /**
      * Create the custom set of tracks for the "graphs" screen. The "graphs" screen includes a parabola and a
-     * double well with unique shapes where only certain control points are draggable.
+     * double well with unique shapes where only certain control points are draggable, and optionally a track for a
+     * function given in the query parameters.
      *
      * @param {Tandem} tandem
      * @return
@@ -206,11 +504,60 @@ define( require => {
         phetioState: false
       } );
 
-      return [ parabolaTrack, doubleWellTrack ];
+      const trackSet = [ parabolaTrack, doubleWellTrack ];
+
+      // a track for the function in the query parameters as another scene, see functionTrack. If the function cannot
+      // be made into a track there is no scene for it, the problem is shown to the user by the Lab screen (see
+      // EnergySkateParkPlaygroundModel.functionTrackErrorProperty) where the function can be corrected
+      const expression = EnergySkateParkQueryParameters.functionTrack;
+      const range = EnergySkateParkQueryParameters.functionTrackRange;
+      const functionExpression = expression !== null && FunctionExpression.isValidExpression( expression ) ?
+                                 new FunctionExpression( expression ) : null;
+      if ( functionExpression && PremadeTracks.isFunctionDefined( functionExpression, range[ 0 ], range[ 1 ] ) ) {
+        const functionControlPoints = PremadeTracks.createFunctionControlPoints( groupTandem, functionExpression,
+          range[ 0 ], range[ 1 ] );
+        const functionTrack = PremadeTracks.createTrack( this, this.tracks, functionControlPoints, this.availableModelBoundsProperty, {
+          configurable: this.tracksConfigurable,
+          tandem: tandem.createTandem( 'functionTrack' ),
+          phetioState: false
+        } );
+        functionTrack.bumpAboveGround();
+        trackSet.push( functionTrack );
+      }
+
+      return trackSet;
     }
   }
 
-  GraphsModel.IndependentVariable = Enumeration.byKeys( [ 'POSITION', 'TIME' ] );
+  /**
+   * Slope of the least squares line through a value of the samples against their time.
+   * @param {SkaterSample[]} samples - at least two, with different times
+   * @param {function(SkaterSample):number} getValue
+   * @returns {number} - units of the value per second
+   */
+  const fitSlope = ( samples, getValue ) => {
+    const meanTime = _.meanBy( samples, sample => sample.time );
+    const meanValue = _.meanBy( samples, getValue );
+
+    let covariance = 0;
+    let variance = 0;
+    samples.forEach( sample => {
+      const deltaTime = sample.time - meanTime;
+      covariance += deltaTime * ( getValue( sample ) - meanValue );
+      variance += deltaTime * deltaTime;
+    } );
+    return variance === 0 ? 0 : covariance / variance;
+  };
+
+  // @public - POSITION is the x coordinate of the skater, DISTANCE_ALONG_TRACK is the arc length from the start of the
+  // track to the skater
+  GraphsModel.IndependentVariable = Enumeration.byKeys( [ 'POSITION', 'TIME', 'DISTANCE_ALONG_TRACK' ] );
+
+  // @public - ENERGY plots kinetic, potential, thermal and total energy together, the others plot a single quantity
+  // of the SkaterSamples. HEIGHT is above the reference height, and forces and acceleration are magnitudes.
+  GraphsModel.DependentVariable = Enumeration.byKeys( [
+    'ENERGY', 'SPEED', 'HEIGHT', 'NORMAL_FORCE', 'FRICTION_FORCE', 'NET_FORCE', 'ACCELERATION'
+  ] );
 
   return energySkatePark.register( 'GraphsModel', GraphsModel );
 
@@ -0,0 +1,69 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for GraphsModel, checking the power found from the saved SkaterSamples against the power of the
+ * friction on a skater sliding along the ground.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const GraphsConstants = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/GraphsConstants' );
+  const GraphsModel = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/model/GraphsModel' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // constants
+  const DT = 1 / 60;
+  const FRICTION = 0.05;
+  const SPEED = 5; // in m/s
+
+  // in watts, for the difference between the fit to the discrete samples and the power at the sample
+  const POWER_TOLERANCE = 0.5;
+
+  QUnit.module( 'GraphsModel' );
+
+  QUnit.test( 'getPower with constant friction', assert => {
+    const model = new GraphsModel( Tandem.ROOT.createTandem( 'graphsModelTestsModel' ) );
+    model.independentVariableProperty.value = GraphsModel.IndependentVariable.TIME;
+    model.frictionProperty.value = FRICTION;
+
+    // slide along the ground, where the friction force is the same for the whole run
+    const skater = model.skater;
+    skater.positionProperty.value = new Vector2( -4, 0 );
+    skater.released( null, 0 );
+    skater.velocityProperty.value = new Vector2( SPEED, 0 );
+    for ( let i = 0; i < 60; i++ ) {
+      model.stepFrame();
+    }
+
+    const samples = model.skaterSamples.getArray();
+    const frictionForce = FRICTION * skater.massProperty.value * skater.gravityMagnitudeProperty.value;
+    assert.ok( samples.every( sample => Math.abs( sample.frictionForce - frictionForce ) < 1E-6 ),
+      'the friction force is constant' );
+
+    const latestIndex = model.getLatestPowerIndex();
+    const delay = _.last( samples ).time - samples[ latestIndex ].time;
+    assert.ok( delay >= GraphsConstants.POWER_SMOOTHING_TIME / 2 && delay < GraphsConstants.POWER_SMOOTHING_TIME / 2 + DT,
+      'the power is known up to half of the smoothing time before the last sample' );
+    assert.equal( model.getPower( 0 ), null, 'no power before the window is covered' );
+    assert.equal( model.getPower( samples.length - 1 ), null, 'no power after the window is covered' );
+
+    const indices = _.range( samples.length ).filter( index => model.getPower( index ) !== null );
+    assert.ok( indices.length > 30 && _.last( indices ) === latestIndex, 'the power is known in the middle of the run' );
+    assert.ok( indices.every( index => {
+      const power = model.getPower( index );
+      return Math.abs( power.thermalEnergy - frictionForce * samples[ index ].speed ) < POWER_TOLERANCE;
+    } ), 'the thermal power is the friction force times the speed at the sample, so it is not delayed' );
+    assert.ok( indices.every( index => {
+      const power = model.getPower( index );
+      return Math.abs( power.thermalEnergy / samples[ index ].speed - frictionForce ) < POWER_TOLERANCE / SPEED;
+    } ), 'the thermal power per speed is constant with constant friction' );
+    assert.ok( indices.every( index => {
+      const power = model.getPower( index );
+      return Math.abs( power.kineticEnergy + power.thermalEnergy ) < 1E-6 && Math.abs( power.potentialEnergy ) < 1E-6;
+    } ), 'the kinetic energy becomes thermal energy' );
+  } );
+} );
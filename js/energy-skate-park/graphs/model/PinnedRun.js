@@ -0,0 +1,36 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A completed run of the skater that is kept on the energy plot of the Graphs screen, so that it can be compared with
+ * later runs. The run keeps its SkaterSamples, so it can be drawn for any of the plotted variables, and the mass and
+ * friction it was recorded with, which are the usual differences between runs.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+
+  class PinnedRun {
+
+    /**
+     * @param {number} number - counts the runs pinned since the last reset, for the name of the run
+     * @param {SkaterSample[]} samples - in order of time
+     * @param {number} mass - of the skater, in kg
+     * @param {number} friction - coefficient of friction
+     */
+    constructor( number, samples, mass, friction ) {
+      assert && assert( samples.length > 0, 'a run needs samples' );
+
+      // @public (read-only)
+      this.number = number;
+      this.samples = samples;
+      this.mass = mass;
+      this.friction = friction;
+    }
+  }
+
+  return energySkatePark.register( 'PinnedRun', PinnedRun );
+} );
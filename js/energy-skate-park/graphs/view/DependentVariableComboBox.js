@@ -0,0 +1,66 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A combo box that selects the quantity plotted on the vertical axis of the energy plot in the Graphs screen, energy
+ * or one other quantity of the skater like speed or normal force.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const ComboBox = require( 'SUN/ComboBox' );
+  const ComboBoxItem = require( 'SUN/ComboBoxItem' );
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const GraphsModel = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/model/GraphsModel' );
+  const merge = require( 'PHET_CORE/merge' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Text = require( 'SCENERY/nodes/Text' );
+
+  // strings
+  const quantitiesAccelerationString = require( 'string!ENERGY_SKATE_PARK/quantities.acceleration' );
+  const quantitiesEnergyString = require( 'string!ENERGY_SKATE_PARK/quantities.energy' );
+  const quantitiesFrictionForceString = require( 'string!ENERGY_SKATE_PARK/quantities.frictionForce' );
+  const quantitiesHeightString = require( 'string!ENERGY_SKATE_PARK/quantities.height' );
+  const quantitiesNetForceString = require( 'string!ENERGY_SKATE_PARK/quantities.netForce' );
+  const quantitiesNormalForceString = require( 'string!ENERGY_SKATE_PARK/quantities.normalForce' );
+  const quantitiesSpeedString = require( 'string!ENERGY_SKATE_PARK/quantities.speed' );
+
+  // constants
+  const LABEL_OPTIONS = { font: new PhetFont( 11 ), maxWidth: 75 };
+
+  class DependentVariableComboBox extends ComboBox {
+
+    /**
+     * @param {EnumerationProperty.<GraphsModel.DependentVariable>} dependentVariableProperty
+     * @param {Node} listParent - parent for the ComboBox list
+     * @param {Tandem} tandem
+     * @param {Object} [options]
+     */
+    constructor( dependentVariableProperty, listParent, tandem, options ) {
+      options = merge( {
+        xMargin: 6,
+        yMargin: 3,
+        tandem: tandem
+      }, options );
+
+      const variables = GraphsModel.DependentVariable;
+      const createItem = ( labelString, value ) => new ComboBoxItem( new Text( labelString, LABEL_OPTIONS ), value );
+
+      const items = [
+        createItem( quantitiesEnergyString, variables.ENERGY ),
+        createItem( quantitiesSpeedString, variables.SPEED ),
+        createItem( quantitiesHeightString, variables.HEIGHT ),
+        createItem( quantitiesNormalForceString, variables.NORMAL_FORCE ),
+        createItem( quantitiesFrictionForceString, variables.FRICTION_FORCE ),
+        createItem( quantitiesNetForceString, variables.NET_FORCE ),
+        createItem( quantitiesAccelerationString, variables.ACCELERATION )
+      ];
+
+      super( items, dependentVariableProperty, listParent, options );
+    }
+  }
+
+  return energySkatePark.register( 'DependentVariableComboBox', DependentVariableComboBox );
+} );
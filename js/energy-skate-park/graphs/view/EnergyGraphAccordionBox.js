@@ -10,20 +10,34 @@ define( require => {
   'use strict';
 
   // modules
-  const ABSwitch = require( 'SUN/ABSwitch' );
   const AccordionBox = require( 'SUN/AccordionBox' );
+  const AquaRadioButton = require( 'SUN/AquaRadioButton' );
+  const Checkbox = require( 'SUN/Checkbox' );
+  const DependentVariableComboBox = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/view/DependentVariableComboBox' );
   const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
   const EraserButton = require( 'SCENERY_PHET/buttons/EraserButton' );
   const EnergyPlot = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/view/EnergyPlot' );
-  const Dimension2 = require( 'DOT/Dimension2' );
   const GraphsModel = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/model/GraphsModel' );
   const GraphsConstants = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/GraphsConstants' );
+  const GraphsLabels = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/view/GraphsLabels' );
+  const HBox = require( 'SCENERY/nodes/HBox' );
+  const merge = require( 'PHET_CORE/merge' );
   const Text = require( 'SCENERY/nodes/Text' );
   const EnergySkateParkColorScheme = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergySkateParkColorScheme' );
   const Node = require( 'SCENERY/nodes/Node' );
+  const PhetColorScheme = require( 'SCENERY_PHET/PhetColorScheme' );
+  const PhaseSpacePlot = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/view/PhaseSpacePlot' );
   const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const PowerPlot = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/view/PowerPlot' );
+  const Property = require( 'AXON/Property' );
+  const RectangularPushButton = require( 'SUN/buttons/RectangularPushButton' );
+  const RichText = require( 'SCENERY/nodes/RichText' );
+  const SkaterSampleExportButtons = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/view/SkaterSampleExportButtons' );
+  const SunConstants = require( 'SUN/SunConstants' );
+  const TimeScrollBar = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/view/TimeScrollBar' );
   const VBox = require( 'SCENERY/nodes/VBox' );
   const VerticalCheckboxGroup = require( 'SUN/VerticalCheckboxGroup' );
+  const ZoomButton = require( 'SCENERY_PHET/buttons/ZoomButton' );
   const EnergyGraphZoomButton = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/view/EnergyGraphZoomButton' );
 
   // strings
@@ -33,19 +47,25 @@ define( require => {
   const totalEnergyLabelString = require( 'string!ENERGY_SKATE_PARK/totalEnergyLabel' );
   const timeSwitchLabelString = require( 'string!ENERGY_SKATE_PARK/timeSwitchLabel' );
   const positionSwitchLabelString = require( 'string!ENERGY_SKATE_PARK/positionSwitchLabel' );
+  const distanceSwitchLabelString = require( 'string!ENERGY_SKATE_PARK/distanceSwitchLabel' );
   const plotsEnergyGraphString = require( 'string!ENERGY_SKATE_PARK/plots.energy-graph' );
   const plotsPositionLabelString = require( 'string!ENERGY_SKATE_PARK/plots.positionLabel' );
   const plotsEnergyLabelString = require( 'string!ENERGY_SKATE_PARK/plots.energyLabel' );
-  const plotsTimeLabelString = require( 'string!ENERGY_SKATE_PARK/plots.timeLabel' );
+  const plotsPowerLabelString = require( 'string!ENERGY_SKATE_PARK/plots.powerLabel' );
+  const plotsFitString = require( 'string!ENERGY_SKATE_PARK/plots.fit' );
+  const plotsPinRunString = require( 'string!ENERGY_SKATE_PARK/plots.pinRun' );
+  const plotsVelocityLabelString = require( 'string!ENERGY_SKATE_PARK/plots.velocityLabel' );
+  const phaseSpaceLabelString = require( 'string!ENERGY_SKATE_PARK/phaseSpaceLabel' );
 
   // constants
   const GRAPH_HEIGHT = 115;
+  const POWER_GRAPH_HEIGHT = 60;
 
   // margin for content within the panel
   const CONTENT_X_MARGIN = 4;
 
-  // size of the ABSwitch that changes from plotting position vs time
-  const SWITCH_SIZE = new Dimension2( 30, 15 );
+  // radius of the radio buttons that change the independent variable
+  const RADIO_BUTTON_RADIUS = 6;
 
   const LABEL_FONT = new PhetFont( { size: 12 } );
 
@@ -54,9 +74,10 @@ define( require => {
     /**
      * @param {EnergySkateParkModel} model
      * @param {ModelViewTransform2} modelViewTransform
+     * @param {Node} comboBoxParent - parent for the list of the combo box that selects the plotted quantity
      * @param {Tandem} tandem
      */
-    constructor( model, modelViewTransform, tandem ) {
+    constructor( model, modelViewTransform, comboBoxParent, tandem ) {
 
       // the parent for all content of the accordion box
       const contentNode = new Node();
@@ -68,7 +89,40 @@ define( require => {
         EnergyGraphAccordionBox.createCheckboxItem( model.thermalEnergyDataVisibleProperty, thermalEnergyLabelString, EnergySkateParkColorScheme.thermalEnergy ),
         EnergyGraphAccordionBox.createCheckboxItem( model.totalEnergyDataVisibleProperty, totalEnergyLabelString, EnergySkateParkColorScheme.totalEnergy )
       ] );
-      contentNode.addChild( checkboxGroup );
+
+      // the quantity to plot, above the check boxes which only apply to energy
+      const dependentVariableComboBox = new DependentVariableComboBox( model.dependentVariableProperty, comboBoxParent, tandem.createTandem( 'dependentVariableComboBox' ) );
+
+      // shows the phase space plot instead of the plot selected by the combo box
+      const phaseSpaceCheckbox = new Checkbox( new Text( phaseSpaceLabelString, {
+        font: new PhetFont( { size: 11 } ),
+        maxWidth: 75
+      } ), model.phaseSpaceProperty, {
+        boxWidth: 15,
+        tandem: tandem.createTandem( 'phaseSpaceCheckbox' )
+      } );
+
+      // keeps the current run on the plot and clears the data for the next run, so that runs can be compared
+      const pinRunButton = new RectangularPushButton( {
+        content: new Text( plotsPinRunString, { font: new PhetFont( { size: 10 } ), maxWidth: 70 } ),
+        listener: () => {
+          model.pinRun();
+          this.clearEnergyData();
+        },
+        tandem: tandem.createTandem( 'pinRunButton' )
+      } );
+      model.skaterSamples.lengthProperty.link( length => {
+        pinRunButton.enabled = length > 0;
+      } );
+
+      // buttons to download the data of the graph, below the check boxes
+      const exportButtons = new SkaterSampleExportButtons( model, tandem.createTandem( 'exportButtons' ) );
+      const dataControls = new VBox( {
+        children: [ dependentVariableComboBox, checkboxGroup, phaseSpaceCheckbox, pinRunButton, exportButtons ],
+        spacing: 8,
+        align: 'left'
+      } );
+      contentNode.addChild( dataControls );
 
       // the graph is as long as the tracks in the Graphs screen so that position of the skater matches
       // with position along the plot
@@ -77,26 +131,58 @@ define( require => {
       const energyPlot = new EnergyPlot( model, graphWidth, GRAPH_HEIGHT, tandem.createTandem( 'energyPlot' ) );
       contentNode.addChild( energyPlot );
 
+      // the power plot under the energy plot, only for energy against time
+      const powerPlot = new PowerPlot( model, graphWidth, POWER_GRAPH_HEIGHT, tandem.createTandem( 'powerPlot' ) );
+      const powerLabelText = new Text( plotsPowerLabelString, {
+        rotation: -Math.PI / 2,
+        font: LABEL_FONT,
+        maxWidth: POWER_GRAPH_HEIGHT
+      } );
+      const powerNode = new Node( { children: [ powerPlot, powerLabelText ] } );
+      contentNode.addChild( powerNode );
+
+      // the power plot shows the same time as the energy plot
+      energyPlot.plotWindowChangedEmitter.addListener( ( plotWindow, stepX ) => {
+        powerPlot.setTimeDomain( plotWindow.minX, plotWindow.maxX, stepX );
+      } );
+
+      // scrolls through a recording that is longer than the time shown by the plots
+      const timeScrollBar = new TimeScrollBar( model, energyPlot, energyPlot.plotPath.width, tandem.createTandem( 'timeScrollBar' ) );
+      contentNode.addChild( timeScrollBar );
+
+      // in place of the energy plot when showing phase space
+      const phaseSpacePlot = new PhaseSpacePlot( model, graphWidth, GRAPH_HEIGHT, tandem.createTandem( 'phaseSpacePlot' ) );
+      contentNode.addChild( phaseSpacePlot );
+
       // eraser button to clear all data from the graph
       const eraserButton = new EraserButton( {
         listener: () => {
           this.clearEnergyData();
+          model.clearPhaseSpaceTrajectories();
         },
 
         tandem: tandem.createTandem( 'eraserButton' )
       } );
 
-      // ABSwitch to change plotting variables
+      // radio buttons to change plotting variables
       const switchLabelOptions = {
         font: new PhetFont( { size: 11 } ),
         maxWidth: 100
       };
       const variables = GraphsModel.IndependentVariable;
-      const positionSwitchLabel = new Text( positionSwitchLabelString, switchLabelOptions );
-      const timeSwitchLabel = new Text( timeSwitchLabelString, switchLabelOptions );
-      const variableSwitch = new ABSwitch( model.independentVariableProperty, variables.POSITION, positionSwitchLabel, variables.TIME, timeSwitchLabel, {
-        switchSize: SWITCH_SIZE,
-        tandem: tandem.createTandem( 'variableSwitch' )
+      const createVariableRadioButton = ( variable, labelString, tandemName ) => {
+        return new AquaRadioButton( model.independentVariableProperty, variable, new Text( labelString, switchLabelOptions ), {
+          radius: RADIO_BUTTON_RADIUS,
+          tandem: tandem.createTandem( tandemName )
+        } );
+      };
+      const variableRadioButtons = new HBox( {
+        children: [
+          createVariableRadioButton( variables.POSITION, positionSwitchLabelString, 'positionRadioButton' ),
+          createVariableRadioButton( variables.DISTANCE_ALONG_TRACK, distanceSwitchLabelString, 'distanceRadioButton' ),
+          createVariableRadioButton( variables.TIME, timeSwitchLabelString, 'timeRadioButton' )
+        ],
+        spacing: 12
       } );
 
       // zoom buttons
@@ -112,8 +198,37 @@ define( require => {
         spacing: 5
       } );
 
+      // horizontal zoom buttons and a button to fit the plot to the data, next to the x axis label. The plot can also be
+      // dragged to pan.
+      const horizontalZoomButtonOptions = {
+        scale: 0.4,
+        baseColor: PhetColorScheme.PHET_LOGO_BLUE
+      };
+      const plotWindowControls = new HBox( {
+        children: [
+          new ZoomButton( merge( {
+            in: false,
+            listener: () => energyPlot.zoomHorizontally( false ),
+            tandem: tandem.createTandem( 'horizontalZoomOutButton' )
+          }, horizontalZoomButtonOptions ) ),
+          new ZoomButton( merge( {
+            listener: () => energyPlot.zoomHorizontally( true ),
+            tandem: tandem.createTandem( 'horizontalZoomInButton' )
+          }, horizontalZoomButtonOptions ) ),
+          new RectangularPushButton( {
+            content: new Text( plotsFitString, { font: new PhetFont( { size: 10 } ), maxWidth: 40 } ),
+            xMargin: 5,
+            yMargin: 3,
+            listener: () => energyPlot.fitToData(),
+            tandem: tandem.createTandem( 'fitButton' )
+          } )
+        ],
+        spacing: 5
+      } );
+      contentNode.addChild( plotWindowControls );
+
       // graph labels - y axis includes zoom buttons as part of the label
-      const yLabelText = new Text( plotsEnergyLabelString, {
+      const yLabelText = new RichText( plotsEnergyLabelString, {
         rotation: -Math.PI / 2,
         font: LABEL_FONT,
         maxWidth: energyPlot.height / 2
@@ -133,19 +248,29 @@ define( require => {
       const titleNode = new Node( {
         children: [
           labelNode,
-          variableSwitch,
+          variableRadioButtons,
           eraserButton
         ]
       } );
 
       // initial positioning for titleNode and content before passing to AccordionBox
-      variableSwitch.left = labelNode.right;
-      variableSwitch.centerY = labelNode.centerY;
+      variableRadioButtons.left = labelNode.right;
+      variableRadioButtons.centerY = labelNode.centerY;
       eraserButton.centerY = labelNode.centerY;
 
       yLabel.rightCenter = energyPlot.leftCenter.minusXY( 10, 0 );
       xLabelText.centerTop = energyPlot.centerBottom.plusXY( 0, 10 );
-      checkboxGroup.rightCenter = yLabel.leftCenter.minusXY( 10, 0 );
+      dataControls.rightCenter = yLabel.leftCenter.minusXY( 10, 0 );
+
+      // line up the plot areas so that times match
+      powerPlot.x = energyPlot.x + energyPlot.plotPath.left - powerPlot.plotPath.left;
+      powerPlot.top = energyPlot.bottom + 6;
+      powerLabelText.centerX = yLabel.centerX;
+      powerLabelText.centerY = powerPlot.centerY;
+      timeScrollBar.x = energyPlot.x + energyPlot.plotPath.left;
+      timeScrollBar.top = powerPlot.bottom + 4;
+      phaseSpacePlot.x = energyPlot.x + energyPlot.plotPath.left - phaseSpacePlot.plotPath.left;
+      phaseSpacePlot.y = energyPlot.y + energyPlot.plotPath.top - phaseSpacePlot.plotPath.top;
 
       super( contentNode, {
         titleNode: titleNode,
@@ -162,28 +287,61 @@ define( require => {
       } );
 
       // position the elements of the titleNode using global positioning after AccordionBox positions its titleNode
-      variableSwitch.centerX = variableSwitch.globalToParentPoint( energyPlot.parentToGlobalPoint( energyPlot.plotPath.center ) ).x;
+      variableRadioButtons.centerX = variableRadioButtons.globalToParentPoint( energyPlot.parentToGlobalPoint( energyPlot.plotPath.center ) ).x;
       eraserButton.right = eraserButton.globalToParentPoint( energyPlot.parentToGlobalPoint( energyPlot.plotPath.rightCenter ) ).x;
 
-      // The variable switch and eraser button are part of the title layout but should only be visible when
+      // The variable radio buttons and eraser button are part of the title layout but should only be visible when
       // expanded
       this.expandedProperty.link( expanded => {
-        variableSwitch.visible = expanded;
+        variableRadioButtons.visible = expanded;
         eraserButton.visible = expanded;
       } );
 
       // @public
       this.energyPlot = energyPlot;
 
+      // @private {PowerPlot}
+      this.powerPlot = powerPlot;
+
       // @private {GraphsModel}
       this.model = model;
 
-      // listeners - when the independent variable changes, clear all data and update labels
-      model.independentVariableProperty.link( independentVariable => {
-        xLabelText.text = independentVariable === GraphsModel.IndependentVariable.TIME ? plotsTimeLabelString : plotsPositionLabelString;
-        xLabelText.centerX = xLabelText.globalToParentPoint( energyPlot.parentToGlobalPoint( energyPlot.plotPath.center ) ).x;
-        this.clearEnergyData();
-      } );
+      // listeners - when the plotted variables change, clear all data
+      model.independentVariableProperty.link( () => this.clearEnergyData() );
+      model.dependentVariableProperty.lazyLink( () => this.clearEnergyData() );
+      model.phaseSpaceProperty.lazyLink( () => this.clearEnergyData() );
+
+      // show the plots and labels for the variables, the combo box only applies to the energy plot and the check boxes
+      // only apply to energy
+      const dependentVariables = GraphsModel.DependentVariable;
+      Property.multilink( [ model.independentVariableProperty, model.dependentVariableProperty, model.phaseSpaceProperty ],
+        ( independentVariable, dependentVariable, phaseSpace ) => {
+          energyPlot.visible = !phaseSpace;
+          phaseSpacePlot.visible = phaseSpace;
+          powerNode.visible = !phaseSpace && independentVariable === variables.TIME;
+          timeScrollBar.visible = powerNode.visible;
+
+          // phase space is plotted against x unless plotting against distance along the track
+          xLabelText.text = phaseSpace && independentVariable === variables.TIME ? plotsPositionLabelString :
+                            GraphsLabels.getIndependentVariableLabel( independentVariable );
+          xLabelText.centerX = xLabelText.globalToParentPoint( energyPlot.parentToGlobalPoint( energyPlot.plotPath.center ) ).x;
+          xLabelText.top = ( timeScrollBar.visible ? timeScrollBar : energyPlot ).bottom + 10;
+
+          // the plot window only applies to the energy plot
+          plotWindowControls.visible = !phaseSpace;
+          plotWindowControls.right = energyPlot.right;
+          plotWindowControls.centerY = xLabelText.centerY;
+
+          yLabelText.text = phaseSpace ? plotsVelocityLabelString : GraphsLabels.getDependentVariableLabel( dependentVariable );
+          yLabel.centerY = energyPlot.centerY;
+
+          dependentVariableComboBox.pickable = !phaseSpace;
+          dependentVariableComboBox.opacity = phaseSpace ? SunConstants.DISABLED_OPACITY : 1;
+
+          const plottingEnergy = !phaseSpace && dependentVariable === dependentVariables.ENERGY;
+          checkboxGroup.pickable = plottingEnergy;
+          checkboxGroup.opacity = plottingEnergy ? 1 : SunConstants.DISABLED_OPACITY;
+        } );
 
       model.lineGraphScaleProperty.link( scale => {
         const range = model.lineGraphScaleProperty.range;
@@ -199,6 +357,7 @@ define( require => {
     clearEnergyData() {
       this.model.clearEnergyData();
       this.energyPlot.clearEnergyDataSeries();
+      this.powerPlot.clearPowerDataSeries();
     }
 
     /**
@@ -1,9 +1,16 @@
 // Copyright 2019, University of Colorado Boulder
 
 /**
- * The energy plot in the Graphs screen of energy skate park. Plots Energy against time OR energy against position
- * depending on the selected independent variable. Uses XYCursorPlot because the cursor can be dragged to
+ * The energy plot in the Graphs screen of energy skate park. Plots Energy against time, position OR distance along
+ * the track depending on the selected independent variable. Instead of energy, the plot can show one other quantity
+ * of the skater like speed or normal force, with a range for its units. Uses XYCursorPlot because the cursor can be dragged to
  * control playback and restore previous the model to a previous point in time.
+ *
+ * The plot can be dragged to pan, zoomed horizontally and fit to the data, see GraphsModel.plotWindowProperty. Against
+ * time, the plot follows the recording unless the user has changed the window, see GraphsModel.getDefaultTimeDomain. While
+ * the pointer is over the plot, a line and a readout show the values of the visible series for the closest sample,
+ * and the sample is inspected so that it is highlighted on the track. Pinned runs are drawn behind the data, see
+ * PinnedRunsNode.
  * @author Jesse Greenberg
  */
 
@@ -11,19 +18,42 @@ define( require => {
   'use strict';
 
   // modules
+  const Bounds2 = require( 'DOT/Bounds2' );
+  const DragListener = require( 'SCENERY/listeners/DragListener' );
   const DynamicSeries = require( 'GRIDDLE/DynamicSeries' );
   const Emitter = require( 'AXON/Emitter' );
   const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
   const EnergySkateParkColorScheme = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergySkateParkColorScheme' );
+  const GraphsLabels = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/view/GraphsLabels' );
   const GraphsModel = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/model/GraphsModel' );
+  const GraphsValues = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/view/GraphsValues' );
+  const Line = require( 'SCENERY/nodes/Line' );
   const merge = require( 'PHET_CORE/merge' );
+  const Panel = require( 'SUN/Panel' );
   const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const PinnedRunsLegend = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/view/PinnedRunsLegend' );
+  const PinnedRunsNode = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/view/PinnedRunsNode' );
   const PointStyle = require( 'GRIDDLE/PointStyle' );
   const PointStyledVector2 = require( 'GRIDDLE/PointStyledVector2' );
+  const Property = require( 'AXON/Property' );
   const Range = require( 'DOT/Range' );
+  const Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  const RichText = require( 'SCENERY/nodes/RichText' );
+  const Shape = require( 'KITE/Shape' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  const Utils = require( 'DOT/Utils' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
   const XYCursorPlot = require( 'GRIDDLE/XYCursorPlot' );
   const XYDataSeriesNode = require( 'GRIDDLE/XYDataSeriesNode' );
 
+  // strings
+  const energyJoulesPatternString = require( 'string!ENERGY_SKATE_PARK/energyJoulesPattern' );
+  const kineticEnergyLabelString = require( 'string!ENERGY_SKATE_PARK/kineticEnergyLabel' );
+  const plotsReadoutPatternString = require( 'string!ENERGY_SKATE_PARK/plots.readoutPattern' );
+  const potentialEnergyLabelString = require( 'string!ENERGY_SKATE_PARK/potentialEnergyLabel' );
+  const thermalEnergyLabelString = require( 'string!ENERGY_SKATE_PARK/thermalEnergyLabel' );
+  const totalEnergyLabelString = require( 'string!ENERGY_SKATE_PARK/totalEnergyLabel' );
+
   // constants
   // determines a range for the energy plot as a function of the scale
   const Y_OFFSET = 500;
@@ -34,12 +64,41 @@ define( require => {
   const LARGE_STEP = 1000;
   const SMALL_STEP = 500;
 
+  // the range of the plot for quantities other than energy is from 0 (or -max for quantities that can be negative)
+  // to max = scale * slope, in the units of the quantity
+  const SPEED_SLOPE = 4; // in m/s
+  const HEIGHT_SLOPE = 2; // in m
+  const FORCE_SLOPE = 1000; // in N
+  const FRICTION_FORCE_SLOPE = 100; // in N
+  const ACCELERATION_SLOPE = 10; // in m/s^2
+
+  // approximate number of horizontal grid lines for quantities other than energy, and of grid lines in each direction
+  // when the user has changed the plot window
+  const NUMBER_OF_Y_STEPS = 6;
+  const NUMBER_OF_X_STEPS = 10;
+
+  // the plot can be zoomed in horizontally until this fraction of the default domain is visible, in steps of 2
+  const MAX_HORIZONTAL_ZOOM = 16;
+  const HORIZONTAL_ZOOM_FACTOR = 2;
+
+  // when fitting the plot to the data, fraction of the size of the data added as a margin on each side
+  const FIT_MARGIN = 0.05;
+
+  const READOUT_FONT = new PhetFont( 10 );
+
+  // lines in the readout, for the independent variable and up to four energies
+  const MAX_READOUT_LINES = 5;
+
   // determines properties of the plot that may depend on the independent variable
-  const TIME_MAX_X = 20; // in seconds
   const TIME_STEP_X = 2; // in seconds
   const POSITION_MAX_X = 10; // in meters
   const POSITION_STEP_X = 1;
 
+  // the domain for distance along the track fits the track, with a larger step for long tracks
+  const DISTANCE_LARGE_MAX_X = 15; // in meters
+  const DISTANCE_SMALL_STEP_X = 1; // in meters
+  const DISTANCE_LARGE_STEP_X = 2; // in meters
+
   class EnergyPlot extends XYCursorPlot {
 
     /**
@@ -56,7 +115,7 @@ define( require => {
       // whether or not the sim was paused when dragging started
       let pausedOnDragStart = false;
 
-      const plotRange = calculateRange( model.lineGraphScaleProperty.get() );
+      const plotRange = calculateRange( model.dependentVariableProperty.get(), model.lineGraphScaleProperty.get() );
 
       super( {
 
@@ -108,6 +167,24 @@ define( require => {
         }
       } );
 
+      // @private {GraphsModel}
+      this.model = model;
+
+      // @private {Bounds2|null} - domain and range of the plot, see updateWindow
+      this.appliedPlotWindow = null;
+
+      // @private {SkaterSample|null} - sample shown in the readout, and inspected
+      this.inspectedSample = null;
+
+      // @private {{x: number, sample: SkaterSample}[]|null} - the samples that have a value for the independent
+      // variable, sorted by that value so that the readout can find the closest sample quickly, null until they are
+      // needed after the samples or the independent variable change
+      this.readoutSamples = null;
+
+      // @public - emits with the domain and range of the plot and the spacing of vertical grid lines when they change,
+      // so that other plots can line up with this one
+      this.plotWindowChangedEmitter = new Emitter( { parameters: [ { valueType: Bounds2 }, { valueType: 'number' } ] } );
+
       const seriesOptions = { lineWidth: 2 };
 
       // @private {DynamicSeries}
@@ -116,11 +193,81 @@ define( require => {
       this.thermalEnergyDataSeries = new DynamicSeries( merge( { color: EnergySkateParkColorScheme.thermalEnergy }, seriesOptions ) );
       this.totalEnergyDataSeries = new DynamicSeries( merge( { color: EnergySkateParkColorScheme.totalEnergy }, seriesOptions ) );
 
+      // @private {DynamicSeries} - for the dependent variable when it is not energy
+      this.quantityDataSeries = new DynamicSeries( merge( { color: EnergySkateParkColorScheme.plotQuantity }, seriesOptions ) );
+
       // second parameter allows data to be scaled correctly so it is in the correct spot relative to plot range
       this.addSeries( this.thermalEnergyDataSeries, true );
       this.addSeries( this.potentialEnergyDataSeries, true );
       this.addSeries( this.kineticEnergyDataSeries, true );
       this.addSeries( this.totalEnergyDataSeries, true );
+      this.addSeries( this.quantityDataSeries, true );
+
+      // data outside of the plot window should not be drawn over the tick labels
+      this.forEachDataSeries( dataSeries => {
+        const dataSeriesNode = this.getXYDataSeriesNode( dataSeries );
+        dataSeriesNode.clipArea = Shape.bounds( dataSeriesNode.globalToLocalBounds( this.localToGlobalBounds( this.plotPath.bounds ) ) );
+      } );
+
+      // @private - pinned runs are drawn behind the data of the current run
+      const firstDataSeriesNode = this.getXYDataSeriesNode( this.thermalEnergyDataSeries );
+      const dataSeriesParent = firstDataSeriesNode.parent;
+      this.pinnedRunsNode = new PinnedRunsNode( model, dataSeriesParent.globalToLocalBounds( this.localToGlobalBounds( this.plotPath.bounds ) ) );
+      dataSeriesParent.insertChild( dataSeriesParent.indexOfChild( firstDataSeriesNode ), this.pinnedRunsNode );
+
+      // behind the grid and data, receives input to pan the plot and to show the readout
+      const inputRectangle = new Rectangle( this.plotPath.bounds, { cursor: 'pointer' } );
+      this.insertChild( 0, inputRectangle );
+
+      let dragStartPoint = null;
+      let dragStartWindow = null;
+      inputRectangle.addInputListener( new DragListener( {
+        start: event => {
+          dragStartPoint = this.globalToLocalPoint( event.pointer.point );
+          dragStartWindow = this.getPlotWindow();
+        },
+        drag: event => {
+          const delta = this.globalToLocalPoint( event.pointer.point ).minus( dragStartPoint );
+          const deltaX = -delta.x / this.plotPath.bounds.width * dragStartWindow.width;
+          const deltaY = delta.y / this.plotPath.bounds.height * dragStartWindow.height;
+          model.plotWindowProperty.value = new Bounds2(
+            dragStartWindow.minX + deltaX, dragStartWindow.minY + deltaY,
+            dragStartWindow.maxX + deltaX, dragStartWindow.maxY + deltaY
+          );
+        },
+        tandem: tandem.createTandem( 'panDragListener' )
+      } ) );
+      inputRectangle.addInputListener( {
+        move: event => this.showReadout( this.globalToLocalPoint( event.pointer.point ) ),
+        exit: event => this.hideReadout()
+      } );
+
+      // @private - shows the values at the closest sample to the pointer
+      this.readoutLine = new Line( 0, this.plotPath.bounds.minY, 0, this.plotPath.bounds.maxY, {
+        stroke: 'black',
+        lineDash: [ 2, 2 ],
+        pickable: false,
+        visible: false
+      } );
+      this.readoutContent = new VBox( { align: 'left', spacing: 2 } );
+
+      // @private {RichText[]} - lines of the readout, reused as the pointer moves
+      this.readoutTexts = _.times( MAX_READOUT_LINES, () => new RichText( '', { font: READOUT_FONT } ) );
+      this.readoutPanel = new Panel( this.readoutContent, {
+        fill: EnergySkateParkColorScheme.transparentPanelFill,
+        xMargin: 4,
+        yMargin: 3,
+        pickable: false,
+        visible: false
+      } );
+
+      // names the pinned runs, in the corner of the plot under the readout
+      const pinnedRunsLegend = new PinnedRunsLegend( model );
+      pinnedRunsLegend.leftTop = this.plotPath.leftTop.plusXY( 4, 4 );
+      this.addChild( pinnedRunsLegend );
+
+      this.addChild( this.readoutLine );
+      this.addChild( this.readoutPanel );
 
       // when cursor drag finishes, clear all data that has time greater than cursor time and set model time
       // to the selected cursor time
@@ -135,51 +282,71 @@ define( require => {
         model.skaterSamples.splice( indexOfSample, model.skaterSamples.length - indexOfSample );
       } );
 
-      // calculate new range of plot when zooming in or out
-      model.lineGraphScaleProperty.link( scale => {
-        const newRange = calculateRange( scale );
-        const newMaxY = newRange.max;
-        const newMinY = newRange.min;
-        const newStepY = ( newMaxY - newMinY ) >= LARGE_RANGE_THRESHOLD ? LARGE_STEP : SMALL_STEP;
-
-        this.setMinY( newMinY );
-        this.setMaxY( newMaxY );
-        this.setStepY( newStepY );
+      // calculate new range of plot when zooming in or out, or when plotting a different quantity
+      Property.multilink( [ model.dependentVariableProperty, model.lineGraphScaleProperty ], () => this.updateWindow() );
+      model.plotWindowProperty.link( () => this.updateWindow() );
+
+      // if the user has changed the plot window, zooming vertically keeps its center and domain
+      model.lineGraphScaleProperty.lazyLink( scale => {
+        const plotWindow = model.plotWindowProperty.value;
+        if ( plotWindow ) {
+          const halfHeight = calculateRange( model.dependentVariableProperty.value, scale ).getLength() / 2;
+          model.plotWindowProperty.value = new Bounds2(
+            plotWindow.minX, plotWindow.centerY - halfHeight,
+            plotWindow.maxX, plotWindow.centerY + halfHeight
+          );
+        }
       } );
 
       // update range, domain, and plot style of plot when the independent variable changes - cursor is invisible for
       // plots against position
       model.independentVariableProperty.link( independentVariable => {
-        this.setMaxX( calculateDomain( independentVariable ).max );
-        if ( independentVariable === GraphsModel.IndependentVariable.POSITION ) {
+        this.updateWindow();
+        if ( model.isPlottingAgainstPosition() ) {
           this.setCursorVisibleOverride( false );
           this.setPlotStyle( XYDataSeriesNode.PlotStyle.SCATTER );
-          this.setStepX( POSITION_STEP_X );
         }
         else {
           this.setCursorVisibleOverride( null );
           this.setPlotStyle( XYDataSeriesNode.PlotStyle.LINE );
-          this.setStepX( TIME_STEP_X );
         }
       } );
 
+      // the domain for distance along the track depends on the length of the track, and for time it follows the recording
+      model.sampleTimeProperty.lazyLink( () => this.updateWindow() );
+      model.sceneProperty.lazyLink( () => this.updateWindow() );
+      model.trackChangedEmitter.addListener( () => this.updateWindow() );
+
       model.kineticEnergyDataVisibleProperty.linkAttribute( this.getXYDataSeriesNode( this.kineticEnergyDataSeries ), 'visible' );
       model.potentialEnergyDataVisibleProperty.linkAttribute( this.getXYDataSeriesNode( this.potentialEnergyDataSeries ), 'visible' );
       model.thermalEnergyDataVisibleProperty.linkAttribute( this.getXYDataSeriesNode( this.thermalEnergyDataSeries ), 'visible' );
       model.totalEnergyDataVisibleProperty.linkAttribute( this.getXYDataSeriesNode( this.totalEnergyDataSeries ), 'visible' );
 
+      // the samples for the readout are sorted again when they change
+      const invalidateReadoutSamples = () => { this.readoutSamples = null; };
+      model.skaterSamples.addItemAddedListener( invalidateReadoutSamples );
+      model.skaterSamples.addItemRemovedListener( invalidateReadoutSamples );
+      model.independentVariableProperty.link( invalidateReadoutSamples );
+
       // add data points when a SkaterSample is added to the model
       model.skaterSamples.addItemAddedListener( addedSample => {
-        const plotTime = model.independentVariableProperty.get() === GraphsModel.IndependentVariable.TIME;
-        const independentVariable = plotTime ? addedSample.time : addedSample.position.x + 5;
+        const independentVariable = GraphsValues.getIndependentValue( addedSample, model.independentVariableProperty.get() );
+        assert && assert( independentVariable !== null, 'samples are only saved on the track for distance' );
+        const dependentVariable = model.dependentVariableProperty.get();
 
         // keep a reference to the pointStyle so that it can be modified later
         const pointStyle = new PointStyle();
 
-        this.kineticEnergyDataSeries.addDataPoint( new PointStyledVector2( independentVariable, addedSample.kineticEnergy, pointStyle ) );
-        this.potentialEnergyDataSeries.addDataPoint( new PointStyledVector2( independentVariable, addedSample.potentialEnergy, pointStyle ) );
-        this.thermalEnergyDataSeries.addDataPoint( new PointStyledVector2( independentVariable, addedSample.thermalEnergy, pointStyle ) );
-        this.totalEnergyDataSeries.addDataPoint( new PointStyledVector2( independentVariable, addedSample.totalEnergy, pointStyle ) );
+        if ( dependentVariable === GraphsModel.DependentVariable.ENERGY ) {
+          this.kineticEnergyDataSeries.addDataPoint( new PointStyledVector2( independentVariable, addedSample.kineticEnergy, pointStyle ) );
+          this.potentialEnergyDataSeries.addDataPoint( new PointStyledVector2( independentVariable, addedSample.potentialEnergy, pointStyle ) );
+          this.thermalEnergyDataSeries.addDataPoint( new PointStyledVector2( independentVariable, addedSample.thermalEnergy, pointStyle ) );
+          this.totalEnergyDataSeries.addDataPoint( new PointStyledVector2( independentVariable, addedSample.totalEnergy, pointStyle ) );
+        }
+        else {
+          const dependentValue = GraphsValues.getDependentValue( addedSample, dependentVariable );
+          this.quantityDataSeries.addDataPoint( new PointStyledVector2( independentVariable, dependentValue, pointStyle ) );
+        }
 
         // add a listener that updates opacity with the SkaterSample Property, dispose it on removal
         const opacityListener = opacity => {
@@ -191,6 +358,9 @@ define( require => {
         const removalListener = removedSample => {
           if ( removedSample === addedSample ) {
             removedSample.opacityProperty.unlink( opacityListener );
+            if ( removedSample === this.inspectedSample ) {
+              this.hideReadout();
+            }
             this.forEachDataSeries( dataSeries => dataSeries.removePointAtX( independentVariable ) );
             model.skaterSamples.removeItemRemovedListener( removalListener );
           }
@@ -201,6 +371,265 @@ define( require => {
       } );
     }
 
+    /**
+     * Get the domain and range of the plot for the variables and scale, when the user has not changed the window.
+     * @private
+     *
+     * @returns {Bounds2}
+     */
+    getDefaultPlotWindow() {
+      const domain = calculateDomain( this.model );
+      const range = calculateRange( this.model.dependentVariableProperty.get(), this.model.lineGraphScaleProperty.get() );
+      return new Bounds2( domain.min, range.min, domain.max, range.max );
+    }
+
+    /**
+     * Get the domain and range of the plot, in the units of the variables.
+     * @public
+     *
+     * @returns {Bounds2}
+     */
+    getPlotWindow() {
+      return this.model.plotWindowProperty.value || this.getDefaultPlotWindow();
+    }
+
+    /**
+     * Set the domain, range and grid steps of the plot.
+     * @private
+     */
+    updateWindow() {
+      const plotWindow = this.getPlotWindow();
+
+      // the track changes while the user drags it, so only redraw the grid if the window changed
+      if ( this.appliedPlotWindow && this.appliedPlotWindow.equals( plotWindow ) ) {
+        return;
+      }
+      this.appliedPlotWindow = plotWindow;
+
+      this.setMinX( plotWindow.minX );
+      this.setMaxX( plotWindow.maxX );
+      this.setMinY( plotWindow.minY );
+      this.setMaxY( plotWindow.maxY );
+
+      // the default window has steps for the variables, otherwise there are about the same number of grid lines
+      let stepX;
+      if ( this.model.plotWindowProperty.value ) {
+        stepX = calculateStep( plotWindow.width, NUMBER_OF_X_STEPS );
+        this.setStepY( calculateStep( plotWindow.height, NUMBER_OF_Y_STEPS ) );
+      }
+      else {
+        stepX = calculateStepX( this.model.independentVariableProperty.get(), calculateDomain( this.model ) );
+        this.setStepY( calculateStepY( this.model.dependentVariableProperty.get(), new Range( plotWindow.minY, plotWindow.maxY ) ) );
+      }
+      this.setStepX( stepX );
+
+      this.pinnedRunsNode.setPlotWindow( plotWindow );
+      this.hideReadout();
+      this.plotWindowChangedEmitter.emit( plotWindow, stepX );
+    }
+
+    /**
+     * Scroll so that the plot starts at minX, keeping the size of the window. If that is the default window, the plot
+     * follows the recording again.
+     * @public
+     *
+     * @param {number} minX - in units of the independent variable
+     */
+    scrollTo( minX ) {
+      const plotWindow = this.getPlotWindow();
+      const scrolledWindow = new Bounds2( minX, plotWindow.minY, minX + plotWindow.width, plotWindow.maxY );
+      this.model.plotWindowProperty.value = scrolledWindow.equalsEpsilon( this.getDefaultPlotWindow(), 1E-6 ) ? null : scrolledWindow;
+    }
+
+    /**
+     * Zoom in or out on the independent variable, keeping the center of the plot. The plot shows at most the default
+     * domain and at least 1 / MAX_HORIZONTAL_ZOOM of it.
+     * @public
+     *
+     * @param {boolean} zoomIn
+     */
+    zoomHorizontally( zoomIn ) {
+      const plotWindow = this.getPlotWindow();
+      const defaultWidth = this.getDefaultPlotWindow().width;
+      const halfWidth = Utils.clamp(
+        zoomIn ? plotWindow.width / HORIZONTAL_ZOOM_FACTOR : plotWindow.width * HORIZONTAL_ZOOM_FACTOR,
+        defaultWidth / MAX_HORIZONTAL_ZOOM,
+        defaultWidth
+      ) / 2;
+      this.model.plotWindowProperty.value = new Bounds2(
+        plotWindow.centerX - halfWidth, plotWindow.minY,
+        plotWindow.centerX + halfWidth, plotWindow.maxY
+      );
+    }
+
+    /**
+     * Pan and zoom so that the plot shows all data of the visible series and pinned runs, or go back to the default window if there is
+     * no data.
+     * @public
+     */
+    fitToData() {
+      const independentVariable = this.model.independentVariableProperty.get();
+      const dataBounds = Bounds2.NOTHING.copy();
+      const addSample = sample => {
+        const x = GraphsValues.getIndependentValue( sample, independentVariable );
+        x !== null && this.getVisibleEntries( sample ).forEach( entry => dataBounds.addCoordinates( x, entry.value ) );
+      };
+      this.model.skaterSamples.forEach( addSample );
+      this.model.pinnedRuns.forEach( pinnedRun => pinnedRun.samples.forEach( addSample ) );
+
+      if ( dataBounds.isEmpty() ) {
+        this.model.plotWindowProperty.reset();
+      }
+      else {
+
+        // a constant value is shown in a window of the default size around it
+        const defaultWindow = this.getDefaultPlotWindow();
+        const width = dataBounds.width > 0 ? dataBounds.width : defaultWindow.width / MAX_HORIZONTAL_ZOOM;
+        const height = dataBounds.height > 0 ? dataBounds.height : defaultWindow.height;
+        this.model.plotWindowProperty.value = Bounds2.point( dataBounds.center ).dilatedXY(
+          width * ( 0.5 + FIT_MARGIN ),
+          height * ( 0.5 + FIT_MARGIN )
+        );
+      }
+    }
+
+    /**
+     * Get the values of the visible series for a sample.
+     * @private
+     *
+     * @param {SkaterSample} sample
+     * @returns {Object[]} - entries like { label: {string}, value: {number}, valueString: {string}, color: {Color} }
+     */
+    getVisibleEntries( sample ) {
+      const model = this.model;
+      const dependentVariable = model.dependentVariableProperty.get();
+
+      if ( dependentVariable === GraphsModel.DependentVariable.ENERGY ) {
+        const createEnergyEntry = ( label, value, color ) => ( {
+          label: label,
+          value: value,
+          valueString: StringUtils.fillIn( energyJoulesPatternString, { value: formatValue( value ) } ),
+          color: color
+        } );
+        const entries = [];
+        model.kineticEnergyDataVisibleProperty.get() && entries.push( createEnergyEntry( kineticEnergyLabelString, sample.kineticEnergy, EnergySkateParkColorScheme.kineticEnergy ) );
+        model.potentialEnergyDataVisibleProperty.get() && entries.push( createEnergyEntry( potentialEnergyLabelString, sample.potentialEnergy, EnergySkateParkColorScheme.potentialEnergy ) );
+        model.thermalEnergyDataVisibleProperty.get() && entries.push( createEnergyEntry( thermalEnergyLabelString, sample.thermalEnergy, EnergySkateParkColorScheme.thermalEnergy ) );
+        model.totalEnergyDataVisibleProperty.get() && entries.push( createEnergyEntry( totalEnergyLabelString, sample.totalEnergy, EnergySkateParkColorScheme.totalEnergy ) );
+        return entries;
+      }
+      else {
+        const value = GraphsValues.getDependentValue( sample, dependentVariable );
+        return [ {
+          label: GraphsLabels.getDependentVariableLabel( dependentVariable ),
+          value: value,
+          valueString: formatValue( value ),
+          color: EnergySkateParkColorScheme.plotQuantity
+        } ];
+      }
+    }
+
+    /**
+     * Show the line and readout for the sample closest to a point, and inspect the sample.
+     * @private
+     *
+     * @param {Vector2} point - in the local coordinate frame of this plot
+     */
+    showReadout( point ) {
+      const independentVariable = this.model.independentVariableProperty.get();
+      const plotBounds = this.plotPath.bounds;
+      const plotWindow = this.getPlotWindow();
+      const x = plotWindow.minX + ( point.x - plotBounds.minX ) / plotBounds.width * plotWindow.width;
+
+      const sample = this.getClosestSample( x );
+      if ( !sample ) {
+        this.hideReadout();
+        return;
+      }
+
+      if ( sample !== this.inspectedSample ) {
+        this.inspectedSample && this.inspectedSample.inspectedProperty.set( false );
+        this.inspectedSample = sample;
+        sample.inspectedProperty.set( true );
+      }
+
+      const sampleX = GraphsValues.getIndependentValue( sample, independentVariable );
+      const entries = [ {
+        label: GraphsLabels.getIndependentVariableLabel( independentVariable ),
+        valueString: formatValue( sampleX ),
+        color: 'black'
+      } ].concat( this.getVisibleEntries( sample ) );
+      entries.forEach( ( entry, i ) => {
+        this.readoutTexts[ i ].text = StringUtils.fillIn( plotsReadoutPatternString, {
+          label: entry.label,
+          value: entry.valueString
+        } );
+        this.readoutTexts[ i ].fill = entry.color;
+      } );
+      this.readoutContent.children = this.readoutTexts.slice( 0, entries.length );
+
+      // the line is at the sample, the readout is on the side of the line with more room
+      const lineX = Utils.clamp( plotBounds.minX + ( sampleX - plotWindow.minX ) / plotWindow.width * plotBounds.width, plotBounds.minX, plotBounds.maxX );
+      this.readoutLine.setLine( lineX, plotBounds.minY, lineX, plotBounds.maxY );
+      this.readoutPanel.top = plotBounds.minY + 2;
+      if ( lineX < plotBounds.centerX ) {
+        this.readoutPanel.left = lineX + 4;
+      }
+      else {
+        this.readoutPanel.right = lineX - 4;
+      }
+      this.readoutLine.visible = true;
+      this.readoutPanel.visible = true;
+    }
+
+    /**
+     * Get the sample with the value of the independent variable closest to a value, by a binary search of the sorted
+     * readoutSamples. Samples without a value, like samples off the track for distance along the track, are skipped.
+     * @private
+     *
+     * @param {number} x - value of the independent variable
+     * @returns {SkaterSample|null} - null if no sample has a value
+     */
+    getClosestSample( x ) {
+      if ( !this.readoutSamples ) {
+        const independentVariable = this.model.independentVariableProperty.get();
+        const readoutSamples = [];
+        this.model.skaterSamples.forEach( sample => {
+          const sampleX = GraphsValues.getIndependentValue( sample, independentVariable );
+          sampleX !== null && readoutSamples.push( { x: sampleX, sample: sample } );
+        } );
+        this.readoutSamples = _.sortBy( readoutSamples, readoutSample => readoutSample.x );
+      }
+
+      const readoutSamples = this.readoutSamples;
+      if ( readoutSamples.length === 0 ) {
+        return null;
+      }
+
+      // the closest sample is the first sample at or after x, or the one before it
+      const index = _.sortedIndexBy( readoutSamples, { x: x }, readoutSample => readoutSample.x );
+      if ( index === readoutSamples.length ) {
+        return readoutSamples[ index - 1 ].sample;
+      }
+      else if ( index > 0 && x - readoutSamples[ index - 1 ].x < readoutSamples[ index ].x - x ) {
+        return readoutSamples[ index - 1 ].sample;
+      }
+      else {
+        return readoutSamples[ index ].sample;
+      }
+    }
+
+    /**
+     * Hide the line and readout, and stop inspecting the sample.
+     * @private
+     */
+    hideReadout() {
+      this.inspectedSample && this.inspectedSample.inspectedProperty.set( false );
+      this.inspectedSample = null;
+      this.readoutLine.visible = false;
+      this.readoutPanel.visible = false;
+    }
+
     /**
      * Clear all energy data for the data series associated with this plot.
      * @public
@@ -210,6 +639,7 @@ define( require => {
       this.potentialEnergyDataSeries.clear();
       this.thermalEnergyDataSeries.clear();
       this.totalEnergyDataSeries.clear();
+      this.quantityDataSeries.clear();
 
       this.setCursorValue( 0 );
     }
@@ -219,24 +649,95 @@ define( require => {
   // helper functions
   //-------------------------------------------------------------------------
   /**
-   * Calculates the range of the plot as a function of scale.
+   * Calculates the range of the plot as a function of the dependent variable and scale.
+   * @param {GraphsModel.DependentVariable} dependentVariable
    * @param {number} scale
    * @returns {Range}
    */
-  const calculateRange = scale => {
-    const max = Y_OFFSET + scale * Y_SLOPE;
-    return new Range( -max, max );
+  const calculateRange = ( dependentVariable, scale ) => {
+    const variables = GraphsModel.DependentVariable;
+    if ( dependentVariable === variables.ENERGY ) {
+      const max = Y_OFFSET + scale * Y_SLOPE;
+      return new Range( -max, max );
+    }
+    else if ( dependentVariable === variables.HEIGHT ) {
+
+      // the skater can be below the reference height
+      const max = scale * HEIGHT_SLOPE;
+      return new Range( -max, max );
+    }
+    else {
+      const slope = dependentVariable === variables.SPEED ? SPEED_SLOPE :
+                    dependentVariable === variables.FRICTION_FORCE ? FRICTION_FORCE_SLOPE :
+                    dependentVariable === variables.ACCELERATION ? ACCELERATION_SLOPE :
+                    FORCE_SLOPE;
+      return new Range( 0, scale * slope );
+    }
   };
 
   /**
-   * Calculates the domain of the plot as a function of the independent variable.
-   * @param {GraphsModel.independentVariable} independentVariable
+   * Calculates a spacing of grid lines that is 1, 2 or 5 times a power of ten, so that there are about numberOfSteps
+   * grid lines.
+   * @param {number} length - of the domain or range
+   * @param {number} numberOfSteps
+   * @returns {number}
+   */
+  const calculateStep = ( length, numberOfSteps ) => {
+    const roughStep = length / numberOfSteps;
+    const power = Math.pow( 10, Math.floor( Math.log10( roughStep ) ) );
+    return _.find( [ 1, 2, 5, 10 ], multiple => multiple * power >= roughStep ) * power;
+  };
+
+  /**
+   * Calculates the spacing of horizontal grid lines for the dependent variable and range. For quantities other than
+   * energy, see calculateStep.
+   * @param {GraphsModel.DependentVariable} dependentVariable
+   * @param {Range} range
+   * @returns {number}
+   */
+  const calculateStepY = ( dependentVariable, range ) => {
+    if ( dependentVariable === GraphsModel.DependentVariable.ENERGY ) {
+      return range.getLength() >= LARGE_RANGE_THRESHOLD ? LARGE_STEP : SMALL_STEP;
+    }
+    else {
+      return calculateStep( range.getLength(), NUMBER_OF_Y_STEPS );
+    }
+  };
+
+  /**
+   * Calculates the domain of the plot as a function of the independent variable, of the length of the track when
+   * plotting against distance along the track, and of the recorded time when plotting against time.
+   * @param {GraphsModel} model
    * @returns {Range}
    */
-  const calculateDomain = independentVariable => {
-    const maxX = independentVariable === GraphsModel.IndependentVariable.POSITION ? POSITION_MAX_X : TIME_MAX_X;
+  const calculateDomain = model => {
+    const independentVariable = model.independentVariableProperty.get();
+    if ( independentVariable === GraphsModel.IndependentVariable.TIME ) {
+      return model.getDefaultTimeDomain();
+    }
+    const maxX = independentVariable === GraphsModel.IndependentVariable.POSITION ? POSITION_MAX_X :
+                 Math.max( Math.ceil( model.getTrackLength() ), DISTANCE_SMALL_STEP_X );
     return new Range( 0, maxX );
   };
 
+  /**
+   * Calculates the spacing of vertical grid lines for the independent variable and domain.
+   * @param {GraphsModel.independentVariable} independentVariable
+   * @param {Range} domain
+   * @returns {number}
+   */
+  const calculateStepX = ( independentVariable, domain ) => {
+    return independentVariable === GraphsModel.IndependentVariable.POSITION ? POSITION_STEP_X :
+           independentVariable === GraphsModel.IndependentVariable.TIME ? TIME_STEP_X :
+           domain.max > DISTANCE_LARGE_MAX_X ? DISTANCE_LARGE_STEP_X : DISTANCE_SMALL_STEP_X;
+  };
+
+  /**
+   * Values in the readout are as precise as one decimal, like the readouts of the Measure screen.
+   * @param {number} value
+   * @returns {string}
+   */
+  const formatValue = value => Utils.toFixed( value, 1 );
+
   return energySkatePark.register( 'EnergyPlot', EnergyPlot );
 } );
@@ -0,0 +1,58 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Labels with units for the variables of the energy plot in the Graphs screen, shared by the axis labels and the
+ * readout of the plot.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const GraphsModel = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/model/GraphsModel' );
+
+  // strings
+  const plotsAccelerationLabelString = require( 'string!ENERGY_SKATE_PARK/plots.accelerationLabel' );
+  const plotsDistanceLabelString = require( 'string!ENERGY_SKATE_PARK/plots.distanceLabel' );
+  const plotsEnergyLabelString = require( 'string!ENERGY_SKATE_PARK/plots.energyLabel' );
+  const plotsFrictionForceLabelString = require( 'string!ENERGY_SKATE_PARK/plots.frictionForceLabel' );
+  const plotsHeightLabelString = require( 'string!ENERGY_SKATE_PARK/plots.heightLabel' );
+  const plotsNetForceLabelString = require( 'string!ENERGY_SKATE_PARK/plots.netForceLabel' );
+  const plotsNormalForceLabelString = require( 'string!ENERGY_SKATE_PARK/plots.normalForceLabel' );
+  const plotsPositionLabelString = require( 'string!ENERGY_SKATE_PARK/plots.positionLabel' );
+  const plotsSpeedLabelString = require( 'string!ENERGY_SKATE_PARK/plots.speedLabel' );
+  const plotsTimeLabelString = require( 'string!ENERGY_SKATE_PARK/plots.timeLabel' );
+
+  const GraphsLabels = {
+
+    /**
+     * @param {GraphsModel.IndependentVariable} independentVariable
+     * @returns {string}
+     */
+    getIndependentVariableLabel( independentVariable ) {
+      const variables = GraphsModel.IndependentVariable;
+      return independentVariable === variables.TIME ? plotsTimeLabelString :
+             independentVariable === variables.DISTANCE_ALONG_TRACK ? plotsDistanceLabelString :
+             plotsPositionLabelString;
+    },
+
+    /**
+     * @param {GraphsModel.DependentVariable} dependentVariable
+     * @returns {string} - may contain markup for RichText
+     */
+    getDependentVariableLabel( dependentVariable ) {
+      const variables = GraphsModel.DependentVariable;
+      return dependentVariable === variables.SPEED ? plotsSpeedLabelString :
+             dependentVariable === variables.HEIGHT ? plotsHeightLabelString :
+             dependentVariable === variables.NORMAL_FORCE ? plotsNormalForceLabelString :
+             dependentVariable === variables.FRICTION_FORCE ? plotsFrictionForceLabelString :
+             dependentVariable === variables.NET_FORCE ? plotsNetForceLabelString :
+             dependentVariable === variables.ACCELERATION ? plotsAccelerationLabelString :
+             plotsEnergyLabelString;
+    }
+  };
+
+  return energySkatePark.register( 'GraphsLabels', GraphsLabels );
+} );
@@ -14,6 +14,7 @@ define( require => {
   const FrictionSlider = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/FrictionSlider' );
   const GraphsConstants = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/GraphsConstants' );
   const GravityNumberControl = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/GravityNumberControl' );
+  const InspectedSampleHaloNode = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/InspectedSampleHaloNode' );
   const Node = require( 'SCENERY/nodes/Node' );
   const GravityComboBox = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/GravityComboBox' );
   const MassNumberControl = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/MassNumberControl' );
@@ -54,8 +55,11 @@ define( require => {
       this.addChild( comboBoxParent );
 
       // @private - for layout
-      this.graphAccordionBox = new EnergyGraphAccordionBox( model, this.modelViewTransform, tandem.createTandem( 'graphAccordionBox' ) );
+      this.graphAccordionBox = new EnergyGraphAccordionBox( model, this.modelViewTransform, comboBoxParent, tandem.createTandem( 'graphAccordionBox' ) );
       this.addToBottomLayer( this.graphAccordionBox );
+
+      // shows where the skater was for the sample under the pointer in the energy plot
+      this.addToTopLayer( new InspectedSampleHaloNode( model.skaterSamples, this.modelViewTransform ) );
     }
 
     /**
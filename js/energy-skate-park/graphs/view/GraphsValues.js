@@ -0,0 +1,60 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The values of a SkaterSample for the variables of the energy plot in the Graphs screen, shared by the data of the
+ * plot and the pinned runs drawn over it.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const GraphsModel = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/model/GraphsModel' );
+
+  // constants
+  // in meters, the plot against x starts at the left edge of the tracks
+  const POSITION_OFFSET = 5;
+
+  const GraphsValues = {
+
+    /**
+     * Gets the value of the independent variable for a sample, which is its x coordinate on the plot.
+     * @param {SkaterSample} sample
+     * @param {GraphsModel.IndependentVariable} independentVariable
+     * @returns {number|null} - null for distance along the track if the skater was not on the track
+     */
+    getIndependentValue( sample, independentVariable ) {
+      if ( independentVariable === GraphsModel.IndependentVariable.TIME ) {
+        return sample.time;
+      }
+      else if ( independentVariable === GraphsModel.IndependentVariable.DISTANCE_ALONG_TRACK ) {
+        return sample.distanceAlongTrack;
+      }
+      else {
+        return sample.position.x + POSITION_OFFSET;
+      }
+    },
+
+    /**
+     * Gets the value of a dependent variable other than energy for a sample, which is its y coordinate on the plot.
+     * @param {SkaterSample} sample
+     * @param {GraphsModel.DependentVariable} dependentVariable
+     * @returns {number}
+     */
+    getDependentValue( sample, dependentVariable ) {
+      const variables = GraphsModel.DependentVariable;
+      assert && assert( dependentVariable !== variables.ENERGY, 'energies are plotted in their own series' );
+
+      return dependentVariable === variables.SPEED ? sample.speed :
+             dependentVariable === variables.HEIGHT ? sample.height :
+             dependentVariable === variables.NORMAL_FORCE ? sample.normalForce :
+             dependentVariable === variables.FRICTION_FORCE ? sample.frictionForce :
+             dependentVariable === variables.NET_FORCE ? sample.netForce :
+             sample.acceleration;
+    }
+  };
+
+  return energySkatePark.register( 'GraphsValues', GraphsValues );
+} );
@@ -0,0 +1,169 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Plot of the phase space of the skater in the Graphs screen, velocity against position. Each trajectory of
+ * GraphsModel.phaseSpaceTrajectories is a line, so that the closed orbits for different release heights on the
+ * double well can be compared. The most recent trajectory is drawn darkest.
+ *
+ * When the independent variable is distance along the track, the position is the distance along the track and the
+ * velocity is along the track. Otherwise the position is x and the velocity is its x component.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const DynamicSeries = require( 'GRIDDLE/DynamicSeries' );
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const EnergySkateParkColorScheme = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergySkateParkColorScheme' );
+  const GraphsConstants = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/GraphsConstants' );
+  const GraphsModel = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/model/GraphsModel' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Vector2 = require( 'DOT/Vector2' );
+  const XYPlot = require( 'GRIDDLE/XYPlot' );
+
+  // constants
+  // range of the plot as a function of the scale of the energy plot, in m/s
+  const Y_SLOPE = 4;
+
+  // in meters, the x coordinate of the skater is offset so that the plot starts at the left edge of the tracks, like
+  // the EnergyPlot
+  const POSITION_MAX_X = 10;
+  const POSITION_OFFSET = 5;
+
+  // in meters, a larger step is used for vertical grid lines when the track is longer than this
+  const DISTANCE_LARGE_MAX_X = 15;
+
+  // opacity of the oldest trajectory, the opacity increases to 1 for the most recent
+  const MIN_OPACITY = 0.25;
+
+  class PhaseSpacePlot extends XYPlot {
+
+    /**
+     * @param {GraphsModel} model
+     * @param {number} graphWidth
+     * @param {number} graphHeight
+     * @param {Tandem} tandem
+     */
+    constructor( model, graphWidth, graphHeight, tandem ) {
+      const maxY = model.lineGraphScaleProperty.get() * Y_SLOPE;
+
+      super( {
+        width: graphWidth,
+        height: graphHeight,
+
+        maxX: POSITION_MAX_X,
+        stepX: 1,
+        minY: -maxY,
+        maxY: maxY,
+        stepY: maxY / 2,
+
+        // match the EnergyPlot
+        showAxis: false,
+        lineDash: [ 4, 4 ],
+        showVerticalIntermediateLines: false,
+        showHorizontalIntermediateLines: false,
+        tickLabelFont: new PhetFont( 10 )
+      } );
+
+      // @private
+      this.model = model;
+
+      // @private {number|null} - maximum of the domain of the plot, see updateDomain
+      this.domainMaxX = null;
+
+      // @private {DynamicSeries[]} - one for each trajectory, oldest first
+      this.trajectoryDataSeries = [];
+      for ( let i = 0; i < GraphsConstants.MAX_PHASE_SPACE_TRAJECTORIES; i++ ) {
+        const opacity = MIN_OPACITY + ( 1 - MIN_OPACITY ) * i / ( GraphsConstants.MAX_PHASE_SPACE_TRAJECTORIES - 1 );
+        const dataSeries = new DynamicSeries( {
+          color: EnergySkateParkColorScheme.plotQuantity.withAlpha( opacity ),
+          lineWidth: 2
+        } );
+        this.addSeries( dataSeries, true );
+        this.trajectoryDataSeries.push( dataSeries );
+      }
+
+      // zoom with the energy plot
+      model.lineGraphScaleProperty.link( scale => {
+        const newMaxY = scale * Y_SLOPE;
+        this.setMinY( -newMaxY );
+        this.setMaxY( newMaxY );
+        this.setStepY( newMaxY / 2 );
+      } );
+
+      // trajectories start and are removed together, so draw all of them again
+      model.phaseSpaceTrajectoriesChangedEmitter.addListener( () => this.update() );
+      model.independentVariableProperty.lazyLink( () => this.update() );
+      model.trackChangedEmitter.addListener( () => this.updateDomain() );
+
+      model.phaseSpaceSampleAddedEmitter.addListener( sample => {
+        const dataSeries = this.trajectoryDataSeries[ model.phaseSpaceTrajectories.length - 1 ];
+        this.addSamplePoint( dataSeries, sample );
+      } );
+
+      this.update();
+    }
+
+    /**
+     * Draw all trajectories of the model.
+     * @private
+     */
+    update() {
+      this.updateDomain();
+      this.trajectoryDataSeries.forEach( ( dataSeries, index ) => {
+        dataSeries.clear();
+        const trajectory = this.model.phaseSpaceTrajectories[ index ];
+        trajectory && trajectory.forEach( sample => this.addSamplePoint( dataSeries, sample ) );
+      } );
+    }
+
+    /**
+     * The domain is the track width for x, or the length of the track for distance along the track.
+     * @private
+     */
+    updateDomain() {
+      const maxX = this.isPlottingDistance() ? Math.max( Math.ceil( this.model.getTrackLength() ), 1 ) : POSITION_MAX_X;
+
+      // the track changes while the user drags it, so only redraw the grid if the domain changed
+      if ( maxX !== this.domainMaxX ) {
+        this.domainMaxX = maxX;
+        this.setMaxX( maxX );
+        this.setStepX( maxX > DISTANCE_LARGE_MAX_X ? 2 : 1 );
+      }
+    }
+
+    /**
+     * @private
+     *
+     * @param {DynamicSeries} dataSeries
+     * @param {SkaterSample} sample
+     */
+    addSamplePoint( dataSeries, sample ) {
+      const skaterState = sample.skaterState;
+      if ( this.isPlottingDistance() ) {
+
+        // samples saved while plotting against x may be off the track
+        if ( sample.distanceAlongTrack !== null ) {
+          const direction = skaterState.parametricSpeed >= 0 ? 1 : -1;
+          dataSeries.addDataPoint( new Vector2( sample.distanceAlongTrack, direction * sample.speed ) );
+        }
+      }
+      else {
+        dataSeries.addDataPoint( new Vector2( sample.position.x + POSITION_OFFSET, skaterState.velocityX ) );
+      }
+    }
+
+    /**
+     * @private
+     *
+     * @returns {boolean}
+     */
+    isPlottingDistance() {
+      return this.model.independentVariableProperty.get() === GraphsModel.IndependentVariable.DISTANCE_ALONG_TRACK;
+    }
+  }
+
+  return energySkatePark.register( 'PhaseSpacePlot', PhaseSpacePlot );
+} );
@@ -0,0 +1,106 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Legend for the pinned runs drawn on the energy plot of the Graphs screen. Each entry shows the dash pattern of the run,
+ * its name with the mass and friction of the run, and a button to remove the run. The legend is only visible while
+ * there are pinned runs.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const EnergySkateParkColorScheme = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergySkateParkColorScheme' );
+  const HBox = require( 'SCENERY/nodes/HBox' );
+  const Line = require( 'SCENERY/nodes/Line' );
+  const Panel = require( 'SUN/Panel' );
+  const Path = require( 'SCENERY/nodes/Path' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const PinnedRunsNode = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/view/PinnedRunsNode' );
+  const RectangularPushButton = require( 'SUN/buttons/RectangularPushButton' );
+  const Shape = require( 'KITE/Shape' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const Utils = require( 'DOT/Utils' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
+
+  // strings
+  const massKilogramsPatternString = require( 'string!ENERGY_SKATE_PARK/massKilogramsPattern' );
+  const plotsPinnedRunPatternString = require( 'string!ENERGY_SKATE_PARK/plots.pinnedRunPattern' );
+
+  // constants
+  const LABEL_FONT = new PhetFont( 10 );
+  const LINE_LENGTH = 20;
+  const REMOVE_ICON_SIZE = 5;
+
+  class PinnedRunsLegend extends Panel {
+
+    /**
+     * @param {GraphsModel} model
+     */
+    constructor( model ) {
+      const content = new VBox( { align: 'left', spacing: 2 } );
+
+      super( content, {
+        fill: EnergySkateParkColorScheme.transparentPanelFill,
+        xMargin: 4,
+        yMargin: 3
+      } );
+
+      const update = () => {
+        content.children.forEach( entry => entry.dispose() );
+        content.children = model.pinnedRuns.getArray().map( pinnedRun => createEntry( model, pinnedRun ) );
+        this.visible = model.pinnedRuns.length > 0;
+      };
+      model.pinnedRuns.addItemAddedListener( update );
+      model.pinnedRuns.addItemRemovedListener( update );
+      update();
+    }
+  }
+
+  /**
+   * @param {GraphsModel} model
+   * @param {PinnedRun} pinnedRun
+   * @returns {Node}
+   */
+  const createEntry = ( model, pinnedRun ) => {
+    const name = StringUtils.fillIn( plotsPinnedRunPatternString, {
+      number: pinnedRun.number,
+      mass: StringUtils.fillIn( massKilogramsPatternString, { value: Utils.toFixed( pinnedRun.mass, 0 ) } ),
+      friction: Utils.toFixed( pinnedRun.friction, 2 )
+    } );
+
+    const removeIcon = new Path( new Shape()
+      .moveTo( 0, 0 ).lineTo( REMOVE_ICON_SIZE, REMOVE_ICON_SIZE )
+      .moveTo( 0, REMOVE_ICON_SIZE ).lineTo( REMOVE_ICON_SIZE, 0 ), {
+      stroke: 'black',
+      lineWidth: 1.5
+    } );
+
+    return new HBox( {
+      spacing: 5,
+      children: [
+        new Line( 0, 0, LINE_LENGTH, 0, {
+          stroke: 'black',
+          lineWidth: 2,
+          lineDash: PinnedRunsNode.getLineDash( pinnedRun )
+        } ),
+        new Text( name, { font: LABEL_FONT, maxWidth: 170 } ),
+        new RectangularPushButton( {
+          content: removeIcon,
+          xMargin: 3,
+          yMargin: 3,
+          listener: () => model.removePinnedRun( pinnedRun ),
+
+          // entries are created and removed with the runs
+          tandem: Tandem.OPT_OUT
+        } )
+      ]
+    } );
+  };
+
+  return energySkatePark.register( 'PinnedRunsLegend', PinnedRunsLegend );
+} );
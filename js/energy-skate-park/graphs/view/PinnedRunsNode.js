@@ -0,0 +1,166 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Draws the pinned runs of GraphsModel.pinnedRuns in the EnergyPlot, behind the data of the current run. Each run is
+ * drawn dimmed, in the colors of the plotted quantities and with its own dash pattern, so that runs can be told apart
+ * with the PinnedRunsLegend.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const EnergySkateParkColorScheme = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergySkateParkColorScheme' );
+  const GraphsConstants = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/GraphsConstants' );
+  const GraphsModel = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/model/GraphsModel' );
+  const GraphsValues = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/view/GraphsValues' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const Path = require( 'SCENERY/nodes/Path' );
+  const Property = require( 'AXON/Property' );
+  const Shape = require( 'KITE/Shape' );
+
+  // constants
+  const PINNED_RUN_OPACITY = 0.45;
+  const LINE_WIDTH = 2;
+
+  // one for each pinned run, so that consecutive runs never share a pattern
+  const LINE_DASHES = [ [ 8, 3 ], [ 2, 3 ], [ 10, 3, 2, 3 ], [ 4, 4 ] ];
+  assert && assert( LINE_DASHES.length >= GraphsConstants.MAX_PINNED_RUNS, 'every pinned run needs a dash pattern' );
+
+  class PinnedRunsNode extends Node {
+
+    /**
+     * @param {GraphsModel} model
+     * @param {Bounds2} plotBounds - the area of the plot, in the parent coordinate frame of this Node
+     */
+    constructor( model, plotBounds ) {
+      super( {
+        clipArea: Shape.bounds( plotBounds ),
+        pickable: false
+      } );
+
+      // @private
+      this.model = model;
+      this.plotBounds = plotBounds;
+
+      // @private {Bounds2|null} - domain and range of the plot, see setPlotWindow
+      this.plotWindow = null;
+
+      const update = () => this.update();
+      model.pinnedRuns.addItemAddedListener( update );
+      model.pinnedRuns.addItemRemovedListener( update );
+      Property.multilink( [
+        model.independentVariableProperty,
+        model.dependentVariableProperty,
+        model.kineticEnergyDataVisibleProperty,
+        model.potentialEnergyDataVisibleProperty,
+        model.thermalEnergyDataVisibleProperty,
+        model.totalEnergyDataVisibleProperty
+      ], update );
+    }
+
+    /**
+     * Draw the runs for the domain and range of the plot.
+     * @public
+     *
+     * @param {Bounds2} plotWindow - in the units of the variables
+     */
+    setPlotWindow( plotWindow ) {
+      this.plotWindow = plotWindow;
+      this.update();
+    }
+
+    /**
+     * @private
+     */
+    update() {
+      if ( !this.plotWindow ) {
+        return;
+      }
+
+      const children = [];
+      const series = this.getVisibleSeries();
+      this.model.pinnedRuns.forEach( pinnedRun => {
+        series.forEach( entry => {
+          children.push( new Path( this.createRunShape( pinnedRun, entry.getValue ), {
+            stroke: entry.color.withAlpha( PINNED_RUN_OPACITY ),
+            lineWidth: LINE_WIDTH,
+            lineDash: PinnedRunsNode.getLineDash( pinnedRun )
+          } ) );
+        } );
+      } );
+      this.children = children;
+    }
+
+    /**
+     * The plotted values and their colors, like the visible series of the EnergyPlot.
+     * @private
+     *
+     * @returns {Array.<{getValue: function(SkaterSample):number, color: Color}>}
+     */
+    getVisibleSeries() {
+      const model = this.model;
+      const dependentVariable = model.dependentVariableProperty.get();
+      if ( dependentVariable === GraphsModel.DependentVariable.ENERGY ) {
+        const series = [];
+        model.thermalEnergyDataVisibleProperty.get() && series.push( { getValue: sample => sample.thermalEnergy, color: EnergySkateParkColorScheme.thermalEnergy } );
+        model.potentialEnergyDataVisibleProperty.get() && series.push( { getValue: sample => sample.potentialEnergy, color: EnergySkateParkColorScheme.potentialEnergy } );
+        model.kineticEnergyDataVisibleProperty.get() && series.push( { getValue: sample => sample.kineticEnergy, color: EnergySkateParkColorScheme.kineticEnergy } );
+        model.totalEnergyDataVisibleProperty.get() && series.push( { getValue: sample => sample.totalEnergy, color: EnergySkateParkColorScheme.totalEnergy } );
+        return series;
+      }
+      else {
+        return [ {
+          getValue: sample => GraphsValues.getDependentValue( sample, dependentVariable ),
+          color: EnergySkateParkColorScheme.plotQuantity
+        } ];
+      }
+    }
+
+    /**
+     * A line through the samples of a run, which is broken where the skater was off the track when plotting against
+     * distance along the track.
+     * @private
+     *
+     * @param {PinnedRun} pinnedRun
+     * @param {function(SkaterSample):number} getValue
+     * @returns {Shape}
+     */
+    createRunShape( pinnedRun, getValue ) {
+      const independentVariable = this.model.independentVariableProperty.get();
+      const plotWindow = this.plotWindow;
+      const plotBounds = this.plotBounds;
+
+      const shape = new Shape();
+      let drawing = false;
+      pinnedRun.samples.forEach( sample => {
+        const x = GraphsValues.getIndependentValue( sample, independentVariable );
+        if ( x === null ) {
+          drawing = false;
+          return;
+        }
+
+        const viewX = plotBounds.minX + ( x - plotWindow.minX ) / plotWindow.width * plotBounds.width;
+        const viewY = plotBounds.maxY - ( getValue( sample ) - plotWindow.minY ) / plotWindow.height * plotBounds.height;
+        drawing ? shape.lineTo( viewX, viewY ) : shape.moveTo( viewX, viewY );
+        drawing = true;
+      } );
+      return shape;
+    }
+
+    /**
+     * The dash pattern of the lines for a pinned run, shared with the legend.
+     * @public
+     *
+     * @param {PinnedRun} pinnedRun
+     * @returns {number[]}
+     */
+    static getLineDash( pinnedRun ) {
+      return LINE_DASHES[ ( pinnedRun.number - 1 ) % GraphsConstants.MAX_PINNED_RUNS ];
+    }
+  }
+
+  return energySkatePark.register( 'PinnedRunsNode', PinnedRunsNode );
+} );
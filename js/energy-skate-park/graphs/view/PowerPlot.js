@@ -0,0 +1,148 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A plot of the power for kinetic, potential and thermal energy against time, under the EnergyPlot in the Graphs
+ * screen. The power is the rate of change of each energy, see GraphsModel.getPower. With friction, the thermal power
+ * is the rate that energy is dissipated. Data is only plotted when the independent variable is time, and the plot
+ * shows the same time as the EnergyPlot, see setTimeDomain. The power of a sample is plotted at its time, which is half
+ * of GraphsConstants.POWER_SMOOTHING_TIME behind the latest sample.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const DynamicSeries = require( 'GRIDDLE/DynamicSeries' );
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const EnergySkateParkColorScheme = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergySkateParkColorScheme' );
+  const GraphsConstants = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/GraphsConstants' );
+  const GraphsModel = require( 'ENERGY_SKATE_PARK/energy-skate-park/graphs/model/GraphsModel' );
+  const merge = require( 'PHET_CORE/merge' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Shape = require( 'KITE/Shape' );
+  const Vector2 = require( 'DOT/Vector2' );
+  const XYPlot = require( 'GRIDDLE/XYPlot' );
+
+  // constants
+  // range of the plot as a function of the scale of the energy plot, in watts
+  const Y_SLOPE = 2000;
+
+  // the initial domain matches the EnergyPlot for time, in seconds
+  const STEP_X = 2;
+
+  class PowerPlot extends XYPlot {
+
+    /**
+     * @param {GraphsModel} model
+     * @param {number} graphWidth
+     * @param {number} graphHeight
+     * @param {Tandem} tandem
+     */
+    constructor( model, graphWidth, graphHeight, tandem ) {
+      const maxY = model.lineGraphScaleProperty.get() * Y_SLOPE;
+
+      super( {
+        width: graphWidth,
+        height: graphHeight,
+
+        maxX: GraphsConstants.TIME_WINDOW,
+        stepX: STEP_X,
+        minY: -maxY,
+        maxY: maxY,
+        stepY: maxY / 2,
+
+        // match the EnergyPlot
+        showAxis: false,
+        lineDash: [ 4, 4 ],
+        showVerticalIntermediateLines: false,
+        showHorizontalIntermediateLines: false,
+        tickLabelFont: new PhetFont( 10 )
+      } );
+
+      const seriesOptions = { lineWidth: 2 };
+
+      // @private {DynamicSeries}
+      this.kineticPowerDataSeries = new DynamicSeries( merge( { color: EnergySkateParkColorScheme.kineticEnergy }, seriesOptions ) );
+      this.potentialPowerDataSeries = new DynamicSeries( merge( { color: EnergySkateParkColorScheme.potentialEnergy }, seriesOptions ) );
+      this.thermalPowerDataSeries = new DynamicSeries( merge( { color: EnergySkateParkColorScheme.thermalEnergy }, seriesOptions ) );
+
+      this.addSeries( this.thermalPowerDataSeries, true );
+      this.addSeries( this.potentialPowerDataSeries, true );
+      this.addSeries( this.kineticPowerDataSeries, true );
+
+      // data before the visible time should not be drawn over the tick labels
+      this.forEachDataSeries( dataSeries => {
+        const dataSeriesNode = this.getXYDataSeriesNode( dataSeries );
+        dataSeriesNode.clipArea = Shape.bounds( dataSeriesNode.globalToLocalBounds( this.localToGlobalBounds( this.plotPath.bounds ) ) );
+      } );
+
+      // the check boxes for the energies apply to their power too
+      model.kineticEnergyDataVisibleProperty.linkAttribute( this.getXYDataSeriesNode( this.kineticPowerDataSeries ), 'visible' );
+      model.potentialEnergyDataVisibleProperty.linkAttribute( this.getXYDataSeriesNode( this.potentialPowerDataSeries ), 'visible' );
+      model.thermalEnergyDataVisibleProperty.linkAttribute( this.getXYDataSeriesNode( this.thermalPowerDataSeries ), 'visible' );
+
+      // zoom with the energy plot
+      model.lineGraphScaleProperty.link( scale => {
+        const newMaxY = scale * Y_SLOPE;
+        this.setMinY( -newMaxY );
+        this.setMaxY( newMaxY );
+        this.setStepY( newMaxY / 2 );
+      } );
+
+      // the last sample with plotted power, so that it is not plotted again
+      let lastPowerSample = null;
+
+      // add data points when a SkaterSample is added to the model, for the sample half of the smoothing time before it
+      // whose power can now be found, see GraphsModel.getPower
+      model.skaterSamples.addItemAddedListener( () => {
+        if ( model.independentVariableProperty.get() !== GraphsModel.IndependentVariable.TIME ) {
+          return;
+        }
+
+        const index = model.getLatestPowerIndex();
+        const powerSample = index >= 0 ? model.skaterSamples.get( index ) : null;
+        const power = powerSample && powerSample !== lastPowerSample ? model.getPower( index ) : null;
+        if ( power ) {
+          lastPowerSample = powerSample;
+          const time = powerSample.time;
+          this.kineticPowerDataSeries.addDataPoint( new Vector2( time, power.kineticEnergy ) );
+          this.potentialPowerDataSeries.addDataPoint( new Vector2( time, power.potentialEnergy ) );
+          this.thermalPowerDataSeries.addDataPoint( new Vector2( time, power.thermalEnergy ) );
+
+          const removalListener = removedSample => {
+            if ( removedSample === powerSample ) {
+              this.forEachDataSeries( dataSeries => dataSeries.removePointAtX( time ) );
+              model.skaterSamples.removeItemRemovedListener( removalListener );
+            }
+          };
+          model.skaterSamples.addItemRemovedListener( removalListener );
+        }
+      } );
+    }
+
+    /**
+     * Show the same time as the EnergyPlot.
+     * @public
+     *
+     * @param {number} minX - in seconds
+     * @param {number} maxX - in seconds
+     * @param {number} stepX - spacing of vertical grid lines, in seconds
+     */
+    setTimeDomain( minX, maxX, stepX ) {
+      this.setMinX( minX );
+      this.setMaxX( maxX );
+      this.setStepX( stepX );
+    }
+
+    /**
+     * Clear all data from the plot.
+     * @public
+     */
+    clearPowerDataSeries() {
+      this.forEachDataSeries( dataSeries => dataSeries.clear() );
+    }
+  }
+
+  return energySkatePark.register( 'PowerPlot', PowerPlot );
+} );
@@ -0,0 +1,65 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Buttons that download the SkaterSamples of the graph as a CSV or JSON file, see SkaterSampleExport.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const downloadFile = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/downloadFile' );
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const merge = require( 'PHET_CORE/merge' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const RectangularPushButton = require( 'SUN/buttons/RectangularPushButton' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
+
+  // strings
+  const controlsExportCSVString = require( 'string!ENERGY_SKATE_PARK/controls.exportCSV' );
+  const controlsExportJSONString = require( 'string!ENERGY_SKATE_PARK/controls.exportJSON' );
+
+  // constants
+  const FILE_NAME = 'energy-skate-park-samples';
+  const BUTTON_FONT = new PhetFont( 10 );
+
+  class SkaterSampleExportButtons extends VBox {
+
+    /**
+     * @param {EnergySkateParkSaveSampleModel} model
+     * @param {Tandem} tandem
+     * @param {Object} [options]
+     */
+    constructor( model, tandem, options ) {
+      options = merge( {
+        spacing: 4,
+        align: 'left'
+      }, options );
+
+      const csvButton = new RectangularPushButton( {
+        content: new Text( controlsExportCSVString, { font: BUTTON_FONT, maxWidth: 70 } ),
+        listener: () => downloadFile( FILE_NAME + '.csv', model.exportSamplesToCSV(), 'text/csv' ),
+        tandem: tandem.createTandem( 'csvButton' )
+      } );
+
+      const jsonButton = new RectangularPushButton( {
+        content: new Text( controlsExportJSONString, { font: BUTTON_FONT, maxWidth: 70 } ),
+        listener: () => downloadFile( FILE_NAME + '.json', JSON.stringify( model.exportSamplesToJSON(), null, 2 ), 'application/json' ),
+        tandem: tandem.createTandem( 'jsonButton' )
+      } );
+
+      // nothing to export until samples are saved
+      model.skaterSamples.lengthProperty.link( length => {
+        csvButton.enabled = length > 0;
+        jsonButton.enabled = length > 0;
+      } );
+
+      options.children = [ csvButton, jsonButton ];
+      super( options );
+    }
+  }
+
+  return energySkatePark.register( 'SkaterSampleExportButtons', SkaterSampleExportButtons );
+} );
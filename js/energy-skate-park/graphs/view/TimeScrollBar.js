@@ -0,0 +1,102 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A scroll bar under the plots against time in the Graphs screen. The track is the whole recording and the thumb is
+ * the time shown by the EnergyPlot, so the thumb can be dragged to look at earlier parts of a long recording. Scrolling
+ * to the end of the recording makes the plot follow the recording again, see EnergyPlot.scrollTo.
+ *
+ * @author Sam Reid
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const DragListener = require( 'SCENERY/listeners/DragListener' );
+  const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const Range = require( 'DOT/Range' );
+  const Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  const Utils = require( 'DOT/Utils' );
+
+  // constants
+  const HEIGHT = 8;
+  const MIN_THUMB_WIDTH = 10;
+
+  class TimeScrollBar extends Node {
+
+    /**
+     * @param {GraphsModel} model
+     * @param {EnergyPlot} energyPlot
+     * @param {number} width - in view coordinates, the width of the plot area
+     * @param {Tandem} tandem
+     */
+    constructor( model, energyPlot, width, tandem ) {
+      super();
+
+      const trackNode = new Rectangle( 0, 0, width, HEIGHT, {
+        cornerRadius: HEIGHT / 2,
+        fill: 'rgb( 225, 225, 225 )'
+      } );
+      const thumbNode = new Rectangle( 0, 0, MIN_THUMB_WIDTH, HEIGHT, {
+        cornerRadius: HEIGHT / 2,
+        fill: 'rgb( 150, 150, 150 )',
+        cursor: 'pointer'
+      } );
+      this.children = [ trackNode, thumbNode ];
+
+      // @private
+      this.model = model;
+      this.energyPlot = energyPlot;
+      this.trackWidth = width;
+      this.thumbNode = thumbNode;
+
+      // dragging the thumb by the width of the track scrolls by the recorded time when the drag started
+      let dragStartX = 0;
+      let dragStartMinX = 0;
+      let dragStartTimeRange = null;
+      thumbNode.addInputListener( new DragListener( {
+        start: event => {
+          dragStartX = this.globalToLocalPoint( event.pointer.point ).x;
+          dragStartMinX = energyPlot.getPlotWindow().minX;
+          dragStartTimeRange = this.getTimeRange();
+        },
+        drag: event => {
+          const deltaTime = ( this.globalToLocalPoint( event.pointer.point ).x - dragStartX ) / width * dragStartTimeRange.getLength();
+          const windowWidth = energyPlot.getPlotWindow().width;
+          energyPlot.scrollTo( Utils.clamp( dragStartMinX + deltaTime, dragStartTimeRange.min, dragStartTimeRange.max - windowWidth ) );
+        },
+        tandem: tandem.createTandem( 'dragListener' )
+      } ) );
+
+      model.sampleTimeProperty.lazyLink( () => this.update() );
+      energyPlot.plotWindowChangedEmitter.addListener( () => this.update() );
+      this.update();
+    }
+
+    /**
+     * Get the time covered by the track, from the start of the recording or the plot to the end of the recording or
+     * the plot.
+     * @private
+     *
+     * @returns {Range} - in seconds
+     */
+    getTimeRange() {
+      const plotWindow = this.energyPlot.getPlotWindow();
+      return this.model.getDefaultTimeDomain().union( new Range( Math.min( 0, plotWindow.minX ), plotWindow.maxX ) );
+    }
+
+    /**
+     * Size and position the thumb for the time shown by the plot.
+     * @private
+     */
+    update() {
+      const plotWindow = this.energyPlot.getPlotWindow();
+      const timeRange = this.getTimeRange();
+      const thumbWidth = Math.max( plotWindow.width / timeRange.getLength() * this.trackWidth, MIN_THUMB_WIDTH );
+      const thumbLeft = ( plotWindow.minX - timeRange.min ) / timeRange.getLength() * this.trackWidth;
+      this.thumbNode.setRect( Utils.clamp( thumbLeft, 0, this.trackWidth - thumbWidth ), 0, thumbWidth, HEIGHT );
+    }
+  }
+
+  return energySkatePark.register( 'TimeScrollBar', TimeScrollBar );
+} );
@@ -21,6 +21,7 @@ define( require => {
      */
     constructor( tandem ) {
       super( tandem, {
+        screenName: 'intro',
         skaterOptions: {
           defaultMass: SkaterMasses.PHET_SKATER_MASS,
           massRange: new Range( SkaterMasses.BUG_MASS, SkaterMasses.PHET_SKATER_MASS )
@@ -23,11 +23,18 @@ define( require => {
     constructor( tandem ) {
 
       super( tandem, {
+        screenName: 'lab',
         skaterOptions: {
           defaultMass: SkaterMasses.PHET_SKATER_MASS,
           massRange: new Range( SkaterMasses.BUG_MASS, SkaterMasses.PHET_SKATER_MASS )
         },
 
+        // a lighter skater released further along the track, so that skaters of different mass can be compared
+        additionalSkaterOptions: [ {
+          defaultMass: SkaterMasses.BULLDOG_MASS,
+          initialPosition: new Vector2( 4.5, 0 )
+        } ],
+
         // Draggable tracks in the lab screen start at a different location in the "Lab" screen
         initialTracksOffsetVector: new Vector2( -2, -0.75 )
       } );
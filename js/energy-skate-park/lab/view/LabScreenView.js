@@ -11,6 +11,8 @@ define( require => {
   'use strict';
 
   // modules
+  const AirResistanceSlider = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/AirResistanceSlider' );
+  const DerivedProperty = require( 'AXON/DerivedProperty' );
   const energySkatePark = require( 'ENERGY_SKATE_PARK/energySkatePark' );
   const EnergySkateParkPlaygroundScreenView = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/EnergySkateParkPlaygroundScreenView' );
   const FrictionSlider = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/FrictionSlider' );
@@ -20,6 +22,11 @@ define( require => {
   const Node = require( 'SCENERY/nodes/Node' );
   const GravityComboBox = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/GravityComboBox' );
   const MassComboBox = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/MassComboBox' );
+  const SkaterCountControl = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/SkaterCountControl' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+
+  // strings
+  const controlsSkaterMassPatternString = require( 'string!ENERGY_SKATE_PARK/controls.skaterMassPattern' );
 
   class LabScreenView extends EnergySkateParkPlaygroundScreenView {
 
@@ -34,18 +41,32 @@ define( require => {
 
       const labControls = [
         new FrictionSlider( model.frictionProperty, tandem.createTandem( 'frictionSlider' ) ),
+        new AirResistanceSlider( model.airResistanceProperty, tandem.createTandem( 'airResistanceSlider' ) ),
         new MassNumberControl( model.skater.massProperty, model.skater.massRange, tandem.createTandem( 'massNumberControl' ) ),
         new MassComboBox( model.skater.massProperty, model.resetEmitter, comboBoxParent, tandem.createTandem( 'massComboBox' ) ),
         new GravityNumberControl( model.skater.gravityMagnitudeProperty, tandem.createTandem( 'gravitySlider' ) ),
-        new GravityComboBox( model.skater.gravityMagnitudeProperty, model.resetEmitter, comboBoxParent, tandem.createTandem( 'gravityComboBox' ) )
+        new GravityComboBox( model.skater.gravityMagnitudeProperty, model.resetEmitter, comboBoxParent, tandem.createTandem( 'gravityComboBox' ) ),
+        new SkaterCountControl( model.numberOfSkatersProperty, tandem.createTandem( 'skaterCountControl' ) )
       ];
+
+      // a mass control for each of the other skaters, enabled while that skater is in the play area
+      model.skaters.slice( 1 ).forEach( ( skater, i ) => {
+        const skaterNumber = i + 2;
+        labControls.push( new MassNumberControl( skater.massProperty, skater.massRange, tandem.createTandem( 'skater' + skaterNumber + 'MassNumberControl' ), {
+          titleString: StringUtils.fillIn( controlsSkaterMassPatternString, { number: skaterNumber } ),
+          enabledProperty: new DerivedProperty( [ model.numberOfSkatersProperty ], numberOfSkaters => skaterNumber <= numberOfSkaters )
+        } ) );
+      } );
       super( model, labControls, tandem.createTandem( 'graphsScreenView' ), {
         showTrackButtons: false,
+        showLauncher: true,
         visibilityControlsOptions: {
           showPieChartCheckbox: true,
           showGridCheckbox: false,
           showSpeedCheckbox: true,
-          showStickToTrackCheckbox: true
+          showStickToTrackCheckbox: true,
+          showEnergySoundCheckbox: true,
+          showVectorCheckboxes: true
         }
       } );
 
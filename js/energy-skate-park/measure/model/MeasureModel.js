@@ -26,6 +26,7 @@ define( require => {
     constructor( tandem ) {
 
       super( tandem, {
+        screenName: 'measure',
         tracksConfigurable: true
       } );
 
@@ -17,7 +17,7 @@ define( require => {
   const Node = require( 'SCENERY/nodes/Node' );
   const MassNumberControl = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/MassNumberControl' );
   const SkaterSamplesCanvasNode = require( 'ENERGY_SKATE_PARK/energy-skate-park/measure/view/SkaterSamplesCanvasNode' );
-  const InspectedSampleHaloNode = require( 'ENERGY_SKATE_PARK/energy-skate-park/measure/view/InspectedSampleHaloNode' );
+  const InspectedSampleHaloNode = require( 'ENERGY_SKATE_PARK/energy-skate-park/common/view/InspectedSampleHaloNode' );
   const SkaterPathSensorNode = require( 'ENERGY_SKATE_PARK/energy-skate-park/measure/view/SkaterPathSensorNode' );
 
   /**
@@ -0,0 +1,76 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Loads energy-skate-park model modules in Node, without a browser or the rest of the sim. This only works for the
+ * modules that do not depend on Properties, scenery or strings, like SkaterPhysicsEngine, TrackSpline and
+ * PhysicsRegression. Like the sim, it expects the other PhET repositories to be checked out next to this one, and
+ * uses the requirejs package from devDependencies.
+ *
+ * Run directly to drop a skater onto a track and print its energy over time:
+ *
+ *   node js/scripts/headless.js
+ *
+ * or use it from another script:
+ *
+ *   require( './headless' )( [ 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SkaterPhysicsEngine' ],
+ *     SkaterPhysicsEngine => { ... } );
+ *
+ * @author Sam Reid
+ */
+
+/* eslint-env node */
+'use strict';
+
+const path = require( 'path' );
+const requirejs = require( 'requirejs' );
+
+// location of the PhET repositories, relative to this file
+const ROOT = path.join( __dirname, '../../..' );
+
+// globals that the preloads in energy-skate-park_en.html provide in the browser
+global.window = global;
+global.phet = { chipper: { queryParameters: {} } };
+global.assert = false;
+global.assertSlow = false;
+global._ = require( path.join( ROOT, 'sherpa/lib/lodash-4.17.4.js' ) );
+global.numeric = require( path.join( ROOT, 'sherpa/lib/numeric-1.2.6.js' ) );
+
+requirejs.config( {
+  baseUrl: path.join( ROOT, 'energy-skate-park/js' ),
+  nodeRequire: require,
+
+  // same as energy-skate-park-config.js, for the libraries the model uses
+  paths: {
+    AXON: '../../axon/js',
+    DOT: '../../dot/js',
+    ENERGY_SKATE_PARK: '.',
+    PHET_CORE: '../../phet-core/js'
+  }
+} );
+
+/**
+ * Load the requested modules and call back with them, like require() in a module of the sim.
+ *
+ * @param {string[]} modules - module names, like 'ENERGY_SKATE_PARK/energy-skate-park/common/model/TrackSpline'
+ * @param {function} callback - called with the modules in the same order
+ */
+const requireHeadless = ( modules, callback ) => requirejs( modules, callback );
+
+module.exports = requireHeadless;
+
+if ( require.main === module ) {
+  requireHeadless( [ 'ENERGY_SKATE_PARK/energy-skate-park/common/model/SkaterPhysicsEngine' ], SkaterPhysicsEngine => {
+    const track = SkaterPhysicsEngine.createTrack( [ { x: -4, y: 6 }, { x: 0, y: 0 }, { x: 4, y: 6 } ] );
+    const engine = new SkaterPhysicsEngine( { tracks: [ track ], friction: 0.05 } );
+    let skaterState = SkaterPhysicsEngine.createSkaterState( { positionX: -3.5, positionY: 7 } );
+
+    console.log( 'time (s)\tx (m)\ty (m)\ttotal (J)\tthermal (J)' );
+    for ( let i = 0; i <= 600; i++ ) {
+      if ( i % 30 === 0 ) {
+        console.log( [ i / 60, skaterState.positionX, skaterState.positionY, skaterState.getTotalEnergy(),
+          skaterState.thermalEnergy ].map( value => value.toFixed( 3 ) ).join( '\t' ) );
+      }
+      skaterState = engine.step( 1 / 60, skaterState );
+    }
+  } );
+}
@@ -0,0 +1,38 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Runs every scenario in DebugTrackScenarios with PhysicsRegression in Node, prints the failures and exits with a
+ * nonzero status if there were any. Useful for comparing integrators outside of the unit tests:
+ *
+ *   node js/scripts/physics-regression.js --integrator=RK4 --disableEnergyCorrection
+ *
+ * @author Sam Reid
+ */
+
+/* eslint-env node */
+'use strict';
+
+const requireHeadless = require( './headless' );
+
+const integratorArgument = process.argv.find( arg => arg.startsWith( '--integrator=' ) );
+const disableEnergyCorrection = process.argv.includes( '--disableEnergyCorrection' );
+
+requireHeadless( [
+  'ENERGY_SKATE_PARK/energy-skate-park/common/model/PhysicsRegression',
+  'ENERGY_SKATE_PARK/energy-skate-park/common/model/TrackIntegrator'
+], ( PhysicsRegression, TrackIntegrator ) => {
+  const integrator = integratorArgument ? TrackIntegrator[ integratorArgument.split( '=' )[ 1 ] ] : TrackIntegrator.EULER;
+  if ( !integrator ) {
+    console.error( 'unknown integrator, use one of ' + TrackIntegrator.KEYS.join( ', ' ) );
+    process.exit( 1 );
+  }
+
+  const results = PhysicsRegression.run( { integrator: integrator, energyCorrection: !disableEnergyCorrection } );
+  const failedResults = results.filter( result => result.failures.length );
+  failedResults.forEach( result => {
+    console.log( 'debug track ' + result.scenarioIndex + ', friction ' + result.friction + ': ' +
+                 result.failures.join( '; ' ) );
+  } );
+  console.log( ( results.length - failedResults.length ) + '/' + results.length + ' runs passed with ' + integrator.name );
+  process.exitCode = failedResults.length ? 1 : 0;
+} );